@@ -1,7 +1,12 @@
 import { defineConfig } from 'astro/config';
 import tailwind from "@astrojs/tailwind";
+import vercel from "@astrojs/vercel/serverless";
 
 // https://astro.build/config
 export default defineConfig({
+  // Todas las páginas y endpoints se renderizan bajo demanda en Vercel: el middleware lee en cada solicitud las
+  // cookies de idioma y moneda, y /coin/[symbol] y /api/* dependen de la consulta.
+  output: 'server',
+  adapter: vercel(),
   integrations: [tailwind()]
 });
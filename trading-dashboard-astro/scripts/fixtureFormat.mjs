@@ -0,0 +1,43 @@
+// scripts/fixtureFormat.mjs
+// Formato común de los fixtures de `src/fixtures/market/`, compartido por `record-fixtures.mjs` (velas reales de
+// Binance) y `generate-fixtures.mjs` (velas sintéticas). Ver `src/scripts/fixtureReplay.js`.
+
+import { mkdir, writeFile } from 'node:fs/promises';
+
+// Intervalos anidados: cada uno contiene un número exacto de velas del anterior.
+export const INTERVALS = ['1m', '5m', '15m', '1h', '4h', '1d'];
+// Cubre las 180 velas iniciales de la gráfica más el tramo que se reproduce.
+export const CANDLES_PER_INTERVAL = 240;
+// Tramo final que se reproduce en bucle (las 60 últimas velas de 1m).
+export const REPLAY_MS = 60 * 60 * 1000;
+const OUTPUT_DIR = new URL('../src/fixtures/market/', import.meta.url);
+
+/**
+ * JSON con una vela por línea, para que los diffs de una nueva grabación sean legibles.
+ * @param {object} fixture
+ * @returns {string}
+ */
+function formatFixture({ klines, ...meta }) {
+  const intervals = Object.entries(klines).map(([interval, rows]) =>
+    `    "${interval}": [\n${rows.map(row => `      ${JSON.stringify(row)}`).join(',\n')}\n    ]`);
+  const header = JSON.stringify(meta, null, 2).slice(0, -2);
+  return `${header},\n  "klines": {\n${intervals.join(',\n')}\n  }\n}\n`;
+}
+
+/**
+ * Escribe el fixture de un par (`<SÍMBOLO>.json`).
+ * @param {{ symbol: string, klines: Record<string, number[][]> }} fixture
+ */
+export async function writeFixture(fixture) {
+  await mkdir(OUTPUT_DIR, { recursive: true });
+  await writeFile(new URL(`${fixture.symbol}.json`, OUTPUT_DIR), formatFixture(fixture));
+}
+
+/**
+ * Escribe el índice de la grabación (`index.json`).
+ * @param {{ recordedAt: number, source: 'binance' | 'synthetic', symbols: string[] }} index
+ */
+export async function writeFixtureIndex({ recordedAt, source, symbols }) {
+  const index = { recordedAt, replayMs: REPLAY_MS, source, symbols };
+  await writeFile(new URL('index.json', OUTPUT_DIR), `${JSON.stringify(index, null, 2)}\n`);
+}
@@ -0,0 +1,182 @@
+// scripts/generate-fixtures.mjs
+// Genera los fixtures sintéticos incluidos en `src/fixtures/market/` (`"source": "synthetic"` en `index.json`),
+// para desarrollar y hacer demostraciones sin conexión. Para grabar velas reales se usa `record-fixtures.mjs`.
+//
+// Uso: node scripts/generate-fixtures.mjs
+//
+// Es determinista (generador pseudoaleatorio con semilla fija y `recordedAt` fijo): al volver a ejecutarlo se
+// obtienen exactamente los mismos archivos. Cada par es un paseo aleatorio de velas de 1m (tendencias lentas de
+// semanas más ruido, volumen con ciclo diario) reescalado para terminar en su precio de referencia; el resto de
+// intervalos se agregan de esas velas de 1m, así que son coherentes entre sí como los de una grabación real.
+
+import { INTERVALS, CANDLES_PER_INTERVAL, writeFixture, writeFixtureIndex } from './fixtureFormat.mjs';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 1440;
+const INTERVAL_MINUTES = { '1m': 1, '5m': 5, '15m': 15, '1h': 60, '4h': 240, '1d': 1440 };
+// Fin de la grabación sintética: 15 de octubre de 2026, 12:00 UTC.
+const RECORDED_AT = Date.UTC(2026, 9, 15, 12, 0);
+// Días de velas de 1m generadas: los suficientes para 240 velas diarias.
+const GENERATED_DAYS = 241;
+const FIRST_SEED = 7;
+// Pasos del paseo aleatorio dentro de cada vela de 1m (definen su máximo y su mínimo).
+const STEPS_PER_MINUTE = 4;
+const STEP_VOLATILITY = 0.0003;
+
+/**
+ * Pares generados: información del par, precio final y volumen y trades medios por minuto.
+ * @type {Array<{ symbol: string, baseAsset: string, quoteAsset: string, tickSize: number, stepSize: number,
+ *   price: number, volume: number, trades: number }>}
+ */
+const PAIRS = [
+  { symbol: 'BTCUSDT', baseAsset: 'BTC', quoteAsset: 'USDT', tickSize: 0.01, stepSize: 0.00001, price: 58000, volume: 3, trades: 12 },
+  { symbol: 'ETHUSDT', baseAsset: 'ETH', quoteAsset: 'USDT', tickSize: 0.01, stepSize: 0.0001, price: 2900, volume: 40, trades: 9 },
+  { symbol: 'FILUSDT', baseAsset: 'FIL', quoteAsset: 'USDT', tickSize: 0.001, stepSize: 0.01, price: 4.6, volume: 40000, trades: 2 },
+  { symbol: 'FETUSDT', baseAsset: 'FET', quoteAsset: 'USDT', tickSize: 0.0001, stepSize: 0.1, price: 1.25, volume: 150000, trades: 3 },
+  { symbol: 'ADAUSDT', baseAsset: 'ADA', quoteAsset: 'USDT', tickSize: 0.0001, stepSize: 0.1, price: 0.41, volume: 500000, trades: 4 },
+];
+
+/**
+ * Generador pseudoaleatorio uniforme en [0, 1) con semilla (mulberry32).
+ * @param {number} seed
+ * @returns {() => number}
+ */
+function createRandom(seed) {
+  return () => {
+    seed |= 0;
+    seed = seed + 0x6D2B79F5 | 0;
+    let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Normal estándar a partir de un generador uniforme (Box-Muller).
+ * @param {() => number} random
+ * @returns {() => number}
+ */
+function createGaussian(random) {
+  return () => {
+    let u = 0;
+    while (!u) u = random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  };
+}
+
+const decimalsOf = (step) => Math.max(0, Math.round(-Math.log10(step)));
+const roundTo = (value, decimals) => Number(value.toFixed(decimals));
+
+/**
+ * Velas de 1m de un par, como filas `[openTime, open, high, low, close, volume, quoteAssetVolume, numberOfTrades]`
+ * sin redondear, que terminan en `RECORDED_AT` con el precio de referencia del par.
+ * @param {typeof PAIRS[number]} pair
+ * @param {number} seed
+ * @returns {number[][]}
+ */
+function generateMinuteRows(pair, seed) {
+  const gaussian = createGaussian(createRandom(seed));
+  const dayMs = DAY_MINUTES * MINUTE_MS;
+  const start = Math.floor((RECORDED_AT - GENERATED_DAYS * dayMs) / dayMs) * dayMs;
+  const total = (RECORDED_AT - start) / MINUTE_MS;
+
+  const rows = [];
+  let price = pair.price;
+  for (let i = 0; i < total; i++) {
+    // Tendencias lentas (semanas) más ruido por minuto.
+    const drift = 0.000004 * Math.sin(i / (DAY_MINUTES * 17)) + 0.000002 * Math.sin(i / (DAY_MINUTES * 4.3) + seed + 1);
+    const open = price;
+    let high = open;
+    let low = open;
+    let close = open;
+    for (let k = 0; k < STEPS_PER_MINUTE; k++) {
+      close *= Math.exp(drift / STEPS_PER_MINUTE + STEP_VOLATILITY * gaussian());
+      high = Math.max(high, close);
+      low = Math.min(low, close);
+    }
+    price = close;
+    // Más actividad a mitad del día UTC.
+    const hourFactor = 1 + 0.5 * Math.sin((i % DAY_MINUTES) / DAY_MINUTES * 2 * Math.PI);
+    const volume = pair.volume * hourFactor * Math.exp(0.5 * gaussian());
+    const trades = Math.max(1, Math.round(pair.trades * hourFactor * Math.exp(0.4 * gaussian())) * 10);
+    rows.push([start + i * MINUTE_MS, open, high, low, close, volume, volume * (open + close) / 2, trades]);
+  }
+
+  // El paseo termina en un precio arbitrario: se reescala para acabar en el precio de referencia.
+  const scale = pair.price / price;
+  for (const row of rows) {
+    row[1] *= scale;
+    row[2] *= scale;
+    row[3] *= scale;
+    row[4] *= scale;
+    row[6] *= scale;
+  }
+  return rows;
+}
+
+/**
+ * Agrega velas de 1m en velas de `minutes` minutos alineadas con la época Unix.
+ * @param {number[][]} rows
+ * @param {number} minutes
+ * @returns {number[][]}
+ */
+function aggregateRows(rows, minutes) {
+  /** @type {Map<number, number[][]>} */
+  const groups = new Map();
+  for (const row of rows) {
+    const key = Math.floor(row[0] / (minutes * MINUTE_MS));
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  const sum = (parts, column) => parts.reduce((total, part) => total + part[column], 0);
+  return [...groups.values()].map(parts => [
+    parts[0][0],
+    parts[0][1],
+    Math.max(...parts.map(part => part[2])),
+    Math.min(...parts.map(part => part[3])),
+    parts[parts.length - 1][4],
+    sum(parts, 5),
+    sum(parts, 6),
+    sum(parts, 7),
+  ]);
+}
+
+/**
+ * @param {typeof PAIRS[number]} pair
+ * @param {number} seed
+ */
+async function generateSymbol(pair, seed) {
+  const minuteRows = generateMinuteRows(pair, seed);
+  const priceDecimals = decimalsOf(pair.tickSize);
+  const klines = {};
+  for (const interval of INTERVALS) {
+    klines[interval] = aggregateRows(minuteRows, INTERVAL_MINUTES[interval])
+      .slice(-CANDLES_PER_INTERVAL)
+      .map(([openTime, open, high, low, close, volume, quoteVolume, trades]) => {
+        const row = [
+          openTime,
+          roundTo(open, priceDecimals),
+          roundTo(high, priceDecimals),
+          roundTo(low, priceDecimals),
+          roundTo(close, priceDecimals),
+          roundTo(volume, decimalsOf(pair.stepSize)),
+          roundTo(quoteVolume, 2),
+          trades,
+        ];
+        // Tras redondear, el máximo y el mínimo siguen conteniendo la apertura y el cierre.
+        row[2] = Math.max(row[2], row[1], row[4]);
+        row[3] = Math.min(row[3], row[1], row[4]);
+        return row;
+      });
+  }
+  const { symbol, baseAsset, quoteAsset, tickSize, stepSize } = pair;
+  await writeFixture({ symbol, baseAsset, quoteAsset, tickSize, stepSize, klines });
+  console.log(`${symbol}: ${INTERVALS.length} intervalos generados.`);
+}
+
+for (const [i, pair] of PAIRS.entries()) {
+  await generateSymbol(pair, FIRST_SEED + i);
+}
+await writeFixtureIndex({ recordedAt: RECORDED_AT, source: 'synthetic', symbols: PAIRS.map(pair => pair.symbol) });
+console.log(`Fixtures sintéticos generados hasta ${new Date(RECORDED_AT).toISOString()}.`);
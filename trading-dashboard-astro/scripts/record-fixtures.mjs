@@ -0,0 +1,42 @@
+// scripts/record-fixtures.mjs
+// Graba velas de Binance en `src/fixtures/market/` para el proveedor de datos `fixture`
+// (ver `src/scripts/marketDataProvider.js` y `src/scripts/fixtureReplay.js`).
+//
+// Uso: node scripts/record-fixtures.mjs [SÍMBOLO...]   (por defecto, los pares de la watchlist inicial)
+//
+// Todos los intervalos terminan en el mismo instante (`recordedAt`), de modo que la reproducción puede
+// reconstruir la vela en curso de cada intervalo con las del intervalo inferior.
+
+import { fetchKlines, getExchangeInfo } from '../src/scripts/binanceAPI.js';
+import { INTERVALS, CANDLES_PER_INTERVAL, writeFixture, writeFixtureIndex } from './fixtureFormat.mjs';
+
+const DEFAULT_SYMBOLS = ['BTCUSDT', 'ETHUSDT', 'FILUSDT', 'FETUSDT', 'ADAUSDT'];
+
+/**
+ * @param {string} symbol
+ * @param {number} recordedAt
+ */
+async function recordSymbol(symbol, recordedAt) {
+  const [info] = await getExchangeInfo(symbol);
+  const klines = {};
+  for (const interval of INTERVALS) {
+    const page = await fetchKlines(symbol, interval, CANDLES_PER_INTERVAL, { endTime: recordedAt - 1 });
+    klines[interval] = page.map(kline => [
+      kline.openTime, kline.open, kline.high, kline.low, kline.close, kline.volume, kline.quoteAssetVolume, kline.numberOfTrades,
+    ]);
+  }
+  const fixture = { symbol, baseAsset: info.baseAsset, quoteAsset: info.quoteAsset, tickSize: info.tickSize, stepSize: info.stepSize, klines };
+  await writeFixture(fixture);
+  console.log(`${symbol}: ${INTERVALS.length} intervalos grabados.`);
+}
+
+const symbols = process.argv.slice(2).map(symbol => symbol.toUpperCase());
+const recordedSymbols = symbols.length > 0 ? symbols : DEFAULT_SYMBOLS;
+// Al inicio del minuto en curso: la última vela de 1m grabada está cerrada.
+const recordedAt = Math.floor(Date.now() / 60000) * 60000;
+
+for (const symbol of recordedSymbols) {
+  await recordSymbol(symbol, recordedAt);
+}
+await writeFixtureIndex({ recordedAt, source: 'binance', symbols: recordedSymbols });
+console.log(`Grabación terminada en ${new Date(recordedAt).toISOString()}.`);
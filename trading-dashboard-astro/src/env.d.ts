@@ -0,0 +1,8 @@
+/// <reference path="../.astro/types.d.ts" />
+
+declare namespace App {
+  interface Locals {
+    locale: import('./scripts/i18n.js').Locale;
+    currency: string | null;
+  }
+}
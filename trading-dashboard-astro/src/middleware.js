@@ -0,0 +1,16 @@
+// src/middleware.js
+// Resuelve en cada solicitud las preferencias de visualización (idioma y moneda) a partir de las cookies,
+// para que las páginas y componentes rendericen sus textos con `Astro.locals.locale`.
+import { defineMiddleware } from 'astro:middleware';
+import { resolvePreferences, LOCALE_COOKIE, CURRENCY_COOKIE } from './scripts/preferences.js';
+
+export const onRequest = defineMiddleware((context, next) => {
+  const { locale, currency } = resolvePreferences({
+    locale: context.cookies.get(LOCALE_COOKIE)?.value,
+    currency: context.cookies.get(CURRENCY_COOKIE)?.value,
+    acceptLanguage: context.request.headers.get('accept-language'),
+  });
+  context.locals.locale = locale;
+  context.locals.currency = currency;
+  return next();
+});
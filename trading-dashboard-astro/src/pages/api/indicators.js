@@ -0,0 +1,26 @@
+// src/pages/api/indicators.js
+// GET /api/indicators?symbol=BTCUSDT&interval=1d&indicators=sma:20,rsi:14,macd&limit=...&startTime=...&endTime=...&format=json|csv
+// Velas con una columna por línea de cada indicador (ver `indicatorTable.js`), pensado para descargar datos de análisis.
+import { getIndicatorTable, klinesCacheTtl } from '../../scripts/marketDataService.js';
+import { parseIndicatorSpecs } from '../../scripts/indicatorTable.js';
+import { parseKlineQuery, parseFormat, dataResponse, errorResponse, KLINE_COLUMNS } from '../../scripts/apiHandlers.js';
+
+/** @type {import('astro').APIRoute} */
+export async function GET({ url, locals }) {
+  try {
+    const query = parseKlineQuery(url.searchParams);
+    const specs = parseIndicatorSpecs(url.searchParams.get('indicators'));
+    const format = parseFormat(url.searchParams);
+    const { columns, rows } = await getIndicatorTable(query, specs);
+    return dataResponse({
+      data: { symbol: query.symbol, interval: query.interval, columns, rows },
+      format,
+      rows,
+      columns: [...KLINE_COLUMNS, ...columns],
+      filename: `${query.symbol}_${query.interval}_indicators`,
+      maxAgeMs: klinesCacheTtl(rows),
+    });
+  } catch (error) {
+    return errorResponse(error, locals.locale);
+  }
+}
@@ -0,0 +1,24 @@
+// src/pages/api/klines.js
+// GET /api/klines?symbol=BTCUSDT&interval=1h&limit=500&startTime=...&endTime=...&format=json|csv
+// Velas de un par desde la caché compartida del servidor. `startTime`/`endTime` aceptan ms o fechas ISO 8601.
+import { getKlines, klinesCacheTtl } from '../../scripts/marketDataService.js';
+import { parseKlineQuery, parseFormat, dataResponse, errorResponse, KLINE_COLUMNS } from '../../scripts/apiHandlers.js';
+
+/** @type {import('astro').APIRoute} */
+export async function GET({ url, locals }) {
+  try {
+    const query = parseKlineQuery(url.searchParams);
+    const format = parseFormat(url.searchParams);
+    const klines = await getKlines(query);
+    return dataResponse({
+      data: klines,
+      format,
+      rows: klines,
+      columns: KLINE_COLUMNS,
+      filename: `${query.symbol}_${query.interval}_klines`,
+      maxAgeMs: klinesCacheTtl(klines),
+    });
+  } catch (error) {
+    return errorResponse(error, locals.locale);
+  }
+}
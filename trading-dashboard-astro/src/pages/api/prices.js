@@ -0,0 +1,23 @@
+// src/pages/api/prices.js
+// GET /api/prices?format=json|csv
+// Último precio de todos los pares desde la caché compartida del servidor.
+import { getAllPrices, tickerCacheTtl } from '../../scripts/marketDataService.js';
+import { parseFormat, dataResponse, errorResponse } from '../../scripts/apiHandlers.js';
+
+/** @type {import('astro').APIRoute} */
+export async function GET({ url, locals }) {
+  try {
+    const format = parseFormat(url.searchParams);
+    const prices = await getAllPrices();
+    return dataResponse({
+      data: prices,
+      format,
+      rows: prices,
+      columns: ['symbol', 'price'],
+      filename: 'prices',
+      maxAgeMs: tickerCacheTtl(),
+    });
+  } catch (error) {
+    return errorResponse(error, locals.locale);
+  }
+}
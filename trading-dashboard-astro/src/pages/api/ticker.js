@@ -0,0 +1,36 @@
+// src/pages/api/ticker.js
+// GET /api/ticker?symbol=BTCUSDT&format=json|csv
+// Estadísticas de 24 h de un par, o de todos si se omite `symbol`, desde la caché compartida del servidor.
+import { getTicker, getAllTickers, tickerCacheTtl, allTickersCacheTtl } from '../../scripts/marketDataService.js';
+import { parseSymbol, parseFormat, dataResponse, errorResponse } from '../../scripts/apiHandlers.js';
+
+/** @type {import('astro').APIRoute} */
+export async function GET({ url, locals }) {
+  try {
+    const format = parseFormat(url.searchParams);
+    if (!url.searchParams.has('symbol')) {
+      const tickers = await getAllTickers();
+      return dataResponse({
+        data: tickers,
+        format,
+        rows: tickers,
+        columns: Object.keys(tickers[0] ?? {}),
+        filename: 'tickers',
+        maxAgeMs: allTickersCacheTtl(),
+      });
+    }
+
+    const symbol = parseSymbol(url.searchParams);
+    const ticker = await getTicker(symbol);
+    return dataResponse({
+      data: ticker,
+      format,
+      rows: [ticker],
+      columns: Object.keys(ticker),
+      filename: `${symbol}_ticker`,
+      maxAgeMs: tickerCacheTtl(),
+    });
+  } catch (error) {
+    return errorResponse(error, locals.locale);
+  }
+}
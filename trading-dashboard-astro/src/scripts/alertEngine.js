@@ -0,0 +1,299 @@
+// src/scripts/alertEngine.js
+
+/**
+ * @file Motor de alertas del cliente: mantiene las suscripciones que necesitan las reglas activas
+ * (stream `@ticker` por símbolo y stream de velas por símbolo e intervalo, con indicadores incrementales)
+ * y evalúa las reglas con cada actualización. Lo usa `AlertsPanel.astro`, que persiste los cambios y notifica.
+ * El motor usa el proveedor activo al crearse, así que las alertas siguen el mercado en vivo durante el modo
+ * repetición.
+ */
+
+import { getMarketDataProvider } from './marketDataProvider.js';
+import { createIncrementalSMA, createIncrementalRSI, createIncrementalMACD } from './incrementalIndicators.js';
+import { getRuleState, shouldTrigger, markTriggered, describeTrigger, usesKlines } from './alertRules.js';
+import { DEFAULT_LOCALE } from './i18n.js';
+
+/**
+ * @typedef {import('./binanceAPI.js').KlineObject} KlineObject
+ * @typedef {import('./alertRules.js').AlertRule} AlertRule
+ * @typedef {import('./alertRules.js').AlertSnapshot} AlertSnapshot
+ */
+
+/**
+ * Motor de alertas.
+ * @typedef {object} AlertEngine
+ * @property {(rules: AlertRule[]) => void} setRules - Sustituye las reglas; solo se (re)crean las suscripciones que cambian.
+ * @property {() => void} dispose - Cancela todas las suscripciones.
+ */
+
+// Velas mínimas para inicializar los indicadores (igual que en las tarjetas).
+const INDICATOR_HISTORY_LIMIT = 100;
+const MAX_KLINES_PER_REQUEST = 1000;
+// Las muestras del ticker para las reglas de variación se guardan como mucho cada 10 segundos.
+const PRICE_SAMPLE_INTERVAL_MS = 10 * 1000;
+
+/**
+ * Firma de la condición de una regla: si cambia, su estado anterior deja de ser comparable.
+ * @param {AlertRule} rule
+ * @returns {string}
+ */
+const conditionSignature = (rule) => JSON.stringify([rule.symbol, rule.type, rule.params, rule.enabled]);
+
+/**
+ * Crea un motor de alertas.
+ * @param {(rule: AlertRule, message: string) => void} onTrigger - Se invoca con la regla ya marcada como
+ *        disparada (`lastTriggeredAt` actualizado y, si es de un solo uso, desactivada) y el mensaje del disparo.
+ * @param {import('./i18n.js').Locale} [locale] - Idioma de los mensajes de disparo.
+ * @returns {AlertEngine}
+ */
+export function createAlertEngine(onTrigger, locale = DEFAULT_LOCALE) {
+  /** @type {AlertRule[]} */
+  let rules = [];
+  /** @type {Map<string, { signature: string, state: string | null }>} */
+  const ruleStates = new Map();
+  /** @type {Map<string, { key: string, dispose: () => void, configure?: (windowMs: number) => void }>} */
+  const feeds = new Map();
+  const provider = getMarketDataProvider();
+
+  /**
+   * Evalúa una regla con un nuevo snapshot y, si se dispara, avisa a `onTrigger`.
+   * @param {AlertRule} rule
+   * @param {AlertSnapshot} snapshot
+   */
+  function evaluate(rule, snapshot) {
+    const entry = ruleStates.get(rule.id);
+    const state = getRuleState(rule, snapshot);
+    if (!entry || state === null) return;
+    const previousState = entry.state;
+    entry.state = state;
+
+    // El cooldown y `lastTriggeredAt` son del reloj real, aunque el dato venga de otra línea temporal.
+    const now = Date.now();
+    if (!shouldTrigger(rule, previousState, state, now)) return;
+    const triggeredRule = markTriggered(rule, now);
+    // Se actualiza la copia local de inmediato para que el cooldown aplique al siguiente evento.
+    rules = rules.map(r => (r.id === rule.id ? triggeredRule : r));
+    entry.signature = conditionSignature(triggeredRule);
+    onTrigger(triggeredRule, describeTrigger(rule, snapshot, state, locale));
+  }
+
+  /**
+   * @param {(rule: AlertRule) => boolean} predicate
+   * @returns {AlertRule[]}
+   */
+  const activeRules = (predicate) => rules.filter(rule => rule.enabled && predicate(rule));
+
+  /**
+   * Suscripción al ticker de un símbolo para las reglas de precio y de variación en una ventana.
+   * @param {string} symbol
+   * @returns {{ dispose: () => void, configure: (windowMs: number) => void }}
+   */
+  function createTickerFeed(symbol) {
+    /** @type {Array<{ time: number, price: number }>} */
+    let samples = [];
+    let windowMs = 0;
+    let seededWindowMs = 0;
+    let disposed = false;
+
+    /**
+     * Siembra las muestras con velas de 1m para no esperar una ventana completa tras cargar la página. Las muestras
+     * se fechan en la línea temporal del proveedor (`provider.now()`), la misma de `closeTime`, y la vela en curso
+     * se descarta: su precio llega por el ticker.
+     */
+    async function seedSamples() {
+      const requestedWindowMs = windowMs;
+      try {
+        const limit = Math.min(MAX_KLINES_PER_REQUEST, Math.ceil(requestedWindowMs / 60000) + 2);
+        const klines = await provider.fetchKlines(symbol, '1m', limit);
+        if (disposed) return;
+        const now = provider.now();
+        const firstLiveTime = samples[0]?.time ?? Infinity;
+        const seeded = klines
+          .map(kline => ({ time: kline.closeTime, price: kline.close }))
+          .filter(sample => sample.time <= now && sample.time < firstLiveTime);
+        samples = [...seeded, ...samples];
+        seededWindowMs = Math.max(seededWindowMs, requestedWindowMs);
+      } catch (error) {
+        console.error(`Error cargando el historial de precios de ${symbol} para las alertas:`, error.message);
+      }
+    }
+
+    /**
+     * Variación porcentual del precio respecto al de hace `windowMinutes`.
+     * @param {number} windowMinutes
+     * @param {number} price
+     * @param {number} now
+     * @returns {number | null} null si aún no hay muestras tan antiguas.
+     */
+    function changeOver(windowMinutes, price, now) {
+      const since = now - windowMinutes * 60 * 1000;
+      let baseline = null;
+      for (const sample of samples) {
+        if (sample.time > since) break;
+        baseline = sample.price;
+      }
+      return baseline ? ((price - baseline) / baseline) * 100 : null;
+    }
+
+    const unsubscribe = provider.subscribeTicker(symbol, (ticker) => {
+      const now = provider.now();
+      const price = ticker.lastPrice;
+      if (windowMs > 0) {
+        if (samples.length === 0 || now - samples[samples.length - 1].time >= PRICE_SAMPLE_INTERVAL_MS) {
+          samples.push({ time: now, price });
+        }
+        // Se conserva una muestra anterior a la ventana como referencia.
+        while (samples.length > 1 && samples[1].time <= now - windowMs) samples.shift();
+      }
+      for (const rule of activeRules(r => r.symbol === symbol && !usesKlines(r))) {
+        evaluate(rule, {
+          time: now,
+          price,
+          changePercent: rule.type === 'change-window' ? changeOver(rule.params.windowMinutes, price, now) : undefined,
+        });
+      }
+    }, { onResync: () => (windowMs > 0 ? seedSamples() : undefined) });
+
+    return {
+      dispose() {
+        disposed = true;
+        unsubscribe();
+      },
+      configure(newWindowMs) {
+        windowMs = newWindowMs;
+        if (windowMs > seededWindowMs) seedSamples();
+      },
+    };
+  }
+
+  /**
+   * Suscripción a las velas de un símbolo e intervalo con los indicadores que usan sus reglas.
+   * @param {string} symbol
+   * @param {string} interval
+   * @param {{ rsiPeriods: number[], smaPeriods: number[], macd: boolean }} spec
+   * @returns {{ dispose: () => void }}
+   */
+  function createKlineFeed(symbol, interval, spec) {
+    const maxPeriod = Math.max(0, ...spec.rsiPeriods, ...spec.smaPeriods);
+    const historyLimit = Math.min(MAX_KLINES_PER_REQUEST, Math.max(INDICATOR_HISTORY_LIMIT, maxPeriod + 50));
+    let indicators = null;
+    let disposed = false;
+
+    /**
+     * @param {KlineObject} kline
+     * @returns {{ rsi: Map<number, number | null>, sma: Map<number, number | null>, macd: import('./technicalIndicators.js').MACDPoint | null }}
+     */
+    function applyKline(kline) {
+      const rsi = new Map([...indicators.rsi].map(([period, indicator]) => [period, indicator.update(kline)?.value ?? null]));
+      const sma = new Map([...indicators.sma].map(([period, indicator]) => [period, indicator.update(kline)?.value ?? null]));
+      const macd = indicators.macd?.update(kline) ?? null;
+      return { rsi, sma, macd };
+    }
+
+    /**
+     * @param {KlineObject} kline
+     */
+    function handleKline(kline) {
+      if (!indicators) return; // Aún se está cargando el historial
+      const values = applyKline(kline);
+      for (const rule of activeRules(r => r.symbol === symbol && usesKlines(r) && r.params.interval === interval)) {
+        evaluate(rule, {
+          time: kline.openTime,
+          price: kline.close,
+          rsi: rule.type === 'rsi-threshold' ? values.rsi.get(rule.params.period) : undefined,
+          sma: rule.type === 'sma-cross' ? values.sma.get(rule.params.period) : undefined,
+          macd: rule.type === 'macd-cross' ? values.macd?.macd ?? null : undefined,
+          signal: rule.type === 'macd-cross' ? values.macd?.signal ?? null : undefined,
+        });
+      }
+    }
+
+    async function loadHistory() {
+      try {
+        const klines = await provider.fetchKlines(symbol, interval, historyLimit);
+        if (disposed) return;
+        indicators = {
+          rsi: new Map(spec.rsiPeriods.map(period => [period, createIncrementalRSI(period)])),
+          sma: new Map(spec.smaPeriods.map(period => [period, createIncrementalSMA(period)])),
+          macd: spec.macd ? createIncrementalMACD(12, 26, 9) : null,
+        };
+        klines.slice(0, -1).forEach(applyKline);
+        // La última vela fija el estado inicial de las reglas (o dispara las que cruzaron durante una reconexión).
+        if (klines.length > 0) handleKline(klines[klines.length - 1]);
+      } catch (error) {
+        console.error(`Error cargando velas ${interval} de ${symbol} para las alertas:`, error.message);
+      }
+    }
+
+    loadHistory();
+    const unsubscribe = provider.subscribeKlines(symbol, interval, handleKline, { onResync: loadHistory });
+    return {
+      dispose() {
+        disposed = true;
+        unsubscribe();
+      },
+    };
+  }
+
+  /**
+   * Crea, reconfigura o cancela las suscripciones según las reglas activas.
+   */
+  function syncFeeds() {
+    /** @type {Map<string, { spec?: object, windowMs?: number, create: () => { dispose: () => void, configure?: (windowMs: number) => void } }>} */
+    const needed = new Map();
+
+    for (const rule of activeRules(() => true)) {
+      if (!usesKlines(rule)) {
+        const id = `ticker:${rule.symbol}`;
+        const windowMs = rule.type === 'change-window' ? rule.params.windowMinutes * 60 * 1000 : 0;
+        const current = needed.get(id);
+        needed.set(id, { create: () => createTickerFeed(rule.symbol), windowMs: Math.max(windowMs, current?.windowMs ?? 0) });
+        continue;
+      }
+      const id = `klines:${rule.symbol}@${rule.params.interval}`;
+      const spec = needed.get(id)?.spec ?? { rsiPeriods: [], smaPeriods: [], macd: false };
+      if (rule.type === 'rsi-threshold' && !spec.rsiPeriods.includes(rule.params.period)) spec.rsiPeriods.push(rule.params.period);
+      if (rule.type === 'sma-cross' && !spec.smaPeriods.includes(rule.params.period)) spec.smaPeriods.push(rule.params.period);
+      if (rule.type === 'macd-cross') spec.macd = true;
+      needed.set(id, { spec, create: () => createKlineFeed(rule.symbol, rule.params.interval, spec) });
+    }
+    // Orden estable para comparar las especificaciones de una suscripción existente.
+    needed.forEach(({ spec }) => spec && [spec.rsiPeriods, spec.smaPeriods].forEach(periods => periods.sort((a, b) => a - b)));
+
+    for (const [id, feed] of feeds) {
+      const next = needed.get(id);
+      if (!next || (next.spec && JSON.stringify(next.spec) !== feed.key)) {
+        feed.dispose();
+        feeds.delete(id);
+      }
+    }
+    for (const [id, next] of needed) {
+      if (!feeds.has(id)) {
+        const key = next.spec ? JSON.stringify(next.spec) : id;
+        feeds.set(id, { key, ...next.create() });
+      }
+      feeds.get(id).configure?.(next.windowMs);
+    }
+  }
+
+  return {
+    setRules(newRules) {
+      rules = newRules;
+      const ids = new Set(rules.map(rule => rule.id));
+      [...ruleStates.keys()].filter(id => !ids.has(id)).forEach(id => ruleStates.delete(id));
+      for (const rule of rules) {
+        const signature = conditionSignature(rule);
+        if (ruleStates.get(rule.id)?.signature !== signature) {
+          ruleStates.set(rule.id, { signature, state: null });
+        }
+      }
+      syncFeeds();
+    },
+    dispose() {
+      feeds.forEach(feed => feed.dispose());
+      feeds.clear();
+      ruleStates.clear();
+      rules = [];
+    },
+  };
+}
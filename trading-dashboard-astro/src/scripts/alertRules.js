@@ -0,0 +1,264 @@
+// src/scripts/alertRules.js
+
+/**
+ * @file Modelo de las reglas de alerta y su evaluación (funciones puras, sin DOM ni red).
+ * Todas las condiciones se disparan por transición: la alerta salta cuando la condición pasa a cumplirse
+ * (ej. el precio cruza el nivel), no mientras se sigue cumpliendo. `alertEngine.js` alimenta las reglas
+ * con los datos en vivo y `alertStore.js` las persiste.
+ */
+
+import { translate, DEFAULT_LOCALE, LocalizedError } from './i18n.js';
+import { formatNumber } from './marketFormat.js';
+
+/**
+ * @typedef {import('./i18n.js').Locale} Locale
+ */
+
+/**
+ * Tipos de regla:
+ * - `price-cross`: el precio cruza un nivel (`level`, `direction` 'above' | 'below' | 'any').
+ * - `change-window`: variación porcentual en una ventana (`percent`, `windowMinutes`, `direction` 'up' | 'down' | 'any').
+ * - `rsi-threshold`: el RSI cruza un umbral (`period`, `threshold`, `direction` 'above' | 'below', `interval`).
+ * - `macd-cross`: cruce de la línea MACD con su señal (`direction` 'bullish' | 'bearish' | 'any', `interval`).
+ * - `sma-cross`: el precio cruza la SMA(n) (`period`, `direction` 'above' | 'below' | 'any', `interval`).
+ * @typedef {'price-cross' | 'change-window' | 'rsi-threshold' | 'macd-cross' | 'sma-cross'} AlertType
+ */
+
+/**
+ * Regla de alerta de un símbolo.
+ * @typedef {object} AlertRule
+ * @property {string} id
+ * @property {string} symbol - El símbolo del par (ej. 'BTCUSDT').
+ * @property {AlertType} type
+ * @property {object} params - Parámetros según el tipo (ver AlertType).
+ * @property {'once' | 'repeat'} mode - 'once' desactiva la regla tras dispararse.
+ * @property {number} cooldownMinutes - Tiempo mínimo entre dos disparos de la misma regla.
+ * @property {boolean} enabled
+ * @property {number} createdAt
+ * @property {number | null} lastTriggeredAt
+ */
+
+/**
+ * Valores actuales con los que se evalúa una regla (solo se rellenan los que usa su tipo).
+ * @typedef {object} AlertSnapshot
+ * @property {number} time - Marca de tiempo del dato (ms).
+ * @property {number} price - Último precio.
+ * @property {number | null} [changePercent] - Variación en la ventana de la regla (`change-window`).
+ * @property {number | null} [rsi]
+ * @property {number | null} [macd]
+ * @property {number | null} [signal]
+ * @property {number | null} [sma]
+ */
+
+// Sus nombres en la interfaz son las claves de traducción `alerts.type.<tipo>`.
+/** @type {AlertType[]} */
+export const ALERT_TYPES = ['price-cross', 'change-window', 'rsi-threshold', 'macd-cross', 'sma-cross'];
+
+// Intervalos de vela disponibles para las reglas basadas en indicadores.
+export const ALERT_INTERVALS = ['15m', '1h', '4h', '1d'];
+
+// Las ventanas se siembran con velas de 1m, y la API devuelve como máximo 1000 velas por solicitud.
+export const MAX_CHANGE_WINDOW_MINUTES = 1000;
+
+// Sentidos válidos de cada tipo; el primero es el valor por defecto. Sus nombres son las claves `alerts.direction.<sentido>`.
+export const DIRECTIONS_BY_TYPE = {
+  'price-cross': ['above', 'below', 'any'],
+  'change-window': ['up', 'down', 'any'],
+  'rsi-threshold': ['above', 'below'],
+  'macd-cross': ['bullish', 'bearish', 'any'],
+  'sma-cross': ['above', 'below', 'any'],
+};
+
+// Tipos que necesitan velas (e indicadores) además del ticker.
+const KLINE_TYPES = new Set(['rsi-threshold', 'macd-cross', 'sma-cross']);
+
+const createId = () => `alert-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+/**
+ * @param {unknown} value
+ * @param {string} errorKey - Clave del mensaje de error del campo (recibe `{min}` y `{max}`).
+ * @param {{ min?: number, max?: number, integer?: boolean }} [limits]
+ * @returns {number}
+ * @throws {LocalizedError} Si no es un número dentro de los límites.
+ */
+function toNumber(value, errorKey, { min = -Infinity, max = Infinity, integer = false } = {}) {
+  const number = Number(value);
+  if (value === '' || value === null || !Number.isFinite(number) || (integer && !Number.isInteger(number)) || number < min || number > max) {
+    throw new LocalizedError(errorKey, { min, max });
+  }
+  return number;
+}
+
+/**
+ * Valida los parámetros de un tipo de regla y devuelve solo los que usa.
+ * @param {AlertType} type
+ * @param {object} params
+ * @returns {object}
+ * @throws {LocalizedError} Si algún parámetro no es válido.
+ */
+function normalizeParams(type, params) {
+  const direction = DIRECTIONS_BY_TYPE[type].includes(params.direction) ? params.direction : DIRECTIONS_BY_TYPE[type][0];
+  const interval = ALERT_INTERVALS.includes(params.interval) ? params.interval : '1d';
+  switch (type) {
+    case 'price-cross':
+      return { level: toNumber(params.level, 'alerts.error.level', { min: Number.MIN_VALUE }), direction };
+    case 'change-window':
+      return {
+        percent: toNumber(params.percent, 'alerts.error.percent', { min: 0.01, max: 1000 }),
+        windowMinutes: toNumber(params.windowMinutes, 'alerts.error.windowMinutes', { min: 1, max: MAX_CHANGE_WINDOW_MINUTES, integer: true }),
+        direction,
+      };
+    case 'rsi-threshold':
+      return {
+        period: toNumber(params.period ?? 14, 'alerts.error.rsiPeriod', { min: 2, max: 100, integer: true }),
+        threshold: toNumber(params.threshold, 'alerts.error.rsiThreshold', { min: 0, max: 100 }),
+        direction,
+        interval,
+      };
+    case 'macd-cross':
+      return { direction, interval };
+    case 'sma-cross':
+      return { period: toNumber(params.period, 'alerts.error.smaPeriod', { min: 2, max: 500, integer: true }), direction, interval };
+    default:
+      throw new LocalizedError('alerts.error.unknownType', { type });
+  }
+}
+
+/**
+ * Valida y normaliza una regla (nueva, leída de localStorage o editada).
+ * @param {Partial<AlertRule> & { symbol: string, type: AlertType, params: object }} raw
+ * @returns {AlertRule}
+ * @throws {LocalizedError} Si la regla no es válida (mensaje apto para mostrar al usuario con `localizeError`).
+ */
+export function normalizeRule(raw) {
+  if (!raw || typeof raw !== 'object') throw new LocalizedError('alerts.error.format');
+  const symbol = String(raw.symbol || '').trim().toUpperCase();
+  if (!/^[A-Z0-9]{2,20}$/.test(symbol)) throw new LocalizedError('alerts.error.symbol');
+  if (!ALERT_TYPES.includes(raw.type)) throw new LocalizedError('alerts.error.unknownType', { type: raw.type });
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : createId(),
+    symbol,
+    type: raw.type,
+    params: normalizeParams(raw.type, raw.params || {}),
+    mode: raw.mode === 'repeat' ? 'repeat' : 'once',
+    cooldownMinutes: toNumber(raw.cooldownMinutes ?? 0, 'alerts.error.cooldown', { min: 0, max: 10080 }),
+    enabled: raw.enabled !== false,
+    createdAt: typeof raw.createdAt === 'number' ? raw.createdAt : Date.now(),
+    lastTriggeredAt: typeof raw.lastTriggeredAt === 'number' ? raw.lastTriggeredAt : null,
+  };
+}
+
+/**
+ * @param {AlertRule} rule
+ * @returns {boolean} true si la regla se evalúa con velas (indicadores) en lugar de solo con el ticker.
+ */
+export function usesKlines(rule) {
+  return KLINE_TYPES.has(rule.type);
+}
+
+/**
+ * Estado discreto de la condición de una regla: la alerta se dispara cuando cambia a un estado de disparo.
+ * @param {AlertRule} rule
+ * @param {AlertSnapshot} snapshot
+ * @returns {string | null} null si aún no hay datos suficientes (ej. calentamiento de un indicador).
+ */
+export function getRuleState(rule, snapshot) {
+  const { params } = rule;
+  const side = (value, reference) => (value >= reference ? 'above' : 'below');
+  switch (rule.type) {
+    case 'price-cross':
+      return side(snapshot.price, params.level);
+    case 'change-window': {
+      const change = snapshot.changePercent;
+      if (change === null || change === undefined) return null;
+      if (change >= params.percent) return 'up';
+      if (change <= -params.percent) return 'down';
+      return 'neutral';
+    }
+    case 'rsi-threshold':
+      return snapshot.rsi === null || snapshot.rsi === undefined ? null : side(snapshot.rsi, params.threshold);
+    case 'macd-cross':
+      if (snapshot.macd === null || snapshot.macd === undefined || snapshot.signal === null || snapshot.signal === undefined) return null;
+      return snapshot.macd >= snapshot.signal ? 'bullish' : 'bearish';
+    case 'sma-cross':
+      return snapshot.sma === null || snapshot.sma === undefined ? null : side(snapshot.price, snapshot.sma);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Decide si una regla se dispara con el cambio de estado `previousState` → `state`.
+ * @param {AlertRule} rule
+ * @param {string | null} previousState - Estado en la evaluación anterior (null en la primera).
+ * @param {string | null} state
+ * @param {number} now - Marca de tiempo actual (ms), para el cooldown.
+ * @returns {boolean}
+ */
+export function shouldTrigger(rule, previousState, state, now) {
+  if (!rule.enabled || previousState === null || state === null || state === previousState) return false;
+  const isFiringState = rule.params.direction === 'any' ? state !== 'neutral' : state === rule.params.direction;
+  if (!isFiringState) return false;
+  return rule.lastTriggeredAt === null || now - rule.lastTriggeredAt >= rule.cooldownMinutes * 60 * 1000;
+}
+
+/**
+ * Marca una regla como disparada: actualiza `lastTriggeredAt` y desactiva las reglas de un solo uso.
+ * @param {AlertRule} rule
+ * @param {number} now
+ * @returns {AlertRule}
+ */
+export function markTriggered(rule, now) {
+  return { ...rule, lastTriggeredAt: now, enabled: rule.mode === 'repeat' };
+}
+
+const formatValue = (value, locale) => formatNumber(value, locale, 0, 8);
+
+/**
+ * Descripción corta de la condición (para la lista de reglas).
+ * @param {AlertRule} rule
+ * @param {Locale} [locale]
+ * @returns {string}
+ */
+export function describeRule(rule, locale = DEFAULT_LOCALE) {
+  const { params } = rule;
+  return translate(locale, `alerts.rule.${rule.type}`, {
+    symbol: rule.symbol,
+    direction: translate(locale, `alerts.direction.${params.direction}`),
+    level: params.level === undefined ? '' : formatValue(params.level, locale),
+    percent: params.percent === undefined ? '' : formatValue(params.percent, locale),
+    minutes: params.windowMinutes ?? '',
+    period: params.period ?? '',
+    threshold: params.threshold === undefined ? '' : formatValue(params.threshold, locale),
+    interval: params.interval ?? '',
+  });
+}
+
+/**
+ * Mensaje de un disparo, con el valor que lo provocó.
+ * @param {AlertRule} rule
+ * @param {AlertSnapshot} snapshot
+ * @param {string} state - Estado al que pasó la condición.
+ * @param {Locale} [locale]
+ * @returns {string}
+ */
+export function describeTrigger(rule, snapshot, state, locale = DEFAULT_LOCALE) {
+  const { params } = rule;
+  const indicatorValue = (value) => (value === null || value === undefined ? '' : formatNumber(value, locale));
+  return translate(locale, `alerts.trigger.${rule.type}`, {
+    symbol: rule.symbol,
+    price: formatValue(snapshot.price, locale),
+    direction: translate(locale, `alerts.direction.${state}`),
+    side: translate(locale, state === 'above' ? 'alerts.side.above' : 'alerts.side.below'),
+    level: params.level === undefined ? '' : formatValue(params.level, locale),
+    change: indicatorValue(snapshot.changePercent),
+    minutes: params.windowMinutes ?? '',
+    period: params.period ?? '',
+    threshold: params.threshold === undefined ? '' : formatValue(params.threshold, locale),
+    interval: params.interval ?? '',
+    rsi: indicatorValue(snapshot.rsi),
+    macd: indicatorValue(snapshot.macd),
+    signal: indicatorValue(snapshot.signal),
+    sma: indicatorValue(snapshot.sma),
+  });
+}
@@ -0,0 +1,137 @@
+// src/scripts/alertStore.js
+
+/**
+ * @file Persistencia de las reglas de alerta y del historial de disparos (localStorage).
+ * Igual que `watchlistStore.js`, las operaciones devuelven un estado nuevo y `save*` lo persiste.
+ */
+
+import { normalizeRule } from './alertRules.js';
+
+/**
+ * @typedef {import('./alertRules.js').AlertRule} AlertRule
+ */
+
+/**
+ * Entrada del historial de alertas disparadas.
+ * @typedef {object} AlertHistoryEntry
+ * @property {string} ruleId
+ * @property {string} symbol
+ * @property {string} message
+ * @property {number} time
+ */
+
+const RULES_STORAGE_KEY = 'dashboard.alerts';
+const HISTORY_STORAGE_KEY = 'dashboard.alertHistory';
+const MAX_RULES = 100;
+const MAX_HISTORY_ENTRIES = 200;
+
+/**
+ * Lee un array JSON de localStorage.
+ * @param {string} key
+ * @returns {unknown[]}
+ */
+function readArray(key) {
+  const stored = localStorage.getItem(key);
+  if (!stored) return [];
+  const parsed = JSON.parse(stored);
+  return Array.isArray(parsed) ? parsed : [];
+}
+
+/**
+ * @param {string} key
+ * @param {unknown[]} value
+ * @param {string} description - Qué se guarda, para el mensaje de error.
+ */
+function writeArray(key, value, description) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`No se pudo guardar ${description}:`, error.message);
+  }
+}
+
+/**
+ * Lee las reglas guardadas, descartando las que no sean válidas.
+ * @returns {AlertRule[]}
+ */
+export function loadAlertRules() {
+  try {
+    return readArray(RULES_STORAGE_KEY).flatMap(raw => {
+      try {
+        return [normalizeRule(raw)];
+      } catch (error) {
+        console.warn('Se descarta una alerta guardada no válida:', error.message);
+        return [];
+      }
+    });
+  } catch (error) {
+    console.warn('No se pudieron leer las alertas guardadas:', error.message);
+    return [];
+  }
+}
+
+/**
+ * @param {AlertRule[]} rules
+ */
+export function saveAlertRules(rules) {
+  writeArray(RULES_STORAGE_KEY, rules, 'las alertas');
+}
+
+/**
+ * @param {AlertRule[]} rules
+ * @param {AlertRule} rule - Regla ya normalizada (`normalizeRule`).
+ * @returns {AlertRule[]} Las reglas sin cambios si se alcanzó el máximo.
+ */
+export function addRule(rules, rule) {
+  return rules.length >= MAX_RULES ? rules : [...rules, rule];
+}
+
+/**
+ * @param {AlertRule[]} rules
+ * @param {string} ruleId
+ * @param {(rule: AlertRule) => AlertRule} update
+ * @returns {AlertRule[]}
+ */
+export function updateRule(rules, ruleId, update) {
+  return rules.map(rule => (rule.id === ruleId ? update(rule) : rule));
+}
+
+/**
+ * @param {AlertRule[]} rules
+ * @param {string} ruleId
+ * @returns {AlertRule[]}
+ */
+export function removeRule(rules, ruleId) {
+  return rules.filter(rule => rule.id !== ruleId);
+}
+
+/**
+ * Lee el historial de disparos (el más reciente primero).
+ * @returns {AlertHistoryEntry[]}
+ */
+export function loadAlertHistory() {
+  try {
+    return /** @type {AlertHistoryEntry[]} */ (readArray(HISTORY_STORAGE_KEY)).filter(entry =>
+      entry && typeof entry.message === 'string' && typeof entry.time === 'number');
+  } catch (error) {
+    console.warn('No se pudo leer el historial de alertas:', error.message);
+    return [];
+  }
+}
+
+/**
+ * @param {AlertHistoryEntry[]} history
+ */
+export function saveAlertHistory(history) {
+  writeArray(HISTORY_STORAGE_KEY, history, 'el historial de alertas');
+}
+
+/**
+ * Añade un disparo al principio del historial, conservando las últimas entradas.
+ * @param {AlertHistoryEntry[]} history
+ * @param {AlertHistoryEntry} entry
+ * @returns {AlertHistoryEntry[]}
+ */
+export function appendHistory(history, entry) {
+  return [entry, ...history].slice(0, MAX_HISTORY_ENTRIES);
+}
@@ -0,0 +1,200 @@
+// src/scripts/apiHandlers.js
+
+/**
+ * @file Utilidades comunes de los endpoints de `src/pages/api/`: validación de parámetros de consulta,
+ * respuestas JSON/CSV con cabeceras de caché y traducción de los errores tipados a códigos HTTP.
+ * El cliente (`dashboardAPI.js`) reconstruye los errores tipados a partir del cuerpo de error.
+ */
+
+import {
+  KLINE_INTERVAL_MS,
+  BinanceAPIError,
+  RateLimitError,
+  InvalidSymbolError,
+  NetworkError,
+} from './binanceAPI.js';
+import { LocalizedError, localizeError, translate } from './i18n.js';
+
+/**
+ * @typedef {import('./i18n.js').Locale} Locale
+ * @typedef {import('./marketDataService.js').KlineQuery} KlineQuery
+ */
+
+/**
+ * Cuerpo JSON de una respuesta de error.
+ * @typedef {object} ApiErrorBody
+ * @property {'BadRequest' | 'InvalidSymbolError' | 'RateLimitError' | 'NetworkError' | 'BinanceAPIError' | 'InternalError'} type
+ * @property {string} message - Los errores de validación, en el idioma de la solicitud.
+ * @property {number | null} [code] - Código de error de Binance.
+ * @property {number} [retryAfterMs] - Solo en `RateLimitError`.
+ * @property {string} [symbol] - Solo en `InvalidSymbolError`.
+ */
+
+export const DEFAULT_KLINE_LIMIT = 500;
+// Hasta 5 páginas de Binance por solicitud: suficiente para exportar meses de velas horarias sin agotar el peso.
+export const MAX_KLINE_LIMIT = 5000;
+export const FORMATS = ['json', 'csv'];
+
+const SYMBOL_PATTERN = /^[A-Z0-9]{2,20}$/;
+
+// Columnas de `KlineObject` en el orden de Binance; en CSV los instantes se escriben en ISO 8601 (UTC).
+export const KLINE_COLUMNS = [
+  'openTime', 'open', 'high', 'low', 'close', 'volume', 'closeTime',
+  'quoteAssetVolume', 'numberOfTrades', 'takerBuyBaseAssetVolume', 'takerBuyQuoteAssetVolume',
+];
+const TIME_COLUMNS = new Set(['openTime', 'closeTime']);
+
+/**
+ * @param {URLSearchParams} params
+ * @returns {string} Símbolo en mayúsculas.
+ * @throws {LocalizedError}
+ */
+export function parseSymbol(params) {
+  const symbol = String(params.get('symbol') || '').trim().toUpperCase();
+  if (!SYMBOL_PATTERN.test(symbol)) throw new LocalizedError('api.error.symbol');
+  return symbol;
+}
+
+/**
+ * @param {URLSearchParams} params
+ * @returns {'json' | 'csv'}
+ * @throws {LocalizedError}
+ */
+export function parseFormat(params) {
+  const format = (params.get('format') || 'json').toLowerCase();
+  if (!FORMATS.includes(format)) throw new LocalizedError('api.error.format', { formats: FORMATS.join(', ') });
+  return /** @type {'json' | 'csv'} */ (format);
+}
+
+/**
+ * Interpreta un instante como timestamp Unix en ms o como fecha ISO 8601 (ej. '2024-01-31' o '2024-01-31T12:00Z').
+ * @param {URLSearchParams} params
+ * @param {string} name
+ * @returns {number | undefined}
+ * @throws {LocalizedError}
+ */
+function parseTime(params, name) {
+  const raw = params.get(name);
+  if (raw === null || raw === '') return undefined;
+  const time = /^\d+$/.test(raw) ? Number(raw) : Date.parse(raw);
+  if (!Number.isFinite(time)) throw new LocalizedError('api.error.time', { name });
+  return time;
+}
+
+/**
+ * Lee `symbol`, `interval`, `limit`, `startTime` y `endTime`. Con un rango completo y sin `limit`,
+ * se piden todas las velas del rango (hasta `MAX_KLINE_LIMIT`).
+ * @param {URLSearchParams} params
+ * @returns {KlineQuery}
+ * @throws {LocalizedError}
+ */
+export function parseKlineQuery(params) {
+  const symbol = parseSymbol(params);
+  const interval = params.get('interval') || '1d';
+  if (!(interval in KLINE_INTERVAL_MS)) {
+    throw new LocalizedError('api.error.interval', { intervals: Object.keys(KLINE_INTERVAL_MS).join(', ') });
+  }
+  const startTime = parseTime(params, 'startTime');
+  const endTime = parseTime(params, 'endTime');
+  if (startTime !== undefined && endTime !== undefined && startTime > endTime) throw new LocalizedError('api.error.range');
+
+  let limit;
+  if (params.get('limit')) {
+    limit = Number(params.get('limit'));
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_KLINE_LIMIT) {
+      throw new LocalizedError('api.error.limit', { max: MAX_KLINE_LIMIT });
+    }
+  } else if (startTime !== undefined && endTime !== undefined) {
+    limit = Math.min(MAX_KLINE_LIMIT, Math.floor((endTime - startTime) / KLINE_INTERVAL_MS[interval]) + 1);
+  } else {
+    limit = DEFAULT_KLINE_LIMIT;
+  }
+  return { symbol, interval, limit, startTime, endTime };
+}
+
+/**
+ * @param {unknown} value
+ * @param {string} column
+ * @returns {string}
+ */
+function csvCell(value, column) {
+  if (value === null || value === undefined) return '';
+  const text = TIME_COLUMNS.has(column) ? new Date(/** @type {number} */ (value)).toISOString() : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convierte filas de objetos en CSV con cabecera (separador ',', decimales con punto).
+ * @param {Array<Record<string, unknown>>} rows
+ * @param {string[]} columns
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvCell(row[column], column)).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Respuesta con datos en JSON o CSV. `maxAgeMs` permite a la CDN de Vercel reutilizarla entre instancias.
+ * @param {object} options
+ * @param {unknown} options.data - Se serializa tal cual en JSON.
+ * @param {'json' | 'csv'} options.format
+ * @param {Array<Record<string, unknown>>} options.rows - Filas del CSV.
+ * @param {string[]} options.columns - Columnas del CSV.
+ * @param {string} options.filename - Nombre de la descarga CSV, sin extensión.
+ * @param {number} options.maxAgeMs
+ * @returns {Response}
+ */
+export function dataResponse({ data, format, rows, columns, filename, maxAgeMs }) {
+  const seconds = Math.max(1, Math.floor(maxAgeMs / 1000));
+  const headers = { 'Cache-Control': `public, max-age=0, s-maxage=${seconds}, stale-while-revalidate=${seconds}` };
+  if (format === 'csv') {
+    return new Response(toCsv(rows, columns), {
+      headers: {
+        ...headers,
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}.csv"`,
+      },
+    });
+  }
+  return new Response(JSON.stringify(data), { headers: { ...headers, 'Content-Type': 'application/json; charset=utf-8' } });
+}
+
+/**
+ * Traduce un error a una respuesta HTTP con un cuerpo `{ error: ApiErrorBody }`.
+ * @param {unknown} error
+ * @param {Locale} locale
+ * @returns {Response}
+ */
+export function errorResponse(error, locale) {
+  /** @type {ApiErrorBody} */
+  let body;
+  let status;
+  const headers = { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' };
+
+  if (error instanceof LocalizedError) {
+    status = 400;
+    body = { type: 'BadRequest', message: localizeError(error, locale) };
+  } else if (error instanceof RateLimitError) {
+    status = 429;
+    body = { type: 'RateLimitError', message: error.message, code: error.code, retryAfterMs: error.retryAfterMs };
+    headers['Retry-After'] = String(Math.ceil(error.retryAfterMs / 1000));
+  } else if (error instanceof InvalidSymbolError) {
+    status = 400;
+    body = { type: 'InvalidSymbolError', message: error.message, code: error.code, symbol: error.symbol };
+  } else if (error instanceof NetworkError) {
+    status = 502;
+    body = { type: 'NetworkError', message: error.message, code: error.code };
+  } else if (error instanceof BinanceAPIError) {
+    status = 502;
+    body = { type: 'BinanceAPIError', message: error.message, code: error.code };
+  } else {
+    console.error('Error inesperado en la API:', error);
+    status = 500;
+    body = { type: 'InternalError', message: translate(locale, 'api.error.internal') };
+  }
+  return new Response(JSON.stringify({ error: body }), { status, headers });
+}
@@ -0,0 +1,230 @@
+// src/scripts/backtestClient.js
+
+/**
+ * @file Lógica de cliente de `BacktestPanel.astro`: lee la estrategia del formulario, ejecuta `runBacktest`
+ * sobre las velas de la gráfica y muestra las métricas, la lista de operaciones y los marcadores.
+ */
+
+import {
+  runBacktest,
+  normalizeStrategy,
+  STRATEGY_PRESETS,
+  DEFAULT_PERIODS,
+} from './backtester.js';
+import { createTranslator, getIntlLocale, localizeError } from './i18n.js';
+import { createMarketFormatter, formatAmount, formatNumber, formatPercent } from './marketFormat.js';
+import { getMarketDataProvider } from './marketDataProvider.js';
+import { getDocumentPreferences } from './preferences.js';
+
+/**
+ * @typedef {import('./binanceAPI.js').KlineObject} KlineObject
+ * @typedef {import('./backtester.js').StrategyCondition} StrategyCondition
+ * @typedef {import('./backtester.js').StrategyOperand} StrategyOperand
+ * @typedef {import('./backtester.js').BacktestResult} BacktestResult
+ */
+
+/**
+ * Marcador de una operación sobre la gráfica.
+ * @typedef {object} TradeMarker
+ * @property {number} time - `openTime` de la vela de la ejecución.
+ * @property {number} price
+ * @property {'entry' | 'exit'} side
+ * @property {string} label - Texto del tooltip.
+ */
+
+/**
+ * Acceso del panel a la gráfica que lo contiene.
+ * @typedef {object} BacktestChartAccess
+ * @property {() => KlineObject[]} getKlines - Velas cargadas actualmente (la última puede estar en curso).
+ * @property {() => string} getInterval
+ * @property {() => import('./marketFormat.js').MarketInfo | null} getMarket - Información del par (null si no se pudo cargar).
+ * @property {(markers: TradeMarker[]) => void} setTradeMarkers
+ */
+
+const POSITIVE_CLASS = 'text-green-500';
+const NEGATIVE_CLASS = 'text-red-500';
+
+/**
+ * Inicializa el panel de backtesting de una gráfica. Los precios y el capital se muestran en el activo cotizado
+ * del par (sin convertir a la moneda elegida por el usuario), que es la unidad en la que se simula.
+ * @param {HTMLElement} panelEl - Elemento `data-backtest`.
+ * @param {BacktestChartAccess} chart
+ * @returns {() => void} Función de limpieza.
+ */
+export function initBacktestPanel(panelEl, chart) {
+  const formEl = panelEl.querySelector('[data-backtest-form]');
+  const presetEl = panelEl.querySelector('[data-backtest-preset]');
+  const statusEl = panelEl.querySelector('[data-backtest-status]');
+  const resultsEl = panelEl.querySelector('[data-backtest-results]');
+  const tradesEl = panelEl.querySelector('[data-backtest-trades]');
+  const clearButton = panelEl.querySelector('[data-backtest-clear]');
+  const conditionRow = (side) => panelEl.querySelector(`[data-backtest-condition="${side}"]`);
+  const { locale } = getDocumentPreferences();
+  const t = createTranslator(locale);
+  const formatSignedPercent = (value) => formatPercent(value, locale, { signed: true });
+  const formatDate = (time) => new Date(time).toLocaleString(getIntlLocale(locale), { day: 'numeric', month: 'short', year: '2-digit', hour: 'numeric', minute: 'numeric' });
+
+  /**
+   * Ajusta el campo numérico de un operando: período, valor o deshabilitado (MACD, cierre).
+   * @param {HTMLElement} rowEl
+   * @param {'left' | 'right'} position
+   * @param {number} [value] - Valor a escribir; si se omite se usa el período por defecto.
+   */
+  function syncOperandParam(rowEl, position, value) {
+    const indicator = rowEl.querySelector(`[data-operand="${position}"]`).value;
+    const paramEl = rowEl.querySelector(`[data-operand-param="${position}"]`);
+    const hasParam = indicator === 'value' || indicator in DEFAULT_PERIODS;
+    paramEl.disabled = !hasParam;
+    paramEl.placeholder = indicator === 'value' ? t('backtest.field.value') : hasParam ? t('backtest.field.period') : '';
+    paramEl.value = !hasParam ? '' : String(value ?? DEFAULT_PERIODS[indicator] ?? '');
+  }
+
+  /**
+   * @param {HTMLElement} rowEl
+   * @param {StrategyCondition | undefined} condition
+   */
+  function fillCondition(rowEl, condition) {
+    if (!condition) return;
+    for (const position of /** @type {const} */ (['left', 'right'])) {
+      const operand = condition[position];
+      rowEl.querySelector(`[data-operand="${position}"]`).value = operand.indicator;
+      syncOperandParam(rowEl, position, operand.indicator === 'value' ? operand.value : operand.period);
+    }
+    rowEl.querySelector('[data-operator]').value = condition.operator;
+  }
+
+  /**
+   * @param {HTMLElement} rowEl
+   * @returns {StrategyCondition}
+   */
+  function readCondition(rowEl) {
+    /** @param {'left' | 'right'} position @returns {StrategyOperand} */
+    const readOperand = (position) => {
+      const indicator = rowEl.querySelector(`[data-operand="${position}"]`).value;
+      const param = rowEl.querySelector(`[data-operand-param="${position}"]`).value;
+      if (indicator === 'value') return { indicator, value: param };
+      return indicator in DEFAULT_PERIODS ? { indicator, period: param } : { indicator };
+    };
+    return { left: readOperand('left'), operator: rowEl.querySelector('[data-operator]').value, right: readOperand('right') };
+  }
+
+  function applyPreset() {
+    const preset = STRATEGY_PRESETS[presetEl.value];
+    fillCondition(conditionRow('entry'), preset.entry[0]);
+    fillCondition(conditionRow('exit'), preset.exit[0]);
+  }
+
+  /**
+   * @param {BacktestResult} result
+   * @param {import('./marketFormat.js').MarketFormatter} formatter
+   */
+  function renderResults(result, formatter) {
+    const { metrics } = result;
+    const formatPrice = formatter.price;
+    const setMetric = (id, text, value) => {
+      const el = panelEl.querySelector(`[data-backtest-metric="${id}"]`);
+      el.textContent = text;
+      el.classList.remove(POSITIVE_CLASS, NEGATIVE_CLASS);
+      if (value !== undefined && value !== 0) el.classList.add(value > 0 ? POSITIVE_CLASS : NEGATIVE_CLASS);
+    };
+    setMetric('total-return', `${formatSignedPercent(metrics.totalReturnPercent)} (${formatAmount(metrics.finalEquity, formatter.currency, 2, locale)})`, metrics.totalReturnPercent);
+    setMetric('buy-hold', formatSignedPercent(metrics.buyAndHoldReturnPercent), metrics.buyAndHoldReturnPercent);
+    setMetric('drawdown', formatPercent(-metrics.maxDrawdownPercent, locale));
+    setMetric('sharpe', metrics.sharpeRatio === null ? 'N/A' : formatNumber(metrics.sharpeRatio, locale));
+    setMetric('win-rate', metrics.winRate === null ? 'N/A' : formatPercent(metrics.winRate, locale, { decimals: 1 }));
+    setMetric('trades', String(metrics.tradeCount));
+
+    tradesEl.replaceChildren(...result.trades.map(trade => {
+      const row = document.createElement('tr');
+      const cells = [
+        formatDate(trade.entryTime),
+        formatPrice(trade.entryPrice),
+        formatDate(trade.exitTime),
+        formatPrice(trade.exitPrice),
+        t(`backtest.exitReason.${trade.exitReason}`),
+        formatSignedPercent(trade.returnPercent),
+      ];
+      cells.forEach((text, i) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        cell.className = [1, 3].includes(i) ? 'text-right' : i === 5 ? `text-right ${trade.returnPercent >= 0 ? POSITIVE_CLASS : NEGATIVE_CLASS}` : 'pl-3 first:pl-0';
+        row.append(cell);
+      });
+      return row;
+    }));
+    resultsEl.hidden = false;
+  }
+
+  function handleSubmit(event) {
+    event.preventDefault();
+    const values = Object.fromEntries(new FormData(formEl));
+    let strategy;
+    try {
+      strategy = normalizeStrategy({
+        ...values,
+        entry: [readCondition(conditionRow('entry'))],
+        exit: [readCondition(conditionRow('exit'))],
+      });
+    } catch (error) {
+      statusEl.textContent = localizeError(error, locale);
+      return;
+    }
+
+    // La vela en curso aún puede cambiar: se simula solo con las cerradas en el instante del proveedor.
+    const loadedKlines = chart.getKlines();
+    const now = getMarketDataProvider().now();
+    let closedCount = loadedKlines.length;
+    while (closedCount > 0 && loadedKlines[closedCount - 1].closeTime > now) closedCount--;
+    const klines = loadedKlines.slice(0, closedCount);
+    if (klines.length < 2) {
+      statusEl.textContent = t('backtest.notEnoughCandles');
+      return;
+    }
+    const result = runBacktest(klines, strategy);
+    const formatter = createMarketFormatter(chart.getMarket(), locale);
+    renderResults(result, formatter);
+    chart.setTradeMarkers(result.trades.flatMap(trade => [
+      { time: trade.entryTime, price: trade.entryPrice, side: 'entry', label: t('backtest.marker.entry', { price: formatter.price(trade.entryPrice) }) },
+      {
+        time: trade.exitTime,
+        price: trade.exitPrice,
+        side: 'exit',
+        label: t('backtest.marker.exit', {
+          reason: t(`backtest.exitReason.${trade.exitReason}`),
+          price: formatter.price(trade.exitPrice),
+          return: formatSignedPercent(trade.returnPercent),
+        }),
+      },
+    ]));
+    statusEl.textContent = t(closedCount < loadedKlines.length ? 'backtest.summaryOpenExcluded' : 'backtest.summary', {
+      count: klines.length,
+      interval: chart.getInterval(),
+      from: formatDate(klines[0].openTime),
+      to: formatDate(klines[klines.length - 1].openTime),
+    });
+  }
+
+  function handleOperandChange(event) {
+    const position = event.target.dataset.operand;
+    if (position) syncOperandParam(event.target.closest('[data-backtest-condition]'), position);
+  }
+
+  function handleClear() {
+    chart.setTradeMarkers([]);
+    resultsEl.hidden = true;
+    statusEl.textContent = '';
+  }
+
+  formEl.addEventListener('submit', handleSubmit);
+  formEl.addEventListener('change', handleOperandChange);
+  presetEl.addEventListener('change', applyPreset);
+  clearButton.addEventListener('click', handleClear);
+  applyPreset();
+
+  return () => {
+    formEl.removeEventListener('submit', handleSubmit);
+    formEl.removeEventListener('change', handleOperandChange);
+    presetEl.removeEventListener('change', applyPreset);
+    clearButton.removeEventListener('click', handleClear);
+  };
+}
@@ -0,0 +1,402 @@
+// src/scripts/backtester.js
+
+/**
+ * @file Motor de backtesting de estrategias declarativas sobre `KlineObject[]`.
+ * Es determinista y no depende del DOM ni de la red: el mismo array de velas y la misma estrategia
+ * producen siempre el mismo resultado. Solo posiciones largas, invirtiendo todo el capital en cada entrada.
+ *
+ * Modelo de ejecución:
+ * - Las condiciones se evalúan al cierre de cada vela y las órdenes se ejecutan a la apertura de la siguiente
+ *   (así ninguna señal usa datos que aún no se conocían).
+ * - El stop-loss y el take-profit se comprueban dentro de cada vela con su mínimo y su máximo. Si la vela abre
+ *   más allá del nivel, se sale a la apertura; si toca ambos niveles en la misma vela, se asume el stop-loss.
+ * - El deslizamiento empeora cada precio de ejecución y la comisión se cobra sobre el nominal de cada lado.
+ * - Una posición abierta al final de los datos se cierra al último cierre.
+ */
+
+import {
+  calculateSMA,
+  calculateEMA,
+  calculateRSI,
+  calculateMACD,
+  calculateBollingerBands,
+} from './technicalIndicators.js';
+import { translate, DEFAULT_LOCALE, LocalizedError } from './i18n.js';
+
+/**
+ * @typedef {import('./binanceAPI.js').KlineObject} KlineObject
+ */
+
+/**
+ * Operando de una condición: un precio, un indicador o un valor fijo.
+ * @typedef {object} StrategyOperand
+ * @property {'close' | 'sma' | 'ema' | 'rsi' | 'macd' | 'macd-signal' | 'macd-histogram' | 'bb-upper' | 'bb-middle' | 'bb-lower' | 'value'} indicator
+ * @property {number} [period] - Período de SMA, EMA, RSI y Bollinger.
+ * @property {number} [value] - Solo con `indicator: 'value'`.
+ */
+
+/**
+ * Condición `left <operator> right`, evaluada al cierre de cada vela.
+ * @typedef {object} StrategyCondition
+ * @property {StrategyOperand} left
+ * @property {'above' | 'below' | 'crosses-above' | 'crosses-below'} operator
+ * @property {StrategyOperand} right
+ */
+
+/**
+ * Estrategia: se entra cuando se cumplen todas las condiciones de entrada y se sale cuando se cumple
+ * alguna de las de salida (o salta el stop-loss / take-profit).
+ * @typedef {object} Strategy
+ * @property {StrategyCondition[]} entry
+ * @property {StrategyCondition[]} exit
+ * @property {number | null} stopLossPercent - % bajo el precio de entrada (null = sin stop-loss).
+ * @property {number | null} takeProfitPercent - % sobre el precio de entrada (null = sin take-profit).
+ * @property {number} feePercent - Comisión por lado, en % del nominal.
+ * @property {number} slippagePercent - Deslizamiento por ejecución, en % del precio.
+ * @property {number} initialCapital
+ */
+
+/**
+ * Operación cerrada.
+ * @typedef {object} BacktestTrade
+ * @property {number} entryTime - `openTime` de la vela de entrada.
+ * @property {number} entryPrice - Precio de ejecución (con deslizamiento).
+ * @property {number} exitTime - `openTime` de la vela de salida.
+ * @property {number} exitPrice - Precio de ejecución (con deslizamiento).
+ * @property {'signal' | 'stop-loss' | 'take-profit' | 'end-of-data'} exitReason
+ * @property {number} returnPercent - Rendimiento neto de comisiones.
+ * @property {number} profit - Ganancia o pérdida neta en moneda de cotización.
+ * @property {number} bars - Velas en posición.
+ */
+
+/**
+ * Métricas del backtest.
+ * @typedef {object} BacktestMetrics
+ * @property {number} finalEquity
+ * @property {number} totalReturnPercent
+ * @property {number} buyAndHoldReturnPercent - Rendimiento de comprar en el primer cierre y mantener.
+ * @property {number} maxDrawdownPercent - Mayor caída desde un máximo del capital (valor positivo).
+ * @property {number | null} sharpeRatio - Anualizado, con tasa libre de riesgo 0 (null si no es calculable).
+ * @property {number | null} winRate - % de operaciones con ganancia (null sin operaciones).
+ * @property {number} tradeCount
+ */
+
+/**
+ * Resultado de `runBacktest`.
+ * @typedef {object} BacktestResult
+ * @property {BacktestTrade[]} trades
+ * @property {Array<{ time: number, equity: number }>} equityCurve - Capital al cierre de cada vela.
+ * @property {BacktestMetrics} metrics
+ */
+
+// Identificadores de operandos, operadores y motivos de salida; sus nombres en la interfaz son las claves
+// `backtest.operand.<id>`, `backtest.operator.<id>` y `backtest.exitReason.<id>`.
+export const OPERANDS = ['close', 'sma', 'ema', 'rsi', 'macd', 'macd-signal', 'macd-histogram', 'bb-upper', 'bb-middle', 'bb-lower', 'value'];
+export const OPERATORS = ['above', 'below', 'crosses-above', 'crosses-below'];
+
+// Indicadores cuyo operando lleva período, con el valor por defecto.
+export const DEFAULT_PERIODS = { sma: 20, ema: 20, rsi: 14, 'bb-upper': 20, 'bb-middle': 20, 'bb-lower': 20 };
+
+const rsi = (period, operator, value) => ({ left: { indicator: 'rsi', period }, operator, right: { indicator: 'value', value } });
+const compare = (left, operator, right) => ({ left, operator, right });
+
+/**
+ * Estrategias predefinidas (el usuario puede modificar sus condiciones antes de ejecutar).
+ * Su nombre en la interfaz es la clave `backtest.preset.<id>`.
+ * @type {Record<string, { entry: StrategyCondition[], exit: StrategyCondition[] }>}
+ */
+export const STRATEGY_PRESETS = {
+  'rsi-reversal': {
+    entry: [rsi(14, 'below', 30)],
+    exit: [rsi(14, 'above', 70)],
+  },
+  'sma-cross': {
+    entry: [compare({ indicator: 'sma', period: 20 }, 'crosses-above', { indicator: 'sma', period: 50 })],
+    exit: [compare({ indicator: 'sma', period: 20 }, 'crosses-below', { indicator: 'sma', period: 50 })],
+  },
+  'macd-cross': {
+    entry: [compare({ indicator: 'macd' }, 'crosses-above', { indicator: 'macd-signal' })],
+    exit: [compare({ indicator: 'macd' }, 'crosses-below', { indicator: 'macd-signal' })],
+  },
+  'bollinger-reversion': {
+    entry: [compare({ indicator: 'close' }, 'below', { indicator: 'bb-lower', period: 20 })],
+    exit: [compare({ indicator: 'close' }, 'above', { indicator: 'bb-middle', period: 20 })],
+  },
+};
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * @param {unknown} value
+ * @param {string} errorKey - Clave del mensaje de error del campo (recibe `{min}` y `{max}`).
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ * @throws {LocalizedError} Si no es un número dentro de los límites.
+ */
+function toNumber(value, errorKey, min, max) {
+  const number = Number(value);
+  if (value === '' || value === null || value === undefined || !Number.isFinite(number) || number < min || number > max) {
+    throw new LocalizedError(errorKey, { min, max });
+  }
+  return number;
+}
+
+/**
+ * @param {StrategyOperand} operand
+ * @returns {StrategyOperand}
+ * @throws {LocalizedError} Si el operando no es válido.
+ */
+function normalizeOperand(operand) {
+  if (!operand || !OPERANDS.includes(operand.indicator)) throw new LocalizedError('backtest.error.operand');
+  if (operand.indicator === 'value') return { indicator: 'value', value: toNumber(operand.value, 'backtest.error.value', -1e12, 1e12) };
+  if (operand.indicator in DEFAULT_PERIODS) {
+    const period = toNumber(operand.period ?? DEFAULT_PERIODS[operand.indicator], 'backtest.error.period', 2, 500);
+    return { indicator: operand.indicator, period: Math.round(period) };
+  }
+  return { indicator: operand.indicator };
+}
+
+/**
+ * @param {StrategyCondition} condition
+ * @returns {StrategyCondition}
+ */
+function normalizeCondition(condition) {
+  if (!condition || !OPERATORS.includes(condition.operator)) throw new LocalizedError('backtest.error.operator');
+  return { left: normalizeOperand(condition.left), operator: condition.operator, right: normalizeOperand(condition.right) };
+}
+
+/**
+ * Valida una estrategia y completa los valores por defecto.
+ * @param {Partial<Strategy> & { entry: StrategyCondition[], exit: StrategyCondition[] }} raw
+ * @returns {Strategy}
+ * @throws {LocalizedError} Si la estrategia no es válida (mensaje apto para mostrar al usuario con `localizeError`).
+ */
+export function normalizeStrategy(raw) {
+  if (!raw || !Array.isArray(raw.entry) || raw.entry.length === 0) throw new LocalizedError('backtest.error.noEntry');
+  if (!Array.isArray(raw.exit)) throw new LocalizedError('backtest.error.exitFormat');
+  const optionalPercent = (value, errorKey, max) => (value === null || value === undefined || value === '' ? null : toNumber(value, errorKey, 0.01, max));
+  return {
+    entry: raw.entry.map(normalizeCondition),
+    exit: raw.exit.map(normalizeCondition),
+    stopLossPercent: optionalPercent(raw.stopLossPercent, 'backtest.error.stopLoss', 100),
+    takeProfitPercent: optionalPercent(raw.takeProfitPercent, 'backtest.error.takeProfit', 10000),
+    feePercent: toNumber(raw.feePercent ?? 0.1, 'backtest.error.fee', 0, 10),
+    slippagePercent: toNumber(raw.slippagePercent ?? 0.05, 'backtest.error.slippage', 0, 10),
+    initialCapital: toNumber(raw.initialCapital ?? 10000, 'backtest.error.capital', 1, 1e12),
+  };
+}
+
+/**
+ * Texto de una condición (ej. 'RSI(14) por debajo de 30').
+ * @param {StrategyCondition} condition
+ * @param {import('./i18n.js').Locale} [locale]
+ * @returns {string}
+ */
+export function describeCondition(condition, locale = DEFAULT_LOCALE) {
+  const operandText = (operand) => {
+    if (operand.indicator === 'value') return String(operand.value);
+    const label = translate(locale, `backtest.operand.${operand.indicator}`);
+    return operand.period ? `${label}(${operand.period})` : label;
+  };
+  return `${operandText(condition.left)} ${translate(locale, `backtest.operator.${condition.operator}`)} ${operandText(condition.right)}`;
+}
+
+/**
+ * Serie de valores (alineada con `klines`) de un operando. Los indicadores se calculan una sola vez por backtest.
+ * @param {KlineObject[]} klines
+ * @param {StrategyOperand} operand
+ * @param {Map<string, Array<number | null>>} cache
+ * @returns {Array<number | null>}
+ */
+function operandSeries(klines, operand, cache) {
+  const key = `${operand.indicator}:${operand.period ?? operand.value ?? ''}`;
+  if (cache.has(key)) return cache.get(key);
+  let series;
+  switch (operand.indicator) {
+    case 'value':
+      series = klines.map(() => operand.value);
+      break;
+    case 'close':
+      series = klines.map(kline => kline.close);
+      break;
+    case 'sma':
+      series = calculateSMA(klines, operand.period).map(point => point.value);
+      break;
+    case 'ema':
+      series = calculateEMA(klines, operand.period).map(point => point.value);
+      break;
+    case 'rsi':
+      series = calculateRSI(klines, operand.period).map(point => point.value);
+      break;
+    case 'macd':
+    case 'macd-signal':
+    case 'macd-histogram': {
+      const field = { macd: 'macd', 'macd-signal': 'signal', 'macd-histogram': 'histogram' }[operand.indicator];
+      series = calculateMACD(klines).map(point => point[field]);
+      break;
+    }
+    default: {
+      const field = { 'bb-upper': 'upper', 'bb-middle': 'middle', 'bb-lower': 'lower' }[operand.indicator];
+      series = calculateBollingerBands(klines, operand.period).map(point => point[field]);
+    }
+  }
+  cache.set(key, series);
+  return series;
+}
+
+/**
+ * Prepara una condición como función del índice de vela.
+ * @param {KlineObject[]} klines
+ * @param {StrategyCondition} condition
+ * @param {Map<string, Array<number | null>>} cache
+ * @returns {(i: number) => boolean} false mientras falten valores (calentamiento de los indicadores).
+ */
+function compileCondition(klines, condition, cache) {
+  const left = operandSeries(klines, condition.left, cache);
+  const right = operandSeries(klines, condition.right, cache);
+  const known = (i) => i >= 0 && left[i] !== null && right[i] !== null;
+  switch (condition.operator) {
+    case 'above':
+      return (i) => known(i) && left[i] > right[i];
+    case 'below':
+      return (i) => known(i) && left[i] < right[i];
+    case 'crosses-above':
+      return (i) => known(i) && known(i - 1) && left[i - 1] <= right[i - 1] && left[i] > right[i];
+    default:
+      return (i) => known(i) && known(i - 1) && left[i - 1] >= right[i - 1] && left[i] < right[i];
+  }
+}
+
+/**
+ * Mayor caída porcentual desde un máximo previo de la curva de capital.
+ * @param {number[]} equity
+ * @returns {number}
+ */
+function maxDrawdown(equity) {
+  let peak = -Infinity;
+  let worst = 0;
+  for (const value of equity) {
+    peak = Math.max(peak, value);
+    worst = Math.max(worst, (peak - value) / peak);
+  }
+  return worst * 100;
+}
+
+/**
+ * Ratio de Sharpe anualizado de los rendimientos por vela (tasa libre de riesgo 0).
+ * @param {number[]} equity
+ * @param {number} barsPerYear
+ * @returns {number | null}
+ */
+function sharpeRatio(equity, barsPerYear) {
+  const returns = equity.slice(1).map((value, i) => value / equity[i] - 1);
+  if (returns.length < 2) return null;
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  const deviation = Math.sqrt(variance);
+  return deviation === 0 ? null : (mean / deviation) * Math.sqrt(barsPerYear);
+}
+
+/**
+ * Velas por año según la separación habitual entre velas (la mediana, por si faltan velas).
+ * @param {KlineObject[]} klines
+ * @returns {number}
+ */
+function estimateBarsPerYear(klines) {
+  const gaps = klines.slice(1).map((kline, i) => kline.openTime - klines[i].openTime).sort((a, b) => a - b);
+  const median = gaps[Math.floor(gaps.length / 2)];
+  return median > 0 ? YEAR_MS / median : 0;
+}
+
+/**
+ * Ejecuta una estrategia sobre un histórico de velas.
+ * @param {KlineObject[]} klines - Velas en orden cronológico.
+ * @param {Strategy} strategy - Estrategia normalizada (`normalizeStrategy`).
+ * @returns {BacktestResult}
+ */
+export function runBacktest(klines, strategy) {
+  const cache = new Map();
+  const entryConditions = strategy.entry.map(condition => compileCondition(klines, condition, cache));
+  const exitConditions = strategy.exit.map(condition => compileCondition(klines, condition, cache));
+  const fee = strategy.feePercent / 100;
+  const slippage = strategy.slippagePercent / 100;
+
+  /** @type {BacktestTrade[]} */
+  const trades = [];
+  const equityCurve = [];
+  let cash = strategy.initialCapital;
+  /** @type {{ index: number, price: number, quantity: number, cost: number } | null} */
+  let position = null;
+  /** @type {'entry' | 'exit' | null} */
+  let pendingOrder = null;
+
+  const openPosition = (index, price) => {
+    const fillPrice = price * (1 + slippage);
+    const quantity = cash / (fillPrice * (1 + fee));
+    position = { index, price: fillPrice, quantity, cost: cash };
+    cash = 0;
+  };
+
+  const closePosition = (index, price, exitReason) => {
+    const fillPrice = price * (1 - slippage);
+    cash = position.quantity * fillPrice * (1 - fee);
+    trades.push({
+      entryTime: klines[position.index].openTime,
+      entryPrice: position.price,
+      exitTime: klines[index].openTime,
+      exitPrice: fillPrice,
+      exitReason,
+      returnPercent: (cash / position.cost - 1) * 100,
+      profit: cash - position.cost,
+      bars: index - position.index + 1,
+    });
+    position = null;
+  };
+
+  klines.forEach((kline, i) => {
+    // 1. Órdenes decididas al cierre de la vela anterior, a la apertura de esta.
+    if (pendingOrder === 'entry' && !position) openPosition(i, kline.open);
+    if (pendingOrder === 'exit' && position) closePosition(i, kline.open, 'signal');
+    pendingOrder = null;
+
+    // 2. Stop-loss / take-profit dentro de la vela.
+    if (position) {
+      const stopPrice = strategy.stopLossPercent !== null ? position.price * (1 - strategy.stopLossPercent / 100) : null;
+      const takePrice = strategy.takeProfitPercent !== null ? position.price * (1 + strategy.takeProfitPercent / 100) : null;
+      if (stopPrice !== null && kline.low <= stopPrice) {
+        closePosition(i, Math.min(kline.open, stopPrice), 'stop-loss');
+      } else if (takePrice !== null && kline.high >= takePrice) {
+        closePosition(i, Math.max(kline.open, takePrice), 'take-profit');
+      }
+    }
+
+    // 3. Señales al cierre, para la vela siguiente.
+    if (i < klines.length - 1) {
+      if (!position && entryConditions.every(isMet => isMet(i))) pendingOrder = 'entry';
+      else if (position && exitConditions.some(isMet => isMet(i))) pendingOrder = 'exit';
+    }
+
+    equityCurve.push({ time: kline.openTime, equity: position ? position.quantity * kline.close : cash });
+  });
+
+  if (position) closePosition(klines.length - 1, klines[klines.length - 1].close, 'end-of-data');
+  if (equityCurve.length > 0) equityCurve[equityCurve.length - 1].equity = cash;
+
+  const equity = equityCurve.map(point => point.equity);
+  const finalEquity = cash;
+  const wins = trades.filter(trade => trade.profit > 0).length;
+  return {
+    trades,
+    equityCurve,
+    metrics: {
+      finalEquity,
+      totalReturnPercent: (finalEquity / strategy.initialCapital - 1) * 100,
+      buyAndHoldReturnPercent: klines.length > 1 ? (klines[klines.length - 1].close / klines[0].close - 1) * 100 : 0,
+      maxDrawdownPercent: maxDrawdown([strategy.initialCapital, ...equity]),
+      sharpeRatio: sharpeRatio([strategy.initialCapital, ...equity], estimateBarsPerYear(klines)),
+      winRate: trades.length > 0 ? (wins / trades.length) * 100 : null,
+      tradeCount: trades.length,
+    },
+  };
+}
@@ -3,9 +3,13 @@
 /**
  * @file Módulo para interactuar con la API pública de Binance.
  * Proporciona funciones para obtener datos de mercado como klines (velas),
- * precios de ticker y estadísticas de ticker de 24 horas.
+ * precios de ticker, estadísticas de ticker de 24 horas, libro de órdenes y trades.
  */
 
+import { createTransport } from './binanceTransport.js';
+
+export { BinanceAPIError, RateLimitError, InvalidSymbolError, NetworkError } from './binanceTransport.js';
+
 // --- Definiciones de Tipos JSDoc ---
 
 /**
@@ -63,48 +67,171 @@
  * @property {number} price
  */
 
+/**
+ * Representa un par negociable de `/exchangeInfo`.
+ * @typedef {object} SymbolInfo
+ * @property {string} symbol - El símbolo del par (ej. 'BTCUSDT').
+ * @property {string} status - Estado del par (ej. 'TRADING').
+ * @property {string} baseAsset - Activo base (ej. 'BTC').
+ * @property {string} quoteAsset - Activo cotizado (ej. 'USDT').
+ * @property {number | null} tickSize - Incremento mínimo del precio (filtro `PRICE_FILTER`), en el activo cotizado.
+ * @property {number | null} stepSize - Incremento mínimo de la cantidad (filtro `LOT_SIZE`), en el activo base.
+ */
+
+/**
+ * Nivel de precio del libro de órdenes.
+ * @typedef {object} OrderBookLevel
+ * @property {number} price
+ * @property {number} quantity - Cantidad del activo base en ese nivel.
+ */
+
+/**
+ * Libro de órdenes (`/depth` o stream `@depth<niveles>`).
+ * Las compras (bids) van de mayor a menor precio y las ventas (asks) de menor a mayor.
+ * @typedef {object} OrderBookData
+ * @property {number} lastUpdateId
+ * @property {OrderBookLevel[]} bids
+ * @property {OrderBookLevel[]} asks
+ */
+
+/**
+ * Trade individual (`/trades`).
+ * @typedef {object} TradeData
+ * @property {number} id
+ * @property {number} price
+ * @property {number} qty
+ * @property {number} quoteQty
+ * @property {number} time - Timestamp Unix ms.
+ * @property {boolean} isBuyerMaker - true si el comprador era el maker (es decir, el trade fue una venta agresiva).
+ * @property {boolean} isBestMatch
+ */
+
+/**
+ * Trade agregado (`/aggTrades` o stream `@aggTrade`): trades consecutivos del mismo taker al mismo precio.
+ * @typedef {object} AggTradeData
+ * @property {number} id - ID del trade agregado.
+ * @property {number} price
+ * @property {number} qty
+ * @property {number} firstTradeId
+ * @property {number} lastTradeId
+ * @property {number} time - Timestamp Unix ms.
+ * @property {boolean} isBuyerMaker
+ */
+
 // --- Implementación del Módulo ---
 
-const BASE_URL = 'https://api.binance.com/api/v3';
+const DEFAULT_BASE_URL = 'https://api.binance.com/api/v3';
+
+// Transporte compartido: presupuesto de peso, reintentos, de-duplicación y caché comunes a todas las funciones.
+// La URL base se puede cambiar con PUBLIC_BINANCE_API_URL (ej. un servidor mock local).
+const transport = createTransport({ baseUrl: import.meta.env?.PUBLIC_BINANCE_API_URL || DEFAULT_BASE_URL });
+
+/**
+ * Configura la URL base de la API REST (ej. un servidor mock local para pruebas).
+ * @param {string} url - URL base, incluyendo el prefijo de versión (ej. 'http://localhost:3000/api/v3').
+ */
+export function setBaseUrl(url) {
+  transport.setBaseUrl(url);
+}
+
+// Máximo de velas que Binance devuelve por solicitud a /klines.
+const KLINES_PAGE_LIMIT = 1000;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Intervalos de vela admitidos por Binance y su duración en ms ('1M' se aproxima a 30 días).
+ * @type {Record<string, number>}
+ */
+export const KLINE_INTERVAL_MS = {
+  '1s': 1000,
+  '1m': MINUTE_MS,
+  '3m': 3 * MINUTE_MS,
+  '5m': 5 * MINUTE_MS,
+  '15m': 15 * MINUTE_MS,
+  '30m': 30 * MINUTE_MS,
+  '1h': HOUR_MS,
+  '2h': 2 * HOUR_MS,
+  '4h': 4 * HOUR_MS,
+  '6h': 6 * HOUR_MS,
+  '8h': 8 * HOUR_MS,
+  '12h': 12 * HOUR_MS,
+  '1d': DAY_MS,
+  '3d': 3 * DAY_MS,
+  '1w': 7 * DAY_MS,
+  '1M': 30 * DAY_MS,
+};
+
+/**
+ * Rango temporal opcional para `fetchKlines`.
+ * @typedef {object} KlineRange
+ * @property {number} [startTime] - Timestamp Unix ms; se devuelven velas desde este instante hacia adelante.
+ * @property {number} [endTime] - Timestamp Unix ms; sin `startTime`, se devuelven las `limit` velas anteriores a este instante.
+ */
+
+/**
+ * Convierte una vela cruda de la API (array) en un KlineObject.
+ * @param {Array<string | number>} kline
+ * @returns {KlineObject}
+ */
+function parseKline(kline) {
+  return {
+    openTime: parseInt(kline[0], 10),
+    open: parseFloat(kline[1]),
+    high: parseFloat(kline[2]),
+    low: parseFloat(kline[3]),
+    close: parseFloat(kline[4]),
+    volume: parseFloat(kline[5]),
+    closeTime: parseInt(kline[6], 10),
+    quoteAssetVolume: parseFloat(kline[7]),
+    numberOfTrades: parseInt(kline[8], 10),
+    takerBuyBaseAssetVolume: parseFloat(kline[9]),
+    takerBuyQuoteAssetVolume: parseFloat(kline[10]),
+  };
+}
 
 /**
  * Obtiene datos históricos de velas (klines) para un símbolo específico.
+ * Si `limit` supera las 1000 velas por solicitud de Binance, se pagina automáticamente:
+ * hacia adelante cuando se indica `startTime` y hacia atrás (desde `endTime` o el presente) en otro caso.
  * @async
  * @param {string} symbol - El símbolo del par de trading (ej. 'BTCUSDT').
  * @param {string} interval - El intervalo de tiempo de la vela (ej. '1m', '5m', '1h', '1d').
  * @param {number} [limit=100] - El número de velas a obtener (por defecto 100).
- * @returns {Promise<KlineObject[]>} Una promesa que resuelve a un array de objetos Kline formateados.
- * @throws {Error} Si la solicitud a la API falla o si ocurre un error durante el procesamiento.
+ * @param {KlineRange} [range] - Rango temporal opcional.
+ * @returns {Promise<KlineObject[]>} Una promesa que resuelve a un array de objetos Kline formateados, en orden cronológico.
+ * @throws {import('./binanceTransport.js').BinanceAPIError} Si la solicitud a la API falla (ver subclases tipadas).
  */
-export async function fetchKlines(symbol, interval, limit = 100) {
-  const url = `${BASE_URL}/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`;
-
+export async function fetchKlines(symbol, interval, limit = 100, { startTime, endTime } = {}) {
   try {
-    const response = await fetch(url);
-    if (!response.ok) {
-      let errorDetails = `Status: ${response.status}, StatusText: ${response.statusText}`;
-      try {
-        const errorData = await response.json();
-        errorDetails += `, BinanceErrorCode: ${errorData.code}, Message: ${errorData.msg}`;
-      } catch (e) { /* No se pudo parsear el JSON del error */ }
-      console.error(`Error en API Binance [fetchKlines - ${symbol}]: ${errorDetails}`);
-      throw new Error(`Error al obtener datos de velas de Binance para ${symbol}: ${errorDetails}`);
+    /** @type {KlineObject[]} */
+    let klines = [];
+    let pageStart = startTime;
+    let pageEnd = endTime;
+
+    while (klines.length < limit) {
+      const pageLimit = Math.min(KLINES_PAGE_LIMIT, limit - klines.length);
+      const data = await transport.request(
+        '/klines',
+        { symbol, interval, limit: pageLimit, startTime: pageStart, endTime: pageEnd },
+        { weight: 2, symbol },
+      );
+      const page = data.map(parseKline);
+
+      if (startTime !== undefined) {
+        klines = klines.concat(page);
+        if (page.length > 0) pageStart = page[page.length - 1].openTime + 1;
+      } else {
+        klines = page.concat(klines);
+        if (page.length > 0) pageEnd = page[0].openTime - 1;
+      }
+      // Una página incompleta indica que no hay más velas en esa dirección.
+      if (page.length < pageLimit) break;
     }
-    const data = await response.json();
-
-    return data.map(kline => ({
-      openTime: parseInt(kline[0], 10),
-      open: parseFloat(kline[1]),
-      high: parseFloat(kline[2]),
-      low: parseFloat(kline[3]),
-      close: parseFloat(kline[4]),
-      volume: parseFloat(kline[5]),
-      closeTime: parseInt(kline[6], 10),
-      quoteAssetVolume: parseFloat(kline[7]),
-      numberOfTrades: parseInt(kline[8], 10),
-      takerBuyBaseAssetVolume: parseFloat(kline[9]),
-      takerBuyQuoteAssetVolume: parseFloat(kline[10]),
-    }));
+
+    return klines;
   } catch (error) {
     console.error(`Excepción al llamar a fetchKlines para ${symbol}:`, error.message);
     throw error;
@@ -117,26 +244,11 @@ export async function fetchKlines(symbol, interval, limit = 100) {
  * @param {string} [symbol] - El símbolo del par de trading (ej. 'BTCUSDT'). Si se omite, devuelve precios para todos los símbolos.
  * @returns {Promise<TickerPriceData | TickerPriceData[]>} Una promesa que resuelve a un objeto TickerPriceData
  *                                                       (si `symbol` es provisto) o un array de TickerPriceData (si `symbol` es omitido).
- * @throws {Error} Si la solicitud a la API falla o si ocurre un error durante el procesamiento.
+ * @throws {import('./binanceTransport.js').BinanceAPIError} Si la solicitud a la API falla (ver subclases tipadas).
  */
 export async function getTickerPrice(symbol) {
-  let url = `${BASE_URL}/ticker/price`;
-  if (symbol) {
-    url += `?symbol=${symbol}`;
-  }
-
   try {
-    const response = await fetch(url);
-    if (!response.ok) {
-      let errorDetails = `Status: ${response.status}, StatusText: ${response.statusText}`;
-      try {
-        const errorData = await response.json();
-        errorDetails += `, BinanceErrorCode: ${errorData.code}, Message: ${errorData.msg}`;
-      } catch (e) { /* No se pudo parsear el JSON del error */ }
-      console.error(`Error en API Binance [getTickerPrice - ${symbol || 'todos los símbolos'}]: ${errorDetails}`);
-      throw new Error(`Error al obtener el precio de Binance para ${symbol || 'todos los símbolos'}: ${errorDetails}`);
-    }
-    const data = await response.json();
+    const data = await transport.request('/ticker/price', { symbol }, { weight: symbol ? 2 : 4, symbol });
     
     if (Array.isArray(data)) {
       // Si es un array (todos los tickers), convertir cada precio
@@ -158,65 +270,579 @@ export async function getTickerPrice(symbol) {
 }
 
 /**
- * Obtiene estadísticas de ticker de las últimas 24 horas para un símbolo específico.
+ * Convierte un ticker de 24 h de la API (campos numéricos como texto) en `Ticker24hrData`.
+ * @param {object} data
+ * @returns {Ticker24hrData}
+ */
+function toTicker24hrData(data) {
+  return {
+    symbol: data.symbol,
+    priceChange: parseFloat(data.priceChange),
+    priceChangePercent: parseFloat(data.priceChangePercent),
+    weightedAvgPrice: parseFloat(data.weightedAvgPrice),
+    prevClosePrice: parseFloat(data.prevClosePrice),
+    lastPrice: parseFloat(data.lastPrice),
+    lastQty: parseFloat(data.lastQty),
+    bidPrice: parseFloat(data.bidPrice),
+    bidQty: parseFloat(data.bidQty),
+    askPrice: parseFloat(data.askPrice),
+    askQty: parseFloat(data.askQty),
+    openPrice: parseFloat(data.openPrice),
+    highPrice: parseFloat(data.highPrice),
+    lowPrice: parseFloat(data.lowPrice),
+    volume: parseFloat(data.volume),
+    quoteVolume: parseFloat(data.quoteVolume),
+    openTime: parseInt(data.openTime, 10),
+    closeTime: parseInt(data.closeTime, 10),
+    firstId: parseInt(data.firstId, 10), // Asumiendo que firstId, lastId, count son números
+    lastId: parseInt(data.lastId, 10),
+    count: parseInt(data.count, 10),
+  };
+}
+
+/**
+ * Obtiene estadísticas de ticker de las últimas 24 horas para un símbolo específico o para todos los símbolos.
+ * Sin símbolo la solicitud pesa 80 (frente a 2): en el cliente conviene pedirla a través de la caché del servidor.
  * @async
- * @param {string} symbol - El símbolo del par de trading (ej. 'BTCUSDT').
- * @returns {Promise<Ticker24hrData>} Una promesa que resuelve a un objeto Ticker24hrData.
- * @throws {Error} Si la solicitud a la API falla o si ocurre un error durante el procesamiento.
+ * @param {string} [symbol] - El símbolo del par de trading (ej. 'BTCUSDT'). Si se omite, devuelve todos los símbolos.
+ * @returns {Promise<Ticker24hrData | Ticker24hrData[]>} Una promesa que resuelve a un objeto Ticker24hrData
+ *                                                       (si `symbol` es provisto) o a un array (si se omite).
+ * @throws {import('./binanceTransport.js').BinanceAPIError} Si la solicitud a la API falla (ver subclases tipadas).
  */
 export async function getTicker24hr(symbol) {
-  if (!symbol) {
-    console.error("Error en getTicker24hr: El parámetro 'symbol' es requerido.");
-    throw new Error("El parámetro 'symbol' es requerido para getTicker24hr.");
+  try {
+    const data = await transport.request('/ticker/24hr', { symbol }, { weight: symbol ? 2 : 80, symbol });
+    // Parsear todos los campos numéricos y timestamps a number
+    return Array.isArray(data) ? data.map(toTicker24hrData) : toTicker24hrData(data);
+  } catch (error) {
+    console.error(`Excepción al llamar a getTicker24hr para ${symbol || 'todos los símbolos'}:`, error.message);
+    throw error;
   }
-  const url = `${BASE_URL}/ticker/24hr?symbol=${symbol}`;
+}
+
+/**
+ * Valor numérico de un filtro de `/exchangeInfo` (ej. `tickSize` de `PRICE_FILTER`).
+ * @param {object} info - Símbolo crudo de la respuesta.
+ * @param {string} filterType
+ * @param {string} field
+ * @returns {number | null} null si el filtro no existe o su valor no es positivo.
+ */
+function filterValue(info, filterType, field) {
+  const value = parseFloat(info.filters?.find(filter => filter.filterType === filterType)?.[field]);
+  return value > 0 ? value : null;
+}
+
+// La lista de símbolos apenas cambia: se cachea una hora para no repetir una solicitud de peso 20.
+const EXCHANGE_INFO_CACHE_TTL_MS = 60 * 60 * 1000;
 
+/**
+ * Obtiene la lista de pares negociables del exchange (`/exchangeInfo`).
+ * Solo se incluyen los símbolos con estado `TRADING`.
+ * @async
+ * @param {string} [symbol] - Si se indica, solo se consulta ese par (respuesta mucho más pequeña).
+ * @returns {Promise<SymbolInfo[]>}
+ * @throws {import('./binanceTransport.js').BinanceAPIError} Si la solicitud a la API falla (ver subclases tipadas).
+ */
+export async function getExchangeInfo(symbol) {
   try {
-    const response = await fetch(url);
-    if (!response.ok) {
-      let errorDetails = `Status: ${response.status}, StatusText: ${response.statusText}`;
-      try {
-        const errorData = await response.json();
-        errorDetails += `, BinanceErrorCode: ${errorData.code}, Message: ${errorData.msg}`;
-      } catch (e) { 
-        const textError = await response.text();
-        errorDetails += `, Body: ${textError}`;
-      }
-      console.error(`Error en API Binance [getTicker24hr - ${symbol}]: ${errorDetails}`);
-      throw new Error(`Error al obtener datos del ticker de 24hr de Binance para ${symbol}: ${errorDetails}`);
-    }
-    const data = await response.json();
+    const data = await transport.request('/exchangeInfo', { symbol }, { weight: 20, cacheTtlMs: EXCHANGE_INFO_CACHE_TTL_MS, symbol });
+    return data.symbols
+      .filter(info => info.status === 'TRADING')
+      .map(info => ({
+        symbol: info.symbol,
+        status: info.status,
+        baseAsset: info.baseAsset,
+        quoteAsset: info.quoteAsset,
+        tickSize: filterValue(info, 'PRICE_FILTER', 'tickSize'),
+        stepSize: filterValue(info, 'LOT_SIZE', 'stepSize'),
+      }));
+  } catch (error) {
+    console.error(`Excepción al llamar a getExchangeInfo para ${symbol || 'todos los símbolos'}:`, error.message);
+    throw error;
+  }
+}
 
-    // Parsear todos los campos numéricos y timestamps a number
+/**
+ * Peso de `/depth` según la cantidad de niveles solicitados.
+ * @param {number} limit
+ * @returns {number}
+ */
+function depthWeight(limit) {
+  if (limit <= 100) return 5;
+  if (limit <= 500) return 25;
+  if (limit <= 1000) return 50;
+  return 250;
+}
+
+/**
+ * Convierte los niveles crudos `[precio, cantidad]` de la API en OrderBookLevel.
+ * @param {Array<[string, string]>} levels
+ * @returns {OrderBookLevel[]}
+ */
+function parseOrderBookLevels(levels) {
+  return levels.map(([price, quantity]) => ({ price: parseFloat(price), quantity: parseFloat(quantity) }));
+}
+
+/**
+ * Obtiene una instantánea del libro de órdenes de un símbolo.
+ * @async
+ * @param {string} symbol - El símbolo del par de trading (ej. 'BTCUSDT').
+ * @param {number} [limit=100] - Niveles por lado (máx. 5000; a partir de 100 el peso aumenta).
+ * @returns {Promise<OrderBookData>}
+ * @throws {import('./binanceTransport.js').BinanceAPIError} Si la solicitud a la API falla (ver subclases tipadas).
+ */
+export async function getOrderBook(symbol, limit = 100) {
+  try {
+    const data = await transport.request('/depth', { symbol, limit }, { weight: depthWeight(limit), symbol });
     return {
-      symbol: data.symbol,
-      priceChange: parseFloat(data.priceChange),
-      priceChangePercent: parseFloat(data.priceChangePercent),
-      weightedAvgPrice: parseFloat(data.weightedAvgPrice),
-      prevClosePrice: parseFloat(data.prevClosePrice),
-      lastPrice: parseFloat(data.lastPrice),
-      lastQty: parseFloat(data.lastQty),
-      bidPrice: parseFloat(data.bidPrice),
-      bidQty: parseFloat(data.bidQty),
-      askPrice: parseFloat(data.askPrice),
-      askQty: parseFloat(data.askQty),
-      openPrice: parseFloat(data.openPrice),
-      highPrice: parseFloat(data.highPrice),
-      lowPrice: parseFloat(data.lowPrice),
-      volume: parseFloat(data.volume),
-      quoteVolume: parseFloat(data.quoteVolume),
-      openTime: parseInt(data.openTime, 10),
-      closeTime: parseInt(data.closeTime, 10),
-      firstId: parseInt(data.firstId, 10), // Asumiendo que firstId, lastId, count son números
-      lastId: parseInt(data.lastId, 10),
-      count: parseInt(data.count, 10),
+      lastUpdateId: parseInt(data.lastUpdateId, 10),
+      bids: parseOrderBookLevels(data.bids),
+      asks: parseOrderBookLevels(data.asks),
     };
   } catch (error) {
-    console.error(`Excepción al llamar a getTicker24hr para ${symbol}:`, error.message);
+    console.error(`Excepción al llamar a getOrderBook para ${symbol}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Obtiene los trades más recientes de un símbolo (`/trades`).
+ * @async
+ * @param {string} symbol - El símbolo del par de trading (ej. 'BTCUSDT').
+ * @param {number} [limit=500] - Número de trades (máx. 1000).
+ * @returns {Promise<TradeData[]>} Trades en orden cronológico.
+ * @throws {import('./binanceTransport.js').BinanceAPIError} Si la solicitud a la API falla (ver subclases tipadas).
+ */
+export async function getRecentTrades(symbol, limit = 500) {
+  try {
+    const data = await transport.request('/trades', { symbol, limit }, { weight: 25, symbol });
+    return data.map(trade => ({
+      id: parseInt(trade.id, 10),
+      price: parseFloat(trade.price),
+      qty: parseFloat(trade.qty),
+      quoteQty: parseFloat(trade.quoteQty),
+      time: parseInt(trade.time, 10),
+      isBuyerMaker: Boolean(trade.isBuyerMaker),
+      isBestMatch: Boolean(trade.isBestMatch),
+    }));
+  } catch (error) {
+    console.error(`Excepción al llamar a getRecentTrades para ${symbol}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Rango opcional para `getAggTrades`.
+ * @typedef {object} AggTradeRange
+ * @property {number} [fromId] - ID del primer trade agregado a devolver.
+ * @property {number} [startTime] - Timestamp Unix ms (inclusive).
+ * @property {number} [endTime] - Timestamp Unix ms (inclusive).
+ */
+
+/**
+ * Obtiene trades agregados de un símbolo (`/aggTrades`).
+ * @async
+ * @param {string} symbol - El símbolo del par de trading (ej. 'BTCUSDT').
+ * @param {number} [limit=500] - Número de trades agregados (máx. 1000).
+ * @param {AggTradeRange} [range] - Rango opcional; sin él se devuelven los más recientes.
+ * @returns {Promise<AggTradeData[]>} Trades agregados en orden cronológico.
+ * @throws {import('./binanceTransport.js').BinanceAPIError} Si la solicitud a la API falla (ver subclases tipadas).
+ */
+export async function getAggTrades(symbol, limit = 500, { fromId, startTime, endTime } = {}) {
+  try {
+    const data = await transport.request('/aggTrades', { symbol, limit, fromId, startTime, endTime }, { weight: 4, symbol });
+    return data.map(parseAggTrade);
+  } catch (error) {
+    console.error(`Excepción al llamar a getAggTrades para ${symbol}:`, error.message);
     throw error;
   }
 }
 
+/**
+ * Convierte un trade agregado crudo (REST o stream, mismas claves abreviadas) en AggTradeData.
+ * @param {Record<string, any>} trade
+ * @returns {AggTradeData}
+ */
+function parseAggTrade(trade) {
+  return {
+    id: parseInt(trade.a, 10),
+    price: parseFloat(trade.p),
+    qty: parseFloat(trade.q),
+    firstTradeId: parseInt(trade.f, 10),
+    lastTradeId: parseInt(trade.l, 10),
+    time: parseInt(trade.T, 10),
+    isBuyerMaker: Boolean(trade.m),
+  };
+}
+
+// --- Streaming en Tiempo Real (WebSocket) ---
+
+/**
+ * Evento de vela recibido por el stream `<symbol>@kline_<interval>`.
+ * Extiende KlineObject con el símbolo, el intervalo y si la vela ya cerró.
+ * @typedef {KlineObject & { symbol: string, interval: string, isClosed: boolean }} KlineStreamEvent
+ */
+
+/**
+ * Datos del stream `<symbol>@miniTicker` (ventana móvil de 24h reducida).
+ * @typedef {object} MiniTickerData
+ * @property {string} symbol
+ * @property {number} eventTime - Timestamp Unix ms del evento.
+ * @property {number} lastPrice
+ * @property {number} openPrice
+ * @property {number} highPrice
+ * @property {number} lowPrice
+ * @property {number} volume
+ * @property {number} quoteVolume
+ */
+
+/**
+ * Opciones comunes de suscripción a un stream.
+ * @typedef {object} StreamSubscriptionOptions
+ * @property {() => void} [onResync] - Se invoca tras una reconexión, cuando pudo haber eventos perdidos
+ *                                    y el consumidor debe resincronizar su estado vía REST.
+ */
+
+const DEFAULT_STREAM_URL = 'wss://stream.binance.com:9443';
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+// Sin mensajes durante este tiempo con suscripciones activas se asume una conexión "zombi".
+const STREAM_STALE_TIMEOUT_MS = 30000;
+
+// Permite apuntar a un servidor WebSocket local (ej. PUBLIC_BINANCE_STREAM_URL=ws://localhost:8080).
+let streamBaseUrl = import.meta.env?.PUBLIC_BINANCE_STREAM_URL || DEFAULT_STREAM_URL;
+
+/**
+ * Cliente multiplexado para los combined streams de Binance.
+ * Mantiene una única conexión WebSocket, suscribe/desuscribe streams bajo demanda
+ * y se reconecta con backoff exponencial, notificando a los consumidores para que resincronicen.
+ */
+class BinanceStreamClient {
+  /**
+   * @param {string} baseUrl - URL base del servidor de streams (sin `/stream`).
+   */
+  constructor(baseUrl) {
+    this.baseUrl = baseUrl;
+    /** @type {WebSocket | null} */
+    this.socket = null;
+    /** @type {Map<string, Set<{ onMessage: (data: any) => void, onResync?: () => void }>>} */
+    this.handlers = new Map();
+    this.requestId = 0;
+    this.reconnectAttempts = 0;
+    this.hasConnectedBefore = false;
+    this.reconnectTimer = null;
+    this.staleTimer = null;
+  }
+
+  /**
+   * Suscribe un manejador a un stream. La conexión se abre al llegar la primera suscripción.
+   * @param {string} streamName - Nombre del stream (ej. 'btcusdt@ticker').
+   * @param {(data: any) => void} onMessage - Recibe el payload `data` crudo del stream.
+   * @param {StreamSubscriptionOptions} [options]
+   * @returns {() => void} Función para cancelar la suscripción.
+   */
+  subscribe(streamName, onMessage, options = {}) {
+    const handler = { onMessage, onResync: options.onResync };
+    let streamHandlers = this.handlers.get(streamName);
+    if (!streamHandlers) {
+      streamHandlers = new Set();
+      this.handlers.set(streamName, streamHandlers);
+      this.send('SUBSCRIBE', [streamName]);
+    }
+    streamHandlers.add(handler);
+    this.ensureConnected();
+
+    return () => {
+      const current = this.handlers.get(streamName);
+      if (!current) return;
+      current.delete(handler);
+      if (current.size === 0) {
+        this.handlers.delete(streamName);
+        this.send('UNSUBSCRIBE', [streamName]);
+      }
+      if (this.handlers.size === 0) {
+        this.close();
+      }
+    };
+  }
+
+  /**
+   * Cambia la URL base y reabre la conexión si había suscripciones activas.
+   * @param {string} baseUrl
+   */
+  setBaseUrl(baseUrl) {
+    this.baseUrl = baseUrl;
+    if (this.socket) {
+      this.close();
+      this.ensureConnected();
+    }
+  }
+
+  ensureConnected() {
+    if (this.socket || this.reconnectTimer || this.handlers.size === 0) return;
+    if (typeof WebSocket === 'undefined') {
+      console.warn('WebSocket no está disponible en este entorno; se omite el streaming.');
+      return;
+    }
+
+    const socket = new WebSocket(`${this.baseUrl}/stream`);
+    this.socket = socket;
+
+    socket.addEventListener('open', () => {
+      const isReconnect = this.hasConnectedBefore;
+      this.hasConnectedBefore = true;
+      this.reconnectAttempts = 0;
+      this.send('SUBSCRIBE', [...this.handlers.keys()]);
+      this.resetStaleTimer();
+      if (isReconnect) {
+        this.notifyResync();
+      }
+    });
+
+    socket.addEventListener('message', (event) => {
+      this.resetStaleTimer();
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (e) {
+        console.warn('Mensaje de stream no válido recibido:', event.data);
+        return;
+      }
+      // Las respuestas a SUBSCRIBE/UNSUBSCRIBE llegan como { result, id } y se ignoran.
+      if (!message || !message.stream) return;
+      const streamHandlers = this.handlers.get(message.stream);
+      if (!streamHandlers) return;
+      for (const handler of streamHandlers) {
+        try {
+          handler.onMessage(message.data);
+        } catch (error) {
+          console.error(`Error en manejador del stream ${message.stream}:`, error.message);
+        }
+      }
+    });
+
+    socket.addEventListener('close', () => {
+      if (this.socket !== socket) return; // Cierre intencional o socket reemplazado
+      this.socket = null;
+      this.clearStaleTimer();
+      this.scheduleReconnect();
+    });
+
+    socket.addEventListener('error', () => {
+      console.warn(`Error en la conexión WebSocket con ${this.baseUrl}.`);
+    });
+  }
+
+  scheduleReconnect() {
+    if (this.handlers.size === 0) return;
+    const exponentialDelay = RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempts;
+    const delay = Math.min(RECONNECT_MAX_DELAY_MS, exponentialDelay) * (0.5 + Math.random() * 0.5);
+    this.reconnectAttempts++;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.ensureConnected();
+    }, delay);
+  }
+
+  resetStaleTimer() {
+    this.clearStaleTimer();
+    this.staleTimer = setTimeout(() => {
+      console.warn('Stream sin actividad; forzando reconexión.');
+      const staleSocket = this.socket;
+      this.socket = null;
+      if (staleSocket) staleSocket.close();
+      this.scheduleReconnect();
+    }, STREAM_STALE_TIMEOUT_MS);
+  }
+
+  clearStaleTimer() {
+    if (this.staleTimer) {
+      clearTimeout(this.staleTimer);
+      this.staleTimer = null;
+    }
+  }
+
+  notifyResync() {
+    for (const streamHandlers of this.handlers.values()) {
+      for (const handler of streamHandlers) {
+        if (!handler.onResync) continue;
+        try {
+          handler.onResync();
+        } catch (error) {
+          console.error('Error durante la resincronización del stream:', error.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Envía un comando al servidor si la conexión está abierta. Si no lo está,
+   * las suscripciones pendientes se envían al abrirse la conexión.
+   * @param {'SUBSCRIBE' | 'UNSUBSCRIBE'} method
+   * @param {string[]} params
+   */
+  send(method, params) {
+    if (!this.socket || this.socket.readyState !== WebSocket.OPEN || params.length === 0) return;
+    this.socket.send(JSON.stringify({ method, params, id: ++this.requestId }));
+  }
+
+  close() {
+    this.clearStaleTimer();
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    const socket = this.socket;
+    this.socket = null;
+    this.hasConnectedBefore = false;
+    this.reconnectAttempts = 0;
+    if (socket) socket.close();
+  }
+}
+
+/** @type {BinanceStreamClient | null} */
+let sharedStreamClient = null;
+
+/**
+ * Devuelve el cliente de streaming compartido por toda la página (se crea bajo demanda).
+ * @returns {BinanceStreamClient}
+ */
+export function getStreamClient() {
+  if (!sharedStreamClient) {
+    sharedStreamClient = new BinanceStreamClient(streamBaseUrl);
+  }
+  return sharedStreamClient;
+}
+
+/**
+ * Configura la URL base del servidor de streams (ej. un servidor WebSocket local para pruebas).
+ * @param {string} url - URL sin el sufijo `/stream` (ej. 'ws://localhost:8080').
+ */
+export function setStreamBaseUrl(url) {
+  streamBaseUrl = url;
+  if (sharedStreamClient) {
+    sharedStreamClient.setBaseUrl(url);
+  }
+}
+
+/**
+ * Se suscribe al stream `@ticker` (estadísticas de 24h) de un símbolo.
+ * @param {string} symbol - El símbolo del par de trading (ej. 'BTCUSDT').
+ * @param {(data: Ticker24hrData) => void} onData - Se invoca con cada actualización (aprox. cada segundo).
+ * @param {StreamSubscriptionOptions} [options]
+ * @returns {() => void} Función para cancelar la suscripción.
+ */
+export function subscribeTicker(symbol, onData, options) {
+  return getStreamClient().subscribe(`${symbol.toLowerCase()}@ticker`, (data) => {
+    onData({
+      symbol: data.s,
+      priceChange: parseFloat(data.p),
+      priceChangePercent: parseFloat(data.P),
+      weightedAvgPrice: parseFloat(data.w),
+      prevClosePrice: parseFloat(data.x),
+      lastPrice: parseFloat(data.c),
+      lastQty: parseFloat(data.Q),
+      bidPrice: parseFloat(data.b),
+      bidQty: parseFloat(data.B),
+      askPrice: parseFloat(data.a),
+      askQty: parseFloat(data.A),
+      openPrice: parseFloat(data.o),
+      highPrice: parseFloat(data.h),
+      lowPrice: parseFloat(data.l),
+      volume: parseFloat(data.v),
+      quoteVolume: parseFloat(data.q),
+      openTime: parseInt(data.O, 10),
+      closeTime: parseInt(data.C, 10),
+      firstId: parseInt(data.F, 10),
+      lastId: parseInt(data.L, 10),
+      count: parseInt(data.n, 10),
+    });
+  }, options);
+}
+
+/**
+ * Se suscribe al stream `@kline_<interval>` de un símbolo.
+ * Las actualizaciones de la vela en curso llegan con `isClosed: false` y el mismo `openTime`.
+ * @param {string} symbol - El símbolo del par de trading (ej. 'BTCUSDT').
+ * @param {string} interval - El intervalo de la vela (ej. '1m', '4h', '1d').
+ * @param {(data: KlineStreamEvent) => void} onData
+ * @param {StreamSubscriptionOptions} [options]
+ * @returns {() => void} Función para cancelar la suscripción.
+ */
+export function subscribeKlines(symbol, interval, onData, options) {
+  return getStreamClient().subscribe(`${symbol.toLowerCase()}@kline_${interval}`, (data) => {
+    const k = data.k;
+    onData({
+      symbol: k.s,
+      interval: k.i,
+      isClosed: Boolean(k.x),
+      openTime: parseInt(k.t, 10),
+      open: parseFloat(k.o),
+      high: parseFloat(k.h),
+      low: parseFloat(k.l),
+      close: parseFloat(k.c),
+      volume: parseFloat(k.v),
+      closeTime: parseInt(k.T, 10),
+      quoteAssetVolume: parseFloat(k.q),
+      numberOfTrades: parseInt(k.n, 10),
+      takerBuyBaseAssetVolume: parseFloat(k.V),
+      takerBuyQuoteAssetVolume: parseFloat(k.Q),
+    });
+  }, options);
+}
+
+/**
+ * Se suscribe al stream `@miniTicker` de un símbolo.
+ * @param {string} symbol - El símbolo del par de trading (ej. 'BTCUSDT').
+ * @param {(data: MiniTickerData) => void} onData
+ * @param {StreamSubscriptionOptions} [options]
+ * @returns {() => void} Función para cancelar la suscripción.
+ */
+export function subscribeMiniTicker(symbol, onData, options) {
+  return getStreamClient().subscribe(`${symbol.toLowerCase()}@miniTicker`, (data) => {
+    onData({
+      symbol: data.s,
+      eventTime: parseInt(data.E, 10),
+      lastPrice: parseFloat(data.c),
+      openPrice: parseFloat(data.o),
+      highPrice: parseFloat(data.h),
+      lowPrice: parseFloat(data.l),
+      volume: parseFloat(data.v),
+      quoteVolume: parseFloat(data.q),
+    });
+  }, options);
+}
+
+/**
+ * Se suscribe al stream `@depth<levels>@100ms` (los mejores niveles del libro, cada 100 ms).
+ * Cada evento es una instantánea completa de esos niveles, por lo que no hace falta reconstruir el libro.
+ * @param {string} symbol - El símbolo del par de trading (ej. 'BTCUSDT').
+ * @param {5 | 10 | 20} levels - Niveles por lado.
+ * @param {(data: OrderBookData) => void} onData
+ * @param {StreamSubscriptionOptions} [options]
+ * @returns {() => void} Función para cancelar la suscripción.
+ */
+export function subscribePartialDepth(symbol, levels, onData, options) {
+  return getStreamClient().subscribe(`${symbol.toLowerCase()}@depth${levels}@100ms`, (data) => {
+    onData({
+      lastUpdateId: parseInt(data.lastUpdateId, 10),
+      bids: parseOrderBookLevels(data.bids),
+      asks: parseOrderBookLevels(data.asks),
+    });
+  }, options);
+}
+
+/**
+ * Se suscribe al stream `@aggTrade` de un símbolo.
+ * @param {string} symbol - El símbolo del par de trading (ej. 'BTCUSDT').
+ * @param {(data: AggTradeData) => void} onData
+ * @param {StreamSubscriptionOptions} [options]
+ * @returns {() => void} Función para cancelar la suscripción.
+ */
+export function subscribeAggTrades(symbol, onData, options) {
+  return getStreamClient().subscribe(`${symbol.toLowerCase()}@aggTrade`, (data) => onData(parseAggTrade(data)), options);
+}
+
 /*
 // --- Ejemplos de Uso (para probar en un entorno que soporte fetch) ---
 
@@ -268,4 +894,3 @@ async function testApiFunctions() {
 // Descomentar para probar en un entorno adecuado (ej. navegador, Node.js con `node-fetch`)
 // testApiFunctions();
 */
-```
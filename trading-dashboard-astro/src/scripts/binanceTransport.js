@@ -0,0 +1,323 @@
+// src/scripts/binanceTransport.js
+
+/**
+ * @file Capa de transporte HTTP compartida por las funciones de `binanceAPI.js`.
+ * Se encarga del presupuesto de peso (rate limit) de Binance, reintentos con backoff exponencial,
+ * de-duplicación de solicitudes en vuelo, una caché de respuestas de TTL corto
+ * y de traducir los fallos a clases de error tipadas.
+ */
+
+// --- Clases de Error ---
+
+/**
+ * Error base para cualquier fallo al consultar la API de Binance.
+ */
+export class BinanceAPIError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {number | null} [details.status] - Código HTTP (null si no hubo respuesta).
+   * @param {number | null} [details.code] - Código de error de Binance (ej. -1121).
+   * @param {string} [details.endpoint] - Ruta solicitada (ej. '/klines').
+   */
+  constructor(message, { status = null, code = null, endpoint = '' } = {}) {
+    super(message);
+    this.name = 'BinanceAPIError';
+    this.status = status;
+    this.code = code;
+    this.endpoint = endpoint;
+  }
+}
+
+/**
+ * Se superó el límite de peso de Binance (HTTP 429) o la IP fue bloqueada temporalmente (HTTP 418).
+ */
+export class RateLimitError extends BinanceAPIError {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {number} [details.retryAfterMs] - Tiempo de espera indicado por Binance antes de reintentar.
+   * @param {boolean} [details.isBanned] - true si Binance respondió 418 (bloqueo de IP).
+   */
+  constructor(message, { retryAfterMs = 0, isBanned = false, ...details } = {}) {
+    super(message, details);
+    this.name = 'RateLimitError';
+    this.retryAfterMs = retryAfterMs;
+    this.isBanned = isBanned;
+  }
+}
+
+/**
+ * El símbolo solicitado no existe en Binance (código -1121).
+ */
+export class InvalidSymbolError extends BinanceAPIError {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {string} [details.symbol]
+   */
+  constructor(message, { symbol = '', ...details } = {}) {
+    super(message, details);
+    this.name = 'InvalidSymbolError';
+    this.symbol = symbol;
+  }
+}
+
+/**
+ * No se pudo completar la solicitud por un problema de red (sin respuesta o respuesta 5xx).
+ */
+export class NetworkError extends BinanceAPIError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetworkError';
+  }
+}
+
+// --- Implementación del Transporte ---
+
+const BINANCE_INVALID_SYMBOL_CODE = -1121;
+// Binance reinicia el contador X-MBX-USED-WEIGHT-1M al comenzar cada minuto.
+const WEIGHT_WINDOW_MS = 60 * 1000;
+
+/**
+ * Opciones de creación del transporte.
+ * @typedef {object} TransportOptions
+ * @property {string} baseUrl - URL base de la API REST (ej. 'https://api.binance.com/api/v3').
+ * @property {typeof fetch} [fetchImpl] - Implementación de fetch (por defecto la global).
+ * @property {number} [weightLimit=6000] - Peso máximo por minuto permitido por Binance.
+ * @property {number} [weightSafetyRatio=0.9] - Fracción del límite a partir de la cual se espera al siguiente minuto.
+ * @property {number} [maxRetries=3] - Reintentos ante fallos transitorios (red, 5xx o cuerpo que no es JSON).
+ * @property {number} [retryBaseDelayMs=500] - Retardo base del backoff exponencial.
+ * @property {number} [defaultCacheTtlMs=2000] - TTL de la caché de respuestas.
+ * @property {number} [maxCacheEntries=500] - Respuestas guardadas como máximo; al superarse se descartan las
+ *           guardadas hace más tiempo.
+ */
+
+/**
+ * Opciones por solicitud.
+ * @typedef {object} RequestOptions
+ * @property {number} [weight=1] - Peso de la solicitud según la documentación de Binance.
+ * @property {number} [cacheTtlMs] - TTL específico para esta respuesta (0 desactiva la caché).
+ * @property {string} [symbol] - Símbolo consultado, usado para construir `InvalidSymbolError`.
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Convierte la cabecera `Retry-After` (segundos) a milisegundos.
+ * @param {string | null} headerValue
+ * @returns {number}
+ */
+function parseRetryAfter(headerValue) {
+  const seconds = parseInt(headerValue, 10);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : WEIGHT_WINDOW_MS;
+}
+
+/**
+ * Crea un transporte independiente. `binanceAPI.js` usa una instancia compartida;
+ * se pueden crear otras (ej. contra un servidor mock local) para pruebas.
+ * @param {TransportOptions} options
+ */
+export function createTransport({
+  baseUrl,
+  fetchImpl,
+  weightLimit = 6000,
+  weightSafetyRatio = 0.9,
+  maxRetries = 3,
+  retryBaseDelayMs = 500,
+  defaultCacheTtlMs = 2000,
+  maxCacheEntries = 500,
+}) {
+  let currentBaseUrl = baseUrl;
+  let usedWeight = 0;
+  let weightWindowStart = Math.floor(Date.now() / WEIGHT_WINDOW_MS) * WEIGHT_WINDOW_MS;
+  let blockedUntil = 0;
+  /** @type {Map<string, Promise<any>>} */
+  const inFlight = new Map();
+  /** @type {Map<string, { expiresAt: number, data: any }>} */
+  const cache = new Map();
+
+  /**
+   * Guarda una respuesta. En el servidor cada rango de velas distinto es una URL nueva: al guardar se descartan
+   * las caducadas y, si aun así se supera `maxCacheEntries`, las guardadas hace más tiempo.
+   * @param {string} url
+   * @param {any} data
+   * @param {number} ttlMs
+   */
+  function storeResponse(url, data, ttlMs) {
+    const now = Date.now();
+    for (const [key, entry] of cache) {
+      if (entry.expiresAt <= now) cache.delete(key);
+    }
+    cache.delete(url);
+    cache.set(url, { expiresAt: now + ttlMs, data });
+    // Los Map conservan el orden de inserción: la primera clave es la guardada hace más tiempo.
+    while (cache.size > maxCacheEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  function refreshWeightWindow() {
+    const windowStart = Math.floor(Date.now() / WEIGHT_WINDOW_MS) * WEIGHT_WINDOW_MS;
+    if (windowStart !== weightWindowStart) {
+      weightWindowStart = windowStart;
+      usedWeight = 0;
+    }
+  }
+
+  /**
+   * Espera al siguiente minuto si la solicitud excedería el presupuesto de peso.
+   * @param {number} weight
+   */
+  async function reserveWeight(weight) {
+    refreshWeightWindow();
+    if (usedWeight + weight > weightLimit * weightSafetyRatio) {
+      const waitMs = weightWindowStart + WEIGHT_WINDOW_MS - Date.now();
+      console.warn(`Presupuesto de peso de Binance casi agotado (${usedWeight}/${weightLimit}); esperando ${waitMs}ms.`);
+      await sleep(waitMs);
+      refreshWeightWindow();
+    }
+    usedWeight += weight;
+  }
+
+  /**
+   * @param {string} path
+   * @param {Record<string, string | number | undefined>} params
+   */
+  function buildUrl(path, params) {
+    const query = Object.entries(params)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+      .join('&');
+    return `${currentBaseUrl}${path}${query ? `?${query}` : ''}`;
+  }
+
+  /**
+   * Ejecuta una solicitud con reintentos y traduce la respuesta a datos o a un error tipado.
+   * @param {string} url
+   * @param {string} path
+   * @param {RequestOptions} options
+   */
+  async function executeWithRetries(url, path, { weight = 1, symbol } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      if (Date.now() < blockedUntil) {
+        throw new RateLimitError(`Límite de solicitudes de Binance alcanzado; reintentar en ${Math.ceil((blockedUntil - Date.now()) / 1000)}s.`, {
+          retryAfterMs: blockedUntil - Date.now(),
+          endpoint: path,
+        });
+      }
+      await reserveWeight(weight);
+
+      let response;
+      try {
+        response = await (fetchImpl || fetch)(url);
+      } catch (e) {
+        if (attempt < maxRetries) {
+          await sleep(retryBaseDelayMs * 2 ** attempt);
+          continue;
+        }
+        throw new NetworkError(`No se pudo conectar con Binance (${path}): ${e.message}`, { endpoint: path });
+      }
+
+      const usedWeightHeader = parseInt(response.headers.get('x-mbx-used-weight-1m'), 10);
+      if (Number.isFinite(usedWeightHeader)) {
+        refreshWeightWindow();
+        usedWeight = usedWeightHeader;
+      }
+
+      if (response.ok) {
+        try {
+          return await response.json();
+        } catch (e) {
+          // Cuerpo truncado o que no es JSON (ej. la página de error de un proxy): se trata como un fallo de red.
+          if (attempt < maxRetries) {
+            await sleep(retryBaseDelayMs * 2 ** attempt);
+            continue;
+          }
+          throw new NetworkError(`Respuesta no válida de Binance (${path}): ${e.message}`, { status: response.status, endpoint: path });
+        }
+      }
+
+      let errorData = null;
+      try {
+        errorData = await response.json();
+      } catch (e) { /* No se pudo parsear el JSON del error */ }
+      const errorDetails = `Status: ${response.status}, StatusText: ${response.statusText}`
+        + (errorData ? `, BinanceErrorCode: ${errorData.code}, Message: ${errorData.msg}` : '');
+      const details = { status: response.status, code: errorData?.code ?? null, endpoint: path };
+
+      if (response.status === 429 || response.status === 418) {
+        const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        blockedUntil = Date.now() + retryAfterMs;
+        throw new RateLimitError(`Límite de solicitudes de Binance excedido (${path}): ${errorDetails}`, {
+          ...details,
+          retryAfterMs,
+          isBanned: response.status === 418,
+        });
+      }
+      if (errorData?.code === BINANCE_INVALID_SYMBOL_CODE) {
+        throw new InvalidSymbolError(`Símbolo no válido en Binance: ${symbol || ''} (${errorDetails})`, { ...details, symbol });
+      }
+      if (response.status >= 500) {
+        if (attempt < maxRetries) {
+          await sleep(retryBaseDelayMs * 2 ** attempt);
+          continue;
+        }
+        throw new NetworkError(`Binance no está disponible (${path}): ${errorDetails}`, details);
+      }
+      throw new BinanceAPIError(`Error en la API de Binance (${path}): ${errorDetails}`, details);
+    }
+  }
+
+  return {
+    /**
+     * Realiza una solicitud GET a la API. Las solicitudes idénticas en vuelo se comparten
+     * y las respuestas se guardan en caché durante `cacheTtlMs`.
+     * @param {string} path - Ruta relativa a la URL base (ej. '/klines').
+     * @param {Record<string, string | number | undefined>} [params]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<any>} El JSON de la respuesta.
+     * @throws {BinanceAPIError} O una de sus subclases.
+     */
+    async request(path, params = {}, options = {}) {
+      const url = buildUrl(path, params);
+      const cacheTtlMs = options.cacheTtlMs ?? defaultCacheTtlMs;
+
+      const cached = cache.get(url);
+      if (cached && cached.expiresAt > Date.now()) {
+        return cached.data;
+      }
+      cache.delete(url);
+
+      const pending = inFlight.get(url);
+      if (pending) return pending;
+
+      const promise = executeWithRetries(url, path, options)
+        .then(data => {
+          if (cacheTtlMs > 0) storeResponse(url, data, cacheTtlMs);
+          return data;
+        })
+        .finally(() => inFlight.delete(url));
+      inFlight.set(url, promise);
+      return promise;
+    },
+
+    /**
+     * Cambia la URL base (ej. hacia un servidor mock local) y vacía la caché.
+     * @param {string} url
+     */
+    setBaseUrl(url) {
+      currentBaseUrl = url;
+      cache.clear();
+    },
+
+    /**
+     * Peso consumido en el minuto actual según la última cabecera `X-MBX-USED-WEIGHT-1M`.
+     * @returns {number}
+     */
+    getUsedWeight() {
+      refreshWeightWindow();
+      return usedWeight;
+    },
+  };
+}
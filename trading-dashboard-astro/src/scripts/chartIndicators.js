@@ -0,0 +1,281 @@
+// src/scripts/chartIndicators.js
+
+/**
+ * @file Superposiciones (SMA, EMA, Bollinger, VWAP) y paneles de osciladores (RSI, MACD) para `PriceChart.astro`.
+ * Los paneles se implementan como escalas Y apiladas bajo el precio dentro de la misma gráfica de Chart.js,
+ * de modo que comparten el eje X, el zoom/desplazamiento y el tooltip.
+ */
+
+import {
+  calculateSMA,
+  calculateEMA,
+  calculateBollingerBands,
+  calculateVWAP,
+  calculateRSI,
+  calculateMACD,
+} from './technicalIndicators.js';
+import { RSI_OVERBOUGHT, RSI_OVERSOLD } from './indicatorSignals.js';
+import { translate, DEFAULT_LOCALE } from './i18n.js';
+
+/**
+ * @typedef {import('./binanceAPI.js').KlineObject} KlineObject
+ */
+
+/**
+ * Indicadores activos en una gráfica.
+ * @typedef {object} ChartIndicatorConfig
+ * @property {number[]} sma - Períodos de las SMA superpuestas (vacío = ninguna).
+ * @property {number[]} ema - Períodos de las EMA superpuestas.
+ * @property {boolean} bollinger - Bandas de Bollinger (20, 2).
+ * @property {boolean} vwap
+ * @property {boolean} rsi - Panel RSI (14) con bandas 30/70.
+ * @property {boolean} macd - Panel MACD (12, 26, 9) con histograma.
+ */
+
+/**
+ * Datos calculados de un dataset de indicador.
+ * @typedef {object} IndicatorDatasetData
+ * @property {Array<number | null>} values
+ * @property {string[]} [colors] - Colores por barra (solo el histograma MACD).
+ */
+
+/** @type {ChartIndicatorConfig} */
+export const EMPTY_INDICATOR_CONFIG = { sma: [], ema: [], bollinger: false, vwap: false, rsi: false, macd: false };
+
+// Pesos de las escalas apiladas: en Chart.js, a mayor `weight` más arriba se coloca la escala izquierda.
+export const PRICE_SCALE_WEIGHT = 4;
+export const VOLUME_SCALE_WEIGHT = 3;
+const RSI_SCALE_WEIGHT = 2;
+const MACD_SCALE_WEIGHT = 1;
+
+export const SCALE_STACK = 'price-volume';
+
+const MAX_PERIODS_PER_OVERLAY = 3;
+const SMA_COLORS = ['rgba(234, 179, 8, 1)', 'rgba(249, 115, 22, 1)', 'rgba(168, 85, 247, 1)'];
+const EMA_COLORS = ['rgba(20, 184, 166, 1)', 'rgba(236, 72, 153, 1)', 'rgba(99, 102, 241, 1)'];
+const BOLLINGER_COLOR = 'rgba(107, 114, 128, 1)';
+const VWAP_COLOR = 'rgba(14, 165, 233, 1)';
+
+/**
+ * Convierte un texto como "20, 50" en una lista de períodos válidos, sin duplicados.
+ * @param {string} text
+ * @returns {number[]}
+ */
+export function parsePeriods(text) {
+  const periods = text
+    .split(',')
+    .map(part => parseInt(part.trim(), 10))
+    .filter(period => Number.isInteger(period) && period >= 2 && period <= 500);
+  return [...new Set(periods)].slice(0, MAX_PERIODS_PER_OVERLAY);
+}
+
+/**
+ * Anclaje del VWAP según el intervalo: diario en intradía, semanal en velas diarias y acumulado en semanales.
+ * @param {string} interval
+ * @returns {'day' | 'week' | null}
+ */
+export function vwapAnchorFor(interval) {
+  if (interval === '1w') return null;
+  if (interval === '1d') return 'week';
+  return 'day';
+}
+
+/**
+ * Indicadores activos en el formato de `/api/indicators` (ej. ['sma:20', 'rsi:14']), con los mismos
+ * parámetros que dibuja la gráfica, para descargar sus valores.
+ * @param {ChartIndicatorConfig} config
+ * @returns {string[]}
+ */
+export function toIndicatorSpecs(config) {
+  return [
+    ...config.sma.map(period => `sma:${period}`),
+    ...config.ema.map(period => `ema:${period}`),
+    ...(config.bollinger ? ['bollinger:20:2'] : []),
+    ...(config.vwap ? ['vwap'] : []),
+    ...(config.rsi ? ['rsi:14'] : []),
+    ...(config.macd ? ['macd:12:26:9'] : []),
+  ];
+}
+
+const lineDataset = (indicatorId, label, color, yAxisID = 'y', extra = {}) => ({
+  type: 'line',
+  indicatorId,
+  label,
+  data: [],
+  yAxisID,
+  borderColor: color,
+  backgroundColor: color,
+  borderWidth: 1.5,
+  pointRadius: 0,
+  fill: false,
+  spanGaps: false,
+  ...extra,
+});
+
+/**
+ * Crea los datasets de Chart.js (vacíos) para los indicadores activos.
+ * Cada dataset lleva un `indicatorId` que enlaza con las series de `computeIndicatorData`.
+ * @param {ChartIndicatorConfig} config
+ * @param {import('./i18n.js').Locale} [locale]
+ * @returns {object[]}
+ */
+export function buildIndicatorDatasets(config, locale = DEFAULT_LOCALE) {
+  const t = (key) => translate(locale, key);
+  const datasets = [];
+  config.sma.forEach((period, i) => datasets.push(lineDataset(`sma:${period}`, `SMA (${period})`, SMA_COLORS[i])));
+  config.ema.forEach((period, i) => datasets.push(lineDataset(`ema:${period}`, `EMA (${period})`, EMA_COLORS[i])));
+  if (config.bollinger) {
+    datasets.push(lineDataset('bollinger:upper', t('chart.indicator.bollingerUpper'), BOLLINGER_COLOR, 'y', { borderDash: [4, 4] }));
+    datasets.push(lineDataset('bollinger:middle', t('chart.indicator.bollingerMiddle'), BOLLINGER_COLOR));
+    datasets.push(lineDataset('bollinger:lower', t('chart.indicator.bollingerLower'), BOLLINGER_COLOR, 'y', {
+      borderDash: [4, 4],
+      // Sombrea el área entre las bandas superior e inferior
+      fill: '-2',
+      backgroundColor: 'rgba(107, 114, 128, 0.08)',
+    }));
+  }
+  if (config.vwap) {
+    datasets.push(lineDataset('vwap', 'VWAP', VWAP_COLOR));
+  }
+  if (config.rsi) {
+    datasets.push(lineDataset('rsi', 'RSI (14)', 'rgba(168, 85, 247, 1)', 'yRSI'));
+  }
+  if (config.macd) {
+    datasets.push(lineDataset('macd:macd', 'MACD (12, 26)', 'rgba(59, 130, 246, 1)', 'yMACD'));
+    datasets.push(lineDataset('macd:signal', t('chart.indicator.macdSignal'), 'rgba(249, 115, 22, 1)', 'yMACD'));
+    datasets.push({
+      type: 'bar',
+      indicatorId: 'macd:histogram',
+      label: t('chart.indicator.macdHistogram'),
+      data: [],
+      yAxisID: 'yMACD',
+      grouped: false,
+      backgroundColor: [],
+    });
+  }
+  return datasets;
+}
+
+/**
+ * Calcula las series de los indicadores activos, alineadas con las velas.
+ * @param {KlineObject[]} klines
+ * @param {ChartIndicatorConfig} config
+ * @param {string} interval
+ * @returns {Record<string, IndicatorDatasetData>} Series indexadas por `indicatorId`.
+ */
+export function computeIndicatorData(klines, config, interval) {
+  /** @type {Record<string, IndicatorDatasetData>} */
+  const data = {};
+  const valuesOf = (series) => series.map(point => point.value);
+
+  config.sma.forEach(period => { data[`sma:${period}`] = { values: valuesOf(calculateSMA(klines, period)) }; });
+  config.ema.forEach(period => { data[`ema:${period}`] = { values: valuesOf(calculateEMA(klines, period)) }; });
+  if (config.bollinger) {
+    const bands = calculateBollingerBands(klines, 20, 2);
+    data['bollinger:upper'] = { values: bands.map(point => point.upper) };
+    data['bollinger:middle'] = { values: bands.map(point => point.middle) };
+    data['bollinger:lower'] = { values: bands.map(point => point.lower) };
+  }
+  if (config.vwap) {
+    data.vwap = { values: valuesOf(calculateVWAP(klines, vwapAnchorFor(interval))) };
+  }
+  if (config.rsi) {
+    data.rsi = { values: valuesOf(calculateRSI(klines, 14)) };
+  }
+  if (config.macd) {
+    const macd = calculateMACD(klines, 12, 26, 9);
+    data['macd:macd'] = { values: macd.map(point => point.macd) };
+    data['macd:signal'] = { values: macd.map(point => point.signal) };
+    data['macd:histogram'] = {
+      values: macd.map(point => point.histogram),
+      colors: macd.map(point => (point.histogram !== null && point.histogram < 0 ? 'rgba(239, 68, 68, 0.5)' : 'rgba(34, 197, 94, 0.5)')),
+    };
+  }
+  return data;
+}
+
+/**
+ * Escalas Y de los paneles de osciladores activos (se apilan bajo el precio y el volumen).
+ * @param {ChartIndicatorConfig} config
+ * @returns {Record<string, object>}
+ */
+export function buildIndicatorScales(config) {
+  const scales = {};
+  const panel = (title, weight, extra = {}) => ({
+    stack: SCALE_STACK,
+    stackWeight: 1.2,
+    weight,
+    offset: true,
+    title: { display: true, text: title, color: '#6b7280' },
+    ticks: { color: '#6b7280', maxTicksLimit: 3 },
+    ...extra,
+  });
+  if (config.rsi) {
+    scales.yRSI = panel('RSI', RSI_SCALE_WEIGHT, { min: 0, max: 100 });
+  }
+  if (config.macd) {
+    scales.yMACD = panel('MACD', MACD_SCALE_WEIGHT);
+  }
+  return scales;
+}
+
+/**
+ * Líneas horizontales de referencia para `referenceLinesPlugin` (bandas 30/70 del RSI).
+ * @param {ChartIndicatorConfig} config
+ * @returns {Array<{ scaleID: string, value: number, color: string }>}
+ */
+export function buildReferenceLines(config) {
+  if (!config.rsi) return [];
+  return [
+    { scaleID: 'yRSI', value: RSI_OVERBOUGHT, color: 'rgba(249, 115, 22, 0.7)' },
+    { scaleID: 'yRSI', value: RSI_OVERSOLD, color: 'rgba(168, 85, 247, 0.7)' },
+  ];
+}
+
+/**
+ * Plugin de Chart.js que dibuja líneas horizontales discontinuas (`options.plugins.referenceLines.lines`).
+ */
+export const referenceLinesPlugin = {
+  id: 'referenceLines',
+  defaults: { lines: [] },
+  afterDatasetsDraw(chart, _args, options) {
+    const { ctx, chartArea } = chart;
+    for (const line of options.lines) {
+      const scale = chart.scales[line.scaleID];
+      if (!scale) continue;
+      const y = scale.getPixelForValue(line.value);
+      ctx.save();
+      ctx.strokeStyle = line.color;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.moveTo(chartArea.left, y);
+      ctx.lineTo(chartArea.right, y);
+      ctx.stroke();
+      ctx.restore();
+    }
+  },
+};
+
+/**
+ * Plugin de Chart.js que dibuja una línea vertical (crosshair) sobre la vela activa del tooltip,
+ * atravesando todos los paneles.
+ */
+export const crosshairPlugin = {
+  id: 'crosshair',
+  afterDatasetsDraw(chart) {
+    const active = chart.tooltip?.getActiveElements() ?? [];
+    if (active.length === 0) return;
+    const { ctx, chartArea } = chart;
+    const x = active[0].element.x;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(107, 114, 128, 0.6)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.moveTo(x, chartArea.top);
+    ctx.lineTo(x, chartArea.bottom);
+    ctx.stroke();
+    ctx.restore();
+  },
+};
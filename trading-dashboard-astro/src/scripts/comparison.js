@@ -0,0 +1,183 @@
+// src/scripts/comparison.js
+
+/**
+ * @file Modelo de la comparación de pares: series normalizadas a variación porcentual desde una fecha (o relativas
+ * a BTC), rendimientos logarítmicos, matriz de correlación y beta frente a BTC. Funciones puras, sin DOM ni red
+ * (las usa `comparisonClient.js`).
+ */
+
+/**
+ * @typedef {import('./binanceAPI.js').KlineObject} KlineObject
+ */
+
+/**
+ * Punto de una serie temporal.
+ * @typedef {object} SeriesPoint
+ * @property {number} time - Apertura de la vela (Unix ms).
+ * @property {number} value
+ */
+
+/**
+ * Vela reducida a lo que necesita la comparación (las velas completas también valen).
+ * @typedef {Pick<KlineObject, 'openTime' | 'close'>} ClosePoint
+ */
+
+/**
+ * Matriz de correlación simétrica; `values[i][j]` es null si los pares no comparten suficientes rendimientos.
+ * @typedef {object} CorrelationMatrix
+ * @property {string[]} symbols
+ * @property {(number | null)[][]} values
+ */
+
+/**
+ * @typedef {'percent' | 'ratio'} ComparisonMode
+ */
+
+export const BENCHMARK_SYMBOL = 'BTCUSDT';
+export const COMPARISON_MODES = ['percent', 'ratio'];
+export const COMPARISON_INTERVALS = ['1h', '4h', '1d', '1w'];
+// Ventana de la correlación y la beta, en velas del intervalo elegido.
+export const LOOKBACK_OPTIONS = [30, 90, 180, 365];
+export const MAX_COMPARED_SYMBOLS = 8;
+export const DEFAULT_COMPARISON = { mode: 'percent', interval: '1d', lookback: 90, startDays: 90 };
+// Con menos rendimientos comunes la correlación no es significativa.
+const MIN_SAMPLES = 10;
+
+/**
+ * Interpreta la lista de pares escrita por el usuario (separados por comas o espacios), sin duplicados.
+ * @param {string} text
+ * @returns {string[]} Como mucho `MAX_COMPARED_SYMBOLS` pares.
+ */
+export function parseSymbolList(text) {
+  const symbols = String(text || '').toUpperCase().split(/[\s,;]+/).filter(Boolean);
+  return [...new Set(symbols)].slice(0, MAX_COMPARED_SYMBOLS);
+}
+
+/**
+ * Variación porcentual de cada cierre respecto al de la primera vela que abre en `startTime` o después.
+ * @param {ClosePoint[]} klines - En orden cronológico.
+ * @param {number} startTime
+ * @returns {SeriesPoint[]} Vacío si no hay velas desde `startTime`.
+ */
+export function normalizeFromStart(klines, startTime) {
+  const visible = klines.filter(kline => kline.openTime >= startTime && kline.close > 0);
+  if (visible.length === 0) return [];
+  const base = visible[0].close;
+  return visible.map(kline => ({ time: kline.openTime, value: (kline.close / base - 1) * 100 }));
+}
+
+/**
+ * Precio de un par expresado en el de referencia (ej. FET/BTC a partir de FETUSDT y BTCUSDT), en las velas que
+ * ambos comparten.
+ * @param {ClosePoint[]} klines
+ * @param {ClosePoint[]} benchmarkKlines
+ * @returns {ClosePoint[]}
+ */
+export function relativeCloses(klines, benchmarkKlines) {
+  const benchmarkCloses = new Map(benchmarkKlines.map(kline => [kline.openTime, kline.close]));
+  return klines
+    .filter(kline => benchmarkCloses.get(kline.openTime) > 0)
+    .map(kline => ({ openTime: kline.openTime, close: kline.close / benchmarkCloses.get(kline.openTime) }));
+}
+
+/**
+ * Rendimientos logarítmicos entre velas consecutivas: `ln(cierre / cierre anterior)`, fechados en la vela.
+ * @param {ClosePoint[]} klines
+ * @returns {SeriesPoint[]}
+ */
+export function logReturns(klines) {
+  const returns = [];
+  for (let i = 1; i < klines.length; i++) {
+    const previous = klines[i - 1].close;
+    const current = klines[i].close;
+    if (previous > 0 && current > 0) returns.push({ time: klines[i].openTime, value: Math.log(current / previous) });
+  }
+  return returns;
+}
+
+/**
+ * Empareja dos series de rendimientos por fecha.
+ * @param {SeriesPoint[]} a
+ * @param {SeriesPoint[]} b
+ * @returns {{ x: number[], y: number[] }}
+ */
+export function alignReturns(a, b) {
+  const byTime = new Map(b.map(point => [point.time, point.value]));
+  const x = [];
+  const y = [];
+  for (const point of a) {
+    if (byTime.has(point.time)) {
+      x.push(point.value);
+      y.push(byTime.get(point.time));
+    }
+  }
+  return { x, y };
+}
+
+/**
+ * Medias, varianzas y covarianza muestrales de dos series emparejadas.
+ * @param {number[]} x
+ * @param {number[]} y
+ */
+function moments(x, y) {
+  const n = x.length;
+  const meanX = x.reduce((sum, value) => sum + value, 0) / n;
+  const meanY = y.reduce((sum, value) => sum + value, 0) / n;
+  let varianceX = 0;
+  let varianceY = 0;
+  let covariance = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = x[i] - meanX;
+    const dy = y[i] - meanY;
+    varianceX += dx * dx;
+    varianceY += dy * dy;
+    covariance += dx * dy;
+  }
+  return { varianceX: varianceX / (n - 1), varianceY: varianceY / (n - 1), covariance: covariance / (n - 1) };
+}
+
+/**
+ * Correlación de Pearson entre dos series de rendimientos, en sus fechas comunes.
+ * @param {SeriesPoint[]} a
+ * @param {SeriesPoint[]} b
+ * @returns {number | null} Entre -1 y 1; null con menos de `MIN_SAMPLES` fechas comunes o una serie constante.
+ */
+export function correlation(a, b) {
+  const { x, y } = alignReturns(a, b);
+  if (x.length < MIN_SAMPLES) return null;
+  const { varianceX, varianceY, covariance } = moments(x, y);
+  if (varianceX === 0 || varianceY === 0) return null;
+  return Math.max(-1, Math.min(1, covariance / Math.sqrt(varianceX * varianceY)));
+}
+
+/**
+ * Beta de un par frente a la referencia: `cov(par, referencia) / var(referencia)`. Una beta de 1,5 significa que
+ * el par se ha movido, de media, un 1,5 % por cada 1 % de la referencia.
+ * @param {SeriesPoint[]} returns
+ * @param {SeriesPoint[]} benchmarkReturns
+ * @returns {number | null} null con menos de `MIN_SAMPLES` fechas comunes o una referencia constante.
+ */
+export function beta(returns, benchmarkReturns) {
+  const { x, y } = alignReturns(returns, benchmarkReturns);
+  if (x.length < MIN_SAMPLES) return null;
+  const { varianceY, covariance } = moments(x, y);
+  return varianceY === 0 ? null : covariance / varianceY;
+}
+
+/**
+ * Matriz de correlación de todos los pares entre sí. Cada pareja usa sus fechas comunes, así que un par listado
+ * hace poco no reduce la muestra de los demás.
+ * @param {Map<string, SeriesPoint[]>} returnsBySymbol
+ * @returns {CorrelationMatrix}
+ */
+export function correlationMatrix(returnsBySymbol) {
+  const symbols = [...returnsBySymbol.keys()];
+  const values = symbols.map(() => symbols.map(() => null));
+  symbols.forEach((a, i) => {
+    values[i][i] = returnsBySymbol.get(a).length >= MIN_SAMPLES ? 1 : null;
+    for (let j = i + 1; j < symbols.length; j++) {
+      values[i][j] = values[j][i] = correlation(returnsBySymbol.get(a), returnsBySymbol.get(symbols[j]));
+    }
+  });
+  return { symbols, values };
+}
@@ -0,0 +1,360 @@
+// src/scripts/comparisonClient.js
+
+/**
+ * @file Cliente de la comparación de pares (`Comparison.astro`): descarga las velas de los pares elegidos y de BTC
+ * (a través de `klineStore.js`), pinta su variación porcentual desde la fecha de inicio en una sola gráfica y
+ * calcula con los rendimientos logarítmicos de las últimas velas cerradas la matriz de correlación y la beta de
+ * cada par frente a BTC. Todo se recalcula periódicamente, así que la ventana avanza con cada vela nueva.
+ */
+
+import { Chart } from 'chart.js/auto';
+import { getMarketDataProvider } from './marketDataProvider.js';
+import { KLINE_INTERVAL_MS, InvalidSymbolError } from './binanceAPI.js';
+import { syncKlines } from './klineStore.js';
+import { describeApiError, describeStaleData } from './errorMessages.js';
+import {
+  BENCHMARK_SYMBOL,
+  COMPARISON_MODES,
+  COMPARISON_INTERVALS,
+  LOOKBACK_OPTIONS,
+  DEFAULT_COMPARISON,
+  parseSymbolList,
+  normalizeFromStart,
+  relativeCloses,
+  logReturns,
+  correlation,
+  correlationMatrix,
+  beta,
+} from './comparison.js';
+import { loadWatchlists, getActiveList } from './watchlistStore.js';
+import { formatNumber, formatPercent } from './marketFormat.js';
+import { createTranslator, getIntlLocale } from './i18n.js';
+import { getDocumentPreferences } from './preferences.js';
+
+/**
+ * @typedef {import('./binanceAPI.js').KlineObject} KlineObject
+ * @typedef {import('./comparison.js').SeriesPoint} SeriesPoint
+ * @typedef {import('./comparison.js').ComparisonMode} ComparisonMode
+ */
+
+/**
+ * Opciones elegidas en el formulario.
+ * @typedef {object} ComparisonSettings
+ * @property {string[]} symbols
+ * @property {number} startTime - Inicio del día elegido, en UTC (Unix ms).
+ * @property {ComparisonMode} mode
+ * @property {string} interval
+ * @property {number} lookback
+ */
+
+/**
+ * Velas cargadas de un par.
+ * @typedef {object} LoadedSeries
+ * @property {KlineObject[]} klines
+ * @property {number | null} staleSince
+ */
+
+const REFRESH_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Máximo de velas por solicitud de la API (y por serie en `klineStore.js`).
+const MAX_KLINES = 1000;
+const AXIS_COLOR = '#6b7280';
+const SERIES_COLORS = ['#f59e0b', '#3b82f6', '#10b981', '#8b5cf6', '#ef4444', '#06b6d4', '#ec4899', '#84cc16'];
+const POSITIVE_CLASS = 'text-green-500';
+const NEGATIVE_CLASS = 'text-red-500';
+// Por encima de esta correlación (en valor absoluto) la celda es lo bastante oscura para texto blanco.
+const STRONG_CORRELATION = 0.6;
+
+const toDateInputValue = (time) => new Date(time).toISOString().slice(0, 10);
+const baseName = (symbol) => symbol.replace(/USDT$/, '');
+
+/**
+ * Color de una celda de la matriz: azul para correlación positiva, rojo para negativa, más intenso cuanto más
+ * cerca de ±1.
+ * @param {number} value
+ * @returns {string}
+ */
+function heatmapColor(value) {
+  const alpha = (Math.abs(value) * 0.85).toFixed(2);
+  return value >= 0 ? `rgba(59, 130, 246, ${alpha})` : `rgba(239, 68, 68, ${alpha})`;
+}
+
+/**
+ * Inicializa la comparación: lee las opciones, descarga las velas y arranca el refresco periódico.
+ * @param {HTMLElement} rootEl - Sección `data-comparison`.
+ * @returns {() => void} Función de limpieza.
+ */
+export function initComparison(rootEl) {
+  const { locale } = getDocumentPreferences();
+  const t = createTranslator(locale);
+  const intlLocale = getIntlLocale(locale);
+  const formEl = /** @type {HTMLFormElement} */ (rootEl.querySelector('[data-comparison-form]'));
+  const field = (name) => /** @type {HTMLInputElement | HTMLSelectElement} */ (formEl.elements.namedItem(name));
+  const statusEl = rootEl.querySelector('[data-comparison-status]');
+  const messageEl = rootEl.querySelector('[data-comparison-message]');
+  const windowEl = rootEl.querySelector('[data-comparison-window]');
+  const matrixEl = rootEl.querySelector('[data-comparison-matrix]');
+  const statsEl = rootEl.querySelector('[data-comparison-stats]');
+  const provider = getMarketDataProvider();
+
+  let disposed = false;
+  let generation = 0;
+
+  // Por defecto, los pares de la watchlist activa desde hace `startDays` días.
+  const watchlistSymbols = getActiveList(loadWatchlists(locale)).items.map(item => item.symbol);
+  field('symbols').value = parseSymbolList(watchlistSymbols.join(',')).join(', ');
+  const today = toDateInputValue(provider.now());
+  field('start').max = today;
+  field('start').value = toDateInputValue(provider.now() - DEFAULT_COMPARISON.startDays * DAY_MS);
+
+  const chart = new Chart(rootEl.querySelector('[data-comparison-chart]'), {
+    type: 'line',
+    data: { labels: [], datasets: [] },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      spanGaps: true,
+      interaction: { mode: 'index', intersect: false },
+      scales: {
+        x: { ticks: { color: AXIS_COLOR, maxTicksLimit: 8 } },
+        y: {
+          ticks: { color: AXIS_COLOR, callback: (value) => formatPercent(value, locale, { decimals: 0, signed: true }) },
+          title: { display: true, color: AXIS_COLOR, text: '' },
+        },
+      },
+      plugins: {
+        legend: { labels: { color: AXIS_COLOR } },
+        tooltip: {
+          callbacks: { label: (context) => `${context.dataset.label}: ${formatPercent(context.parsed.y, locale, { signed: true })}` },
+        },
+      },
+    },
+  });
+
+  /**
+   * @returns {ComparisonSettings}
+   */
+  function readSettings() {
+    const symbols = parseSymbolList(field('symbols').value);
+    const startTime = Date.parse(`${field('start').value}T00:00:00Z`);
+    const mode = /** @type {ComparisonMode} */ (field('mode').value);
+    const interval = field('interval').value;
+    const lookback = Number(field('lookback').value);
+    return {
+      symbols,
+      startTime: Number.isFinite(startTime) ? startTime : provider.now() - DEFAULT_COMPARISON.startDays * DAY_MS,
+      mode: COMPARISON_MODES.includes(mode) ? mode : DEFAULT_COMPARISON.mode,
+      interval: COMPARISON_INTERVALS.includes(interval) ? interval : DEFAULT_COMPARISON.interval,
+      lookback: LOOKBACK_OPTIONS.includes(lookback) ? lookback : DEFAULT_COMPARISON.lookback,
+    };
+  }
+
+  /**
+   * @param {number} time
+   * @param {string} interval
+   */
+  function formatTime(time, interval) {
+    const options = interval === '1d' || interval === '1w'
+      ? { day: 'numeric', month: 'short', year: '2-digit' }
+      : { day: 'numeric', month: 'short', hour: 'numeric', minute: 'numeric' };
+    return new Date(time).toLocaleDateString(intlLocale, options);
+  }
+
+  // --- Render ---
+
+  /**
+   * @param {ComparisonSettings} settings
+   * @param {Map<string, SeriesPoint[]>} normalized
+   */
+  function renderChart(settings, normalized) {
+    const times = [...new Set([...normalized.values()].flatMap(points => points.map(point => point.time)))].sort((a, b) => a - b);
+    chart.data.labels = times.map(time => formatTime(time, settings.interval));
+    chart.data.datasets = [...normalized.entries()].map(([symbol, points], i) => {
+      const values = new Map(points.map(point => [point.time, point.value]));
+      const color = SERIES_COLORS[i % SERIES_COLORS.length];
+      return {
+        label: symbol,
+        data: times.map(time => values.get(time) ?? null),
+        borderColor: color,
+        backgroundColor: color,
+        borderWidth: symbol === BENCHMARK_SYMBOL ? 2.5 : 1.5,
+        pointRadius: 0,
+        tension: 0.1,
+      };
+    });
+    chart.options.scales.y.title.text = t(`comparison.axis.${settings.mode}`);
+    chart.update('none');
+  }
+
+  /**
+   * @param {Map<string, SeriesPoint[]>} returnsBySymbol
+   */
+  function renderMatrix(returnsBySymbol) {
+    const { symbols, values } = correlationMatrix(returnsBySymbol);
+    const headerCell = (text, scope) => {
+      const th = document.createElement('th');
+      th.scope = scope;
+      th.className = 'px-2 py-1 font-medium text-gray-500 dark:text-gray-400';
+      th.textContent = text;
+      return th;
+    };
+
+    const headRow = document.createElement('tr');
+    headRow.append(document.createElement('td'), ...symbols.map(symbol => headerCell(baseName(symbol), 'col')));
+    const rows = symbols.map((symbol, i) => {
+      const tr = document.createElement('tr');
+      tr.append(headerCell(baseName(symbol), 'row'));
+      values[i].forEach((value, j) => {
+        const td = document.createElement('td');
+        td.className = 'w-14 h-9 px-1 border border-white dark:border-gray-800 text-gray-700 dark:text-gray-200';
+        if (value === null) {
+          td.textContent = '—';
+          td.title = t('comparison.notEnoughData');
+        } else {
+          td.textContent = formatNumber(value, locale, 2);
+          td.title = `${symbols[i]} / ${symbols[j]}: ${formatNumber(value, locale, 2)}`;
+          td.style.backgroundColor = heatmapColor(value);
+          if (Math.abs(value) >= STRONG_CORRELATION) td.classList.replace('text-gray-700', 'text-white');
+        }
+        tr.append(td);
+      });
+      return tr;
+    });
+    matrixEl.replaceChildren(headRow, ...rows);
+  }
+
+  /**
+   * @param {string[]} symbols
+   * @param {Map<string, SeriesPoint[]>} normalized - Variación porcentual desde el inicio (no relativa a BTC).
+   * @param {Map<string, SeriesPoint[]>} returnsBySymbol
+   * @param {SeriesPoint[] | null} benchmarkReturns
+   */
+  function renderStats(symbols, normalized, returnsBySymbol, benchmarkReturns) {
+    const cell = (text, className = '') => {
+      const td = document.createElement('td');
+      td.className = `px-2 py-1 whitespace-nowrap ${className}`;
+      td.textContent = text;
+      return td;
+    };
+    statsEl.replaceChildren(...symbols.filter(symbol => returnsBySymbol.has(symbol)).map(symbol => {
+      const points = normalized.get(symbol) ?? [];
+      const change = points.length > 0 ? points[points.length - 1].value : null;
+      const returns = returnsBySymbol.get(symbol);
+      const correlationValue = benchmarkReturns ? correlation(returns, benchmarkReturns) : null;
+      const betaValue = benchmarkReturns ? beta(returns, benchmarkReturns) : null;
+      const tr = document.createElement('tr');
+      tr.className = 'border-b border-gray-100 dark:border-gray-700';
+      tr.append(
+        cell(symbol, 'text-left font-medium'),
+        cell(change === null ? '—' : formatPercent(change, locale, { signed: true }), change > 0 ? POSITIVE_CLASS : change < 0 ? NEGATIVE_CLASS : ''),
+        cell(correlationValue === null ? '—' : formatNumber(correlationValue, locale, 2)),
+        cell(betaValue === null ? '—' : formatNumber(betaValue, locale, 2)),
+      );
+      return tr;
+    }));
+  }
+
+  // --- Datos ---
+
+  async function load() {
+    const currentGeneration = ++generation;
+    const settings = readSettings();
+    if (settings.symbols.length === 0) {
+      statusEl.textContent = t('comparison.noSymbols');
+      return;
+    }
+
+    const now = provider.now();
+    const step = KLINE_INTERVAL_MS[settings.interval];
+    const sinceStart = Math.ceil((now - settings.startTime) / step) + 1;
+    // Las velas desde el inicio y, al menos, la ventana de la correlación más la vela en curso.
+    const limit = Math.min(MAX_KLINES, Math.max(sinceStart, settings.lookback + 2));
+    const requested = settings.symbols.includes(BENCHMARK_SYMBOL) ? settings.symbols : [...settings.symbols, BENCHMARK_SYMBOL];
+    statusEl.textContent = t('comparison.loading');
+
+    const results = await Promise.allSettled(requested.map(symbol => syncKlines(symbol, settings.interval, limit)));
+    if (currentGeneration !== generation || disposed) return;
+
+    /** @type {Map<string, LoadedSeries>} */
+    const loaded = new Map();
+    const invalid = [];
+    const messages = [];
+    results.forEach((result, i) => {
+      const symbol = requested[i];
+      if (result.status === 'fulfilled') {
+        loaded.set(symbol, result.value);
+      } else if (result.reason instanceof InvalidSymbolError) {
+        invalid.push(symbol);
+      } else {
+        console.error(`Error cargando las velas de ${symbol} para la comparación:`, result.reason?.message);
+        messages.push(describeApiError(result.reason, t('subject.comparison', { symbol }), locale).message);
+      }
+    });
+    if (invalid.length > 0) messages.unshift(t('comparison.invalidSymbols', { symbols: invalid.join(', ') }));
+
+    const benchmark = loaded.get(BENCHMARK_SYMBOL)?.klines ?? null;
+    const compared = settings.symbols.filter(symbol => loaded.has(symbol));
+
+    /** @type {Map<string, SeriesPoint[]>} */
+    const percent = new Map(compared.map(symbol => [symbol, normalizeFromStart(loaded.get(symbol).klines, settings.startTime)]));
+    /** @type {Map<string, SeriesPoint[]>} */
+    let plotted = percent;
+    if (settings.mode === 'ratio') {
+      if (benchmark) {
+        plotted = new Map(compared
+          .filter(symbol => symbol !== BENCHMARK_SYMBOL)
+          .map(symbol => [symbol, normalizeFromStart(relativeCloses(loaded.get(symbol).klines, benchmark), settings.startTime)]));
+      } else {
+        messages.push(t('comparison.noBenchmark'));
+      }
+    }
+
+    // Velas anteriores a la fecha elegida que no caben en una descarga: la gráfica empieza más tarde.
+    const firstTimes = [...plotted.values()].filter(points => points.length > 0).map(points => points[0].time);
+    if (firstTimes.length > 0 && Math.min(...firstTimes) - settings.startTime >= step) {
+      messages.push(t('comparison.startClamped', { date: formatTime(Math.min(...firstTimes), settings.interval) }));
+    }
+
+    // La vela en curso aún no tiene rendimiento definitivo: la correlación usa solo las cerradas.
+    const windowReturns = (klines) => logReturns(klines.filter(kline => kline.closeTime < now)).slice(-settings.lookback);
+    const returnsBySymbol = new Map(compared.map(symbol => [symbol, windowReturns(loaded.get(symbol).klines)]));
+    const benchmarkReturns = benchmark ? windowReturns(benchmark) : null;
+
+    renderChart(settings, plotted);
+    renderMatrix(returnsBySymbol);
+    renderStats(compared, percent, returnsBySymbol, benchmarkReturns);
+    windowEl.textContent = t('comparison.window', { count: settings.lookback, interval: settings.interval });
+
+    const staleTimes = [...loaded.values()].map(series => series.staleSince).filter(time => time !== null);
+    statusEl.textContent = staleTimes.length > 0
+      ? describeStaleData(Math.min(...staleTimes), locale)
+      : t('comparison.updated', { time: new Date().toLocaleTimeString(intlLocale) });
+    messageEl.textContent = messages.join(' ');
+  }
+
+  // --- Eventos ---
+
+  function handleChange() {
+    load();
+  }
+
+  function handleSubmit(event) {
+    event.preventDefault();
+    load();
+  }
+
+  formEl.addEventListener('change', handleChange);
+  formEl.addEventListener('submit', handleSubmit);
+
+  load();
+  const refreshTimer = setInterval(load, REFRESH_MS);
+
+  return () => {
+    disposed = true;
+    clearInterval(refreshTimer);
+    formEl.removeEventListener('change', handleChange);
+    formEl.removeEventListener('submit', handleSubmit);
+    chart.destroy();
+  };
+}
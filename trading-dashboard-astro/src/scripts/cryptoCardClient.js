@@ -0,0 +1,502 @@
+// src/scripts/cryptoCardClient.js
+
+/**
+ * @file Lógica de cliente de `CryptoCard.astro`: precio en vivo por el stream `@ticker`, indicadores
+ * incrementales por el stream de velas y rating técnico por temporalidad, recalculado al cerrar cada vela. Se comparte entre el script del componente (tarjetas renderizadas
+ * en el servidor) y la watchlist (tarjetas diferidas que se montan en el cliente).
+ */
+
+import { KLINE_INTERVAL_MS } from './binanceAPI.js';
+import { getMarketDataProvider } from './marketDataProvider.js';
+import { readCachedKlines, syncKlines, rememberKlines } from './klineStore.js';
+import { createIncrementalSMA, createIncrementalRSI, createIncrementalMACD } from './incrementalIndicators.js';
+import { describePriceVsAverage, describeRSIZone, describeMACDCross } from './indicatorSignals.js';
+import {
+  RATING_INDICATORS,
+  RATING_TIMEFRAMES,
+  RATING_HISTORY_LIMIT,
+  RATING_COLOR_CLASSES,
+  rateKlines,
+  timeframeAgreement,
+  ratingGaugePosition,
+  describeRatingLevel,
+  describeVote,
+  describeAgreement,
+  formatVoteValue,
+} from './technicalRating.js';
+import { describeApiError, describeStaleData } from './errorMessages.js';
+import { createTranslator } from './i18n.js';
+import { createMarketFormatter, formatNumber, formatPercent } from './marketFormat.js';
+import { watchPriceFormatter } from './currencyConversion.js';
+import { getDocumentPreferences } from './preferences.js';
+
+/**
+ * @typedef {import('./binanceAPI.js').KlineObject} KlineObject
+ * @typedef {import('./binanceAPI.js').Ticker24hrData} Ticker24hrData
+ * @typedef {import('./marketFormat.js').MarketFormatter} MarketFormatter
+ * @typedef {import('./i18n.js').Locale} Locale
+ * @typedef {import('./technicalRating.js').TechnicalRating} TechnicalRating
+ */
+
+// Velas usadas para inicializar (tarjetas diferidas) o reconstruir los indicadores tras una reconexión.
+const INDICATOR_HISTORY_LIMIT = 100;
+// Cada temporalidad del rating se recalcula al cerrar su vela en el reloj del proveedor, que en la reproducción de
+// fixtures y en el modo repetición no avanza al ritmo real: se comprueba cada segundo si ha cambiado de vela.
+const RATING_CLOCK_CHECK_MS = 1000;
+
+const CHANGE_COLOR_CLASSES = ['text-green-500', 'dark:text-green-400', 'text-red-500', 'dark:text-red-400', 'text-gray-500', 'dark:text-gray-400'];
+const LABEL_COLOR_CLASSES = ['text-green-500', 'text-red-500', 'text-orange-500', 'text-purple-500'];
+
+/**
+ * @param {number | string} priceStr
+ * @param {MarketFormatter} formatter
+ * @returns {string}
+ */
+const formatPriceForClient = (priceStr, formatter) => {
+  const price = parseFloat(priceStr);
+  if (price === undefined || price === null || isNaN(price)) return 'N/A';
+  return formatter.price(price);
+};
+
+/**
+ * Datos de precio aproximados a partir de una vela guardada, para mostrar la tarjeta sin conexión.
+ * Con el intervalo por defecto ('1d') la vela cubre el día UTC en curso, no exactamente las últimas 24 h.
+ * @param {string} symbol
+ * @param {KlineObject} kline
+ * @returns {Pick<Ticker24hrData, 'symbol' | 'lastPrice' | 'priceChange' | 'priceChangePercent' | 'highPrice' | 'lowPrice' | 'volume'>}
+ */
+function tickerFromKline(symbol, kline) {
+  return {
+    symbol,
+    lastPrice: kline.close,
+    priceChange: kline.close - kline.open,
+    priceChangePercent: kline.open > 0 ? ((kline.close - kline.open) / kline.open) * 100 : 0,
+    highPrice: kline.high,
+    lowPrice: kline.low,
+    volume: kline.volume,
+  };
+}
+
+/**
+ * Escribe una etiqueta de interpretación en su elemento, con o sin paréntesis.
+ * @param {HTMLElement | null} el
+ * @param {import('./indicatorSignals.js').SignalLabel | null} label
+ * @param {string[]} colorClasses - Clases de color posibles que se deben limpiar.
+ * @param {boolean} [withParentheses=true]
+ */
+function renderSignalLabel(el, label, colorClasses, withParentheses = true) {
+  if (!el) return;
+  el.classList.remove(...colorClasses);
+  if (!label) {
+    el.textContent = '';
+    return;
+  }
+  el.classList.add(label.className);
+  el.textContent = withParentheses ? `(${label.text})` : label.text;
+}
+
+/**
+ * Conecta una tarjeta al stream `@ticker` de su símbolo y al stream de velas de sus indicadores.
+ * Si la tarjeta es diferida (`data-deferred`), antes descarga el ticker y las velas vía REST.
+ * @param {HTMLElement} cardEl - Elemento raíz de la tarjeta (con `data-symbol`).
+ * @returns {() => void} Función para cancelar las suscripciones.
+ */
+export function initCryptoCard(cardEl) {
+  const symbol = cardEl.dataset.symbol;
+  const interval = cardEl.dataset.indicatorInterval;
+  const isDeferred = cardEl.hasAttribute('data-deferred');
+  const field = (name) => cardEl.querySelector(`[data-card-field="${name}"]`);
+  const section = (name) => cardEl.querySelector(`[data-${name}]`);
+  const { locale } = getDocumentPreferences();
+  const t = createTranslator(locale);
+
+  /** @type {Array<() => void>} */
+  const unsubscribers = [];
+  let disposed = false;
+  // Formateador de precios: se sustituye cuando llega la información del par o un nuevo tipo de cambio.
+  let formatter = createMarketFormatter(null, locale);
+  /** @type {Ticker24hrData | null} */
+  let lastTicker = null;
+  /** @type {{ render: () => void, rebuild: (klines: KlineObject[]) => void } | null} */
+  let liveIndicators = null;
+  /** @type {{ render: () => void, refresh: () => Promise<void> } | null} */
+  let ratingPanel = null;
+
+  /**
+   * @param {Ticker24hrData} newData
+   */
+  function updatePriceDisplay(newData) {
+    if (!newData) return;
+    lastTicker = newData;
+
+    field('price').textContent = formatPriceForClient(newData.lastPrice, formatter);
+
+    const newPriceChangePercent = parseFloat(newData.priceChangePercent);
+    const newIsPositiveChange = newPriceChangePercent >= 0;
+
+    field('change-icon').textContent = newIsPositiveChange ? '▲' : '▼';
+    field('change-percent').textContent = formatPercent(newPriceChangePercent, locale);
+    field('change-value').textContent = `(${formatPriceForClient(newData.priceChange, formatter)})`;
+    field('volume').textContent = formatNumber(newData.volume, locale);
+    field('high').textContent = formatPriceForClient(newData.highPrice, formatter);
+    field('low').textContent = formatPriceForClient(newData.lowPrice, formatter);
+
+    const changeEl = field('change');
+    changeEl.classList.remove(...CHANGE_COLOR_CLASSES);
+    if (newIsPositiveChange) {
+      changeEl.classList.add('text-green-500', 'dark:text-green-400');
+    } else {
+      changeEl.classList.add('text-red-500', 'dark:text-red-400');
+    }
+  }
+
+  /**
+   * Muestra u oculta el aviso de datos guardados sin actualizar.
+   * @param {number | null} staleSince
+   */
+  function setStale(staleSince) {
+    const staleEl = field('stale');
+    staleEl.hidden = staleSince === null;
+    staleEl.textContent = staleSince === null ? '' : describeStaleData(staleSince, locale);
+  }
+
+  // Tras una reconexión (o un salto del modo repetición) pudieron perderse eventos: se resincroniza con una
+  // llamada REST.
+  async function resyncFromRest() {
+    if (ratingPanel) ratingPanel.refresh();
+    try {
+      updatePriceDisplay(await getMarketDataProvider().getTicker24hr(symbol));
+      setStale(null);
+    } catch (error) {
+      console.error(`Error resincronizando datos para ${symbol} en cliente:`, error.message);
+    }
+  }
+
+  const startTicker = () => unsubscribers.push(getMarketDataProvider().subscribeTicker(symbol, updatePriceDisplay, { onResync: resyncFromRest }));
+  const startIndicators = (klines) => {
+    const live = initLiveIndicators(cardEl, symbol, interval, klines, () => formatter, locale, setStale);
+    liveIndicators = live;
+    unsubscribers.push(live.unsubscribe);
+  };
+  const startRatings = (initialRatings) => {
+    const panel = initTechnicalRatings(cardEl, symbol, initialRatings, () => formatter, locale);
+    ratingPanel = panel;
+    unsubscribers.push(panel.unsubscribe);
+  };
+
+  // Las tarjetas del servidor traen la información del par en `data-market`; las diferidas la descargan.
+  const market = cardEl.dataset.market ? JSON.parse(cardEl.dataset.market) : undefined;
+  unsubscribers.push(watchPriceFormatter(symbol, market, (newFormatter, info) => {
+    formatter = newFormatter;
+    if (info) field('base-asset').textContent = info.baseAsset;
+    if (lastTicker) updatePriceDisplay(lastTicker);
+    if (liveIndicators) liveIndicators.render();
+    if (ratingPanel) ratingPanel.render();
+  }));
+
+  if (!isDeferred) {
+    // Tarjeta renderizada en el servidor: solo se conecta si el ticker se cargó correctamente.
+    if (!section('card-content').hidden) {
+      startTicker();
+      startRatings(cardEl.dataset.ratings ? JSON.parse(cardEl.dataset.ratings) : null);
+      if (cardEl.dataset.indicatorKlines) {
+        const klines = JSON.parse(cardEl.dataset.indicatorKlines);
+        rememberKlines(symbol, interval, klines);
+        startIndicators(klines);
+      }
+    }
+  } else {
+    loadDeferredCard();
+  }
+
+  async function loadDeferredCard() {
+    // Las velas de la visita anterior permiten mostrar los indicadores al instante y la tarjeta sin conexión.
+    const cachedPromise = readCachedKlines(symbol, interval, INDICATOR_HISTORY_LIMIT);
+    let tickerData;
+    let tickerError = null;
+    try {
+      tickerData = await getMarketDataProvider().getTicker24hr(symbol);
+    } catch (error) {
+      tickerError = error;
+    }
+    const cached = await cachedPromise;
+    if (disposed) return;
+
+    if (tickerError) {
+      console.error(`Error cargando datos de ticker para ${symbol} en cliente:`, tickerError.message);
+      if (!cached) {
+        const { title, message } = describeApiError(tickerError, field('name').textContent || symbol, locale);
+        field('error-title').textContent = title;
+        field('error-message').textContent = message;
+        section('card-loading').hidden = true;
+        section('card-error').hidden = false;
+        return;
+      }
+      tickerData = tickerFromKline(symbol, cached.klines[cached.klines.length - 1]);
+      setStale(cached.syncedAt);
+    }
+    updatePriceDisplay(tickerData);
+    section('card-loading').hidden = true;
+    section('card-content').hidden = false;
+    startTicker();
+    startRatings(null);
+
+    if (cached) {
+      section('card-indicators-loading').hidden = true;
+      section('card-indicators').hidden = false;
+      startIndicators(cached.klines);
+    }
+
+    let result;
+    try {
+      result = await syncKlines(symbol, interval, INDICATOR_HISTORY_LIMIT);
+    } catch (error) {
+      if (disposed) return;
+      console.error(`Error cargando klines o calculando indicadores para ${symbol} en cliente:`, error.message);
+      showIndicatorsWarning(describeApiError(error, t('subject.indicators', { name: symbol }), locale).message);
+      return;
+    }
+    if (disposed) return;
+    if (result.staleSince !== null) setStale(result.staleSince);
+    if (liveIndicators) {
+      liveIndicators.rebuild(result.klines);
+      return;
+    }
+    if (result.klines.length === 0) {
+      showIndicatorsWarning(t('card.notEnoughHistory', { name: symbol }));
+      return;
+    }
+    section('card-indicators-loading').hidden = true;
+    section('card-indicators').hidden = false;
+    startIndicators(result.klines);
+  }
+
+  /**
+   * @param {string} message
+   */
+  function showIndicatorsWarning(message) {
+    field('indicators-error').textContent = message;
+    section('card-indicators-loading').hidden = true;
+    section('card-indicators-error').hidden = false;
+  }
+
+  return () => {
+    disposed = true;
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+  };
+}
+
+/**
+ * Mantiene SMA(20), RSI(14) y MACD(12,26,9) al día con el stream de velas, incluida la vela en curso.
+ * @param {HTMLElement} cardEl
+ * @param {string} symbol
+ * @param {string} interval
+ * @param {KlineObject[]} initialKlines - Velas con las que se inicializan los indicadores incrementales.
+ * @param {() => MarketFormatter} getFormatter - Formateador vigente de la tarjeta (puede cambiar con el tipo de cambio).
+ * @param {Locale} locale
+ * @param {(staleSince: number | null) => void} onStale - Informa si la resincronización tuvo que usar las velas guardadas.
+ * @returns {{ unsubscribe: () => void, render: () => void, rebuild: (klines: KlineObject[]) => void }}
+ *          `render` repinta los últimos valores con el formateador vigente; `rebuild` reinicia los indicadores con otras velas.
+ */
+function initLiveIndicators(cardEl, symbol, interval, initialKlines, getFormatter, locale, onStale) {
+  const el = (name) => cardEl.querySelector(`[data-indicator="${name}"]`);
+  const row = (name) => cardEl.querySelector(`[data-indicator-row="${name}"]`);
+  const smaEl = el('sma20');
+  const smaLabelEl = el('sma20-label');
+  const rsiEl = el('rsi14');
+  const rsiLabelEl = el('rsi14-label');
+  const macdLineEl = el('macd-line');
+  const macdSignalEl = el('macd-signal');
+  const macdHistogramEl = el('macd-histogram');
+  const macdCrossEl = el('macd-cross');
+  const emptyEl = cardEl.querySelector('[data-indicators-empty]');
+
+  let indicators = null;
+  /** @type {KlineObject | null} */
+  let lastKline = null;
+
+  /**
+   * @param {KlineObject[]} klines
+   */
+  function rebuildIndicators(klines) {
+    indicators = {
+      sma20: createIncrementalSMA(20),
+      rsi14: createIncrementalRSI(14),
+      macd: createIncrementalMACD(12, 26, 9),
+    };
+    klines.forEach((kline, i) => applyKline(kline, i === klines.length - 1));
+  }
+
+  /**
+   * @param {KlineObject} kline
+   * @param {boolean} [render=true]
+   */
+  function applyKline(kline, render = true) {
+    indicators.sma20.update(kline);
+    indicators.rsi14.update(kline);
+    indicators.macd.update(kline);
+    lastKline = kline;
+    if (render) renderValues();
+  }
+
+  function renderValues() {
+    if (!lastKline) return;
+    const formatter = getFormatter();
+    const sma = indicators.sma20.value?.value ?? null;
+    const rsi = indicators.rsi14.value?.value ?? null;
+    const macd = indicators.macd.value;
+
+    if (smaEl && sma !== null) {
+      smaEl.textContent = formatter.price(sma);
+      renderSignalLabel(smaLabelEl, describePriceVsAverage(lastKline.close, sma, locale), LABEL_COLOR_CLASSES);
+    }
+    if (rsiEl && rsi !== null) {
+      rsiEl.textContent = formatNumber(rsi, locale);
+      renderSignalLabel(rsiLabelEl, describeRSIZone(rsi, locale), LABEL_COLOR_CLASSES);
+    }
+    if (macdLineEl && macd.histogram !== null) {
+      macdLineEl.textContent = formatter.number(macd.macd);
+      macdSignalEl.textContent = formatter.number(macd.signal);
+      macdHistogramEl.textContent = formatter.number(macd.histogram);
+      renderSignalLabel(macdCrossEl, describeMACDCross(macd.macd, macd.signal, locale), LABEL_COLOR_CLASSES, false);
+    }
+
+    // Las filas sin datos suficientes (ej. símbolos recién listados) permanecen ocultas.
+    if (row('sma20')) row('sma20').hidden = sma === null;
+    if (row('rsi14')) row('rsi14').hidden = rsi === null;
+    if (row('macd')) row('macd').hidden = macd.histogram === null;
+    if (emptyEl) emptyEl.hidden = sma !== null || rsi !== null || macd.histogram !== null;
+  }
+
+  // Tras una reconexión pudo cerrarse una vela sin que se recibiera su último tick: se reconstruye desde REST
+  // (solo se descargan las velas que faltan en el almacén).
+  async function resyncFromRest() {
+    try {
+      const { klines, staleSince } = await syncKlines(symbol, interval, INDICATOR_HISTORY_LIMIT);
+      rebuildIndicators(klines);
+      onStale(staleSince);
+    } catch (error) {
+      console.error(`Error resincronizando indicadores para ${symbol} en cliente:`, error.message);
+    }
+  }
+
+  rebuildIndicators(initialKlines);
+  return {
+    unsubscribe: getMarketDataProvider().subscribeKlines(symbol, interval, kline => applyKline(kline), { onResync: resyncFromRest }),
+    render: renderValues,
+    rebuild: rebuildIndicators,
+  };
+}
+
+/**
+ * Rating técnico por temporalidad: pinta la aguja, el nivel y los votos de cada una, y recalcula cada temporalidad
+ * con las velas de `klineStore.js` cuando cierra su vela (`provider.now()`). Una temporalidad que no se puede
+ * actualizar conserva su último rating hasta el siguiente cierre o resincronización.
+ * @param {HTMLElement} cardEl
+ * @param {string} symbol
+ * @param {Record<string, TechnicalRating | null> | null} initialRatings - Los del render del servidor; con null se
+ *        calculan al momento.
+ * @param {() => MarketFormatter} getFormatter
+ * @param {Locale} locale
+ * @returns {{ unsubscribe: () => void, render: () => void, refresh: () => Promise<void> }} `render` repinta con el
+ *          formateador vigente; `refresh` recalcula todas las temporalidades con las velas del proveedor (saltos y
+ *          reconexiones).
+ */
+function initTechnicalRatings(cardEl, symbol, initialRatings, getFormatter, locale) {
+  const t = createTranslator(locale);
+  const sectionEl = /** @type {HTMLElement} */ (cardEl.querySelector('[data-card-rating]'));
+  const agreementEl = /** @type {HTMLElement} */ (cardEl.querySelector('[data-rating-agreement]'));
+  /** @type {Record<string, TechnicalRating | null>} */
+  let ratings = initialRatings ?? {};
+  let disposed = false;
+  // Vela (`openTime / paso`) de cada temporalidad en la que se calculó su rating por última vez.
+  /** @type {Record<string, number>} */
+  const ratedCandles = {};
+  const candleIndex = (timeframe, now) => Math.floor(now / KLINE_INTERVAL_MS[timeframe]);
+
+  /**
+   * @param {HTMLElement} el
+   * @param {import('./indicatorSignals.js').SignalLabel | null} label
+   * @param {string} fallback - Texto sin etiqueta.
+   */
+  function setLabel(el, label, fallback) {
+    el.classList.remove(...RATING_COLOR_CLASSES);
+    if (label) el.classList.add(...label.className.split(' '));
+    el.textContent = label?.text ?? fallback;
+  }
+
+  function render() {
+    const formatter = getFormatter();
+    for (const timeframe of RATING_TIMEFRAMES) {
+      const timeframeEl = cardEl.querySelector(`[data-rating-timeframe="${timeframe}"]`);
+      if (!timeframeEl) continue;
+      const rating = ratings[timeframe] ?? null;
+      const levelLabel = rating ? describeRatingLevel(rating.level, locale) : null;
+      const meterEl = timeframeEl.querySelector('[data-rating-meter]');
+      const needleEl = /** @type {HTMLElement} */ (timeframeEl.querySelector('[data-rating-needle]'));
+      meterEl.setAttribute('aria-valuenow', String(rating?.score ?? 0));
+      meterEl.setAttribute('aria-valuetext', levelLabel?.text ?? t('rating.unavailable'));
+      needleEl.hidden = !rating;
+      needleEl.style.left = `${ratingGaugePosition(rating?.score ?? 0)}%`;
+      setLabel(timeframeEl.querySelector('[data-rating-level]'), levelLabel, t('rating.unavailable'));
+      timeframeEl.querySelector('[data-rating-counts]').textContent = rating
+        ? t('rating.counts', { buy: rating.buy, neutral: rating.neutral, sell: rating.sell })
+        : '';
+
+      RATING_INDICATORS.forEach((indicator, i) => {
+        const rowEl = timeframeEl.querySelector(`[data-rating-vote="${indicator.id}"]`);
+        const vote = rating?.votes[i] ?? null;
+        rowEl.querySelector('[data-rating-value]').textContent = formatVoteValue(indicator.format, vote?.value ?? null, formatter, locale);
+        setLabel(rowEl.querySelector('[data-rating-vote-label]'), vote?.vote ? describeVote(vote.vote, locale) : null, '—');
+      });
+    }
+    setLabel(agreementEl, describeAgreement(timeframeAgreement(Object.values(ratings)), locale), '');
+    sectionEl.hidden = !Object.values(ratings).some(Boolean);
+  }
+
+  /**
+   * @param {string[]} [timeframes] - Temporalidades a recalcular (por defecto todas).
+   */
+  async function refresh(timeframes = RATING_TIMEFRAMES) {
+    const now = getMarketDataProvider().now();
+    timeframes.forEach(timeframe => { ratedCandles[timeframe] = candleIndex(timeframe, now); });
+    const results = await Promise.allSettled(timeframes.map(timeframe => syncKlines(symbol, timeframe, RATING_HISTORY_LIMIT)));
+    if (disposed) return;
+    const updated = { ...ratings };
+    const ratedAt = getMarketDataProvider().now();
+    results.forEach((result, i) => {
+      if (result.status === 'fulfilled') {
+        updated[timeframes[i]] = rateKlines(result.value.klines, ratedAt);
+      } else {
+        console.error(`Error actualizando el rating ${timeframes[i]} de ${symbol} en cliente:`, result.reason?.message);
+      }
+    });
+    ratings = updated;
+    render();
+  }
+
+  // Solo se recalculan las temporalidades cuya vela ha cerrado desde el último cálculo.
+  function refreshClosedCandles() {
+    const now = getMarketDataProvider().now();
+    const closed = RATING_TIMEFRAMES.filter(timeframe => candleIndex(timeframe, now) !== ratedCandles[timeframe]);
+    if (closed.length > 0) refresh(closed);
+  }
+
+  render();
+  if (initialRatings) {
+    const now = getMarketDataProvider().now();
+    RATING_TIMEFRAMES.forEach(timeframe => { ratedCandles[timeframe] = candleIndex(timeframe, now); });
+  } else {
+    refresh();
+  }
+  const timer = setInterval(refreshClosedCandles, RATING_CLOCK_CHECK_MS);
+
+  return {
+    unsubscribe: () => {
+      disposed = true;
+      clearInterval(timer);
+    },
+    render,
+    refresh,
+  };
+}
@@ -0,0 +1,133 @@
+// src/scripts/currencyConversion.js
+
+/**
+ * @file Tipos de cambio para mostrar los precios en una moneda fiat elegida por el usuario (ver `preferences.js`).
+ * Todas las conversiones pasan por USDT, el activo con más pares en Binance: activo → USDT con el par
+ * `<activo>USDT` y USDT → moneda con el par fiat correspondiente. El dólar se equipara a USDT.
+ */
+
+import { getTickerPrice } from './dashboardAPI.js';
+import { createMarketFormatter, loadMarketInfo } from './marketFormat.js';
+import { getDocumentPreferences } from './preferences.js';
+
+/**
+ * @typedef {import('./marketFormat.js').PriceConversion} PriceConversion
+ * @typedef {import('./marketFormat.js').MarketInfo} MarketInfo
+ * @typedef {import('./marketFormat.js').MarketFormatter} MarketFormatter
+ */
+
+const BRIDGE_ASSET = 'USDT';
+// Los tipos de cambio se refrescan con esta frecuencia mientras haya precios que convertir.
+const RATE_REFRESH_MS = 60 * 1000;
+
+// Par de Binance que da el precio de cada moneda frente a USDT. `inverse` indica que el par cotiza la moneda
+// en USDT (EURUSDT = USDT por euro) y hay que invertirlo para obtener unidades de la moneda por USDT.
+const FIAT_PAIRS = {
+  USD: null,
+  EUR: { symbol: 'EURUSDT', inverse: true },
+  GBP: { symbol: 'GBPUSDT', inverse: true },
+  TRY: { symbol: 'USDTTRY', inverse: false },
+  BRL: { symbol: 'USDTBRL', inverse: false },
+};
+
+/**
+ * Unidades de `currency` por USDT.
+ * @param {string} currency
+ * @returns {Promise<number>}
+ */
+async function usdtRate(currency) {
+  const pair = FIAT_PAIRS[currency];
+  if (pair === null) return 1;
+  if (!pair) throw new Error(`No hay un par de conversión para ${currency}.`);
+  const { price } = await getTickerPrice(pair.symbol);
+  return pair.inverse ? 1 / price : price;
+}
+
+/**
+ * Unidades de `currency` por unidad de `asset` (ej. asset 'BTC', currency 'EUR' → precio de BTC en euros).
+ * @param {string} asset - Activo cotizado de un par (ej. 'USDT', 'BTC', 'EUR').
+ * @param {string} currency - Una de las monedas de `FIAT_PAIRS`.
+ * @returns {Promise<number>}
+ * @throws {Error | import('./binanceTransport.js').BinanceAPIError} Si no hay ruta de conversión o falla la API.
+ */
+export async function getConversionRate(asset, currency) {
+  if (asset === currency) return 1;
+  let assetInUsdt;
+  if (asset === BRIDGE_ASSET) {
+    assetInUsdt = 1;
+  } else if (asset in FIAT_PAIRS) {
+    assetInUsdt = 1 / await usdtRate(asset);
+  } else {
+    assetInUsdt = (await getTickerPrice(`${asset}${BRIDGE_ASSET}`)).price;
+  }
+  return assetInUsdt * await usdtRate(currency);
+}
+
+/**
+ * Mantiene actualizado el tipo de cambio de `asset` a `currency`.
+ * @param {string} asset
+ * @param {string} currency
+ * @param {(conversion: PriceConversion | null) => void} onChange - Recibe la conversión en cada refresco,
+ *        o null si no se pudo obtener (los precios se muestran entonces en el activo cotizado).
+ * @returns {() => void} Función para dejar de refrescar.
+ */
+export function watchConversionRate(asset, currency, onChange) {
+  let stopped = false;
+
+  async function refresh() {
+    let conversion = null;
+    try {
+      conversion = { currency, rate: await getConversionRate(asset, currency) };
+    } catch (error) {
+      console.error(`No se pudo obtener el tipo de cambio ${asset} → ${currency}:`, error.message);
+    }
+    if (!stopped) onChange(conversion);
+  }
+
+  refresh();
+  const timer = setInterval(refresh, RATE_REFRESH_MS);
+  return () => {
+    stopped = true;
+    clearInterval(timer);
+  };
+}
+
+/**
+ * Mantiene el formateador de precios de un par en el cliente, con el idioma y la moneda de la página.
+ * Si el par no trae su información (componentes diferidos), la descarga; si el usuario eligió una moneda
+ * distinta del activo cotizado, convierte los precios y refresca el tipo de cambio periódicamente.
+ * @param {string} symbol
+ * @param {MarketInfo | null | undefined} market - Información renderizada por el servidor, o undefined para descargarla.
+ * @param {(formatter: MarketFormatter, market: MarketInfo | null) => void} onChange - Se invoca al crear el
+ *        formateador y cada vez que cambia (información del par cargada, nuevo tipo de cambio).
+ * @returns {() => void} Función para dejar de refrescar.
+ */
+export function watchPriceFormatter(symbol, market, onChange) {
+  const { locale, currency } = getDocumentPreferences();
+  let stopWatchingRate = null;
+  let stopped = false;
+
+  /**
+   * @param {MarketInfo | null} info
+   */
+  function start(info) {
+    onChange(createMarketFormatter(info, locale), info);
+    if (!info || !currency || currency === info.quoteAsset) return;
+    stopWatchingRate = watchConversionRate(info.quoteAsset, currency, conversion => {
+      onChange(createMarketFormatter(info, locale, conversion), info);
+    });
+  }
+
+  if (market !== undefined) {
+    start(market);
+  } else {
+    loadMarketInfo(symbol).then(info => {
+      if (!stopped) start(info);
+    });
+  }
+
+  return () => {
+    stopped = true;
+    if (stopWatchingRate) stopWatchingRate();
+  };
+}
@@ -0,0 +1,131 @@
+// src/scripts/dashboardAPI.js
+
+/**
+ * @file Cliente de los endpoints del propio dashboard (`src/pages/api/`), para los scripts del navegador.
+ * Expone las mismas funciones y tipos que `binanceAPI.js` (`fetchKlines`, `getTicker24hr`, `getTickerPrice`),
+ * pero las solicitudes pasan por la caché compartida del servidor en lugar de gastar el límite de peso de Binance
+ * de cada visitante. Los errores se reconstruyen como los errores tipados de `binanceTransport.js`.
+ */
+
+import { BinanceAPIError, RateLimitError, InvalidSymbolError, NetworkError } from './binanceAPI.js';
+
+/**
+ * @typedef {import('./binanceAPI.js').KlineObject} KlineObject
+ * @typedef {import('./binanceAPI.js').KlineRange} KlineRange
+ * @typedef {import('./binanceAPI.js').Ticker24hrData} Ticker24hrData
+ * @typedef {import('./binanceAPI.js').TickerPriceData} TickerPriceData
+ * @typedef {import('./apiHandlers.js').ApiErrorBody} ApiErrorBody
+ */
+
+const API_BASE_PATH = '/api';
+
+/**
+ * Reconstruye el error tipado que describe el cuerpo de una respuesta de error.
+ * @param {ApiErrorBody | undefined} body
+ * @param {number} status
+ * @param {string} endpoint
+ * @returns {BinanceAPIError}
+ */
+function toTypedError(body, status, endpoint) {
+  const message = body?.message || `Error ${status} en ${endpoint}`;
+  const details = { status, code: body?.code ?? null, endpoint };
+  switch (body?.type) {
+    case 'RateLimitError':
+      return new RateLimitError(message, { ...details, retryAfterMs: body.retryAfterMs ?? 0, isBanned: false });
+    case 'InvalidSymbolError':
+      return new InvalidSymbolError(message, { ...details, symbol: body.symbol });
+    case 'NetworkError':
+      return new NetworkError(message, details);
+    default:
+      return new BinanceAPIError(message, details);
+  }
+}
+
+/**
+ * @param {string} endpoint - Ej. '/klines'.
+ * @param {Record<string, string | number | undefined>} params
+ * @returns {Promise<any>}
+ * @throws {BinanceAPIError} O una de sus subclases.
+ */
+async function request(endpoint, params) {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) query.set(key, String(value));
+  }
+
+  let response;
+  try {
+    response = await fetch(`${API_BASE_PATH}${endpoint}?${query}`);
+  } catch (e) {
+    throw new NetworkError(`No se pudo conectar con el servidor (${endpoint}): ${e.message}`, { endpoint });
+  }
+  if (response.ok) {
+    try {
+      return await response.json();
+    } catch (e) {
+      // Cuerpo truncado o que no es JSON (ej. la página de error de un proxy).
+      throw new NetworkError(`Respuesta no válida del servidor (${endpoint}): ${e.message}`, { status: response.status, endpoint });
+    }
+  }
+
+  let body;
+  try {
+    body = (await response.json()).error;
+  } catch (e) { /* La respuesta de error no era JSON */ }
+  throw toTypedError(body, response.status, endpoint);
+}
+
+/**
+ * Velas de un par (ver `fetchKlines` en `binanceAPI.js`).
+ * @param {string} symbol
+ * @param {string} interval
+ * @param {number} [limit=100]
+ * @param {KlineRange} [range]
+ * @returns {Promise<KlineObject[]>}
+ * @throws {BinanceAPIError}
+ */
+export function fetchKlines(symbol, interval, limit = 100, { startTime, endTime } = {}) {
+  return request('/klines', { symbol, interval, limit, startTime, endTime });
+}
+
+/**
+ * Estadísticas de 24 h de un par, o de todos los pares si se omite `symbol` (ver `getTicker24hr` en `binanceAPI.js`).
+ * @param {string} [symbol]
+ * @returns {Promise<Ticker24hrData | Ticker24hrData[]>}
+ * @throws {BinanceAPIError}
+ */
+export function getTicker24hr(symbol) {
+  return request('/ticker', { symbol });
+}
+
+/**
+ * Último precio de un par, tomado del ticker de 24 h (comparte caché con `getTicker24hr`), o de todos los pares
+ * si se omite `symbol` (como `getTickerPrice` en `binanceAPI.js`).
+ * @param {string} [symbol]
+ * @returns {Promise<TickerPriceData | TickerPriceData[]>}
+ * @throws {BinanceAPIError}
+ */
+export async function getTickerPrice(symbol) {
+  if (!symbol) return request('/prices', {});
+  const ticker = await getTicker24hr(symbol);
+  return { symbol: ticker.symbol, price: ticker.lastPrice };
+}
+
+/**
+ * URL de descarga de velas con columnas de indicadores (o solo velas si no se pide ninguno).
+ * @param {object} options
+ * @param {string} options.symbol
+ * @param {string} options.interval
+ * @param {string[]} [options.indicators] - Indicadores en el formato de `indicatorTable.js` (ej. ['sma:20', 'rsi']).
+ * @param {number} [options.startTime]
+ * @param {number} [options.endTime]
+ * @param {'csv' | 'json'} [options.format='csv']
+ * @returns {string}
+ */
+export function buildExportUrl({ symbol, interval, indicators = [], startTime, endTime, format = 'csv' }) {
+  const query = new URLSearchParams({ symbol, interval, format });
+  if (indicators.length > 0) query.set('indicators', indicators.join(','));
+  if (startTime !== undefined) query.set('startTime', String(startTime));
+  if (endTime !== undefined) query.set('endTime', String(endTime));
+  return `${API_BASE_PATH}${indicators.length > 0 ? '/indicators' : '/klines'}?${query}`;
+}
@@ -0,0 +1,60 @@
+// src/scripts/errorMessages.js
+
+/**
+ * @file Traduce los errores tipados de `binanceAPI.js` a mensajes legibles para la interfaz,
+ * y el aviso de datos sin actualizar que se muestra cuando se recurre a las velas guardadas (`klineStore.js`).
+ */
+
+import { RateLimitError, InvalidSymbolError, NetworkError } from './binanceAPI.js';
+import { translate, getIntlLocale, DEFAULT_LOCALE } from './i18n.js';
+
+/**
+ * Mensaje de error listo para mostrarse en un componente.
+ * @typedef {object} ErrorDescription
+ * @property {string} title - Título corto (ej. 'Límite de Solicitudes Alcanzado').
+ * @property {string} message - Explicación para el usuario.
+ */
+
+/**
+ * Describe un error de la API de Binance según su tipo.
+ * @param {unknown} error - Error capturado al llamar a `binanceAPI.js`.
+ * @param {string} subject - Qué se estaba cargando, ya traducido (ej. 'Bitcoin', 'el gráfico de BTCUSDT').
+ * @param {import('./i18n.js').Locale} [locale]
+ * @returns {ErrorDescription}
+ */
+export function describeApiError(error, subject, locale = DEFAULT_LOCALE) {
+  const t = (key, params) => translate(locale, key, { subject, ...params });
+  if (error instanceof RateLimitError) {
+    return {
+      title: t(error.isBanned ? 'errors.bannedTitle' : 'errors.rateLimitTitle'),
+      message: t('errors.rateLimitMessage', { seconds: Math.ceil(error.retryAfterMs / 1000) }),
+    };
+  }
+  if (error instanceof InvalidSymbolError) {
+    return {
+      title: t('errors.invalidSymbolTitle'),
+      message: t('errors.invalidSymbolMessage', { symbol: error.symbol }),
+    };
+  }
+  if (error instanceof NetworkError) {
+    return {
+      title: t('errors.networkTitle'),
+      message: t('errors.networkMessage'),
+    };
+  }
+  return {
+    title: t('errors.unexpectedTitle'),
+    message: t('errors.unexpectedMessage', { details: error instanceof Error ? error.message : String(error) }),
+  };
+}
+
+/**
+ * Aviso para datos mostrados desde el almacén local porque no se pudieron actualizar.
+ * @param {number} staleSince - Última sincronización (Unix ms).
+ * @param {import('./i18n.js').Locale} [locale]
+ * @returns {string} Ej. 'Sin conexión: datos sin actualizar desde 12/03/24, 10:15'.
+ */
+export function describeStaleData(staleSince, locale = DEFAULT_LOCALE) {
+  const time = new Date(staleSince).toLocaleString(getIntlLocale(locale), { dateStyle: 'short', timeStyle: 'short' });
+  return translate(locale, 'errors.staleSince', { time });
+}
@@ -0,0 +1,175 @@
+// src/scripts/fixtureProvider.js
+
+/**
+ * @file Proveedor de datos de mercado sin red: sirve las velas y tickers grabados en `src/fixtures/market/` y los
+ * reproduce en bucle como si fueran en vivo (ver `fixtureReplay.js`). Sirve para desarrollar sin conexión y para
+ * demostraciones deterministas: el instante reproducido depende solo de la hora real y de la velocidad.
+ */
+
+import fixtureIndex from '../fixtures/market/index.json';
+import { BinanceAPIError, InvalidSymbolError } from './binanceAPI.js';
+import { replayPosition, createReplaySeries, klinesAt, tickerAt } from './fixtureReplay.js';
+
+/**
+ * @typedef {import('./marketDataProvider.js').MarketDataProvider} MarketDataProvider
+ * @typedef {import('./fixtureReplay.js').MarketFixture} MarketFixture
+ * @typedef {import('./fixtureReplay.js').ReplaySeries} ReplaySeries
+ * @typedef {import('./fixtureReplay.js').FixtureIndex} FixtureIndex
+ * @typedef {import('./binanceAPI.js').SymbolInfo} SymbolInfo
+ * @typedef {import('./binanceAPI.js').StreamSubscriptionOptions} StreamSubscriptionOptions
+ */
+
+/**
+ * Fixture cargado: información del par y serie reproducible.
+ * @typedef {object} LoadedFixture
+ * @property {SymbolInfo} info
+ * @property {ReplaySeries} series
+ */
+
+// Cada par se carga bajo demanda (un chunk por archivo), así que los fixtures no pesan en el bundle de Binance.
+const FIXTURE_FILES = import.meta.glob(['../fixtures/market/*.json', '!../fixtures/market/index.json'], { import: 'default' });
+// Cadencia de los streams reproducidos, como el `@ticker` de Binance.
+const STREAM_TICK_MS = 1000;
+const FIXTURE_ENDPOINT = 'fixture';
+
+/**
+ * Crea el proveedor de fixtures.
+ * @param {object} [options]
+ * @param {number} [options.speed=1] - Velocidad de reproducción (1 = tiempo real).
+ * @returns {MarketDataProvider}
+ */
+export function createFixtureProvider({ speed = 1 } = {}) {
+  const index = /** @type {FixtureIndex} */ (fixtureIndex);
+  /** @type {Map<string, Promise<LoadedFixture>>} */
+  const loaded = new Map();
+
+  const now = () => replayPosition(index, speed).time;
+
+  /**
+   * @param {string} symbol
+   * @returns {Promise<LoadedFixture>}
+   * @throws {InvalidSymbolError} Si no hay fixture del par.
+   */
+  function loadFixture(symbol) {
+    const load = FIXTURE_FILES[`../fixtures/market/${symbol}.json`];
+    if (!load) {
+      return Promise.reject(new InvalidSymbolError(`No hay datos grabados de ${symbol}.`, { status: 400, code: -1121, endpoint: FIXTURE_ENDPOINT, symbol }));
+    }
+    if (!loaded.has(symbol)) {
+      loaded.set(symbol, load().then((/** @type {MarketFixture} */ fixture) => ({
+        info: {
+          symbol: fixture.symbol,
+          status: 'TRADING',
+          baseAsset: fixture.baseAsset,
+          quoteAsset: fixture.quoteAsset,
+          tickSize: fixture.tickSize ?? null,
+          stepSize: fixture.stepSize ?? null,
+        },
+        series: createReplaySeries(fixture),
+      })));
+    }
+    return loaded.get(symbol);
+  }
+
+  const loadAll = () => Promise.all(index.symbols.map(loadFixture));
+
+  async function fetchKlines(symbol, interval, limit = 100, { startTime, endTime } = {}) {
+    const { series } = await loadFixture(symbol);
+    const klines = klinesAt(series, interval, now());
+    if (!klines) {
+      throw new BinanceAPIError(`Los datos grabados de ${symbol} no incluyen el intervalo ${interval}.`, { status: 400, endpoint: FIXTURE_ENDPOINT });
+    }
+    if (startTime !== undefined) {
+      return klines.filter(kline => kline.openTime >= startTime && (endTime === undefined || kline.openTime <= endTime)).slice(0, limit);
+    }
+    const visible = endTime === undefined ? klines : klines.filter(kline => kline.openTime <= endTime);
+    return visible.slice(-limit);
+  }
+
+  async function getTicker24hr(symbol) {
+    if (symbol) return tickerAt((await loadFixture(symbol)).series, now());
+    const time = now();
+    return (await loadAll()).map(({ series }) => tickerAt(series, time));
+  }
+
+  async function getTickerPrice(symbol) {
+    const tickers = await getTicker24hr(symbol);
+    const toPrice = (ticker) => ({ symbol: ticker.symbol, price: ticker.lastPrice });
+    return Array.isArray(tickers) ? tickers.map(toPrice) : toPrice(tickers);
+  }
+
+  async function getExchangeInfo(symbol) {
+    return symbol ? [(await loadFixture(symbol)).info] : (await loadAll()).map(({ info }) => info);
+  }
+
+  /**
+   * Reproduce un stream: llama a `onTick` cada `STREAM_TICK_MS` con el instante reproducido. Al volver al
+   * principio del bucle se pide a los consumidores que resincronicen, como tras una reconexión.
+   * @param {string} symbol
+   * @param {(series: ReplaySeries, time: number) => void} onTick
+   * @param {StreamSubscriptionOptions} [options]
+   * @returns {() => void}
+   */
+  function replayStream(symbol, onTick, options = {}) {
+    let disposed = false;
+    let timer = null;
+    let lastCycle = null;
+
+    loadFixture(symbol)
+      .then(({ series }) => {
+        if (disposed) return;
+        const tick = () => {
+          const { time, cycle } = replayPosition(index, speed);
+          try {
+            const wrapped = lastCycle !== null && cycle !== lastCycle;
+            lastCycle = cycle;
+            // En el tick de la vuelta solo se avisa: el consumidor recarga antes de recibir datos "del pasado".
+            if (wrapped) options.onResync?.();
+            else onTick(series, time);
+          } catch (error) {
+            console.error(`Error en el stream reproducido de ${symbol}:`, error.message);
+          }
+        };
+        tick();
+        timer = setInterval(tick, STREAM_TICK_MS);
+      })
+      .catch(error => console.error(`No se pudo reproducir ${symbol}:`, error.message));
+
+    return () => {
+      disposed = true;
+      clearInterval(timer);
+    };
+  }
+
+  function subscribeTicker(symbol, onData, options) {
+    return replayStream(symbol, (series, time) => onData(tickerAt(series, time)), options);
+  }
+
+  function subscribeKlines(symbol, interval, onData, options) {
+    let currentOpenTime = null;
+    return replayStream(symbol, (series, time) => {
+      const klines = klinesAt(series, interval, time);
+      if (!klines || klines.length === 0) return;
+      const current = klines[klines.length - 1];
+      const previous = klines[klines.length - 2];
+      // La vela anterior cerró desde el último tick: se emite cerrada, como hace Binance.
+      if (currentOpenTime !== null && previous && current.openTime > currentOpenTime) {
+        onData({ ...previous, symbol, interval, isClosed: true });
+      }
+      currentOpenTime = current.openTime;
+      onData({ ...current, symbol, interval, isClosed: false });
+    }, options);
+  }
+
+  return {
+    id: 'fixture',
+    persistent: false,
+    now,
+    fetchKlines,
+    getTicker24hr,
+    getTickerPrice,
+    getExchangeInfo,
+    subscribeTicker,
+    subscribeKlines,
+  };
+}
@@ -0,0 +1,326 @@
+// src/scripts/fixtureReplay.js
+
+/**
+ * @file Reproducción de grabaciones de mercado (fixtures): reconstruye las velas y el ticker de 24 h tal como se
+ * veían en cualquier instante de la grabación. Funciones puras, sin DOM ni red (las usan `fixtureProvider.js` y el
+ * modo repetición, `replayProvider.js`, con velas históricas descargadas).
+ *
+ * Una grabación guarda, para varios intervalos anidados (1m, 5m, 15m, 1h, 4h, 1d...), las velas que terminan en el
+ * mismo instante. En un instante `time` de la reproducción:
+ * - Las velas cerradas antes de `time` se devuelven tal como se grabaron.
+ * - La vela en curso de cada intervalo se agrega con las velas del intervalo grabado inmediatamente inferior,
+ *   hasta llegar al más fino, cuya vela en curso se interpola linealmente desde la apertura. Así el precio es el
+ *   mismo en todos los intervalos y en el ticker, y cada vela coincide con la grabada al cerrar.
+ * - Los intervalos no grabados se agregan a partir del mayor intervalo grabado que los divide (5m a partir de 1m,
+ *   1w a partir de 1d...).
+ */
+
+import { KLINE_INTERVAL_MS } from './binanceAPI.js';
+
+/**
+ * @typedef {import('./binanceAPI.js').KlineObject} KlineObject
+ * @typedef {import('./binanceAPI.js').Ticker24hrData} Ticker24hrData
+ */
+
+/**
+ * Fila de vela en un archivo de fixture:
+ * `[openTime, open, high, low, close, volume, quoteAssetVolume, numberOfTrades]`.
+ * @typedef {number[]} FixtureKlineRow
+ */
+
+/**
+ * Archivo de fixture de un par (`src/fixtures/market/<SÍMBOLO>.json`).
+ * @typedef {object} MarketFixture
+ * @property {string} symbol
+ * @property {string} baseAsset
+ * @property {string} quoteAsset
+ * @property {number | null} tickSize
+ * @property {number | null} stepSize
+ * @property {Record<string, FixtureKlineRow[]>} klines - Velas por intervalo, en orden cronológico.
+ */
+
+/**
+ * Índice de la grabación (`src/fixtures/market/index.json`).
+ * @typedef {object} FixtureIndex
+ * @property {number} recordedAt - Instante en que termina la grabación (Unix ms).
+ * @property {number} replayMs - Duración del tramo final que se reproduce en bucle; lo anterior es el historial.
+ * @property {string} source - 'binance' si se grabó con `scripts/record-fixtures.mjs`, 'synthetic' si se generó.
+ * @property {string[]} symbols
+ */
+
+/**
+ * Grabación de un intervalo, ya convertida en velas.
+ * @typedef {object} RecordedInterval
+ * @property {string} interval
+ * @property {number} step - Duración de la vela en ms.
+ * @property {KlineObject[]} klines
+ */
+
+/**
+ * Grabación de un par lista para reproducir: intervalos de más fino a más grueso.
+ * @typedef {object} ReplaySeries
+ * @property {string} symbol
+ * @property {number} priceDecimals - Decimales del `tickSize`; los precios interpolados se redondean a ellos.
+ * @property {RecordedInterval[]} intervals
+ */
+
+/**
+ * Posición de la reproducción en un instante real.
+ * @typedef {object} ReplayPosition
+ * @property {number} time - Instante de la grabación que se está reproduciendo (Unix ms).
+ * @property {number} cycle - Vueltas completas al bucle; cambia cuando la reproducción vuelve al principio.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Las semanas de Binance empiezan en lunes; el 1 de enero de 1970 fue jueves.
+const WEEK_OFFSET_MS = 4 * DAY_MS;
+// Sin `tickSize` en el fixture.
+const FALLBACK_PRICE_DECIMALS = 8;
+const VOLUME_DECIMALS = 8;
+
+const roundTo = (value, decimals) => Number(value.toFixed(decimals));
+
+/**
+ * Instante de la grabación que corresponde a un instante real. Depende solo de la hora real, así que el servidor
+ * y el navegador reproducen el mismo momento sin coordinarse.
+ * @param {FixtureIndex} index
+ * @param {number} speed - Velocidad de reproducción (1 = tiempo real, 60 = un minuto grabado por segundo).
+ * @param {number} [wallTime=Date.now()]
+ * @returns {ReplayPosition}
+ */
+export function replayPosition(index, speed, wallTime = Date.now()) {
+  const elapsed = wallTime * speed;
+  return {
+    time: index.recordedAt - index.replayMs + Math.floor(elapsed % index.replayMs),
+    cycle: Math.floor(elapsed / index.replayMs),
+  };
+}
+
+/**
+ * @param {FixtureKlineRow} row
+ * @param {number} step
+ * @returns {KlineObject}
+ */
+function parseFixtureKline([openTime, open, high, low, close, volume, quoteAssetVolume = 0, numberOfTrades = 0], step) {
+  return {
+    openTime,
+    open,
+    high,
+    low,
+    close,
+    volume,
+    closeTime: openTime + step - 1,
+    quoteAssetVolume,
+    numberOfTrades,
+    // Las grabaciones no guardan el volumen taker.
+    takerBuyBaseAssetVolume: 0,
+    takerBuyQuoteAssetVolume: 0,
+  };
+}
+
+/**
+ * Construye una serie reproducible con velas ya convertidas (el modo repetición usa velas históricas descargadas).
+ * Se ignoran los intervalos desconocidos y '1M', cuya duración no es fija.
+ * @param {string} symbol
+ * @param {number | null | undefined} tickSize
+ * @param {Record<string, KlineObject[]>} klinesByInterval - Velas por intervalo, en orden cronológico.
+ * @returns {ReplaySeries}
+ */
+export function createSeriesFromKlines(symbol, tickSize, klinesByInterval) {
+  const intervals = Object.entries(klinesByInterval)
+    .filter(([interval]) => KLINE_INTERVAL_MS[interval] && interval !== '1M')
+    .map(([interval, klines]) => ({ interval, step: KLINE_INTERVAL_MS[interval], klines }))
+    .sort((a, b) => a.step - b.step);
+  const priceDecimals = tickSize > 0 ? Math.max(0, Math.round(-Math.log10(tickSize))) : FALLBACK_PRICE_DECIMALS;
+  return { symbol, priceDecimals, intervals };
+}
+
+/**
+ * Convierte un archivo de fixture en una serie reproducible.
+ * @param {MarketFixture} fixture
+ * @returns {ReplaySeries}
+ */
+export function createReplaySeries(fixture) {
+  const klinesByInterval = Object.fromEntries(Object.entries(fixture.klines)
+    .filter(([interval]) => KLINE_INTERVAL_MS[interval])
+    .map(([interval, rows]) => [interval, rows.map(row => parseFixtureKline(row, KLINE_INTERVAL_MS[interval]))]));
+  return createSeriesFromKlines(fixture.symbol, fixture.tickSize, klinesByInterval);
+}
+
+/**
+ * Primer índice cuya vela abre después de `time` (búsqueda binaria).
+ * @param {KlineObject[]} klines
+ * @param {number} time
+ * @returns {number}
+ */
+function upperBound(klines, time) {
+  let low = 0;
+  let high = klines.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (klines[middle].openTime <= time) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+/**
+ * Vela en curso del intervalo más fino: avanza linealmente de la apertura al cierre grabado, y el máximo y el
+ * mínimo se abren en proporción hasta alcanzar los grabados.
+ * @param {KlineObject} kline
+ * @param {number} time
+ * @param {number} priceDecimals
+ * @returns {KlineObject}
+ */
+function interpolateKline(kline, time, priceDecimals) {
+  const fraction = Math.min(1, (time - kline.openTime + 1) / (kline.closeTime - kline.openTime + 1));
+  const close = kline.open + (kline.close - kline.open) * fraction;
+  const bodyHigh = Math.max(kline.open, kline.close);
+  const bodyLow = Math.min(kline.open, kline.close);
+  return {
+    ...kline,
+    close: roundTo(close, priceDecimals),
+    high: roundTo(Math.max(kline.open, close) + (kline.high - bodyHigh) * fraction, priceDecimals),
+    low: roundTo(Math.min(kline.open, close) - (bodyLow - kline.low) * fraction, priceDecimals),
+    volume: roundTo(kline.volume * fraction, VOLUME_DECIMALS),
+    quoteAssetVolume: roundTo(kline.quoteAssetVolume * fraction, VOLUME_DECIMALS),
+    numberOfTrades: Math.round(kline.numberOfTrades * fraction),
+  };
+}
+
+/**
+ * Une velas consecutivas en una sola.
+ * @param {number} openTime
+ * @param {number} closeTime
+ * @param {number} open
+ * @param {KlineObject[]} parts - No vacío.
+ * @returns {KlineObject}
+ */
+function combineKlines(openTime, closeTime, open, parts) {
+  const sum = (field) => parts.reduce((total, part) => total + part[field], 0);
+  return {
+    openTime,
+    open,
+    high: Math.max(open, ...parts.map(part => part.high)),
+    low: Math.min(open, ...parts.map(part => part.low)),
+    close: parts[parts.length - 1].close,
+    volume: sum('volume'),
+    closeTime,
+    quoteAssetVolume: sum('quoteAssetVolume'),
+    numberOfTrades: sum('numberOfTrades'),
+    takerBuyBaseAssetVolume: sum('takerBuyBaseAssetVolume'),
+    takerBuyQuoteAssetVolume: sum('takerBuyQuoteAssetVolume'),
+  };
+}
+
+/**
+ * Velas de un intervalo grabado visibles en `time`.
+ * @param {ReplaySeries} series
+ * @param {number} level - Índice en `series.intervals`.
+ * @param {number} time
+ * @returns {KlineObject[]}
+ */
+function recordedKlinesAt(series, level, time) {
+  const { klines } = series.intervals[level];
+  const end = upperBound(klines, time);
+  if (end === 0) return [];
+  const current = klines[end - 1];
+  if (current.closeTime < time) return klines.slice(0, end);
+  return [...klines.slice(0, end - 1), currentKlineAt(series, level, current, time)];
+}
+
+/**
+ * Vela en curso de un intervalo grabado, agregada con el intervalo inferior.
+ * @param {ReplaySeries} series
+ * @param {number} level
+ * @param {KlineObject} kline - Vela grabada que contiene `time`.
+ * @param {number} time
+ * @returns {KlineObject}
+ */
+function currentKlineAt(series, level, kline, time) {
+  if (level === 0) return interpolateKline(kline, time, series.priceDecimals);
+  const parts = recordedKlinesAt(series, level - 1, time).filter(part => part.openTime >= kline.openTime);
+  // El intervalo inferior no llega tan atrás: se interpola como si fuera el más fino.
+  if (parts.length === 0) return interpolateKline(kline, time, series.priceDecimals);
+  return combineKlines(kline.openTime, kline.closeTime, kline.open, parts);
+}
+
+/**
+ * Agrupa velas en velas de `step` ms. Se descarta el primer grupo si está incompleto.
+ * @param {KlineObject[]} klines
+ * @param {number} step
+ * @param {number} offset - Desfase del inicio de cada grupo respecto a la época Unix.
+ * @returns {KlineObject[]}
+ */
+function aggregateKlines(klines, step, offset) {
+  /** @type {Map<number, KlineObject[]>} */
+  const groups = new Map();
+  for (const kline of klines) {
+    const start = kline.openTime - ((kline.openTime - offset) % step);
+    if (!groups.has(start)) groups.set(start, []);
+    groups.get(start).push(kline);
+  }
+  return [...groups.entries()]
+    .filter(([start, parts], i) => i > 0 || parts[0].openTime === start)
+    .map(([start, parts]) => combineKlines(start, start + step - 1, parts[0].open, parts));
+}
+
+/**
+ * Velas de un intervalo tal como se veían en `time` (la última, en curso).
+ * @param {ReplaySeries} series
+ * @param {string} interval
+ * @param {number} time
+ * @returns {KlineObject[] | null} null si el intervalo no está grabado ni se puede agregar de uno grabado.
+ */
+export function klinesAt(series, interval, time) {
+  const level = series.intervals.findIndex(recorded => recorded.interval === interval);
+  if (level >= 0) return recordedKlinesAt(series, level, time);
+
+  const step = KLINE_INTERVAL_MS[interval];
+  if (!step || interval === '1M') return null;
+  let source = -1;
+  series.intervals.forEach((recorded, i) => {
+    if (recorded.step < step && step % recorded.step === 0) source = i;
+  });
+  if (source < 0) return null;
+  return aggregateKlines(recordedKlinesAt(series, source, time), step, interval === '1w' ? WEEK_OFFSET_MS : 0);
+}
+
+/**
+ * Estadísticas de 24 h en `time`, con el intervalo grabado más fino que cubre las últimas 24 horas.
+ * @param {ReplaySeries} series
+ * @param {number} time
+ * @returns {Ticker24hrData}
+ */
+export function tickerAt(series, time) {
+  const from = time - DAY_MS;
+  const covering = series.intervals.findIndex(recorded => recorded.klines.length > 0 && recorded.klines[0].openTime <= from);
+  const level = covering >= 0 ? covering : series.intervals.length - 1;
+  const klines = recordedKlinesAt(series, level, time).filter(kline => kline.closeTime >= from);
+  const first = klines[0];
+  const last = klines[klines.length - 1];
+  const day = combineKlines(first.openTime, time, first.open, klines);
+  return {
+    symbol: series.symbol,
+    priceChange: last.close - first.open,
+    priceChangePercent: ((last.close - first.open) / first.open) * 100,
+    weightedAvgPrice: day.volume > 0 ? day.quoteAssetVolume / day.volume : last.close,
+    prevClosePrice: first.open,
+    lastPrice: last.close,
+    lastQty: 0,
+    bidPrice: last.close,
+    bidQty: 0,
+    askPrice: last.close,
+    askQty: 0,
+    openPrice: first.open,
+    highPrice: day.high,
+    lowPrice: day.low,
+    volume: day.volume,
+    quoteVolume: day.quoteAssetVolume,
+    openTime: from,
+    closeTime: time,
+    firstId: 0,
+    lastId: 0,
+    count: day.numberOfTrades,
+  };
+}
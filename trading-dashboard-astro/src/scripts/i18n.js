@@ -0,0 +1,108 @@
+// src/scripts/i18n.js
+
+/**
+ * @file Traducciones de la interfaz (español e inglés). Los textos están en `locales/<idioma>.js` como
+ * claves planas (ej. 'card.volume24h') con parámetros entre llaves (`{symbol}`). El idioma activo lo decide
+ * el servidor (ver `middleware.js`) y el cliente lo lee del atributo `lang` de `<html>`.
+ */
+
+import es from './locales/es.js';
+import en from './locales/en.js';
+
+/**
+ * @typedef {'es' | 'en'} Locale
+ */
+
+/**
+ * Traductor ligado a un idioma: `t('clave', { parametro })`.
+ * @typedef {((key: string, params?: Record<string, string | number>) => string) & { locale: Locale }} Translator
+ */
+
+/** @type {Locale[]} */
+export const LOCALES = ['es', 'en'];
+/** @type {Locale} */
+export const DEFAULT_LOCALE = 'es';
+
+// Nombre de cada idioma en su propio idioma (selector de idioma).
+export const LOCALE_NAMES = { es: 'Español', en: 'English' };
+
+// Locale de `Intl` usado para formatear números y fechas en cada idioma.
+const INTL_LOCALES = { es: 'es-ES', en: 'en-US' };
+
+const MESSAGES = { es, en };
+
+/**
+ * Normaliza un código de idioma (ej. 'en-GB', 'ES') a uno de los idiomas soportados.
+ * @param {string | null | undefined} value
+ * @returns {Locale | null} null si no se reconoce.
+ */
+export function matchLocale(value) {
+  const language = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+  return LOCALES.includes(/** @type {Locale} */ (language)) ? /** @type {Locale} */ (language) : null;
+}
+
+/**
+ * @param {Locale} locale
+ * @returns {string} Locale de `Intl` (ej. 'es-ES').
+ */
+export function getIntlLocale(locale) {
+  return INTL_LOCALES[locale] ?? INTL_LOCALES[DEFAULT_LOCALE];
+}
+
+/**
+ * Traduce una clave. Si falta en el idioma pedido se usa la traducción en español, y si tampoco existe, la clave.
+ * @param {Locale} locale
+ * @param {string} key
+ * @param {Record<string, string | number>} [params] - Valores de los marcadores `{nombre}`.
+ * @returns {string}
+ */
+export function translate(locale, key, params = {}) {
+  const template = MESSAGES[locale]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * @param {Locale} locale
+ * @returns {Translator}
+ */
+export function createTranslator(locale) {
+  const t = (key, params) => translate(locale, key, params);
+  t.locale = locale;
+  return t;
+}
+
+/**
+ * Idioma de la página actual (solo en el cliente), tal como lo renderizó el servidor en `<html lang>`.
+ * @returns {Locale}
+ */
+export function getDocumentLocale() {
+  return matchLocale(document.documentElement.lang) ?? DEFAULT_LOCALE;
+}
+
+/**
+ * Error de validación con un mensaje traducible. `message` queda en el idioma por defecto (para los logs)
+ * y la interfaz lo muestra en el suyo con `localizeError`.
+ */
+export class LocalizedError extends Error {
+  /**
+   * @param {string} key - Clave de traducción del mensaje.
+   * @param {Record<string, string | number>} [params]
+   */
+  constructor(key, params = {}) {
+    super(translate(DEFAULT_LOCALE, key, params));
+    this.name = 'LocalizedError';
+    this.key = key;
+    this.params = params;
+  }
+}
+
+/**
+ * Mensaje de un error para la interfaz, traducido si es un `LocalizedError`.
+ * @param {unknown} error
+ * @param {Locale} locale
+ * @returns {string}
+ */
+export function localizeError(error, locale) {
+  if (error instanceof LocalizedError) return translate(locale, error.key, error.params);
+  return error instanceof Error ? error.message : String(error);
+}
@@ -0,0 +1,589 @@
+// src/scripts/incrementalIndicators.js
+
+/**
+ * @file Versiones incrementales (con estado) de los indicadores de `technicalIndicators.js`.
+ * Cada fábrica devuelve un objeto con `update(kline)` que acepta velas nuevas o la vela en curso
+ * actualizada (mismo `openTime`) y devuelve el punto actual, con la misma forma que el último
+ * elemento de la serie equivalente de `technicalIndicators.js`.
+ *
+ * Internamente cada indicador separa el estado "confirmado" (velas ya cerradas) de la vela en curso:
+ * la vela en curso solo se incorpora al estado cuando llega una vela con un `openTime` posterior,
+ * por lo que recalcular la vela abierta en cada tick es O(1). Los indicadores basados en máximos y
+ * mínimos de una ventana (Estocástico, %R, Ichimoku) recorren su ventana en cada tick: O(período).
+ */
+
+import { priceOf } from './technicalIndicators.js';
+
+/**
+ * @typedef {import('./binanceAPI.js').KlineObject} KlineObject
+ * @typedef {import('./technicalIndicators.js').PriceSource} PriceSource
+ * @typedef {import('./technicalIndicators.js').IndicatorPoint} IndicatorPoint
+ * @typedef {import('./technicalIndicators.js').MACDPoint} MACDPoint
+ * @typedef {import('./technicalIndicators.js').BollingerPoint} BollingerPoint
+ * @typedef {import('./technicalIndicators.js').StochasticPoint} StochasticPoint
+ * @typedef {import('./technicalIndicators.js').ADXPoint} ADXPoint
+ * @typedef {import('./technicalIndicators.js').ParabolicSARPoint} ParabolicSARPoint
+ * @typedef {import('./technicalIndicators.js').IchimokuPoint} IchimokuPoint
+ */
+
+/**
+ * Indicador incremental.
+ * @template TPoint
+ * @typedef {object} IncrementalIndicator
+ * @property {(kline: KlineObject) => TPoint | null} update - Procesa una vela nueva o la vela en curso actualizada.
+ *           Las velas con un `openTime` anterior al de la vela en curso se ignoran.
+ * @property {TPoint | null} value - Último punto calculado (null antes de la primera vela).
+ */
+
+// --- Utilidades internas ---
+
+/**
+ * Envuelve un indicador definido por `commit` (incorpora una vela cerrada al estado) y
+ * `preview` (calcula el punto de una vela sin modificar el estado).
+ * @template TPoint
+ * @param {(kline: KlineObject) => void} commit
+ * @param {(kline: KlineObject) => TPoint} preview
+ * @returns {IncrementalIndicator<TPoint>}
+ */
+function createIncrementalIndicator(commit, preview) {
+  /** @type {KlineObject | null} */
+  let pendingKline = null;
+  let current = null;
+  return {
+    update(kline) {
+      if (pendingKline && kline.openTime < pendingKline.openTime) return current;
+      if (pendingKline && kline.openTime > pendingKline.openTime) commit(pendingKline);
+      pendingKline = kline;
+      current = preview(kline);
+      return current;
+    },
+    get value() {
+      return current;
+    },
+  };
+}
+
+/**
+ * Acumulador de media simple sobre una ventana. Los valores null se ignoran.
+ * @param {number} period
+ */
+function smaAccumulator(period) {
+  const window = [];
+  let sum = 0;
+  return {
+    /** @param {number | null} value */
+    peek(value) {
+      if (value === null || window.length + 1 < period) return null;
+      const dropped = window.length === period ? window[0] : 0;
+      return (sum - dropped + value) / period;
+    },
+    /** @param {number | null} value */
+    push(value) {
+      if (value === null) return;
+      window.push(value);
+      sum += value;
+      if (window.length > period) sum -= window.shift();
+    },
+  };
+}
+
+/**
+ * Acumulador de media exponencial (`smoothing` = 'ema') o de Wilder (`smoothing` = 'wilder'),
+ * inicializado con la SMA de los primeros `period` valores no nulos.
+ * @param {number} period
+ * @param {'ema' | 'wilder'} [smoothing='ema']
+ */
+function smoothingAccumulator(period, smoothing = 'ema') {
+  const multiplier = smoothing === 'ema' ? 2 / (period + 1) : 1 / period;
+  let count = 0;
+  let seedSum = 0;
+  let average = null;
+  return {
+    /** @param {number | null} value */
+    peek(value) {
+      if (value === null) return null;
+      if (count + 1 < period) return null;
+      if (count + 1 === period) return (seedSum + value) / period;
+      return (value - average) * multiplier + average;
+    },
+    /** @param {number | null} value */
+    push(value) {
+      if (value === null) return;
+      const next = this.peek(value);
+      count++;
+      if (count < period) seedSum += value;
+      else average = next;
+    },
+  };
+}
+
+/**
+ * Ventana de velas cerradas para calcular el máximo de `high` y el mínimo de `low`.
+ * @param {number} period
+ */
+function rangeWindow(period) {
+  /** @type {KlineObject[]} */
+  const klines = [];
+  return {
+    /**
+     * @param {KlineObject} kline - Vela en curso.
+     * @returns {{ highest: number, lowest: number } | null} null si aún no hay `period` velas.
+     */
+    peek(kline) {
+      if (klines.length + 1 < period) return null;
+      let highest = kline.high;
+      let lowest = kline.low;
+      for (let j = klines.length - period + 1; j < klines.length; j++) {
+        if (klines[j].high > highest) highest = klines[j].high;
+        if (klines[j].low < lowest) lowest = klines[j].low;
+      }
+      return { highest, lowest };
+    },
+    /** @param {KlineObject} kline */
+    push(kline) {
+      klines.push(kline);
+      if (klines.length > period) klines.shift();
+    },
+  };
+}
+
+/**
+ * @param {KlineObject} kline
+ * @param {number | null} prevClose
+ */
+function trueRange(kline, prevClose) {
+  if (prevClose === null) return kline.high - kline.low;
+  return Math.max(kline.high - kline.low, Math.abs(kline.high - prevClose), Math.abs(kline.low - prevClose));
+}
+
+// --- Indicadores ---
+
+/**
+ * SMA incremental. Equivalente a `calculateSMA`.
+ * @param {number} period
+ * @param {PriceSource} [source='close']
+ * @returns {IncrementalIndicator<IndicatorPoint>}
+ */
+export function createIncrementalSMA(period, source = 'close') {
+  const sma = smaAccumulator(period);
+  return createIncrementalIndicator(
+    kline => sma.push(priceOf(kline, source)),
+    kline => ({ time: kline.openTime, value: sma.peek(priceOf(kline, source)) }),
+  );
+}
+
+/**
+ * EMA incremental. Equivalente a `calculateEMA`.
+ * @param {number} period
+ * @param {PriceSource} [source='close']
+ * @returns {IncrementalIndicator<IndicatorPoint>}
+ */
+export function createIncrementalEMA(period, source = 'close') {
+  const ema = smoothingAccumulator(period, 'ema');
+  return createIncrementalIndicator(
+    kline => ema.push(priceOf(kline, source)),
+    kline => ({ time: kline.openTime, value: ema.peek(priceOf(kline, source)) }),
+  );
+}
+
+/**
+ * RSI incremental (Wilder). Equivalente a `calculateRSI`.
+ * @param {number} [period=14]
+ * @returns {IncrementalIndicator<IndicatorPoint>}
+ */
+export function createIncrementalRSI(period = 14) {
+  const avgGain = smoothingAccumulator(period, 'wilder');
+  const avgLoss = smoothingAccumulator(period, 'wilder');
+  let prevClose = null;
+  return createIncrementalIndicator(
+    kline => {
+      if (prevClose !== null) {
+        avgGain.push(Math.max(kline.close - prevClose, 0));
+        avgLoss.push(Math.max(prevClose - kline.close, 0));
+      }
+      prevClose = kline.close;
+    },
+    kline => {
+      if (prevClose === null) return { time: kline.openTime, value: null };
+      const gain = avgGain.peek(Math.max(kline.close - prevClose, 0));
+      const loss = avgLoss.peek(Math.max(prevClose - kline.close, 0));
+      if (gain === null) return { time: kline.openTime, value: null };
+      return { time: kline.openTime, value: loss === 0 ? 100 : 100 - (100 / (1 + gain / loss)) };
+    },
+  );
+}
+
+/**
+ * MACD incremental. Equivalente a `calculateMACD`.
+ * @param {number} [shortPeriod=12]
+ * @param {number} [longPeriod=26]
+ * @param {number} [signalPeriod=9]
+ * @returns {IncrementalIndicator<MACDPoint>}
+ */
+export function createIncrementalMACD(shortPeriod = 12, longPeriod = 26, signalPeriod = 9) {
+  const emaShort = smoothingAccumulator(shortPeriod, 'ema');
+  const emaLong = smoothingAccumulator(longPeriod, 'ema');
+  const signalEma = smoothingAccumulator(signalPeriod, 'ema');
+  const macdOf = (close) => {
+    const short = emaShort.peek(close);
+    const long = emaLong.peek(close);
+    return short === null || long === null ? null : short - long;
+  };
+  return createIncrementalIndicator(
+    kline => {
+      signalEma.push(macdOf(kline.close));
+      emaShort.push(kline.close);
+      emaLong.push(kline.close);
+    },
+    kline => {
+      const macd = macdOf(kline.close);
+      const signal = signalEma.peek(macd);
+      return {
+        time: kline.openTime,
+        macd,
+        signal,
+        histogram: macd === null || signal === null ? null : macd - signal,
+      };
+    },
+  );
+}
+
+/**
+ * Bandas de Bollinger incrementales. Equivalente a `calculateBollingerBands`.
+ * @param {number} [period=20]
+ * @param {number} [multiplier=2]
+ * @returns {IncrementalIndicator<BollingerPoint>}
+ */
+export function createIncrementalBollingerBands(period = 20, multiplier = 2) {
+  const closes = [];
+  let sum = 0;
+  let sumSquares = 0;
+  return createIncrementalIndicator(
+    kline => {
+      closes.push(kline.close);
+      sum += kline.close;
+      sumSquares += kline.close ** 2;
+      if (closes.length > period) {
+        const dropped = closes.shift();
+        sum -= dropped;
+        sumSquares -= dropped ** 2;
+      }
+    },
+    kline => {
+      if (closes.length + 1 < period) {
+        return { time: kline.openTime, middle: null, upper: null, lower: null };
+      }
+      const dropped = closes.length === period ? closes[0] : 0;
+      const windowSum = sum - dropped + kline.close;
+      const windowSumSquares = sumSquares - dropped ** 2 + kline.close ** 2;
+      const middle = windowSum / period;
+      // Se acota en 0 para absorber errores de redondeo de la suma de cuadrados
+      const deviation = Math.sqrt(Math.max(windowSumSquares / period - middle ** 2, 0));
+      return {
+        time: kline.openTime,
+        middle,
+        upper: middle + multiplier * deviation,
+        lower: middle - multiplier * deviation,
+      };
+    },
+  );
+}
+
+/**
+ * ATR incremental (Wilder). Equivalente a `calculateATR`.
+ * @param {number} [period=14]
+ * @returns {IncrementalIndicator<IndicatorPoint>}
+ */
+export function createIncrementalATR(period = 14) {
+  const atr = smoothingAccumulator(period, 'wilder');
+  let prevClose = null;
+  return createIncrementalIndicator(
+    kline => {
+      atr.push(trueRange(kline, prevClose));
+      prevClose = kline.close;
+    },
+    kline => ({ time: kline.openTime, value: atr.peek(trueRange(kline, prevClose)) }),
+  );
+}
+
+/**
+ * Oscilador Estocástico incremental. Equivalente a `calculateStochastic`.
+ * @param {number} [kPeriod=14]
+ * @param {number} [dPeriod=3]
+ * @param {number} [kSmoothing=1]
+ * @returns {IncrementalIndicator<StochasticPoint>}
+ */
+export function createIncrementalStochastic(kPeriod = 14, dPeriod = 3, kSmoothing = 1) {
+  const range = rangeWindow(kPeriod);
+  const kSma = kSmoothing > 1 ? smaAccumulator(kSmoothing) : null;
+  const dSma = smaAccumulator(dPeriod);
+  const rawKOf = (kline) => {
+    const window = range.peek(kline);
+    if (!window) return null;
+    const { highest, lowest } = window;
+    return highest === lowest ? 50 : 100 * (kline.close - lowest) / (highest - lowest);
+  };
+  const kOf = (kline) => (kSma ? kSma.peek(rawKOf(kline)) : rawKOf(kline));
+  return createIncrementalIndicator(
+    kline => {
+      const rawK = rawKOf(kline);
+      const k = kSma ? kSma.peek(rawK) : rawK;
+      dSma.push(k);
+      if (kSma) kSma.push(rawK);
+      range.push(kline);
+    },
+    kline => {
+      const k = kOf(kline);
+      return { time: kline.openTime, k, d: dSma.peek(k) };
+    },
+  );
+}
+
+/**
+ * ADX/DMI incremental (Wilder). Equivalente a `calculateADX`.
+ * @param {number} [period=14]
+ * @returns {IncrementalIndicator<ADXPoint>}
+ */
+export function createIncrementalADX(period = 14) {
+  const smoothedTR = smoothingAccumulator(period, 'wilder');
+  const smoothedPlusDM = smoothingAccumulator(period, 'wilder');
+  const smoothedMinusDM = smoothingAccumulator(period, 'wilder');
+  const adx = smoothingAccumulator(period, 'wilder');
+  /** @type {KlineObject | null} */
+  let prevKline = null;
+
+  // Calcula las entradas (TR, +DM, -DM) y los valores DI/DX de una vela respecto a la anterior.
+  const directionalOf = (kline) => {
+    const up = kline.high - prevKline.high;
+    const down = prevKline.low - kline.low;
+    const inputs = {
+      tr: trueRange(kline, prevKline.close),
+      plusDM: up > down && up > 0 ? up : 0,
+      minusDM: down > up && down > 0 ? down : 0,
+    };
+    const tr = smoothedTR.peek(inputs.tr);
+    if (tr === null) return { inputs, plusDI: null, minusDI: null, dx: null };
+    const plusDI = tr === 0 ? 0 : 100 * smoothedPlusDM.peek(inputs.plusDM) / tr;
+    const minusDI = tr === 0 ? 0 : 100 * smoothedMinusDM.peek(inputs.minusDM) / tr;
+    const sum = plusDI + minusDI;
+    return { inputs, plusDI, minusDI, dx: sum === 0 ? 0 : 100 * Math.abs(plusDI - minusDI) / sum };
+  };
+
+  return createIncrementalIndicator(
+    kline => {
+      if (prevKline) {
+        const { inputs, dx } = directionalOf(kline);
+        adx.push(dx);
+        smoothedTR.push(inputs.tr);
+        smoothedPlusDM.push(inputs.plusDM);
+        smoothedMinusDM.push(inputs.minusDM);
+      }
+      prevKline = kline;
+    },
+    kline => {
+      if (!prevKline) return { time: kline.openTime, adx: null, plusDI: null, minusDI: null };
+      const { plusDI, minusDI, dx } = directionalOf(kline);
+      return { time: kline.openTime, adx: adx.peek(dx), plusDI, minusDI };
+    },
+  );
+}
+
+/**
+ * OBV incremental. Equivalente a `calculateOBV`.
+ * @returns {IncrementalIndicator<IndicatorPoint>}
+ */
+export function createIncrementalOBV() {
+  let obv = 0;
+  let prevClose = null;
+  const obvOf = (kline) => {
+    if (prevClose === null || kline.close === prevClose) return obv;
+    return kline.close > prevClose ? obv + kline.volume : obv - kline.volume;
+  };
+  return createIncrementalIndicator(
+    kline => {
+      obv = obvOf(kline);
+      prevClose = kline.close;
+    },
+    kline => ({ time: kline.openTime, value: obvOf(kline) }),
+  );
+}
+
+/**
+ * VWAP incremental. Equivalente a `calculateVWAP`.
+ * @param {'day' | 'week' | null} [anchor='day']
+ * @returns {IncrementalIndicator<IndicatorPoint>}
+ */
+export function createIncrementalVWAP(anchor = 'day') {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const anchorKey = (time) => {
+    if (anchor === 'day') return Math.floor(time / DAY_MS);
+    if (anchor === 'week') return Math.floor((time / DAY_MS + 3) / 7);
+    return 0;
+  };
+  let currentKey = null;
+  let cumulativePV = 0;
+  let cumulativeVolume = 0;
+  // Acumulados incluyendo la vela dada (reiniciados si empieza un nuevo período).
+  const totalsOf = (kline) => {
+    const sameSession = anchorKey(kline.openTime) === currentKey;
+    return {
+      pv: (sameSession ? cumulativePV : 0) + priceOf(kline, 'hlc3') * kline.volume,
+      volume: (sameSession ? cumulativeVolume : 0) + kline.volume,
+    };
+  };
+  return createIncrementalIndicator(
+    kline => {
+      const totals = totalsOf(kline);
+      currentKey = anchorKey(kline.openTime);
+      cumulativePV = totals.pv;
+      cumulativeVolume = totals.volume;
+    },
+    kline => {
+      const totals = totalsOf(kline);
+      return { time: kline.openTime, value: totals.volume === 0 ? null : totals.pv / totals.volume };
+    },
+  );
+}
+
+/**
+ * %R de Williams incremental. Equivalente a `calculateWilliamsR`.
+ * @param {number} [period=14]
+ * @returns {IncrementalIndicator<IndicatorPoint>}
+ */
+export function createIncrementalWilliamsR(period = 14) {
+  const range = rangeWindow(period);
+  return createIncrementalIndicator(
+    kline => range.push(kline),
+    kline => {
+      const window = range.peek(kline);
+      if (!window) return { time: kline.openTime, value: null };
+      const { highest, lowest } = window;
+      return { time: kline.openTime, value: highest === lowest ? -50 : -100 * (highest - kline.close) / (highest - lowest) };
+    },
+  );
+}
+
+/**
+ * SAR Parabólico incremental. Equivalente a `calculateParabolicSAR`.
+ * @param {number} [step=0.02]
+ * @param {number} [maxStep=0.2]
+ * @returns {IncrementalIndicator<ParabolicSARPoint>}
+ */
+export function createIncrementalParabolicSAR(step = 0.02, maxStep = 0.2) {
+  /** @type {KlineObject[]} Las dos últimas velas cerradas. */
+  const previous = [];
+  /** @type {{ isUptrend: boolean, sar: number, extremePoint: number, acceleration: number } | null} */
+  let trend = null;
+
+  // Estado resultante de incorporar la vela dada (sin modificar el estado actual).
+  const nextTrendOf = (kline) => {
+    if (previous.length === 0) return null;
+    if (!trend) {
+      const first = previous[0];
+      const isUptrend = kline.close >= first.close;
+      return {
+        isUptrend,
+        sar: isUptrend ? Math.min(first.low, kline.low) : Math.max(first.high, kline.high),
+        extremePoint: isUptrend ? Math.max(first.high, kline.high) : Math.min(first.low, kline.low),
+        acceleration: step,
+      };
+    }
+    let { isUptrend, sar, extremePoint, acceleration } = trend;
+    const [beforeLast, last] = previous;
+    let nextSar = sar + acceleration * (extremePoint - sar);
+    if (isUptrend) {
+      nextSar = Math.min(nextSar, last.low, beforeLast.low);
+      if (kline.low < nextSar) {
+        isUptrend = false;
+        nextSar = extremePoint;
+        extremePoint = kline.low;
+        acceleration = step;
+      } else if (kline.high > extremePoint) {
+        extremePoint = kline.high;
+        acceleration = Math.min(acceleration + step, maxStep);
+      }
+    } else {
+      nextSar = Math.max(nextSar, last.high, beforeLast.high);
+      if (kline.high > nextSar) {
+        isUptrend = true;
+        nextSar = extremePoint;
+        extremePoint = kline.high;
+        acceleration = step;
+      } else if (kline.low < extremePoint) {
+        extremePoint = kline.low;
+        acceleration = Math.min(acceleration + step, maxStep);
+      }
+    }
+    return { isUptrend, sar: nextSar, extremePoint, acceleration };
+  };
+
+  return createIncrementalIndicator(
+    kline => {
+      trend = nextTrendOf(kline);
+      previous.push(kline);
+      if (previous.length > 2) previous.shift();
+    },
+    kline => {
+      const next = nextTrendOf(kline);
+      return next
+        ? { time: kline.openTime, value: next.sar, isUptrend: next.isUptrend }
+        : { time: kline.openTime, value: null, isUptrend: null };
+    },
+  );
+}
+
+/**
+ * Ichimoku incremental. Equivalente a `calculateIchimoku`, salvo que `lagging` siempre es null:
+ * la Chikou Span de la vela en curso depende de cierres futuros.
+ * @param {number} [conversionPeriod=9]
+ * @param {number} [basePeriod=26]
+ * @param {number} [spanBPeriod=52]
+ * @param {number} [displacement=26]
+ * @returns {IncrementalIndicator<IchimokuPoint>}
+ */
+export function createIncrementalIchimoku(conversionPeriod = 9, basePeriod = 26, spanBPeriod = 52, displacement = 26) {
+  const conversionRange = rangeWindow(conversionPeriod);
+  const baseRange = rangeWindow(basePeriod);
+  const spanBRange = rangeWindow(spanBPeriod);
+  /** @type {Array<{ spanA: number | null, spanB: number | null }>} Nube calculada en las velas cerradas, pendiente de desplazar. */
+  const cloudQueue = [];
+
+  const midpointOf = (range, kline) => {
+    const window = range.peek(kline);
+    return window ? (window.highest + window.lowest) / 2 : null;
+  };
+  const linesOf = (kline) => {
+    const conversion = midpointOf(conversionRange, kline);
+    const base = midpointOf(baseRange, kline);
+    return {
+      conversion,
+      base,
+      spanA: conversion === null || base === null ? null : (conversion + base) / 2,
+      spanB: midpointOf(spanBRange, kline),
+    };
+  };
+
+  return createIncrementalIndicator(
+    kline => {
+      const { spanA, spanB } = linesOf(kline);
+      cloudQueue.push({ spanA, spanB });
+      if (cloudQueue.length > displacement) cloudQueue.shift();
+      conversionRange.push(kline);
+      baseRange.push(kline);
+      spanBRange.push(kline);
+    },
+    kline => {
+      const { conversion, base } = linesOf(kline);
+      // La nube de esta vela se calculó `displacement` velas atrás.
+      const displaced = cloudQueue.length === displacement ? cloudQueue[0] : null;
+      return {
+        time: kline.openTime,
+        conversion,
+        base,
+        spanA: displaced ? displaced.spanA : null,
+        spanB: displaced ? displaced.spanB : null,
+        lagging: null,
+      };
+    },
+  );
+}
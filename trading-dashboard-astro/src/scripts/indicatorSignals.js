@@ -0,0 +1,64 @@
+// src/scripts/indicatorSignals.js
+
+/**
+ * @file Reglas de interpretación de los indicadores mostrados en `CryptoCard.astro`.
+ * Se comparten entre el render del servidor y las actualizaciones del cliente para que
+ * las etiquetas ("Sobrecompra", "Cruce Alcista", etc.) sigan siempre los mismos umbrales.
+ */
+
+import { translate, DEFAULT_LOCALE } from './i18n.js';
+
+/**
+ * @typedef {import('./i18n.js').Locale} Locale
+ */
+
+/**
+ * Etiqueta de interpretación de un indicador.
+ * @typedef {object} SignalLabel
+ * @property {string} text - Texto a mostrar (ej. 'Sobrecompra').
+ * @property {string} className - Clase de color de Tailwind.
+ */
+
+export const RSI_OVERBOUGHT = 70;
+export const RSI_OVERSOLD = 30;
+
+/**
+ * Posición del precio respecto a una media móvil.
+ * @param {number | null} price
+ * @param {number | null} average
+ * @param {Locale} [locale]
+ * @returns {SignalLabel | null}
+ */
+export function describePriceVsAverage(price, average, locale = DEFAULT_LOCALE) {
+  if (price === null || average === null) return null;
+  return price > average
+    ? { text: translate(locale, 'signals.priceAbove'), className: 'text-green-500' }
+    : { text: translate(locale, 'signals.priceBelow'), className: 'text-red-500' };
+}
+
+/**
+ * Zona del RSI (sobrecompra por encima de 70, sobreventa por debajo de 30).
+ * @param {number | null} rsi
+ * @param {Locale} [locale]
+ * @returns {SignalLabel | null} null si el RSI está en zona neutral.
+ */
+export function describeRSIZone(rsi, locale = DEFAULT_LOCALE) {
+  if (rsi === null) return null;
+  if (rsi > RSI_OVERBOUGHT) return { text: translate(locale, 'signals.overbought'), className: 'text-orange-500' };
+  if (rsi < RSI_OVERSOLD) return { text: translate(locale, 'signals.oversold'), className: 'text-purple-500' };
+  return null;
+}
+
+/**
+ * Posición de la línea MACD respecto a su línea de señal.
+ * @param {number | null} macd
+ * @param {number | null} signal
+ * @param {Locale} [locale]
+ * @returns {SignalLabel | null} null si ambas líneas coinciden o falta algún valor.
+ */
+export function describeMACDCross(macd, signal, locale = DEFAULT_LOCALE) {
+  if (macd === null || signal === null || macd === signal) return null;
+  return macd > signal
+    ? { text: translate(locale, 'signals.bullishCross'), className: 'text-green-500' }
+    : { text: translate(locale, 'signals.bearishCross'), className: 'text-red-500' };
+}
@@ -0,0 +1,195 @@
+// src/scripts/indicatorTable.js
+
+/**
+ * @file Tabla de velas con columnas de indicadores, para el endpoint `/api/indicators` y sus descargas CSV/JSON.
+ * Los indicadores se piden como texto (`sma:20,rsi:14,macd,bollinger:20:2`): un identificador y, opcionalmente,
+ * sus parámetros separados por ':'. Cada uno aporta una o varias columnas con nombre estable, p. ej. `sma_20`,
+ * `macd_12_26_9`, `macd_12_26_9_signal`.
+ */
+
+import {
+  calculateSMA,
+  calculateEMA,
+  calculateRSI,
+  calculateMACD,
+  calculateBollingerBands,
+  calculateATR,
+  calculateStochastic,
+  calculateADX,
+  calculateOBV,
+  calculateVWAP,
+  calculateWilliamsR,
+  calculateParabolicSAR,
+  calculateIchimoku,
+} from './technicalIndicators.js';
+import { vwapAnchorFor } from './chartIndicators.js';
+import { LocalizedError } from './i18n.js';
+
+/**
+ * @typedef {import('./binanceAPI.js').KlineObject} KlineObject
+ */
+
+/**
+ * Indicador pedido, con sus parámetros ya completados con los valores por defecto.
+ * @typedef {object} IndicatorSpec
+ * @property {string} id - Clave de `INDICATOR_DEFINITIONS` (ej. 'sma').
+ * @property {number[]} params
+ */
+
+/**
+ * Fila de la tabla: los campos de la vela más una columna por línea de indicador.
+ * @typedef {KlineObject & Record<string, number | boolean | null>} IndicatorRow
+ */
+
+/**
+ * @typedef {object} IndicatorDefinition
+ * @property {number[]} defaults - Parámetros por defecto, en orden.
+ * @property {(params: number[]) => number} warmup - Velas previas necesarias para que el primer valor sea fiable.
+ * @property {(klines: KlineObject[], params: number[], interval: string) => Array<Record<string, any>>} compute - Serie alineada.
+ * @property {Record<string, string>} lines - Campo de cada punto → sufijo de su columna ('' = columna principal).
+ */
+
+// Las medias exponenciales y el suavizado de Wilder dependen de toda la historia previa: con tres veces el
+// período de calentamiento el valor ya no se distingue del calculado sobre una serie mucho más larga.
+const SMOOTHING_WARMUP_FACTOR = 3;
+
+/** @type {Record<string, IndicatorDefinition>} */
+export const INDICATOR_DEFINITIONS = {
+  sma: { defaults: [20], warmup: ([period]) => period, compute: (klines, [period]) => calculateSMA(klines, period), lines: { value: '' } },
+  ema: { defaults: [20], warmup: ([period]) => period * SMOOTHING_WARMUP_FACTOR, compute: (klines, [period]) => calculateEMA(klines, period), lines: { value: '' } },
+  rsi: { defaults: [14], warmup: ([period]) => period * SMOOTHING_WARMUP_FACTOR, compute: (klines, [period]) => calculateRSI(klines, period), lines: { value: '' } },
+  macd: {
+    defaults: [12, 26, 9],
+    warmup: ([, long, signal]) => (long + signal) * SMOOTHING_WARMUP_FACTOR,
+    compute: (klines, params) => calculateMACD(klines, ...params),
+    lines: { macd: '', signal: 'signal', histogram: 'histogram' },
+  },
+  bollinger: {
+    defaults: [20, 2],
+    warmup: ([period]) => period,
+    compute: (klines, params) => calculateBollingerBands(klines, ...params),
+    lines: { upper: 'upper', middle: 'middle', lower: 'lower' },
+  },
+  atr: { defaults: [14], warmup: ([period]) => period * SMOOTHING_WARMUP_FACTOR, compute: (klines, [period]) => calculateATR(klines, period), lines: { value: '' } },
+  stochastic: {
+    defaults: [14, 3, 1],
+    warmup: ([k, d, smoothing]) => k + d + smoothing,
+    compute: (klines, params) => calculateStochastic(klines, ...params),
+    lines: { k: 'k', d: 'd' },
+  },
+  adx: {
+    defaults: [14],
+    warmup: ([period]) => 2 * period * SMOOTHING_WARMUP_FACTOR,
+    compute: (klines, [period]) => calculateADX(klines, period),
+    lines: { adx: '', plusDI: 'plus_di', minusDI: 'minus_di' },
+  },
+  obv: { defaults: [], warmup: () => 0, compute: (klines) => calculateOBV(klines), lines: { value: '' } },
+  // Mismo anclaje que la gráfica: diario en intradía, semanal en velas diarias, acumulado en semanales.
+  vwap: { defaults: [], warmup: () => 0, compute: (klines, params, interval) => calculateVWAP(klines, vwapAnchorFor(interval)), lines: { value: '' } },
+  williams: { defaults: [14], warmup: ([period]) => period, compute: (klines, [period]) => calculateWilliamsR(klines, period), lines: { value: '' } },
+  sar: {
+    defaults: [0.02, 0.2],
+    warmup: () => 50,
+    compute: (klines, params) => calculateParabolicSAR(klines, ...params),
+    lines: { value: '', isUptrend: 'uptrend' },
+  },
+  ichimoku: {
+    defaults: [9, 26, 52, 26],
+    warmup: ([, , spanB, displacement]) => spanB + displacement,
+    compute: (klines, params) => calculateIchimoku(klines, ...params),
+    lines: { conversion: 'conversion', base: 'base', spanA: 'span_a', spanB: 'span_b', lagging: 'lagging' },
+  },
+};
+
+// Límite de indicadores por solicitud, para acotar el coste de cálculo de cada llamada.
+export const MAX_INDICATORS = 10;
+
+/**
+ * Interpreta la lista de indicadores pedida (ej. 'sma:20,sma:50,rsi,macd:12:26:9').
+ * @param {string} text
+ * @returns {IndicatorSpec[]} Sin duplicados, en el orden pedido.
+ * @throws {LocalizedError} Si algún indicador o parámetro no es válido.
+ */
+export function parseIndicatorSpecs(text) {
+  const parts = String(text || '').split(',').map(part => part.trim().toLowerCase()).filter(Boolean);
+  if (parts.length === 0) throw new LocalizedError('api.error.noIndicators');
+  if (parts.length > MAX_INDICATORS) throw new LocalizedError('api.error.tooManyIndicators', { max: MAX_INDICATORS });
+
+  /** @type {Map<string, IndicatorSpec>} */
+  const specs = new Map();
+  for (const part of parts) {
+    const [id, ...rawParams] = part.split(':');
+    const definition = INDICATOR_DEFINITIONS[id];
+    if (!definition) {
+      throw new LocalizedError('api.error.unknownIndicator', { indicator: id, available: Object.keys(INDICATOR_DEFINITIONS).join(', ') });
+    }
+    if (rawParams.length > definition.defaults.length) throw new LocalizedError('api.error.invalidIndicator', { indicator: part });
+
+    const params = definition.defaults.map((fallback, i) => {
+      if (rawParams[i] === undefined || rawParams[i] === '') return fallback;
+      const value = Number(rawParams[i]);
+      // Los parámetros enteros (períodos) deben ser enteros; los decimales por defecto (SAR, Bollinger) admiten decimales.
+      const valid = Number.isFinite(value) && value > 0 && value <= 1000 && (Number.isInteger(fallback) ? Number.isInteger(value) : true);
+      if (!valid) throw new LocalizedError('api.error.invalidIndicator', { indicator: part });
+      return value;
+    });
+    const spec = { id, params };
+    specs.set(columnPrefix(spec), spec);
+  }
+  return [...specs.values()];
+}
+
+/**
+ * @param {IndicatorSpec} spec
+ * @returns {string} Ej. 'sma_20', 'bollinger_20_2', 'obv'.
+ */
+function columnPrefix({ id, params }) {
+  return [id, ...params].join('_');
+}
+
+/**
+ * Nombres de las columnas de indicadores, en el orden en que aparecen en cada fila.
+ * @param {IndicatorSpec[]} specs
+ * @returns {string[]}
+ */
+export function indicatorColumns(specs) {
+  return specs.flatMap(spec => Object.values(INDICATOR_DEFINITIONS[spec.id].lines)
+    .map(suffix => (suffix ? `${columnPrefix(spec)}_${suffix}` : columnPrefix(spec))));
+}
+
+/**
+ * Velas previas al rango pedido que hay que descargar para calcular los indicadores desde la primera fila.
+ * @param {IndicatorSpec[]} specs
+ * @returns {number}
+ */
+export function warmupCandles(specs) {
+  return Math.max(0, ...specs.map(spec => INDICATOR_DEFINITIONS[spec.id].warmup(spec.params)));
+}
+
+/**
+ * Calcula los indicadores sobre `klines` y devuelve las últimas `rowCount` filas.
+ * @param {KlineObject[]} klines - Velas del rango pedido precedidas de las de calentamiento.
+ * @param {IndicatorSpec[]} specs
+ * @param {string} interval - Intervalo de las velas.
+ * @param {number} [rowCount=klines.length]
+ * @returns {IndicatorRow[]}
+ */
+export function buildIndicatorRows(klines, specs, interval, rowCount = klines.length) {
+  const columns = specs.flatMap(spec => {
+    const definition = INDICATOR_DEFINITIONS[spec.id];
+    const series = definition.compute(klines, spec.params, interval);
+    return Object.entries(definition.lines).map(([field, suffix]) => ({
+      name: suffix ? `${columnPrefix(spec)}_${suffix}` : columnPrefix(spec),
+      values: series.map(point => point[field] ?? null),
+    }));
+  });
+
+  const start = Math.max(0, klines.length - rowCount);
+  return klines.slice(start).map((kline, offset) => {
+    const row = { ...kline };
+    for (const column of columns) {
+      row[column.name] = column.values[start + offset];
+    }
+    return row;
+  });
+}
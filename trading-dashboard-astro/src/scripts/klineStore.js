@@ -0,0 +1,243 @@
+// src/scripts/klineStore.js
+
+/**
+ * @file Almacén persistente de velas en el navegador (IndexedDB), por símbolo e intervalo.
+ * Permite pintar al instante las velas de la visita anterior, descargar después solo los tramos que faltan
+ * (hasta el presente, huecos intermedios e historial anterior) y, sin conexión, mostrar los datos guardados
+ * indicando desde cuándo no se actualizan. Sin IndexedDB (navegación privada, servidor) o con un proveedor de datos
+ * no persistente (la reproducción de fixtures y el modo repetición vuelven atrás en el tiempo) todo va al proveedor.
+ */
+
+import { KLINE_INTERVAL_MS } from './binanceAPI.js';
+import { getMarketDataProvider } from './marketDataProvider.js';
+
+/**
+ * @typedef {import('./binanceAPI.js').KlineObject} KlineObject
+ */
+
+/**
+ * Serie guardada de un símbolo e intervalo. Las velas están ordenadas por `openTime` y sin duplicados.
+ * @typedef {object} KlineSeries
+ * @property {string} key - `<símbolo>:<intervalo>`.
+ * @property {KlineObject[]} klines
+ * @property {number} syncedAt - Última sincronización completa con el servidor (Unix ms).
+ * @property {boolean} reachedStart - true si no hay velas anteriores a la primera (par recién listado).
+ */
+
+/**
+ * Tramo de velas que falta en la serie, en los términos de `fetchKlines`.
+ * @typedef {object} MissingRange
+ * @property {number} limit
+ * @property {number} [startTime]
+ * @property {number} [endTime]
+ */
+
+/**
+ * Resultado de `syncKlines`.
+ * @typedef {object} KlineSyncResult
+ * @property {KlineObject[]} klines - Las `limit` velas más recientes disponibles.
+ * @property {number | null} staleSince - Si no se pudo sincronizar y se devolvieron las velas guardadas,
+ *                                        instante de su última sincronización; null si están al día.
+ */
+
+const DB_NAME = 'dashboard-klines';
+const DB_VERSION = 1;
+const SERIES_STORE = 'series';
+// Velas guardadas por serie (las más recientes); cubre las 180 velas de la gráfica con margen para el historial.
+const MAX_KLINES_PER_SERIES = 1000;
+
+/** @type {Promise<IDBDatabase | null> | null} */
+let dbPromise = null;
+
+/**
+ * Abre (una sola vez) la base de datos. La persistencia del proveedor se comprueba en cada acceso: el modo
+ * repetición lo cambia sin recargar la página.
+ * @returns {Promise<IDBDatabase | null>} null si IndexedDB no está disponible o el proveedor no es persistente.
+ */
+function openDatabase() {
+  if (!getMarketDataProvider().persistent) return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(SERIES_STORE, { keyPath: 'key' });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('No se pudo abrir el almacén de velas:', request.error?.message);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * @param {string} key
+ * @returns {Promise<KlineSeries | null>}
+ */
+async function readSeries(key) {
+  const db = await openDatabase();
+  if (!db) return null;
+  return new Promise(resolve => {
+    const request = db.transaction(SERIES_STORE, 'readonly').objectStore(SERIES_STORE).get(key);
+    request.onsuccess = () => resolve(request.result ?? null);
+    request.onerror = () => {
+      console.error(`No se pudieron leer las velas guardadas de ${key}:`, request.error?.message);
+      resolve(null);
+    };
+  });
+}
+
+/**
+ * @param {KlineSeries} series
+ * @returns {Promise<void>}
+ */
+async function writeSeries(series) {
+  const db = await openDatabase();
+  if (!db) return;
+  return new Promise(resolve => {
+    const transaction = db.transaction(SERIES_STORE, 'readwrite');
+    transaction.objectStore(SERIES_STORE).put(series);
+    transaction.oncomplete = () => resolve();
+    // Cuota agotada u otro fallo: los datos siguen siendo válidos en memoria, solo no se guardan.
+    transaction.onerror = () => {
+      console.error(`No se pudieron guardar las velas de ${series.key}:`, transaction.error?.message);
+      resolve();
+    };
+  });
+}
+
+const seriesKey = (symbol, interval) => `${symbol}:${interval}`;
+
+/**
+ * Une dos listas de velas por `openTime`; ante duplicados prevalece la de `newer` (puede ser la vela en curso
+ * actualizada). Conserva como máximo `MAX_KLINES_PER_SERIES`, las más recientes.
+ * @param {KlineObject[]} older
+ * @param {KlineObject[]} newer
+ * @returns {KlineObject[]}
+ */
+export function mergeKlineLists(older, newer) {
+  const byOpenTime = new Map(older.map(kline => [kline.openTime, kline]));
+  for (const kline of newer) byOpenTime.set(kline.openTime, kline);
+  const merged = [...byOpenTime.values()].sort((a, b) => a.openTime - b.openTime);
+  return merged.slice(-MAX_KLINES_PER_SERIES);
+}
+
+/**
+ * Calcula los tramos que faltan para tener las `limit` velas más recientes, dadas las velas guardadas:
+ * desde la última guardada hasta el presente (se vuelve a pedir la última, que pudo quedar a medias),
+ * los huecos entre velas guardadas y el historial anterior a la primera.
+ * @param {KlineObject[]} klines - Velas guardadas, ordenadas.
+ * @param {string} interval
+ * @param {number} limit
+ * @param {boolean} [reachedStart=false] - No pedir historial anterior a la primera vela.
+ * @param {number} [now=Date.now()]
+ * @returns {MissingRange[]}
+ */
+export function findMissingRanges(klines, interval, limit, reachedStart = false, now = Date.now()) {
+  const step = KLINE_INTERVAL_MS[interval];
+  if (klines.length === 0 || !step) return [{ limit }];
+
+  const last = klines[klines.length - 1];
+  const candlesSinceLast = Math.floor((now - last.openTime) / step) + 1;
+  // Las velas guardadas son demasiado antiguas: sale más barato pedir de nuevo la ventana completa.
+  if (candlesSinceLast >= limit) return [{ limit }];
+
+  /** @type {MissingRange[]} */
+  const ranges = [{ startTime: last.openTime, limit: candlesSinceLast }];
+
+  // Solo interesan los huecos dentro de la ventana de las `limit` velas más recientes.
+  const windowStart = now - limit * step;
+  for (let i = 1; i < klines.length; i++) {
+    const previous = klines[i - 1];
+    const current = klines[i];
+    if (current.openTime < windowStart) continue;
+    // Se redondea porque los meses ('1M') no duran exactamente 30 días.
+    const missing = Math.round((current.openTime - previous.openTime) / step) - 1;
+    if (missing > 0) {
+      ranges.push({ startTime: previous.closeTime + 1, endTime: current.openTime - 1, limit: missing });
+    }
+  }
+
+  const first = klines[0];
+  const candlesSinceFirst = Math.floor((now - first.openTime) / step) + 1;
+  if (!reachedStart && candlesSinceFirst < limit) {
+    ranges.push({ endTime: first.openTime - 1, limit: limit - candlesSinceFirst });
+  }
+  return ranges;
+}
+
+/**
+ * Velas guardadas de una serie, para pintarlas antes de sincronizar.
+ * @param {string} symbol
+ * @param {string} interval
+ * @param {number} limit
+ * @returns {Promise<{ klines: KlineObject[], syncedAt: number } | null>} null si no hay nada guardado.
+ */
+export async function readCachedKlines(symbol, interval, limit) {
+  const series = await readSeries(seriesKey(symbol, interval));
+  if (!series || series.klines.length === 0) return null;
+  return { klines: series.klines.slice(-limit), syncedAt: series.syncedAt };
+}
+
+/**
+ * Devuelve las `limit` velas más recientes descargando solo lo que falta en el almacén, y guarda el resultado.
+ * Si la red falla y hay velas guardadas, las devuelve con `staleSince` en lugar de lanzar el error.
+ * @param {string} symbol
+ * @param {string} interval
+ * @param {number} limit
+ * @returns {Promise<KlineSyncResult>}
+ * @throws {import('./binanceTransport.js').BinanceAPIError} Si la red falla y no hay velas guardadas.
+ */
+export async function syncKlines(symbol, interval, limit) {
+  const key = seriesKey(symbol, interval);
+  const series = await readSeries(key);
+  const cached = series?.klines ?? [];
+  const ranges = findMissingRanges(cached, interval, limit, series?.reachedStart ?? false);
+
+  let pages;
+  try {
+    const provider = getMarketDataProvider();
+    pages = await Promise.all(ranges.map(({ limit: rangeLimit, startTime, endTime }) => provider.fetchKlines(symbol, interval, rangeLimit, { startTime, endTime })));
+  } catch (error) {
+    if (cached.length === 0) throw error;
+    console.warn(`Sin conexión para sincronizar ${key}; se muestran las velas guardadas:`, error.message);
+    return { klines: cached.slice(-limit), staleSince: series.syncedAt };
+  }
+
+  // Con la ventana completa pedida de nuevo, lo guardado ya no es contiguo con lo descargado.
+  const isFullReload = ranges[0].startTime === undefined && ranges[0].endTime === undefined;
+  let klines = isFullReload ? [] : cached;
+  let reachedStart = isFullReload ? false : (series?.reachedStart ?? false);
+  ranges.forEach((range, i) => {
+    klines = mergeKlineLists(klines, pages[i]);
+    // Una página incompleta hacia el pasado indica que el par no tiene velas más antiguas.
+    if (range.startTime === undefined && pages[i].length < range.limit) reachedStart = true;
+  });
+
+  await writeSeries({ key, klines, syncedAt: Date.now(), reachedStart });
+  return { klines: klines.slice(-limit), staleSince: null };
+}
+
+/**
+ * Guarda velas obtenidas por otra vía (render en el servidor, historial cargado al desplazarse),
+ * uniéndolas con las de la serie.
+ * @param {string} symbol
+ * @param {string} interval
+ * @param {KlineObject[]} klines
+ * @returns {Promise<void>}
+ */
+export async function rememberKlines(symbol, interval, klines) {
+  if (klines.length === 0) return;
+  const key = seriesKey(symbol, interval);
+  const series = await readSeries(key);
+  await writeSeries({
+    key,
+    klines: mergeKlineLists(series?.klines ?? [], klines),
+    syncedAt: series?.syncedAt ?? Date.now(),
+    reachedStart: series?.reachedStart ?? false,
+  });
+}
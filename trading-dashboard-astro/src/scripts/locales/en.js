@@ -0,0 +1,508 @@
+// src/scripts/locales/en.js
+
+/**
+ * @file Textos de la interfaz en inglés. Las claves que falten aquí se muestran en español (ver `i18n.js`).
+ */
+
+export default {
+  // Errores de la API (errorMessages.js)
+  'errors.rateLimitTitle': 'Rate Limit Reached',
+  'errors.bannedTitle': 'Access Temporarily Blocked',
+  'errors.rateLimitMessage': 'Binance rate-limited the requests while loading {subject}. Try again in {seconds} s.',
+  'errors.invalidSymbolTitle': 'Invalid Symbol',
+  'errors.invalidSymbolMessage': 'Binance does not recognize the symbol {symbol} ({subject}).',
+  'errors.networkTitle': 'Cannot Reach Binance',
+  'errors.networkMessage': 'Could not contact Binance to load {subject}. Check your connection.',
+  'errors.unexpectedTitle': 'Unexpected Error',
+  'errors.unexpectedMessage': 'Could not load the data for {subject}. Details: {details}',
+
+  // Interpretación de indicadores (indicatorSignals.js)
+  'signals.priceAbove': 'Price above',
+  'signals.priceBelow': 'Price below',
+  'signals.overbought': 'Overbought',
+  'signals.oversold': 'Oversold',
+  'signals.bullishCross': 'Bullish Cross',
+  'signals.bearishCross': 'Bearish Cross',
+
+  // Reglas de alerta (alertRules.js)
+  'alerts.type.price-cross': 'Price crosses a level',
+  'alerts.type.change-window': '% change within a window',
+  'alerts.type.rsi-threshold': 'RSI crosses a threshold',
+  'alerts.type.macd-cross': 'MACD / signal cross',
+  'alerts.type.sma-cross': 'Price crosses the SMA',
+  'alerts.direction.above': 'upward',
+  'alerts.direction.below': 'downward',
+  'alerts.direction.up': 'rise',
+  'alerts.direction.down': 'drop',
+  'alerts.direction.bullish': 'bullish',
+  'alerts.direction.bearish': 'bearish',
+  'alerts.direction.any': 'either direction',
+  'alerts.side.above': 'above',
+  'alerts.side.below': 'below',
+  'alerts.error.format': 'The alert does not have a valid format.',
+  'alerts.error.symbol': 'The symbol is not valid (e.g. BTCUSDT).',
+  'alerts.error.unknownType': 'Unknown alert type: {type}.',
+  'alerts.error.level': 'The price level must be a number greater than 0.',
+  'alerts.error.percent': 'The percentage must be a number between {min} and {max}.',
+  'alerts.error.windowMinutes': 'The window must be a whole number of minutes between {min} and {max}.',
+  'alerts.error.rsiPeriod': 'The RSI period must be a whole number between {min} and {max}.',
+  'alerts.error.rsiThreshold': 'The RSI threshold must be a number between {min} and {max}.',
+  'alerts.error.smaPeriod': 'The SMA period must be a whole number between {min} and {max}.',
+  'alerts.error.cooldown': 'The wait between notifications must be between {min} and {max} minutes.',
+  'alerts.rule.price-cross': '{symbol}: price crosses {level} ({direction})',
+  'alerts.rule.change-window': '{symbol}: {direction} of ±{percent}% in {minutes} min',
+  'alerts.rule.rsi-threshold': '{symbol}: RSI({period}) {interval} crosses {threshold} ({direction})',
+  'alerts.rule.macd-cross': '{symbol}: MACD cross {interval} ({direction})',
+  'alerts.rule.sma-cross': '{symbol}: price crosses SMA({period}) {interval} ({direction})',
+  'alerts.trigger.price-cross': '{symbol} crossed {level} {direction} (price {price}).',
+  'alerts.trigger.change-window': '{symbol} moved {change}% in {minutes} min (price {price}).',
+  'alerts.trigger.rsi-threshold': 'RSI({period}) {interval} of {symbol} at {rsi}, {side} {threshold}.',
+  'alerts.trigger.macd-cross': 'MACD {interval} {direction} cross on {symbol} (MACD {macd}, signal {signal}).',
+  'alerts.trigger.sma-cross': '{symbol} crossed {side} its SMA({period}) {interval} (price {price}, SMA {sma}).',
+
+  // Tarjeta de precio (CryptoCard.astro, cryptoCardClient.js)
+  'subject.indicators': 'the indicators for {name}',
+  'card.logoAlt': '{name} logo',
+  'card.detailLink': 'View details →',
+  'card.loading': 'Loading market data...',
+  'card.volume24h': 'Volume (24h):',
+  'card.high24h': 'High (24h):',
+  'card.low24h': 'Low (24h):',
+  'card.loadingIndicators': 'Loading indicators...',
+  'card.indicatorsWarning': 'Indicators notice',
+  'card.indicatorsTitle': 'Technical Indicators (Daily)',
+  'card.notEnoughHistory': 'There is not enough historical data to calculate indicators for {name}.',
+  'card.indicatorsEmpty': 'There is not enough data to calculate all indicators.',
+  'card.smaHelp': 'Simple Moving Average (20 periods): average price over the last 20 days. Helps identify the trend.',
+  'card.rsiHelp': 'Relative Strength Index (14 periods): measures the speed and change of price movements. Above 70 may indicate overbought, below 30 oversold.',
+  'card.macdHelp': 'Moving Average Convergence/Divergence (12,26,9): shows the relationship between two moving averages of price. Helps identify changes in momentum, direction and duration of a trend.',
+  'card.macdLine': 'Line:',
+  'card.macdSignal': 'Signal:',
+  'card.macdHistogram': 'Histogram:',
+
+  // Gráfica de precios (PriceChart.astro, priceChartClient.js, chartIndicators.js)
+  'chart.title': '{symbol} Price History',
+  'chart.loading': 'Loading chart data...',
+  'chart.empty': 'There is no data to display in the chart.',
+  'chart.modeGroup': 'Chart type',
+  'chart.mode.line': 'Line',
+  'chart.mode.candles': 'Candles',
+  'chart.interval': 'Interval',
+  'chart.resetZoom': 'Reset zoom',
+  'chart.indicatorsGroup': 'Indicators',
+  'chart.smaPeriods': 'SMA periods',
+  'chart.emaPeriods': 'EMA periods',
+  'chart.dataset.close': 'Close Price ({symbol})',
+  'chart.dataset.wick': 'Wick',
+  'chart.dataset.candles': 'Candles ({symbol})',
+  'chart.dataset.volume': 'Volume',
+  'chart.dataset.entries': 'Entries',
+  'chart.dataset.exits': 'Exits',
+  'chart.axis.time': 'Date and Time',
+  'chart.axis.price': 'Price ({currency})',
+  'chart.axis.priceNoCurrency': 'Price',
+  'chart.tooltip.ohlc': 'O: {open}  H: {high}  L: {low}  C: {close}',
+  'chart.tooltip.volume': 'Volume: {volume}',
+  'chart.status.loadingHistory': 'Loading earlier history...',
+  'chart.status.loadingInterval': 'Loading {interval} candles...',
+  'subject.chart': 'the {symbol} chart',
+  'subject.history': 'the {symbol} history',
+  'chart.indicator.bollingerUpper': 'Bollinger Upper (20, 2)',
+  'chart.indicator.bollingerMiddle': 'Bollinger Middle (20)',
+  'chart.indicator.bollingerLower': 'Bollinger Lower (20, 2)',
+  'chart.indicator.macdSignal': 'Signal (9)',
+  'chart.indicator.macdHistogram': 'MACD Histogram',
+
+  // Backtesting (backtester.js, BacktestPanel.astro, backtestClient.js)
+  'backtest.operand.close': 'Close',
+  'backtest.operand.sma': 'SMA',
+  'backtest.operand.ema': 'EMA',
+  'backtest.operand.rsi': 'RSI',
+  'backtest.operand.macd': 'MACD',
+  'backtest.operand.macd-signal': 'MACD signal',
+  'backtest.operand.macd-histogram': 'MACD histogram',
+  'backtest.operand.bb-upper': 'Upper Bollinger',
+  'backtest.operand.bb-middle': 'Middle Bollinger',
+  'backtest.operand.bb-lower': 'Lower Bollinger',
+  'backtest.operand.value': 'Value',
+  'backtest.operator.above': 'above',
+  'backtest.operator.below': 'below',
+  'backtest.operator.crosses-above': 'crosses above',
+  'backtest.operator.crosses-below': 'crosses below',
+  'backtest.exitReason.signal': 'Signal',
+  'backtest.exitReason.stop-loss': 'Stop-loss',
+  'backtest.exitReason.take-profit': 'Take-profit',
+  'backtest.exitReason.end-of-data': 'End of data',
+  'backtest.preset.rsi-reversal': 'RSI(14): buy below 30, sell above 70',
+  'backtest.preset.sma-cross': 'SMA 20 / 50 cross',
+  'backtest.preset.macd-cross': 'MACD / signal cross (12, 26, 9)',
+  'backtest.preset.bollinger-reversion': 'Bollinger (20, 2): buy below the lower band, sell at the middle',
+  'backtest.error.operand': 'Invalid condition indicator.',
+  'backtest.error.value': 'The condition value must be a number between {min} and {max}.',
+  'backtest.error.period': 'The indicator period must be a number between {min} and {max}.',
+  'backtest.error.operator': 'Invalid condition operator.',
+  'backtest.error.noEntry': 'The strategy needs at least one entry condition.',
+  'backtest.error.exitFormat': 'The exit conditions do not have a valid format.',
+  'backtest.error.stopLoss': 'The stop-loss (%) must be a number between {min} and {max}.',
+  'backtest.error.takeProfit': 'The take-profit (%) must be a number between {min} and {max}.',
+  'backtest.error.fee': 'The fee (%) must be a number between {min} and {max}.',
+  'backtest.error.slippage': 'The slippage (%) must be a number between {min} and {max}.',
+  'backtest.error.capital': 'The initial capital must be a number between {min} and {max}.',
+  'backtest.intro': 'Runs on the candles loaded in the chart (active interval; pan left to load more history). Long positions only: signals are evaluated at the close and executed at the next candle\'s open.',
+  'backtest.strategy': 'Strategy',
+  'backtest.side.entry': 'Entry',
+  'backtest.side.exit': 'Exit',
+  'backtest.conditionGroup.entry': 'Entry condition',
+  'backtest.conditionGroup.exit': 'Exit condition',
+  'backtest.field.indicator': 'Indicator',
+  'backtest.field.period': 'Period',
+  'backtest.field.operator': 'Operator',
+  'backtest.field.compareWith': 'Compare with',
+  'backtest.field.periodOrValue': 'Period or value',
+  'backtest.field.value': 'Value',
+  'backtest.field.stopLoss': 'Stop-loss (%)',
+  'backtest.field.takeProfit': 'Take-profit (%)',
+  'backtest.field.fee': 'Fee (%)',
+  'backtest.field.slippage': 'Slippage (%)',
+  'backtest.field.capital': 'Capital',
+  'backtest.run': 'Run backtest',
+  'backtest.clear': 'Clear markers',
+  'backtest.metric.total-return': 'Return',
+  'backtest.metric.buy-hold': 'Buy and hold',
+  'backtest.metric.drawdown': 'Max drawdown',
+  'backtest.metric.sharpe': 'Sharpe (annualized)',
+  'backtest.metric.win-rate': 'Winning trades',
+  'backtest.metric.trades': 'Trades',
+  'backtest.column.entry': 'Entry',
+  'backtest.column.price': 'Price',
+  'backtest.column.exit': 'Exit',
+  'backtest.column.reason': 'Reason',
+  'backtest.column.return': 'Return',
+  'backtest.marker.entry': 'Entry: {price}',
+  'backtest.marker.exit': 'Exit ({reason}): {price} · {return}',
+  'backtest.notEnoughCandles': 'The chart does not have enough candles yet.',
+  'backtest.summary': '{count} {interval} candles ({from} – {to}).',
+  'backtest.summaryOpenExcluded': '{count} closed {interval} candles ({from} – {to}); the open candle is excluded.',
+
+  // Panel de alertas (AlertsPanel.astro)
+  'alerts.title': 'Alerts',
+  'alerts.enableNotifications': 'Enable notifications',
+  'alerts.field.symbol': 'Symbol',
+  'alerts.field.type': 'Condition',
+  'alerts.field.level': 'Price level',
+  'alerts.field.percent': 'Change (%)',
+  'alerts.field.windowMinutes': 'Window (min)',
+  'alerts.field.threshold': 'RSI threshold',
+  'alerts.field.period': 'Period',
+  'alerts.field.interval': 'Interval',
+  'alerts.field.direction': 'Direction',
+  'alerts.field.mode': 'Mode',
+  'alerts.field.cooldown': 'Wait between notifications (min)',
+  'alerts.field.cooldownHelp': 'Minimum time between two notifications of the same rule.',
+  'alerts.mode.once': 'Once',
+  'alerts.mode.repeat': 'Repeat',
+  'alerts.mode.repeatDetail': 'Repeat (wait {minutes} min)',
+  'alerts.lastTriggered': '{mode} · last triggered {time}',
+  'alerts.create': 'Create alert',
+  'alerts.rules': 'Rules',
+  'alerts.rulesEmpty': 'No alerts defined.',
+  'alerts.history': 'History',
+  'alerts.clearHistory': 'Clear',
+  'alerts.historyEmpty': 'No alert has been triggered yet.',
+  'alerts.noscript': 'Alerts require JavaScript.',
+  'alerts.toastTitle': '{symbol} alert',
+  'alerts.toggleRule': 'Enable {rule}',
+  'alerts.removeRule': 'Delete {rule}',
+  'alerts.permission.unsupported': 'This browser does not support notifications; alerts will only be shown on the page.',
+  'alerts.permission.granted': 'Notifications enabled',
+  'alerts.permission.denied': 'Notifications blocked in the browser',
+  'alerts.symbolNotTradable': '{symbol} is not a tradable pair on Binance.',
+  'alerts.limitReached': 'The alert limit was reached; delete one before creating another.',
+  'alerts.created': 'Alert created: {rule}.',
+
+  // Watchlists (Watchlist.astro, watchlistStore.js)
+  'watchlist.defaultName': 'Main',
+  'watchlist.newListName': 'New list',
+  'watchlist.unnamed': 'Untitled',
+  'watchlist.error.noLists': 'The file does not contain valid watchlists.',
+  'watchlist.error.listFormat': 'Watchlist #{index} does not have a valid format.',
+  'watchlist.error.invalidJson': 'The file is not valid JSON.',
+  'watchlist.list': 'List',
+  'watchlist.new': 'New',
+  'watchlist.rename': 'Rename',
+  'watchlist.delete': 'Delete',
+  'watchlist.export': 'Export JSON',
+  'watchlist.import': 'Import JSON',
+  'watchlist.searchPlaceholder': 'Add symbol (e.g. SOL, BNBUSDT)...',
+  'watchlist.searchLabel': 'Search a symbol to add',
+  'watchlist.itemsLabel': 'Symbols in the list (drag to reorder)',
+  'watchlist.empty': 'The list is empty. Search for a symbol above to add it.',
+  'watchlist.noscript': 'The watchlist requires JavaScript to load data.',
+  'watchlist.chartTitle': '{name} History ({symbol})',
+  'watchlist.removeSymbol': 'Remove {symbol}',
+  'subject.symbolList': 'the symbol list',
+  'watchlist.alreadyListedResult': '{pair} (in the list)',
+  'watchlist.noResults': 'No Binance pair matches "{query}".',
+  'watchlist.symbolNotTradable': '{symbol} is not a tradable pair on Binance.',
+  'watchlist.alreadyListed': '{symbol} is already in "{list}".',
+  'watchlist.listFull': '"{list}" reached the maximum number of symbols.',
+  'watchlist.added': '{symbol} added to "{list}".',
+  'watchlist.imported': 'Watchlists imported.',
+  'watchlist.importedWithDiscarded': 'Watchlists imported ({count} invalid symbols discarded).',
+  'watchlist.importFailed': 'Could not import: {reason}',
+  'watchlist.prompt.new': 'Name of the new list:',
+  'watchlist.prompt.rename': 'New list name:',
+  'watchlist.confirmDelete': 'Delete the list "{list}"?',
+
+  // Libro de órdenes y trades (OrderBook.astro, TradesTape.astro)
+  'subject.orderBook': 'the {symbol} order book',
+  'subject.trades': 'the {symbol} trades',
+  'orderBook.title': 'Order Book',
+  'orderBook.spread': 'Spread',
+  'orderBook.midPrice': 'Mid price',
+  'orderBook.imbalance': 'Imbalance',
+  'orderBook.imbalanceHelp': 'Buy/sell imbalance over the best {levels} levels: (bids - asks) / (bids + asks).',
+  'orderBook.column.price': 'Price',
+  'orderBook.column.quantity': 'Quantity',
+  'orderBook.column.total': 'Total',
+  'orderBook.depthChartLabel': '{symbol} depth chart',
+  'orderBook.bids': 'Bids',
+  'orderBook.asks': 'Asks',
+  'orderBook.axis.cumulative': 'Cumulative quantity',
+  'orderBook.spreadRow': 'Spread {spread} · Mid {mid}',
+  'orderBook.unavailable': 'The order book is only available with the Binance market data provider (active: {provider}).',
+  'trades.title': 'Recent Trades',
+  'trades.column.price': 'Price',
+  'trades.column.quantity': 'Quantity',
+  'trades.column.time': 'Time',
+  'trades.unavailable': 'Recent trades are only available with the Binance market data provider (active: {provider}).',
+
+  // Páginas y layout (BaseLayout.astro, index.astro, coin/[symbol].astro, DisplaySettings.astro)
+  'layout.defaultTitle': 'Cryptocurrency Trading Dashboard',
+  'layout.defaultDescription': 'Analyze prices and strategies for your favorite cryptocurrencies in real time with Binance data.',
+  'settings.language': 'Language',
+  'settings.currency': 'Currency',
+  'settings.currencyHelp': 'Currency used for card and chart prices. The order book, trades and backtesting always use the pair\'s quote asset.',
+  'settings.quoteAsset': 'Pair quote asset',
+  'home.title': 'Crypto Dashboard | Real-Time Analysis',
+  'home.description': 'Track the performance of your favorite cryptocurrencies with up-to-date data and technical analysis.',
+  'home.heading': 'Cryptocurrency Dashboard',
+  'home.subheading': 'Market and technical analysis for leading cryptocurrencies.',
+  'home.dataNoteTitle': 'About the Data:',
+  'home.dataNote': 'The initial data for each watchlist symbol is loaded when it is shown in the browser. After that, prices and charts update in real time through Binance WebSocket streams.',
+  'home.environmentNoteTitle': 'Environment Notice:',
+  'home.environmentNote': 'The initial project setup (installing dependencies with `npm install`) could not be completed due to limitations of the execution environment. The dependencies (`astro`, `@astrojs/tailwind`, `tailwindcss`, `chart.js`) are assumed to be available in a standard development/production environment.',
+  'coin.notFoundTitle': 'Symbol Not Found',
+  'coin.notFoundMessage': '"{symbol}" is not a pair currently trading on Binance.',
+  'coin.title': '{symbol} | Crypto Dashboard',
+  'coin.notFoundPageTitle': 'Symbol not found | Crypto Dashboard',
+  'coin.description': 'Real-time price, chart, order book and recent trades for {symbol}.',
+  'coin.back': '← Back to dashboard',
+  'coin.chartTitle': '{symbol} Price',
+
+  // Endpoints de datos (src/pages/api/)
+  'api.error.symbol': 'Missing or invalid symbol parameter (e.g. BTCUSDT).',
+  'api.error.interval': 'Invalid interval. Allowed values: {intervals}.',
+  'api.error.limit': 'limit must be an integer between 1 and {max}.',
+  'api.error.time': '{name} must be a timestamp in milliseconds or an ISO 8601 date.',
+  'api.error.range': 'startTime cannot be later than endTime.',
+  'api.error.format': 'Invalid format. Allowed values: {formats}.',
+  'api.error.noIndicators': 'Specify at least one indicator (e.g. indicators=sma:20,rsi:14).',
+  'api.error.tooManyIndicators': 'At most {max} indicators are allowed per request.',
+  'api.error.unknownIndicator': 'Unknown indicator: {indicator}. Available: {available}.',
+  'api.error.invalidIndicator': 'Invalid parameters in {indicator}.',
+  'api.error.internal': 'Internal server error.',
+
+  // Descarga de datos de la gráfica
+  'chart.export': 'CSV',
+  'chart.exportTitle': 'Download the loaded candles with the active indicators (CSV)',
+
+  // Datos guardados sin conexión (klineStore.js)
+  'errors.staleSince': 'Offline: data stale since {time}',
+
+  // Cartera (portfolio.astro, PortfolioPanel.astro)
+  'portfolio.title': 'Portfolio | Crypto Dashboard',
+  'portfolio.description': 'Holdings, average cost, realized and unrealized P&L and value history of your crypto portfolio.',
+  'portfolio.heading': 'My portfolio',
+  'portfolio.navLink': 'My portfolio →',
+  'portfolio.valuedIn': 'Values in {currency}; prices refresh every 15 seconds.',
+  'portfolio.pricesUpdated': 'Prices updated at {time}.',
+  'portfolio.summary.value': 'Value',
+  'portfolio.summary.cost': 'Cost basis',
+  'portfolio.summary.unrealized': 'Unrealized P&L',
+  'portfolio.summary.realized': 'Realized P&L',
+  'portfolio.unpriced': '{count} positions without a USDT price are excluded from the totals.',
+  'portfolio.field.symbol': 'Pair',
+  'portfolio.field.side': 'Side',
+  'portfolio.field.quantity': 'Quantity',
+  'portfolio.field.price': 'Price',
+  'portfolio.field.fee': 'Fee',
+  'portfolio.field.feeHelp': 'In the pair\'s quote asset (e.g. USDT for BTCUSDT).',
+  'portfolio.field.date': 'Date',
+  'portfolio.side.buy': 'Buy',
+  'portfolio.side.sell': 'Sell',
+  'portfolio.add': 'Add',
+  'portfolio.added': 'Transaction added: {description}.',
+  'portfolio.import': 'Import CSV',
+  'portfolio.importHelp': 'CSV columns: date, symbol, side (buy/sell), quantity, price and fee (optional). Enter existing holdings as a buy at their average price.',
+  'portfolio.imported': '{count} transactions imported.',
+  'portfolio.importFailed': 'Import failed: {reason}',
+  'portfolio.importFailedLine': 'Import failed (line {line}): {reason}',
+  'portfolio.limitReached': 'The transaction limit has been reached.',
+  'portfolio.symbolNotTradable': '{symbol} is not a Binance pair.',
+  'portfolio.holdings': 'Holdings',
+  'portfolio.holdingsEmpty': 'No transactions yet: add a buy or import a CSV.',
+  'portfolio.col.pair': 'Pair',
+  'portfolio.col.quantity': 'Quantity',
+  'portfolio.col.averageCost': 'Avg. cost',
+  'portfolio.col.price': 'Price',
+  'portfolio.col.value': 'Value',
+  'portfolio.col.unrealized': 'Unrealized',
+  'portfolio.col.realized': 'Realized',
+  'portfolio.col.allocation': 'Allocation',
+  'portfolio.col.date': 'Date',
+  'portfolio.col.side': 'Side',
+  'portfolio.col.fee': 'Fee',
+  'portfolio.col.actions': 'Actions',
+  'portfolio.closed': 'closed',
+  'portfolio.transactions': 'Transactions',
+  'portfolio.transactionsEmpty': 'No transactions.',
+  'portfolio.transactionDescription': '{side} {quantity} {symbol} at {price}',
+  'portfolio.removeTransaction': 'Remove: {description}',
+  'portfolio.allocationChart': 'Allocation',
+  'portfolio.equityChart': 'Portfolio value',
+  'portfolio.equity.value': 'Market value',
+  'portfolio.equity.invested': 'Net invested',
+  'portfolio.equityLoading': 'Loading daily closes…',
+  'portfolio.equityNote': 'Daily closes (up to {days} days). Quote assets other than USDT are converted at the current rate.',
+  'portfolio.noscript': 'The portfolio needs JavaScript: transactions are stored in this browser.',
+  'subject.prices': 'the portfolio prices',
+  'subject.equity': 'the portfolio history',
+  'portfolio.error.format': 'Invalid transaction format.',
+  'portfolio.error.symbol': 'Enter a valid pair (e.g. BTCUSDT).',
+  'portfolio.error.side': 'Side must be buy or sell.',
+  'portfolio.error.quantity': 'Quantity must be a number greater than 0.',
+  'portfolio.error.price': 'Price must be a number greater than 0.',
+  'portfolio.error.fee': 'Fee must be a number greater than or equal to 0.',
+  'portfolio.error.date': 'Invalid date (use the YYYY-MM-DD format).',
+  'portfolio.error.futureDate': 'The date cannot be in the future.',
+  'portfolio.error.oversold': 'The {symbol} sale on {date} exceeds the quantity held on that date.',
+  'portfolio.error.csvEmpty': 'The file is empty.',
+  'portfolio.error.csvColumns': 'Missing CSV columns: {columns}.',
+
+  // Screener (screener.astro, Screener.astro)
+  'screener.title': 'Screener | Crypto Dashboard',
+  'screener.description': 'Every Binance pair with its 24h change and volume, filterable and sortable.',
+  'screener.heading': 'Market screener',
+  'screener.navLink': 'Market screener →',
+  'screener.loading': 'Loading pairs…',
+  'screener.updated': 'Updated at {time}',
+  'screener.count': '{shown} of {total} pairs',
+  'screener.empty': 'No pairs match the filters.',
+  'screener.noscript': 'The screener needs JavaScript: pairs are filtered in the browser.',
+  'screener.allQuotes': 'All',
+  'screener.filter.query': 'Search',
+  'screener.filter.quoteAsset': 'Quote asset',
+  'screener.filter.minVolume': 'Min volume',
+  'screener.filter.minVolumeHelp': '24h volume in the pair\'s quote asset',
+  'screener.filter.minChange': 'Min change (%)',
+  'screener.filter.maxChange': 'Max change (%)',
+  'screener.rsiToggle': 'Daily RSI(14) column',
+  'screener.rsiHelp': 'Computed only for visible rows, a few at a time',
+  'screener.movers.gainers': 'Top gainers',
+  'screener.movers.losers': 'Top losers',
+  'screener.movers.volume': 'Top volume',
+  'screener.col.symbol': 'Pair',
+  'screener.col.lastPrice': 'Price',
+  'screener.col.priceChangePercent': '24h %',
+  'screener.col.quoteVolume': 'Volume',
+  'screener.col.count': 'Trades',
+  'screener.col.rsi': 'RSI 1d',
+  'screener.col.actions': 'Actions',
+  'screener.addToWatchlist': 'Add {symbol} to “{list}”',
+  'screener.alreadyListed': '{symbol} is already in “{list}”',
+  'screener.listFull': '“{list}” is full; remove a symbol to add {symbol}',
+  'screener.added': '{symbol} added to “{list}”',
+  'subject.screener': 'the all-pairs ticker',
+
+  // Comparación (compare.astro, Comparison.astro)
+  'comparison.title': 'Compare pairs | Crypto Dashboard',
+  'comparison.description': 'Compare how several pairs move, their correlation and their beta against BTC.',
+  'comparison.heading': 'Compare pairs',
+  'comparison.navLink': 'Compare pairs →',
+  'comparison.symbols': 'Pairs',
+  'comparison.symbolsHelp': 'Up to {max} comma-separated pairs',
+  'comparison.start': 'From',
+  'comparison.mode': 'Scale',
+  'comparison.mode.percent': '% change',
+  'comparison.mode.ratio': 'Relative to BTC',
+  'comparison.interval': 'Interval',
+  'comparison.lookback': 'Window',
+  'comparison.lookbackHelp': 'Closed candles used for the correlation and beta',
+  'comparison.candles': '{count} candles',
+  'comparison.apply': 'Compare',
+  'comparison.loading': 'Loading candles…',
+  'comparison.updated': 'Updated at {time}',
+  'comparison.noSymbols': 'Enter at least one pair (e.g. BTCUSDT, ETHUSDT).',
+  'comparison.invalidSymbols': 'Pairs not found: {symbols}.',
+  'comparison.noBenchmark': 'Without BTCUSDT candles the relative scale is unavailable; showing % change.',
+  'comparison.startClamped': 'No more candles fit in one download: the chart starts on {date}.',
+  'comparison.noscript': 'The comparison needs JavaScript: candles are compared in the browser.',
+  'comparison.chart': 'Performance since the start date',
+  'comparison.axis.percent': 'Change since start',
+  'comparison.axis.ratio': 'Change against BTC',
+  'comparison.matrix': 'Correlation matrix',
+  'comparison.window': 'Log returns of the last {count} closed {interval} candles; the window moves forward with every new candle.',
+  'comparison.notEnoughData': 'Not enough candles in common',
+  'comparison.stats': 'Against BTC',
+  'comparison.statsHelp': 'Change since start; correlation and beta against BTCUSDT over the same window. A beta of 1.5 means the pair moves 1.5% on average for every 1% move in BTC.',
+  'comparison.col.pair': 'Pair',
+  'comparison.col.change': 'Change',
+  'comparison.col.correlation': 'Correlation',
+  'comparison.col.beta': 'Beta',
+  'subject.comparison': 'the {symbol} candles',
+
+  // Rating técnico (CryptoCard.astro, technicalRating.js)
+  'rating.title': 'Technical rating',
+  'rating.help': 'Each indicator votes buy, neutral or sell; the needle shows (buys - sells) / votes. Click a timeframe to see its votes.',
+  'rating.meterLabel': '{timeframe} technical rating',
+  'rating.unavailable': 'No data',
+  'rating.counts': 'Buy {buy} · Neutral {neutral} · Sell {sell}',
+  'rating.level.strongBuy': 'Strong buy',
+  'rating.level.buy': 'Buy',
+  'rating.level.neutral': 'Neutral',
+  'rating.level.sell': 'Sell',
+  'rating.level.strongSell': 'Strong sell',
+  'rating.vote.buy': 'Buy',
+  'rating.vote.neutral': 'Neutral',
+  'rating.vote.sell': 'Sell',
+  'rating.agreement.buy': 'Timeframes agree: bullish',
+  'rating.agreement.sell': 'Timeframes agree: bearish',
+  'rating.agreement.mixed': 'Timeframes disagree',
+  'rating.rule.average': 'Buy if the price is above the average; sell if below.',
+  'rating.rule.rsi14': 'Buy below 30 (oversold); sell above 70 (overbought).',
+  'rating.rule.macd': 'Buy if the MACD line is above the signal; sell if below. The histogram is shown.',
+  'rating.rule.stochastic': 'Buy if %K < 20 and above %D; sell if %K > 80 and below %D. %K is shown.',
+  'rating.rule.adx': 'With a trend (ADX ≥ 20), buy if +DI > -DI and sell if -DI > +DI; otherwise neutral.',
+  'rating.rule.williamsR': 'Buy below -80; sell above -20.',
+
+  // Modo repetición (ReplayController.astro, replayClient.js)
+  'replay.title': 'Replay mode',
+  'replay.help': 'Replays the market from a past date on every card and chart, with a shared clock. Alerts keep following the live market.',
+  'replay.startTime': 'From',
+  'replay.enter': 'Start replay',
+  'replay.badge': 'REPLAY',
+  'replay.exit': 'Back to live',
+  'replay.play': '▶ Play',
+  'replay.pause': '⏸ Pause',
+  'replay.stepSize': 'Step',
+  'replay.step': 'Step forward',
+  'replay.speed': 'Speed',
+  'replay.seekTime': 'Go to',
+  'replay.seek': 'Go',
+  'replay.loading': 'Loading history…',
+  'replay.atPresent': 'Reached the present: go back to live to follow the market.',
+  'replay.playing': 'Playing at {speed}×',
+  'replay.paused': 'Paused',
+  'subject.replay': 'the replay history',
+};
@@ -0,0 +1,508 @@
+// src/scripts/locales/es.js
+
+/**
+ * @file Textos de la interfaz en español (idioma por defecto). Ver `i18n.js`.
+ */
+
+export default {
+  // Errores de la API (errorMessages.js)
+  'errors.rateLimitTitle': 'Límite de Solicitudes Alcanzado',
+  'errors.bannedTitle': 'Acceso Bloqueado Temporalmente',
+  'errors.rateLimitMessage': 'Binance limitó las solicitudes al cargar {subject}. Inténtalo de nuevo en {seconds} s.',
+  'errors.invalidSymbolTitle': 'Símbolo No Válido',
+  'errors.invalidSymbolMessage': 'Binance no reconoce el símbolo {symbol} ({subject}).',
+  'errors.networkTitle': 'Sin Conexión con Binance',
+  'errors.networkMessage': 'No se pudo contactar con Binance para cargar {subject}. Comprueba tu conexión.',
+  'errors.unexpectedTitle': 'Error Inesperado',
+  'errors.unexpectedMessage': 'No se pudieron cargar los datos de {subject}. Detalles: {details}',
+
+  // Interpretación de indicadores (indicatorSignals.js)
+  'signals.priceAbove': 'Precio por encima',
+  'signals.priceBelow': 'Precio por debajo',
+  'signals.overbought': 'Sobrecompra',
+  'signals.oversold': 'Sobreventa',
+  'signals.bullishCross': 'Cruce Alcista',
+  'signals.bearishCross': 'Cruce Bajista',
+
+  // Reglas de alerta (alertRules.js)
+  'alerts.type.price-cross': 'Precio cruza un nivel',
+  'alerts.type.change-window': 'Variación % en una ventana',
+  'alerts.type.rsi-threshold': 'RSI cruza un umbral',
+  'alerts.type.macd-cross': 'Cruce MACD / señal',
+  'alerts.type.sma-cross': 'Precio cruza la SMA',
+  'alerts.direction.above': 'al alza',
+  'alerts.direction.below': 'a la baja',
+  'alerts.direction.up': 'subida',
+  'alerts.direction.down': 'bajada',
+  'alerts.direction.bullish': 'alcista',
+  'alerts.direction.bearish': 'bajista',
+  'alerts.direction.any': 'en cualquier sentido',
+  'alerts.side.above': 'por encima',
+  'alerts.side.below': 'por debajo',
+  'alerts.error.format': 'La alerta no tiene un formato válido.',
+  'alerts.error.symbol': 'El símbolo no es válido (ej. BTCUSDT).',
+  'alerts.error.unknownType': 'Tipo de alerta desconocido: {type}.',
+  'alerts.error.level': 'El nivel de precio debe ser un número mayor que 0.',
+  'alerts.error.percent': 'El porcentaje debe ser un número entre {min} y {max}.',
+  'alerts.error.windowMinutes': 'La ventana debe ser un número entero de minutos entre {min} y {max}.',
+  'alerts.error.rsiPeriod': 'El período del RSI debe ser un número entero entre {min} y {max}.',
+  'alerts.error.rsiThreshold': 'El umbral del RSI debe ser un número entre {min} y {max}.',
+  'alerts.error.smaPeriod': 'El período de la SMA debe ser un número entero entre {min} y {max}.',
+  'alerts.error.cooldown': 'La espera entre avisos debe estar entre {min} y {max} minutos.',
+  'alerts.rule.price-cross': '{symbol}: precio cruza {level} ({direction})',
+  'alerts.rule.change-window': '{symbol}: {direction} de ±{percent}% en {minutes} min',
+  'alerts.rule.rsi-threshold': '{symbol}: RSI({period}) {interval} cruza {threshold} ({direction})',
+  'alerts.rule.macd-cross': '{symbol}: cruce MACD {interval} ({direction})',
+  'alerts.rule.sma-cross': '{symbol}: precio cruza SMA({period}) {interval} ({direction})',
+  'alerts.trigger.price-cross': '{symbol} cruzó {level} {direction} (precio {price}).',
+  'alerts.trigger.change-window': '{symbol} varió {change}% en {minutes} min (precio {price}).',
+  'alerts.trigger.rsi-threshold': 'RSI({period}) {interval} de {symbol} en {rsi}, {side} de {threshold}.',
+  'alerts.trigger.macd-cross': 'Cruce {direction} del MACD {interval} de {symbol} (MACD {macd}, señal {signal}).',
+  'alerts.trigger.sma-cross': '{symbol} cruzó {side} de su SMA({period}) {interval} (precio {price}, SMA {sma}).',
+
+  // Tarjeta de precio (CryptoCard.astro, cryptoCardClient.js)
+  'subject.indicators': 'los indicadores de {name}',
+  'card.logoAlt': 'Logo de {name}',
+  'card.detailLink': 'Ver detalle →',
+  'card.loading': 'Cargando datos principales...',
+  'card.volume24h': 'Volumen (24h):',
+  'card.high24h': 'Máx (24h):',
+  'card.low24h': 'Mín (24h):',
+  'card.loadingIndicators': 'Cargando indicadores...',
+  'card.indicatorsWarning': 'Aviso sobre Indicadores',
+  'card.indicatorsTitle': 'Indicadores Técnicos (Diario)',
+  'card.notEnoughHistory': 'No hay suficientes datos históricos para calcular indicadores para {name}.',
+  'card.indicatorsEmpty': 'No hay suficientes datos para calcular todos los indicadores.',
+  'card.smaHelp': 'Media Móvil Simple (20 períodos): Precio promedio durante los últimos 20 días. Ayuda a identificar la tendencia.',
+  'card.rsiHelp': 'Índice de Fuerza Relativa (14 períodos): Mide la velocidad y el cambio de los movimientos de precios. Sobre 70 puede indicar sobrecompra, bajo 30 sobreventa.',
+  'card.macdHelp': 'Convergencia/Divergencia de Medias Móviles (12,26,9): Muestra la relación entre dos medias móviles de precios. Ayuda a identificar cambios en el momentum, dirección y duración de una tendencia.',
+  'card.macdLine': 'Línea:',
+  'card.macdSignal': 'Señal:',
+  'card.macdHistogram': 'Histograma:',
+
+  // Gráfica de precios (PriceChart.astro, priceChartClient.js, chartIndicators.js)
+  'chart.title': 'Historial de Precios {symbol}',
+  'chart.loading': 'Cargando datos del gráfico...',
+  'chart.empty': 'No hay datos disponibles para mostrar en el gráfico.',
+  'chart.modeGroup': 'Tipo de gráfica',
+  'chart.mode.line': 'Línea',
+  'chart.mode.candles': 'Velas',
+  'chart.interval': 'Intervalo',
+  'chart.resetZoom': 'Restablecer zoom',
+  'chart.indicatorsGroup': 'Indicadores',
+  'chart.smaPeriods': 'Períodos de la SMA',
+  'chart.emaPeriods': 'Períodos de la EMA',
+  'chart.dataset.close': 'Precio de Cierre ({symbol})',
+  'chart.dataset.wick': 'Mecha',
+  'chart.dataset.candles': 'Velas ({symbol})',
+  'chart.dataset.volume': 'Volumen',
+  'chart.dataset.entries': 'Entradas',
+  'chart.dataset.exits': 'Salidas',
+  'chart.axis.time': 'Fecha y Hora',
+  'chart.axis.price': 'Precio ({currency})',
+  'chart.axis.priceNoCurrency': 'Precio',
+  'chart.tooltip.ohlc': 'A: {open}  Máx: {high}  Mín: {low}  C: {close}',
+  'chart.tooltip.volume': 'Volumen: {volume}',
+  'chart.status.loadingHistory': 'Cargando historial anterior...',
+  'chart.status.loadingInterval': 'Cargando velas de {interval}...',
+  'subject.chart': 'el gráfico de {symbol}',
+  'subject.history': 'el historial de {symbol}',
+  'chart.indicator.bollingerUpper': 'Bollinger Sup. (20, 2)',
+  'chart.indicator.bollingerMiddle': 'Bollinger Media (20)',
+  'chart.indicator.bollingerLower': 'Bollinger Inf. (20, 2)',
+  'chart.indicator.macdSignal': 'Señal (9)',
+  'chart.indicator.macdHistogram': 'Histograma MACD',
+
+  // Backtesting (backtester.js, BacktestPanel.astro, backtestClient.js)
+  'backtest.operand.close': 'Cierre',
+  'backtest.operand.sma': 'SMA',
+  'backtest.operand.ema': 'EMA',
+  'backtest.operand.rsi': 'RSI',
+  'backtest.operand.macd': 'MACD',
+  'backtest.operand.macd-signal': 'Señal MACD',
+  'backtest.operand.macd-histogram': 'Histograma MACD',
+  'backtest.operand.bb-upper': 'Bollinger superior',
+  'backtest.operand.bb-middle': 'Bollinger media',
+  'backtest.operand.bb-lower': 'Bollinger inferior',
+  'backtest.operand.value': 'Valor',
+  'backtest.operator.above': 'por encima de',
+  'backtest.operator.below': 'por debajo de',
+  'backtest.operator.crosses-above': 'cruza al alza',
+  'backtest.operator.crosses-below': 'cruza a la baja',
+  'backtest.exitReason.signal': 'Señal',
+  'backtest.exitReason.stop-loss': 'Stop-loss',
+  'backtest.exitReason.take-profit': 'Take-profit',
+  'backtest.exitReason.end-of-data': 'Fin de datos',
+  'backtest.preset.rsi-reversal': 'RSI(14): compra bajo 30, vende sobre 70',
+  'backtest.preset.sma-cross': 'Cruce de SMA 20 / 50',
+  'backtest.preset.macd-cross': 'Cruce MACD / señal (12, 26, 9)',
+  'backtest.preset.bollinger-reversion': 'Bollinger (20, 2): compra bajo la banda inferior, vende en la media',
+  'backtest.error.operand': 'Indicador de la condición no válido.',
+  'backtest.error.value': 'El valor de la condición debe ser un número entre {min} y {max}.',
+  'backtest.error.period': 'El período del indicador debe ser un número entre {min} y {max}.',
+  'backtest.error.operator': 'Operador de la condición no válido.',
+  'backtest.error.noEntry': 'La estrategia necesita al menos una condición de entrada.',
+  'backtest.error.exitFormat': 'Las condiciones de salida no tienen un formato válido.',
+  'backtest.error.stopLoss': 'El stop-loss (%) debe ser un número entre {min} y {max}.',
+  'backtest.error.takeProfit': 'El take-profit (%) debe ser un número entre {min} y {max}.',
+  'backtest.error.fee': 'La comisión (%) debe ser un número entre {min} y {max}.',
+  'backtest.error.slippage': 'El deslizamiento (%) debe ser un número entre {min} y {max}.',
+  'backtest.error.capital': 'El capital inicial debe ser un número entre {min} y {max}.',
+  'backtest.intro': 'Se ejecuta sobre las velas cargadas en la gráfica (intervalo activo; desplázate a la izquierda para cargar más historial). Solo posiciones largas: las señales se evalúan al cierre y se ejecutan a la apertura de la vela siguiente.',
+  'backtest.strategy': 'Estrategia',
+  'backtest.side.entry': 'Entrada',
+  'backtest.side.exit': 'Salida',
+  'backtest.conditionGroup.entry': 'Condición de entrada',
+  'backtest.conditionGroup.exit': 'Condición de salida',
+  'backtest.field.indicator': 'Indicador',
+  'backtest.field.period': 'Período',
+  'backtest.field.operator': 'Operador',
+  'backtest.field.compareWith': 'Comparar con',
+  'backtest.field.periodOrValue': 'Período o valor',
+  'backtest.field.value': 'Valor',
+  'backtest.field.stopLoss': 'Stop-loss (%)',
+  'backtest.field.takeProfit': 'Take-profit (%)',
+  'backtest.field.fee': 'Comisión (%)',
+  'backtest.field.slippage': 'Deslizamiento (%)',
+  'backtest.field.capital': 'Capital',
+  'backtest.run': 'Ejecutar backtest',
+  'backtest.clear': 'Quitar marcadores',
+  'backtest.metric.total-return': 'Rendimiento',
+  'backtest.metric.buy-hold': 'Comprar y mantener',
+  'backtest.metric.drawdown': 'Drawdown máximo',
+  'backtest.metric.sharpe': 'Sharpe (anualizado)',
+  'backtest.metric.win-rate': 'Operaciones ganadoras',
+  'backtest.metric.trades': 'Operaciones',
+  'backtest.column.entry': 'Entrada',
+  'backtest.column.price': 'Precio',
+  'backtest.column.exit': 'Salida',
+  'backtest.column.reason': 'Motivo',
+  'backtest.column.return': 'Rendimiento',
+  'backtest.marker.entry': 'Entrada: {price}',
+  'backtest.marker.exit': 'Salida ({reason}): {price} · {return}',
+  'backtest.notEnoughCandles': 'La gráfica aún no tiene velas suficientes.',
+  'backtest.summary': '{count} velas de {interval} ({from} – {to}).',
+  'backtest.summaryOpenExcluded': '{count} velas cerradas de {interval} ({from} – {to}); no se incluye la vela en curso.',
+
+  // Panel de alertas (AlertsPanel.astro)
+  'alerts.title': 'Alertas',
+  'alerts.enableNotifications': 'Activar notificaciones',
+  'alerts.field.symbol': 'Símbolo',
+  'alerts.field.type': 'Condición',
+  'alerts.field.level': 'Nivel de precio',
+  'alerts.field.percent': 'Variación (%)',
+  'alerts.field.windowMinutes': 'Ventana (min)',
+  'alerts.field.threshold': 'Umbral RSI',
+  'alerts.field.period': 'Período',
+  'alerts.field.interval': 'Intervalo',
+  'alerts.field.direction': 'Sentido',
+  'alerts.field.mode': 'Modo',
+  'alerts.field.cooldown': 'Espera entre avisos (min)',
+  'alerts.field.cooldownHelp': 'Tiempo mínimo entre dos avisos de la misma regla.',
+  'alerts.mode.once': 'Una vez',
+  'alerts.mode.repeat': 'Repetir',
+  'alerts.mode.repeatDetail': 'Repetir (espera {minutes} min)',
+  'alerts.lastTriggered': '{mode} · último aviso {time}',
+  'alerts.create': 'Crear alerta',
+  'alerts.rules': 'Reglas',
+  'alerts.rulesEmpty': 'No hay alertas definidas.',
+  'alerts.history': 'Historial',
+  'alerts.clearHistory': 'Vaciar',
+  'alerts.historyEmpty': 'Todavía no se ha disparado ninguna alerta.',
+  'alerts.noscript': 'Las alertas necesitan JavaScript.',
+  'alerts.toastTitle': 'Alerta {symbol}',
+  'alerts.toggleRule': 'Activar {rule}',
+  'alerts.removeRule': 'Eliminar {rule}',
+  'alerts.permission.unsupported': 'El navegador no admite notificaciones; solo se mostrarán avisos en la página.',
+  'alerts.permission.granted': 'Notificaciones activadas',
+  'alerts.permission.denied': 'Notificaciones bloqueadas en el navegador',
+  'alerts.symbolNotTradable': '{symbol} no es un par negociable en Binance.',
+  'alerts.limitReached': 'Se alcanzó el máximo de alertas; elimina alguna antes de crear otra.',
+  'alerts.created': 'Alerta creada: {rule}.',
+
+  // Watchlists (Watchlist.astro, watchlistStore.js)
+  'watchlist.defaultName': 'Principal',
+  'watchlist.newListName': 'Nueva lista',
+  'watchlist.unnamed': 'Sin nombre',
+  'watchlist.error.noLists': 'El archivo no contiene watchlists válidas.',
+  'watchlist.error.listFormat': 'La watchlist #{index} no tiene un formato válido.',
+  'watchlist.error.invalidJson': 'El archivo no es un JSON válido.',
+  'watchlist.list': 'Lista',
+  'watchlist.new': 'Nueva',
+  'watchlist.rename': 'Renombrar',
+  'watchlist.delete': 'Eliminar',
+  'watchlist.export': 'Exportar JSON',
+  'watchlist.import': 'Importar JSON',
+  'watchlist.searchPlaceholder': 'Añadir símbolo (ej. SOL, BNBUSDT)...',
+  'watchlist.searchLabel': 'Buscar símbolo para añadir',
+  'watchlist.itemsLabel': 'Símbolos de la lista (arrastra para reordenar)',
+  'watchlist.empty': 'La lista está vacía. Busca un símbolo arriba para añadirlo.',
+  'watchlist.noscript': 'La watchlist necesita JavaScript para cargar los datos.',
+  'watchlist.chartTitle': 'Historial de {name} ({symbol})',
+  'watchlist.removeSymbol': 'Quitar {symbol}',
+  'subject.symbolList': 'la lista de símbolos',
+  'watchlist.alreadyListedResult': '{pair} (en la lista)',
+  'watchlist.noResults': 'Ningún par de Binance coincide con "{query}".',
+  'watchlist.symbolNotTradable': '{symbol} no es un par negociable en Binance.',
+  'watchlist.alreadyListed': '{symbol} ya está en "{list}".',
+  'watchlist.listFull': '"{list}" alcanzó el máximo de símbolos.',
+  'watchlist.added': '{symbol} añadido a "{list}".',
+  'watchlist.imported': 'Watchlists importadas.',
+  'watchlist.importedWithDiscarded': 'Watchlists importadas ({count} símbolos no válidos descartados).',
+  'watchlist.importFailed': 'No se pudo importar: {reason}',
+  'watchlist.prompt.new': 'Nombre de la nueva lista:',
+  'watchlist.prompt.rename': 'Nuevo nombre de la lista:',
+  'watchlist.confirmDelete': '¿Eliminar la lista "{list}"?',
+
+  // Libro de órdenes y trades (OrderBook.astro, TradesTape.astro)
+  'subject.orderBook': 'el libro de órdenes de {symbol}',
+  'subject.trades': 'los trades de {symbol}',
+  'orderBook.title': 'Libro de Órdenes',
+  'orderBook.spread': 'Spread',
+  'orderBook.midPrice': 'Precio medio',
+  'orderBook.imbalance': 'Desequilibrio',
+  'orderBook.imbalanceHelp': 'Desequilibrio compra/venta en los {levels} mejores niveles: (compras - ventas) / (compras + ventas).',
+  'orderBook.column.price': 'Precio',
+  'orderBook.column.quantity': 'Cantidad',
+  'orderBook.column.total': 'Total',
+  'orderBook.depthChartLabel': 'Gráfica de profundidad de {symbol}',
+  'orderBook.bids': 'Compras',
+  'orderBook.asks': 'Ventas',
+  'orderBook.axis.cumulative': 'Cantidad acumulada',
+  'orderBook.spreadRow': 'Spread {spread} · Medio {mid}',
+  'orderBook.unavailable': 'El libro de órdenes solo está disponible con el proveedor de datos de Binance (activo: {provider}).',
+  'trades.title': 'Trades Recientes',
+  'trades.column.price': 'Precio',
+  'trades.column.quantity': 'Cantidad',
+  'trades.column.time': 'Hora',
+  'trades.unavailable': 'Los trades recientes solo están disponibles con el proveedor de datos de Binance (activo: {provider}).',
+
+  // Páginas y layout (BaseLayout.astro, index.astro, coin/[symbol].astro, DisplaySettings.astro)
+  'layout.defaultTitle': 'Dashboard de Trading de Criptomonedas',
+  'layout.defaultDescription': 'Analiza precios y estrategias de tus criptomonedas favoritas en tiempo real con datos de Binance.',
+  'settings.language': 'Idioma',
+  'settings.currency': 'Moneda',
+  'settings.currencyHelp': 'Moneda en la que se muestran los precios de las tarjetas y gráficas. El libro de órdenes, los trades y el backtesting siempre usan el activo cotizado del par.',
+  'settings.quoteAsset': 'Activo cotizado del par',
+  'home.title': 'Dashboard de Criptomonedas | Análisis en Tiempo Real',
+  'home.description': 'Sigue el rendimiento de tus criptomonedas favoritas con datos actualizados y análisis técnico.',
+  'home.heading': 'Panel de Control de Criptomonedas',
+  'home.subheading': 'Análisis de mercado y técnico para criptomonedas líderes.',
+  'home.dataNoteTitle': 'Nota sobre los Datos:',
+  'home.dataNote': 'Los datos iniciales de cada símbolo de la watchlist se cargan al mostrarlo en el navegador. Después, los precios y las gráficas se actualizan en tiempo real mediante los streams WebSocket de Binance.',
+  'home.environmentNoteTitle': 'Aviso de Entorno:',
+  'home.environmentNote': 'La configuración inicial del proyecto (instalación de dependencias con `npm install`) no pudo completarse debido a limitaciones del entorno de ejecución. Se asume que las dependencias (`astro`, `@astrojs/tailwind`, `tailwindcss`, `chart.js`) estarían disponibles en un entorno de desarrollo/producción estándar.',
+  'coin.notFoundTitle': 'Símbolo No Encontrado',
+  'coin.notFoundMessage': '"{symbol}" no es un par que se esté negociando actualmente en Binance.',
+  'coin.title': '{symbol} | Dashboard de Criptomonedas',
+  'coin.notFoundPageTitle': 'Símbolo no encontrado | Dashboard de Criptomonedas',
+  'coin.description': 'Precio, gráfica, libro de órdenes y trades recientes de {symbol} en tiempo real.',
+  'coin.back': '← Volver al panel',
+  'coin.chartTitle': 'Precio de {symbol}',
+
+  // Endpoints de datos (src/pages/api/)
+  'api.error.symbol': 'Falta el parámetro symbol o no es un símbolo válido (ej. BTCUSDT).',
+  'api.error.interval': 'Intervalo no válido. Valores admitidos: {intervals}.',
+  'api.error.limit': 'limit debe ser un número entero entre 1 y {max}.',
+  'api.error.time': '{name} debe ser un timestamp en milisegundos o una fecha ISO 8601.',
+  'api.error.range': 'startTime no puede ser posterior a endTime.',
+  'api.error.format': 'Formato no válido. Valores admitidos: {formats}.',
+  'api.error.noIndicators': 'Indica al menos un indicador (ej. indicators=sma:20,rsi:14).',
+  'api.error.tooManyIndicators': 'Se admiten como máximo {max} indicadores por solicitud.',
+  'api.error.unknownIndicator': 'Indicador desconocido: {indicator}. Disponibles: {available}.',
+  'api.error.invalidIndicator': 'Parámetros no válidos en {indicator}.',
+  'api.error.internal': 'Error interno del servidor.',
+
+  // Descarga de datos de la gráfica
+  'chart.export': 'CSV',
+  'chart.exportTitle': 'Descargar las velas cargadas con los indicadores activos (CSV)',
+
+  // Datos guardados sin conexión (klineStore.js)
+  'errors.staleSince': 'Sin conexión: datos sin actualizar desde {time}',
+
+  // Cartera (portfolio.astro, PortfolioPanel.astro)
+  'portfolio.title': 'Cartera | Dashboard de Criptomonedas',
+  'portfolio.description': 'Posiciones, coste medio, P&L realizado y no realizado y evolución del valor de tu cartera de criptomonedas.',
+  'portfolio.heading': 'Mi cartera',
+  'portfolio.navLink': 'Mi cartera →',
+  'portfolio.valuedIn': 'Valores en {currency}; precios actualizados cada 15 segundos.',
+  'portfolio.pricesUpdated': 'Precios actualizados a las {time}.',
+  'portfolio.summary.value': 'Valor',
+  'portfolio.summary.cost': 'Coste',
+  'portfolio.summary.unrealized': 'P&L no realizado',
+  'portfolio.summary.realized': 'P&L realizado',
+  'portfolio.unpriced': '{count} posiciones sin precio en USDT no se incluyen en los totales.',
+  'portfolio.field.symbol': 'Par',
+  'portfolio.field.side': 'Operación',
+  'portfolio.field.quantity': 'Cantidad',
+  'portfolio.field.price': 'Precio',
+  'portfolio.field.fee': 'Comisión',
+  'portfolio.field.feeHelp': 'En el activo cotizado del par (ej. USDT en BTCUSDT).',
+  'portfolio.field.date': 'Fecha',
+  'portfolio.side.buy': 'Compra',
+  'portfolio.side.sell': 'Venta',
+  'portfolio.add': 'Añadir',
+  'portfolio.added': 'Transacción añadida: {description}.',
+  'portfolio.import': 'Importar CSV',
+  'portfolio.importHelp': 'Columnas del CSV: date, symbol, side (buy/sell), quantity, price y fee (opcional). Las posiciones existentes se entran como una compra a su precio medio.',
+  'portfolio.imported': '{count} transacciones importadas.',
+  'portfolio.importFailed': 'No se pudo importar: {reason}',
+  'portfolio.importFailedLine': 'No se pudo importar (línea {line}): {reason}',
+  'portfolio.limitReached': 'Se alcanzó el máximo de transacciones.',
+  'portfolio.symbolNotTradable': '{symbol} no es un par de Binance.',
+  'portfolio.holdings': 'Posiciones',
+  'portfolio.holdingsEmpty': 'Aún no hay transacciones: añade una compra o importa un CSV.',
+  'portfolio.col.pair': 'Par',
+  'portfolio.col.quantity': 'Cantidad',
+  'portfolio.col.averageCost': 'Coste medio',
+  'portfolio.col.price': 'Precio',
+  'portfolio.col.value': 'Valor',
+  'portfolio.col.unrealized': 'No realizado',
+  'portfolio.col.realized': 'Realizado',
+  'portfolio.col.allocation': 'Peso',
+  'portfolio.col.date': 'Fecha',
+  'portfolio.col.side': 'Operación',
+  'portfolio.col.fee': 'Comisión',
+  'portfolio.col.actions': 'Acciones',
+  'portfolio.closed': 'cerrada',
+  'portfolio.transactions': 'Transacciones',
+  'portfolio.transactionsEmpty': 'Sin transacciones.',
+  'portfolio.transactionDescription': '{side} de {quantity} {symbol} a {price}',
+  'portfolio.removeTransaction': 'Eliminar: {description}',
+  'portfolio.allocationChart': 'Distribución',
+  'portfolio.equityChart': 'Evolución del valor',
+  'portfolio.equity.value': 'Valor de mercado',
+  'portfolio.equity.invested': 'Capital aportado',
+  'portfolio.equityLoading': 'Cargando cierres diarios…',
+  'portfolio.equityNote': 'Cierres diarios (hasta {days} días). Los activos cotizados distintos de USDT se convierten al tipo de cambio actual.',
+  'portfolio.noscript': 'La cartera necesita JavaScript: las transacciones se guardan en este navegador.',
+  'subject.prices': 'los precios de la cartera',
+  'subject.equity': 'la evolución de la cartera',
+  'portfolio.error.format': 'Transacción con formato no válido.',
+  'portfolio.error.symbol': 'Indica un par válido (ej. BTCUSDT).',
+  'portfolio.error.side': 'La operación debe ser buy o sell.',
+  'portfolio.error.quantity': 'La cantidad debe ser un número mayor que 0.',
+  'portfolio.error.price': 'El precio debe ser un número mayor que 0.',
+  'portfolio.error.fee': 'La comisión debe ser un número mayor o igual que 0.',
+  'portfolio.error.date': 'Fecha no válida (usa el formato AAAA-MM-DD).',
+  'portfolio.error.futureDate': 'La fecha no puede ser futura.',
+  'portfolio.error.oversold': 'La venta de {symbol} del {date} supera la cantidad en cartera en esa fecha.',
+  'portfolio.error.csvEmpty': 'El archivo está vacío.',
+  'portfolio.error.csvColumns': 'Faltan columnas en el CSV: {columns}.',
+
+  // Screener (screener.astro, Screener.astro)
+  'screener.title': 'Screener | Crypto Dashboard',
+  'screener.description': 'Todos los pares de Binance con su variación y volumen de 24 h, filtrables y ordenables.',
+  'screener.heading': 'Screener de mercado',
+  'screener.navLink': 'Screener de mercado →',
+  'screener.loading': 'Cargando pares…',
+  'screener.updated': 'Actualizado a las {time}',
+  'screener.count': '{shown} de {total} pares',
+  'screener.empty': 'Ningún par cumple los filtros.',
+  'screener.noscript': 'El screener necesita JavaScript: los pares se filtran en el navegador.',
+  'screener.allQuotes': 'Todos',
+  'screener.filter.query': 'Buscar',
+  'screener.filter.quoteAsset': 'Activo cotizado',
+  'screener.filter.minVolume': 'Volumen mínimo',
+  'screener.filter.minVolumeHelp': 'Volumen de 24 h en el activo cotizado del par',
+  'screener.filter.minChange': 'Variación mín. (%)',
+  'screener.filter.maxChange': 'Variación máx. (%)',
+  'screener.rsiToggle': 'Columna RSI(14) diario',
+  'screener.rsiHelp': 'Se calcula solo para las filas visibles, unas pocas a la vez',
+  'screener.movers.gainers': 'Mayores subidas',
+  'screener.movers.losers': 'Mayores bajadas',
+  'screener.movers.volume': 'Mayor volumen',
+  'screener.col.symbol': 'Par',
+  'screener.col.lastPrice': 'Precio',
+  'screener.col.priceChangePercent': '24 h %',
+  'screener.col.quoteVolume': 'Volumen',
+  'screener.col.count': 'Trades',
+  'screener.col.rsi': 'RSI 1d',
+  'screener.col.actions': 'Acciones',
+  'screener.addToWatchlist': 'Añadir {symbol} a «{list}»',
+  'screener.alreadyListed': '{symbol} ya está en «{list}»',
+  'screener.listFull': '«{list}» está llena; quita algún símbolo para añadir {symbol}',
+  'screener.added': '{symbol} añadido a «{list}»',
+  'subject.screener': 'el ticker de todos los pares',
+
+  // Comparación (compare.astro, Comparison.astro)
+  'comparison.title': 'Comparar pares | Crypto Dashboard',
+  'comparison.description': 'Compara la evolución de varios pares, su correlación y su beta frente a BTC.',
+  'comparison.heading': 'Comparar pares',
+  'comparison.navLink': 'Comparar pares →',
+  'comparison.symbols': 'Pares',
+  'comparison.symbolsHelp': 'Hasta {max} pares separados por comas',
+  'comparison.start': 'Desde',
+  'comparison.mode': 'Escala',
+  'comparison.mode.percent': 'Variación %',
+  'comparison.mode.ratio': 'Relativa a BTC',
+  'comparison.interval': 'Intervalo',
+  'comparison.lookback': 'Ventana',
+  'comparison.lookbackHelp': 'Velas cerradas con las que se calculan la correlación y la beta',
+  'comparison.candles': '{count} velas',
+  'comparison.apply': 'Comparar',
+  'comparison.loading': 'Cargando velas…',
+  'comparison.updated': 'Actualizado a las {time}',
+  'comparison.noSymbols': 'Escribe al menos un par (ej. BTCUSDT, ETHUSDT).',
+  'comparison.invalidSymbols': 'Pares no encontrados: {symbols}.',
+  'comparison.noBenchmark': 'Sin las velas de BTCUSDT no se puede mostrar la escala relativa; se muestra la variación %.',
+  'comparison.startClamped': 'No caben más velas en una descarga: la gráfica empieza el {date}.',
+  'comparison.noscript': 'La comparación necesita JavaScript: las velas se comparan en el navegador.',
+  'comparison.chart': 'Evolución desde la fecha de inicio',
+  'comparison.axis.percent': 'Variación desde el inicio',
+  'comparison.axis.ratio': 'Variación frente a BTC',
+  'comparison.matrix': 'Matriz de correlación',
+  'comparison.window': 'Rendimientos logarítmicos de las últimas {count} velas cerradas de {interval}; la ventana avanza con cada vela nueva.',
+  'comparison.notEnoughData': 'No hay suficientes velas en común',
+  'comparison.stats': 'Frente a BTC',
+  'comparison.statsHelp': 'Variación desde el inicio; correlación y beta con BTCUSDT en la misma ventana. Una beta de 1,5 indica que el par se mueve de media un 1,5 % por cada 1 % de BTC.',
+  'comparison.col.pair': 'Par',
+  'comparison.col.change': 'Variación',
+  'comparison.col.correlation': 'Correlación',
+  'comparison.col.beta': 'Beta',
+  'subject.comparison': 'las velas de {symbol}',
+
+  // Rating técnico (CryptoCard.astro, technicalRating.js)
+  'rating.title': 'Rating técnico',
+  'rating.help': 'Cada indicador vota compra, neutral o venta; la aguja marca (compras - ventas) / votos. Pulsa una temporalidad para ver sus votos.',
+  'rating.meterLabel': 'Rating técnico {timeframe}',
+  'rating.unavailable': 'Sin datos',
+  'rating.counts': 'Compra {buy} · Neutral {neutral} · Venta {sell}',
+  'rating.level.strongBuy': 'Compra fuerte',
+  'rating.level.buy': 'Compra',
+  'rating.level.neutral': 'Neutral',
+  'rating.level.sell': 'Venta',
+  'rating.level.strongSell': 'Venta fuerte',
+  'rating.vote.buy': 'Compra',
+  'rating.vote.neutral': 'Neutral',
+  'rating.vote.sell': 'Venta',
+  'rating.agreement.buy': 'Temporalidades alineadas al alza',
+  'rating.agreement.sell': 'Temporalidades alineadas a la baja',
+  'rating.agreement.mixed': 'Temporalidades sin consenso',
+  'rating.rule.average': 'Compra si el precio está por encima de la media; venta si está por debajo.',
+  'rating.rule.rsi14': 'Compra por debajo de 30 (sobreventa); venta por encima de 70 (sobrecompra).',
+  'rating.rule.macd': 'Compra si la línea MACD está por encima de la señal; venta si está por debajo. Se muestra el histograma.',
+  'rating.rule.stochastic': 'Compra si %K < 20 y está por encima de %D; venta si %K > 80 y está por debajo de %D. Se muestra %K.',
+  'rating.rule.adx': 'Con tendencia (ADX ≥ 20), compra si +DI > -DI y venta si -DI > +DI; sin tendencia, neutral.',
+  'rating.rule.williamsR': 'Compra por debajo de -80; venta por encima de -20.',
+
+  // Modo repetición (ReplayController.astro, replayClient.js)
+  'replay.title': 'Modo repetición',
+  'replay.help': 'Reproduce el mercado desde una fecha pasada en todas las tarjetas y gráficas, con un reloj común. Las alertas siguen el mercado en vivo.',
+  'replay.startTime': 'Desde',
+  'replay.enter': 'Iniciar repetición',
+  'replay.badge': 'REPLAY',
+  'replay.exit': 'Volver al directo',
+  'replay.play': '▶ Reproducir',
+  'replay.pause': '⏸ Pausa',
+  'replay.stepSize': 'Paso',
+  'replay.step': 'Avanzar',
+  'replay.speed': 'Velocidad',
+  'replay.seekTime': 'Ir a',
+  'replay.seek': 'Ir',
+  'replay.loading': 'Cargando historial…',
+  'replay.atPresent': 'Se alcanzó el presente: vuelve al directo para seguir el mercado.',
+  'replay.playing': 'Reproduciendo a {speed}×',
+  'replay.paused': 'En pausa',
+  'subject.replay': 'el historial de la repetición',
+};
@@ -0,0 +1,67 @@
+// src/scripts/marketDataCache.js
+
+/**
+ * @file Caché en memoria con coalescencia de solicitudes, usada por `marketDataService.js` en el servidor.
+ * Todas las solicitudes que atiende una misma instancia del servidor comparten las entradas: si diez pestañas
+ * piden las mismas velas a la vez, solo la primera llega a Binance y las demás esperan su resultado.
+ */
+
+/**
+ * Crea una caché independiente.
+ * @param {object} [options]
+ * @param {number} [options.maxEntries=500] - Al superarse se descartan las entradas usadas hace más tiempo.
+ */
+export function createMarketDataCache({ maxEntries = 500 } = {}) {
+  /** @type {Map<string, { expiresAt: number, data: any }>} */
+  const entries = new Map();
+  /** @type {Map<string, Promise<any>>} */
+  const inFlight = new Map();
+
+  /**
+   * @param {string} key
+   * @param {any} data
+   * @param {number} ttlMs
+   */
+  function store(key, data, ttlMs) {
+    if (ttlMs <= 0) return;
+    entries.delete(key);
+    entries.set(key, { expiresAt: Date.now() + ttlMs, data });
+    // Los Map conservan el orden de inserción: la primera clave es la usada hace más tiempo.
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  return {
+    /**
+     * Devuelve el valor de `key` desde la caché, desde una carga idéntica en vuelo o ejecutando `loader`.
+     * Los errores no se guardan: la siguiente solicitud vuelve a intentarlo.
+     * @template T
+     * @param {string} key
+     * @param {(data: T) => number} ttlFor - TTL en ms para el resultado cargado (0 = no guardarlo).
+     * @param {() => Promise<T>} loader
+     * @returns {Promise<T>}
+     */
+    async get(key, ttlFor, loader) {
+      const cached = entries.get(key);
+      if (cached && cached.expiresAt > Date.now()) {
+        entries.delete(key);
+        entries.set(key, cached);
+        return cached.data;
+      }
+      entries.delete(key);
+
+      const pending = inFlight.get(key);
+      if (pending) return pending;
+
+      const promise = loader()
+        .then(data => {
+          store(key, data, ttlFor(data));
+          return data;
+        })
+        .finally(() => inFlight.delete(key));
+      inFlight.set(key, promise);
+      return promise;
+    },
+  };
+}
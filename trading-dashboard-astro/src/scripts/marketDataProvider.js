@@ -0,0 +1,123 @@
+// src/scripts/marketDataProvider.js
+
+/**
+ * @file Interfaz común de los proveedores de datos de mercado y selección del proveedor activo.
+ * Los componentes piden las velas, los tickers, la lista de pares y los streams al proveedor activo en lugar de
+ * importar `binanceAPI.js`, de modo que se puede trabajar sin conexión o añadir otro exchange sin tocarlos.
+ *
+ * El proveedor se elige con `PUBLIC_MARKET_DATA_PROVIDER` (la misma variable en el servidor y en el navegador):
+ * - `binance` (por defecto): la API pública de Binance (`binanceAPI.js`).
+ * - `fixture`: velas grabadas en `src/fixtures/market/`, reproducidas a `PUBLIC_FIXTURE_REPLAY_SPEED`× (por defecto 1).
+ * En el navegador, las velas y los tickers de estos proveedores se piden a los endpoints del dashboard
+ * (`dashboardAPI.js`), que comparten la caché del servidor. El modo repetición (`replayProvider.js`) sustituye
+ * temporalmente el proveedor activo.
+ * El libro de órdenes y los trades siguen siendo exclusivos de Binance: con otro proveedor no se piden
+ * (`isBinanceProvider`).
+ */
+
+import {
+  fetchKlines,
+  getTicker24hr,
+  getTickerPrice,
+  getExchangeInfo,
+  subscribeTicker,
+  subscribeKlines,
+} from './binanceAPI.js';
+import { createFixtureProvider } from './fixtureProvider.js';
+import * as dashboardAPI from './dashboardAPI.js';
+
+/**
+ * @typedef {import('./binanceAPI.js').KlineObject} KlineObject
+ * @typedef {import('./binanceAPI.js').KlineRange} KlineRange
+ * @typedef {import('./binanceAPI.js').KlineStreamEvent} KlineStreamEvent
+ * @typedef {import('./binanceAPI.js').Ticker24hrData} Ticker24hrData
+ * @typedef {import('./binanceAPI.js').TickerPriceData} TickerPriceData
+ * @typedef {import('./binanceAPI.js').SymbolInfo} SymbolInfo
+ * @typedef {import('./binanceAPI.js').StreamSubscriptionOptions} StreamSubscriptionOptions
+ */
+
+/**
+ * Proveedor de datos de mercado. Los métodos tienen la misma firma, tipos y errores
+ * (`binanceTransport.js`) que sus homónimos de `binanceAPI.js`.
+ * @typedef {object} MarketDataProvider
+ * @property {string} id - Identificador (`binance`, `fixture`, `replay`).
+ * @property {boolean} persistent - Si sus velas se pueden guardar en el navegador (`klineStore.js`).
+ * @property {() => number} now - Instante actual en la línea temporal del proveedor (Unix ms).
+ * @property {(symbol: string, interval: string, limit?: number, range?: KlineRange) => Promise<KlineObject[]>} fetchKlines
+ * @property {(symbol?: string) => Promise<Ticker24hrData | Ticker24hrData[]>} getTicker24hr
+ * @property {(symbol?: string) => Promise<TickerPriceData | TickerPriceData[]>} getTickerPrice
+ * @property {(symbol?: string) => Promise<SymbolInfo[]>} getExchangeInfo
+ * @property {(symbol: string, onData: (data: Ticker24hrData) => void, options?: StreamSubscriptionOptions) => () => void} subscribeTicker
+ * @property {(symbol: string, interval: string, onData: (data: KlineStreamEvent) => void, options?: StreamSubscriptionOptions) => () => void} subscribeKlines
+ */
+
+export const DEFAULT_PROVIDER_ID = 'binance';
+// Evento del documento que anuncia un cambio de proveedor (`setMarketDataProvider`).
+export const PROVIDER_CHANGE_EVENT = 'dashboard:market-data-provider-change';
+
+/** @type {MarketDataProvider} */
+const binanceProvider = {
+  id: 'binance',
+  persistent: true,
+  now: () => Date.now(),
+  fetchKlines,
+  getTicker24hr,
+  getTickerPrice,
+  getExchangeInfo,
+  subscribeTicker,
+  subscribeKlines,
+};
+
+/** @type {Record<string, () => MarketDataProvider>} */
+const PROVIDER_FACTORIES = {
+  binance: () => binanceProvider,
+  fixture: () => createFixtureProvider({ speed: Number(import.meta.env?.PUBLIC_FIXTURE_REPLAY_SPEED) || 1 }),
+};
+
+/** @type {MarketDataProvider | null} */
+let activeProvider = null;
+
+/**
+ * Devuelve el proveedor configurado (se crea la primera vez).
+ * @returns {MarketDataProvider}
+ */
+export function getMarketDataProvider() {
+  if (!activeProvider) {
+    const id = import.meta.env?.PUBLIC_MARKET_DATA_PROVIDER || DEFAULT_PROVIDER_ID;
+    const factory = PROVIDER_FACTORIES[id];
+    if (!factory) console.warn(`Proveedor de datos desconocido "${id}"; se usa ${DEFAULT_PROVIDER_ID}.`);
+    const provider = (factory ?? PROVIDER_FACTORIES[DEFAULT_PROVIDER_ID])();
+    // En el navegador, las velas y los tickers pasan por la caché del servidor.
+    activeProvider = import.meta.env?.SSR === false
+      ? {
+        ...provider,
+        fetchKlines: dashboardAPI.fetchKlines,
+        getTicker24hr: dashboardAPI.getTicker24hr,
+        getTickerPrice: dashboardAPI.getTickerPrice,
+      }
+      : provider;
+  }
+  return activeProvider;
+}
+
+/**
+ * Si el proveedor activo es Binance. El libro de órdenes y los trades solo se obtienen de Binance; con otro
+ * proveedor sus componentes muestran un aviso en lugar de pedirlos.
+ * @returns {boolean}
+ */
+export function isBinanceProvider() {
+  return getMarketDataProvider().id === binanceProvider.id;
+}
+
+/**
+ * Sustituye el proveedor activo (ej. otro exchange, un proveedor de pruebas o el modo repetición). Los
+ * componentes ya montados conservan sus suscripciones al anterior; en el navegador se emite
+ * `PROVIDER_CHANGE_EVENT` para que los que deban seguir al nuevo se vuelvan a montar.
+ * @param {MarketDataProvider} provider
+ */
+export function setMarketDataProvider(provider) {
+  activeProvider = provider;
+  if (typeof document !== 'undefined') {
+    document.dispatchEvent(new CustomEvent(PROVIDER_CHANGE_EVENT, { detail: { id: provider.id } }));
+  }
+}
@@ -0,0 +1,133 @@
+// src/scripts/marketDataService.js
+
+/**
+ * @file Datos de mercado para el servidor: envuelve el proveedor activo (`marketDataProvider.js`) con una caché
+ * compartida por todas las solicitudes de la instancia (`marketDataCache.js`). La usan los endpoints de
+ * `src/pages/api/` y el render en el servidor de los componentes, de modo que el número de visitantes no
+ * multiplica las llamadas a Binance.
+ */
+
+import { getMarketDataProvider } from './marketDataProvider.js';
+import { createMarketDataCache } from './marketDataCache.js';
+import { buildIndicatorRows, indicatorColumns, warmupCandles } from './indicatorTable.js';
+
+/**
+ * @typedef {import('./binanceAPI.js').KlineObject} KlineObject
+ * @typedef {import('./binanceAPI.js').Ticker24hrData} Ticker24hrData
+ * @typedef {import('./binanceAPI.js').TickerPriceData} TickerPriceData
+ * @typedef {import('./indicatorTable.js').IndicatorSpec} IndicatorSpec
+ * @typedef {import('./indicatorTable.js').IndicatorRow} IndicatorRow
+ */
+
+/**
+ * Velas pedidas: las `limit` más recientes, o las de un rango (ver `KlineRange` en `binanceAPI.js`).
+ * @typedef {object} KlineQuery
+ * @property {string} symbol
+ * @property {string} interval
+ * @property {number} limit
+ * @property {number} [startTime]
+ * @property {number} [endTime]
+ */
+
+/**
+ * @typedef {object} IndicatorTable
+ * @property {string[]} columns - Columnas de indicadores, en orden (las de la vela van siempre antes).
+ * @property {IndicatorRow[]} rows
+ */
+
+// Con la vela en curso incluida los datos cambian con cada trade; el cliente los actualiza después por stream,
+// así que basta con que la caché evite ráfagas de solicitudes idénticas.
+const LIVE_TTL_MS = 5 * 1000;
+const TICKER_TTL_MS = 2 * 1000;
+// El ticker de todos los pares pesa 80: se comparte durante más tiempo.
+const ALL_TICKERS_TTL_MS = 15 * 1000;
+// Un rango de velas ya cerradas no cambia nunca.
+const CLOSED_TTL_MS = 60 * 60 * 1000;
+
+const cache = createMarketDataCache();
+
+/**
+ * Tiempo que se pueden reutilizar unas velas: mucho si todas están cerradas, poco si incluyen la vela en curso.
+ * @param {KlineObject[]} klines
+ * @returns {number} Milisegundos.
+ */
+export function klinesCacheTtl(klines) {
+  const last = klines[klines.length - 1];
+  return last && last.closeTime < getMarketDataProvider().now() ? CLOSED_TTL_MS : LIVE_TTL_MS;
+}
+
+/**
+ * @returns {number} Milisegundos que se puede reutilizar un ticker de 24 h.
+ */
+export function tickerCacheTtl() {
+  return TICKER_TTL_MS;
+}
+
+/**
+ * @returns {number} Milisegundos que se puede reutilizar el ticker de 24 h de todos los pares.
+ */
+export function allTickersCacheTtl() {
+  return ALL_TICKERS_TTL_MS;
+}
+
+/**
+ * Velas de un par, desde la caché si otra solicitud ya las pidió.
+ * @param {KlineQuery} query
+ * @returns {Promise<KlineObject[]>}
+ * @throws {import('./binanceTransport.js').BinanceAPIError}
+ */
+export function getKlines({ symbol, interval, limit, startTime, endTime }) {
+  const key = `klines:${symbol}:${interval}:${limit}:${startTime ?? ''}:${endTime ?? ''}`;
+  return cache.get(key, klinesCacheTtl, () => getMarketDataProvider().fetchKlines(symbol, interval, limit, { startTime, endTime }));
+}
+
+/**
+ * Ticker de 24 h de un par, desde la caché si otra solicitud lo pidió hace menos de `TICKER_TTL_MS`.
+ * @param {string} symbol
+ * @returns {Promise<Ticker24hrData>}
+ * @throws {import('./binanceTransport.js').BinanceAPIError}
+ */
+export function getTicker(symbol) {
+  return cache.get(`ticker:${symbol}`, tickerCacheTtl, () => /** @type {Promise<Ticker24hrData>} */ (getMarketDataProvider().getTicker24hr(symbol)));
+}
+
+/**
+ * Ticker de 24 h de todos los pares (para el screener), desde la caché si se pidió hace menos de `ALL_TICKERS_TTL_MS`.
+ * @returns {Promise<Ticker24hrData[]>}
+ * @throws {import('./binanceTransport.js').BinanceAPIError}
+ */
+export function getAllTickers() {
+  return cache.get('tickers', allTickersCacheTtl, () => /** @type {Promise<Ticker24hrData[]>} */ (getMarketDataProvider().getTicker24hr()));
+}
+
+/**
+ * Último precio de todos los pares (con Binance, una sola solicitud de peso 4, compartida por todos los visitantes).
+ * @returns {Promise<TickerPriceData[]>}
+ * @throws {import('./binanceTransport.js').BinanceAPIError}
+ */
+export function getAllPrices() {
+  return cache.get('prices', tickerCacheTtl, () => /** @type {Promise<TickerPriceData[]>} */ (getMarketDataProvider().getTickerPrice()));
+}
+
+/**
+ * Velas de la consulta con columnas de indicadores. Se descargan también las velas previas que necesitan
+ * los indicadores para tener valor desde la primera fila.
+ * @param {KlineQuery} query
+ * @param {IndicatorSpec[]} specs
+ * @returns {Promise<IndicatorTable>}
+ * @throws {import('./binanceTransport.js').BinanceAPIError}
+ */
+export async function getIndicatorTable(query, specs) {
+  const warmup = warmupCandles(specs);
+  if (query.startTime !== undefined) {
+    // El rango empieza en un instante fijo: el calentamiento son las velas anteriores a ese instante.
+    const [previous, range] = await Promise.all([
+      warmup > 0 ? getKlines({ symbol: query.symbol, interval: query.interval, limit: warmup, endTime: query.startTime - 1 }) : [],
+      getKlines(query),
+    ]);
+    return { columns: indicatorColumns(specs), rows: buildIndicatorRows(previous.concat(range), specs, query.interval, range.length) };
+  }
+
+  const klines = await getKlines({ ...query, limit: query.limit + warmup });
+  return { columns: indicatorColumns(specs), rows: buildIndicatorRows(klines, specs, query.interval, Math.min(query.limit, klines.length)) };
+}
@@ -0,0 +1,170 @@
+// src/scripts/marketFormat.js
+
+/**
+ * @file Formateo de precios y cantidades de un par según su información de `/exchangeInfo`: los decimales salen
+ * del `tickSize`/`stepSize` del par (ADAUSDT muestra 4 decimales, BTCUSDT 2) y la unidad es el activo cotizado
+ * real (USDT, BTC, EUR...), opcionalmente convertido a una moneda fiat elegida por el usuario.
+ */
+
+import { getMarketDataProvider } from './marketDataProvider.js';
+import { getIntlLocale } from './i18n.js';
+
+/**
+ * @typedef {import('./i18n.js').Locale} Locale
+ * @typedef {import('./binanceAPI.js').SymbolInfo} SymbolInfo
+ */
+
+/**
+ * Datos de un par necesarios para formatear sus valores.
+ * @typedef {object} MarketInfo
+ * @property {string} symbol
+ * @property {string} baseAsset
+ * @property {string} quoteAsset
+ * @property {number} priceDecimals - Decimales del precio (del `tickSize`).
+ * @property {number} quantityDecimals - Decimales de la cantidad (del `stepSize`).
+ */
+
+/**
+ * Conversión de los precios de un par a otra moneda (ver `currencyConversion.js`).
+ * @typedef {object} PriceConversion
+ * @property {string} currency - Código ISO 4217 de la moneda de destino (ej. 'EUR').
+ * @property {number} rate - Unidades de `currency` por unidad del activo cotizado.
+ */
+
+/**
+ * Formateadores de un par ligados a un idioma y, opcionalmente, a una conversión.
+ * @typedef {object} MarketFormatter
+ * @property {string} currency - Unidad en la que se muestran los precios (ej. 'USDT', o 'EUR' si se convierten).
+ * @property {(value: number) => string} price - Precio o diferencia de precios.
+ * @property {(value: number) => string} quantity - Cantidad del activo base, sin unidad.
+ * @property {(value: number, decimals?: number) => string} number - Número con decimales fijos (por defecto los del precio).
+ */
+
+// Activos cotizados que son monedas ISO 4217 y se formatean con su símbolo (ej. 12,50 €).
+// El resto (USDT, BTC, ETH...) se muestra como número seguido del código del activo.
+const FIAT_ASSETS = new Set(['USD', 'EUR', 'GBP', 'TRY', 'BRL', 'JPY', 'AUD', 'ARS', 'MXN', 'PLN', 'RON', 'UAH', 'ZAR', 'CZK', 'COP', 'IDR', 'NGN', 'RUB', 'KZT']);
+const MAX_DECIMALS = 8;
+const MIN_FIAT_DECIMALS = 2;
+// Sin información del par se muestran 2 decimales (hasta 8 si el valor los necesita).
+const FALLBACK_DECIMALS = 2;
+
+/**
+ * Decimales que representa un incremento mínimo (ej. 0.0001 → 4, 1 → 0).
+ * @param {number | null | undefined} step
+ * @returns {number | null} null si no hay incremento.
+ */
+export function decimalsFromStep(step) {
+  if (!step || step <= 0) return null;
+  for (let decimals = 0; decimals < MAX_DECIMALS; decimals++) {
+    const scaled = step * 10 ** decimals;
+    if (Math.abs(scaled - Math.round(scaled)) < 1e-9) return decimals;
+  }
+  return MAX_DECIMALS;
+}
+
+/**
+ * @param {SymbolInfo} info
+ * @returns {MarketInfo}
+ */
+export function toMarketInfo(info) {
+  return {
+    symbol: info.symbol,
+    baseAsset: info.baseAsset,
+    quoteAsset: info.quoteAsset,
+    priceDecimals: decimalsFromStep(info.tickSize) ?? FALLBACK_DECIMALS,
+    quantityDecimals: decimalsFromStep(info.stepSize) ?? FALLBACK_DECIMALS,
+  };
+}
+
+/**
+ * Descarga la información de formato de un par.
+ * @param {string} symbol
+ * @returns {Promise<MarketInfo | null>} null si la API falla o el par no existe (se formatea sin unidad).
+ */
+export async function loadMarketInfo(symbol) {
+  try {
+    const info = (await getMarketDataProvider().getExchangeInfo(symbol)).find(item => item.symbol === symbol);
+    return info ? toMarketInfo(info) : null;
+  } catch (error) {
+    console.error(`No se pudo cargar la información de formato de ${symbol}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Formatea un importe en un activo: con el símbolo de la moneda si es fiat, o seguido del código si no.
+ * @param {number} value
+ * @param {string} asset
+ * @param {number} decimals
+ * @param {Locale} locale
+ * @returns {string}
+ */
+export function formatAmount(value, asset, decimals, locale) {
+  const intlLocale = getIntlLocale(locale);
+  if (FIAT_ASSETS.has(asset)) {
+    return value.toLocaleString(intlLocale, { style: 'currency', currency: asset, minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+  }
+  const number = value.toLocaleString(intlLocale, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+  return asset ? `${number} ${asset}` : number;
+}
+
+/**
+ * Formatea un porcentaje (ej. 5.234 → '5,23 %' en español, '5.23%' en inglés).
+ * @param {number} value - Porcentaje (5 = 5 %).
+ * @param {Locale} locale
+ * @param {{ decimals?: number, signed?: boolean }} [options] - `signed` antepone '+' a los positivos.
+ * @returns {string}
+ */
+export function formatPercent(value, locale, { decimals = 2, signed = false } = {}) {
+  return (value / 100).toLocaleString(getIntlLocale(locale), {
+    style: 'percent',
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+    signDisplay: signed ? 'exceptZero' : 'auto',
+  });
+}
+
+/**
+ * Formatea un número con decimales fijos (o entre `minimum` y `maximum`).
+ * @param {number} value
+ * @param {Locale} locale
+ * @param {number} [minimum=2]
+ * @param {number} [maximum=minimum]
+ * @returns {string}
+ */
+export function formatNumber(value, locale, minimum = 2, maximum = minimum) {
+  return value.toLocaleString(getIntlLocale(locale), { minimumFractionDigits: minimum, maximumFractionDigits: maximum });
+}
+
+/**
+ * Crea los formateadores de un par. Con `conversion`, los precios se multiplican por el tipo de cambio y se
+ * muestran en la moneda de destino, con los decimales que equivalen al `tickSize` del par en esa moneda.
+ * @param {MarketInfo | null} market - null si no se pudo obtener la información del par.
+ * @param {Locale} locale
+ * @param {PriceConversion | null} [conversion]
+ * @returns {MarketFormatter}
+ */
+export function createMarketFormatter(market, locale, conversion = null) {
+  const priceDecimals = market?.priceDecimals ?? FALLBACK_DECIMALS;
+  const quantityDecimals = market?.quantityDecimals ?? FALLBACK_DECIMALS;
+  const number = (value, decimals = priceDecimals) => formatNumber(value, locale, decimals, market ? decimals : MAX_DECIMALS);
+
+  if (conversion) {
+    const tickInCurrency = 10 ** -priceDecimals * conversion.rate;
+    const decimals = Math.min(MAX_DECIMALS, Math.max(MIN_FIAT_DECIMALS, Math.round(-Math.log10(tickInCurrency))));
+    return {
+      currency: conversion.currency,
+      price: (value) => formatAmount(value * conversion.rate, conversion.currency, decimals, locale),
+      quantity: (value) => formatNumber(value, locale, quantityDecimals),
+      number,
+    };
+  }
+
+  const quoteAsset = market?.quoteAsset ?? '';
+  return {
+    currency: quoteAsset,
+    price: (value) => (market ? formatAmount(value, quoteAsset, priceDecimals, locale) : number(value)),
+    quantity: (value) => formatNumber(value, locale, quantityDecimals),
+    number,
+  };
+}
@@ -0,0 +1,87 @@
+// src/scripts/orderBookMetrics.js
+
+/**
+ * @file Métricas del libro de órdenes (spread, desequilibrio compra/venta) y curva de profundidad acumulada.
+ * Se comparten entre el render del servidor y las actualizaciones del cliente de `OrderBook.astro`.
+ */
+
+/**
+ * @typedef {import('./binanceAPI.js').OrderBookData} OrderBookData
+ * @typedef {import('./binanceAPI.js').OrderBookLevel} OrderBookLevel
+ */
+
+/**
+ * Mejor compra/venta y diferencia entre ambas.
+ * @typedef {object} SpreadMetrics
+ * @property {number} bestBid
+ * @property {number} bestAsk
+ * @property {number} midPrice
+ * @property {number} spread - `bestAsk - bestBid`.
+ * @property {number} spreadPercent - Spread en % del precio medio.
+ */
+
+/**
+ * Desequilibrio entre la liquidez de compra y de venta en los niveles considerados.
+ * @typedef {object} ImbalanceMetrics
+ * @property {number} bidVolume - Cantidad total en compras.
+ * @property {number} askVolume - Cantidad total en ventas.
+ * @property {number} imbalance - `(bid - ask) / (bid + ask)`, entre -1 (solo ventas) y 1 (solo compras).
+ */
+
+/**
+ * Punto de la curva de profundidad.
+ * @typedef {object} DepthPoint
+ * @property {number} price
+ * @property {number} cumulative - Cantidad acumulada desde el mejor precio hasta este nivel.
+ */
+
+/**
+ * @param {OrderBookData} book
+ * @returns {SpreadMetrics | null} null si falta alguno de los dos lados.
+ */
+export function calculateSpread(book) {
+  const bestBid = book.bids[0]?.price;
+  const bestAsk = book.asks[0]?.price;
+  if (bestBid === undefined || bestAsk === undefined) return null;
+  const midPrice = (bestBid + bestAsk) / 2;
+  const spread = bestAsk - bestBid;
+  return { bestBid, bestAsk, midPrice, spread, spreadPercent: (spread / midPrice) * 100 };
+}
+
+/**
+ * @param {OrderBookData} book
+ * @param {number} [levels=20] - Niveles por lado a considerar desde el mejor precio.
+ * @returns {ImbalanceMetrics | null} null si el libro está vacío.
+ */
+export function calculateImbalance(book, levels = 20) {
+  const sum = (side) => side.slice(0, levels).reduce((total, level) => total + level.quantity, 0);
+  const bidVolume = sum(book.bids);
+  const askVolume = sum(book.asks);
+  const total = bidVolume + askVolume;
+  if (total === 0) return null;
+  return { bidVolume, askVolume, imbalance: (bidVolume - askVolume) / total };
+}
+
+/**
+ * @param {OrderBookLevel[]} levels - Niveles ordenados desde el mejor precio.
+ * @returns {DepthPoint[]}
+ */
+function accumulate(levels) {
+  let cumulative = 0;
+  return levels.map(level => {
+    cumulative += level.quantity;
+    return { price: level.price, cumulative };
+  });
+}
+
+/**
+ * Curva de profundidad acumulada de cada lado, ordenada por precio ascendente (lista para un eje X lineal).
+ * @param {OrderBookData} book
+ * @returns {{ bids: DepthPoint[], asks: DepthPoint[] }}
+ */
+export function buildDepthCurve(book) {
+  return {
+    bids: accumulate(book.bids).reverse(),
+    asks: accumulate(book.asks),
+  };
+}
@@ -0,0 +1,362 @@
+// src/scripts/portfolio.js
+
+/**
+ * @file Modelo de la cartera (funciones puras, sin DOM ni red): transacciones de compra y venta, posiciones por
+ * coste medio, P&L realizado y no realizado, distribución y curva de valor histórica. `portfolioStore.js` persiste
+ * las transacciones y `portfolioClient.js` las valora con los precios en vivo.
+ * Cada posición se calcula en el activo cotizado de su par (USDT, BTC, EUR...); los totales se expresan en USDT
+ * convirtiendo cada activo cotizado con su precio actual frente a USDT.
+ */
+
+import { LocalizedError } from './i18n.js';
+
+/**
+ * @typedef {import('./binanceAPI.js').KlineObject} KlineObject
+ */
+
+/**
+ * Compra o venta de un par. `price` y `fee` están en el activo cotizado; `quantity`, en el activo base.
+ * @typedef {object} PortfolioTransaction
+ * @property {string} id
+ * @property {string} symbol - El símbolo del par (ej. 'BTCUSDT').
+ * @property {string} baseAsset
+ * @property {string} quoteAsset
+ * @property {'buy' | 'sell'} side
+ * @property {number} quantity
+ * @property {number} price
+ * @property {number} fee
+ * @property {number} time - Fecha de la operación (Unix ms).
+ */
+
+/**
+ * Posición de un par por el método de coste medio. Las cerradas (cantidad 0) se conservan por su P&L realizado.
+ * @typedef {object} Position
+ * @property {string} symbol
+ * @property {string} baseAsset
+ * @property {string} quoteAsset
+ * @property {number} quantity
+ * @property {number} cost - Coste de la cantidad en cartera, comisiones de compra incluidas.
+ * @property {number | null} averageCost - Coste por unidad; null si la posición está cerrada.
+ * @property {number} realizedPnl - Resultado de las ventas (precio de venta - coste medio), menos sus comisiones.
+ */
+
+/**
+ * Posición valorada con los precios actuales.
+ * @typedef {Position & {
+ *   price: number | null,
+ *   value: number | null,
+ *   unrealizedPnl: number | null,
+ *   unrealizedPercent: number | null,
+ *   valueUsdt: number | null,
+ *   allocation: number | null,
+ * }} Holding
+ */
+
+/**
+ * @typedef {object} PortfolioTotals
+ * @property {number} valueUsdt - Valor de las posiciones con precio.
+ * @property {number} costUsdt
+ * @property {number} unrealizedPnlUsdt
+ * @property {number} realizedPnlUsdt
+ * @property {number} unpricedCount - Posiciones abiertas que no se pudieron valorar en USDT (quedan fuera de los totales).
+ */
+
+/**
+ * Punto de la curva de valor: valor de mercado y capital neto aportado al cierre de un día.
+ * @typedef {object} EquityPoint
+ * @property {number} time - Cierre del día (Unix ms).
+ * @property {number} value
+ * @property {number} invested - Compras menos ventas acumuladas, comisiones incluidas.
+ */
+
+/**
+ * Fila de un CSV de transacciones, con los valores tal cual y su número de línea (para los mensajes de error).
+ * @typedef {object} CsvTransactionRow
+ * @property {number} line
+ * @property {Record<string, string>} values - Columna (en minúsculas) → texto.
+ */
+
+export const TRANSACTION_SIDES = ['buy', 'sell'];
+// Activo en el que se expresan los totales; la interfaz los convierte después a la moneda del usuario.
+export const VALUATION_ASSET = 'USDT';
+// Columnas de un CSV de transacciones; `fee` es opcional.
+export const CSV_COLUMNS = ['date', 'symbol', 'side', 'quantity', 'price', 'fee'];
+const REQUIRED_CSV_COLUMNS = ['date', 'symbol', 'side', 'quantity', 'price'];
+// Margen para los redondeos de coma flotante al vender toda la posición.
+const QUANTITY_EPSILON = 1e-9;
+// Margen ante relojes desajustados al validar que la fecha no sea futura.
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+const createId = () => `tx-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+/**
+ * @param {unknown} value
+ * @param {string} errorKey
+ * @param {{ min?: number, exclusiveMin?: boolean }} [limits]
+ * @returns {number}
+ * @throws {LocalizedError}
+ */
+function toNumber(value, errorKey, { min = 0, exclusiveMin = true } = {}) {
+  const number = Number(value);
+  if (value === '' || value === null || value === undefined || !Number.isFinite(number) || number < min || (exclusiveMin && number === min)) {
+    throw new LocalizedError(errorKey);
+  }
+  return number;
+}
+
+/**
+ * Fecha como Unix ms, ISO 8601 ('2024-03-01', '2024-03-01T10:30') o `Date`.
+ * @param {unknown} value
+ * @returns {number}
+ * @throws {LocalizedError}
+ */
+function toTime(value) {
+  const time = typeof value === 'number' ? value : Date.parse(String(value ?? ''));
+  if (!Number.isFinite(time)) throw new LocalizedError('portfolio.error.date');
+  if (time > Date.now() + FUTURE_TOLERANCE_MS) throw new LocalizedError('portfolio.error.futureDate');
+  return time;
+}
+
+/**
+ * Valida y normaliza una transacción (nueva, leída de localStorage o importada).
+ * @param {Partial<PortfolioTransaction> & { symbol: string, baseAsset: string, quoteAsset: string }} raw
+ * @returns {PortfolioTransaction}
+ * @throws {LocalizedError} Si algún campo no es válido.
+ */
+export function normalizeTransaction(raw) {
+  if (!raw || typeof raw !== 'object') throw new LocalizedError('portfolio.error.format');
+  const symbol = String(raw.symbol || '').trim().toUpperCase();
+  if (!/^[A-Z0-9]{2,20}$/.test(symbol)) throw new LocalizedError('portfolio.error.symbol');
+  if (typeof raw.baseAsset !== 'string' || typeof raw.quoteAsset !== 'string' || !raw.baseAsset || !raw.quoteAsset) {
+    throw new LocalizedError('portfolio.error.format');
+  }
+  const side = String(raw.side || '').trim().toLowerCase();
+  if (!TRANSACTION_SIDES.includes(side)) throw new LocalizedError('portfolio.error.side');
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : createId(),
+    symbol,
+    baseAsset: raw.baseAsset,
+    quoteAsset: raw.quoteAsset,
+    side: /** @type {'buy' | 'sell'} */ (side),
+    quantity: toNumber(raw.quantity, 'portfolio.error.quantity'),
+    price: toNumber(raw.price, 'portfolio.error.price'),
+    fee: toNumber(raw.fee === undefined || raw.fee === '' ? 0 : raw.fee, 'portfolio.error.fee', { exclusiveMin: false }),
+    time: toTime(raw.time),
+  };
+}
+
+/**
+ * Ordena por fecha; las del mismo instante conservan el orden en que se registraron.
+ * @param {PortfolioTransaction[]} transactions
+ * @returns {PortfolioTransaction[]}
+ */
+export function sortTransactions(transactions) {
+  return [...transactions].sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Calcula las posiciones por el método de coste medio: las compras suman cantidad y coste (con su comisión)
+ * y las ventas realizan la diferencia con el coste medio, que no cambia al vender.
+ * @param {PortfolioTransaction[]} transactions
+ * @returns {Position[]} Por orden de primera operación.
+ * @throws {LocalizedError} Si alguna venta supera la cantidad en cartera en su fecha.
+ */
+export function computePositions(transactions) {
+  /** @type {Map<string, Position>} */
+  const positions = new Map();
+  for (const transaction of sortTransactions(transactions)) {
+    let position = positions.get(transaction.symbol);
+    if (!position) {
+      position = { symbol: transaction.symbol, baseAsset: transaction.baseAsset, quoteAsset: transaction.quoteAsset, quantity: 0, cost: 0, averageCost: null, realizedPnl: 0 };
+      positions.set(transaction.symbol, position);
+    }
+
+    if (transaction.side === 'buy') {
+      position.quantity += transaction.quantity;
+      position.cost += transaction.quantity * transaction.price + transaction.fee;
+    } else {
+      if (transaction.quantity > position.quantity * (1 + QUANTITY_EPSILON)) {
+        throw new LocalizedError('portfolio.error.oversold', {
+          symbol: transaction.symbol,
+          date: new Date(transaction.time).toISOString().slice(0, 10),
+        });
+      }
+      const averageCost = position.cost / position.quantity;
+      const sold = Math.min(transaction.quantity, position.quantity);
+      position.realizedPnl += sold * (transaction.price - averageCost) - transaction.fee;
+      position.quantity -= sold;
+      position.cost -= sold * averageCost;
+      if (position.quantity <= sold * QUANTITY_EPSILON) {
+        position.quantity = 0;
+        position.cost = 0;
+      }
+    }
+    position.averageCost = position.quantity > 0 ? position.cost / position.quantity : null;
+  }
+  return [...positions.values()];
+}
+
+/**
+ * Precio en USDT de un activo cotizado, a partir de los precios de todos los pares.
+ * @param {string} asset
+ * @param {Map<string, number>} prices - Símbolo → último precio.
+ * @returns {number | null} null si no hay un par directo con USDT.
+ */
+export function quoteToValuationRate(asset, prices) {
+  if (asset === VALUATION_ASSET) return 1;
+  const direct = prices.get(`${asset}${VALUATION_ASSET}`);
+  if (direct) return direct;
+  const inverse = prices.get(`${VALUATION_ASSET}${asset}`);
+  return inverse ? 1 / inverse : null;
+}
+
+/**
+ * Valora las posiciones con los precios actuales y calcula su peso en la cartera.
+ * @param {Position[]} positions
+ * @param {Map<string, number>} prices - Símbolo → último precio.
+ * @returns {{ holdings: Holding[], totals: PortfolioTotals }}
+ */
+export function valuePortfolio(positions, prices) {
+  /** @type {PortfolioTotals} */
+  const totals = { valueUsdt: 0, costUsdt: 0, unrealizedPnlUsdt: 0, realizedPnlUsdt: 0, unpricedCount: 0 };
+
+  const holdings = positions.map(position => {
+    const price = prices.get(position.symbol) ?? null;
+    const rate = quoteToValuationRate(position.quoteAsset, prices);
+    const value = price === null ? null : position.quantity * price;
+    const unrealizedPnl = value === null ? null : value - position.cost;
+    const valueUsdt = value !== null && rate !== null ? value * rate : null;
+
+    if (rate !== null) totals.realizedPnlUsdt += position.realizedPnl * rate;
+    if (valueUsdt !== null) {
+      totals.valueUsdt += valueUsdt;
+      totals.costUsdt += position.cost * rate;
+      totals.unrealizedPnlUsdt += unrealizedPnl * rate;
+    } else if (position.quantity > 0) {
+      totals.unpricedCount++;
+    }
+    return {
+      ...position,
+      price,
+      value,
+      unrealizedPnl,
+      unrealizedPercent: unrealizedPnl !== null && position.cost > 0 ? (unrealizedPnl / position.cost) * 100 : null,
+      valueUsdt,
+      allocation: null,
+    };
+  });
+
+  for (const holding of holdings) {
+    if (holding.valueUsdt !== null && totals.valueUsdt > 0) holding.allocation = (holding.valueUsdt / totals.valueUsdt) * 100;
+  }
+  return { holdings, totals };
+}
+
+/**
+ * Reconstruye el valor diario de la cartera con los cierres históricos de cada par. Los días en que un par aún no
+ * tiene vela se valora con su último cierre conocido o, si no hay ninguno, con el precio de su última operación.
+ * Los activos cotizados se convierten con el tipo de cambio actual (`rates`), no con el de cada día.
+ * @param {PortfolioTransaction[]} transactions
+ * @param {Map<string, KlineObject[]>} dailyKlines - Velas de 1d de cada par, ordenadas.
+ * @param {Map<string, number>} rates - Activo cotizado → precio en USDT (ver `quoteToValuationRate`).
+ * @returns {EquityPoint[]} Un punto por día, desde el primero con velas.
+ */
+export function buildEquityCurve(transactions, dailyKlines, rates) {
+  const closesBySymbol = new Map([...dailyKlines].map(([symbol, klines]) => [symbol, new Map(klines.map(kline => [kline.closeTime, kline.close]))]));
+  const days = [...new Set([...dailyKlines.values()].flatMap(klines => klines.map(kline => kline.closeTime)))].sort((a, b) => a - b);
+  const sorted = sortTransactions(transactions);
+
+  /** @type {Map<string, { quantity: number, lastPrice: number, rate: number }>} */
+  const holdings = new Map();
+  let invested = 0;
+  let next = 0;
+  return days.map(closeTime => {
+    for (; next < sorted.length && sorted[next].time <= closeTime; next++) {
+      const transaction = sorted[next];
+      const rate = rates.get(transaction.quoteAsset) ?? 0;
+      const holding = holdings.get(transaction.symbol) ?? { quantity: 0, lastPrice: transaction.price, rate };
+      const signed = transaction.side === 'buy' ? transaction.quantity : -transaction.quantity;
+      holding.quantity = Math.max(0, holding.quantity + signed);
+      holding.lastPrice = transaction.price;
+      holdings.set(transaction.symbol, holding);
+      invested += (transaction.side === 'buy'
+        ? transaction.quantity * transaction.price + transaction.fee
+        : -(transaction.quantity * transaction.price - transaction.fee)) * rate;
+    }
+
+    let value = 0;
+    for (const [symbol, holding] of holdings) {
+      const close = closesBySymbol.get(symbol)?.get(closeTime);
+      if (close !== undefined) holding.lastPrice = close;
+      value += holding.quantity * holding.lastPrice * holding.rate;
+    }
+    return { time: closeTime, value, invested };
+  });
+}
+
+/**
+ * Separa una línea de CSV respetando los campos entre comillas.
+ * @param {string} line
+ * @param {string} delimiter
+ * @returns {string[]}
+ */
+function splitCsvLine(line, delimiter) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Lee un CSV de transacciones con cabecera (`date,symbol,side,quantity,price,fee`, en cualquier orden).
+ * Admite ';' como separador, en cuyo caso los decimales pueden llevar coma (formato de hoja de cálculo europeo).
+ * @param {string} text
+ * @returns {CsvTransactionRow[]} Filas sin validar; se normalizan con `normalizeTransaction`.
+ * @throws {LocalizedError} Si falta la cabecera o alguna columna obligatoria.
+ */
+export function parseTransactionsCsv(text) {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+  const headerIndex = lines.findIndex(line => line.trim() !== '');
+  if (headerIndex === -1) throw new LocalizedError('portfolio.error.csvEmpty');
+
+  const delimiter = lines[headerIndex].includes(';') ? ';' : ',';
+  const header = splitCsvLine(lines[headerIndex], delimiter).map(name => name.toLowerCase());
+  const missing = REQUIRED_CSV_COLUMNS.filter(column => !header.includes(column));
+  if (missing.length > 0) throw new LocalizedError('portfolio.error.csvColumns', { columns: missing.join(', ') });
+
+  const numeric = new Set(['quantity', 'price', 'fee']);
+  /** @type {CsvTransactionRow[]} */
+  const rows = [];
+  for (let i = headerIndex + 1; i < lines.length; i++) {
+    if (lines[i].trim() === '') continue;
+    const cells = splitCsvLine(lines[i], delimiter);
+    const values = {};
+    header.forEach((column, index) => {
+      const cell = cells[index] ?? '';
+      values[column] = delimiter === ';' && numeric.has(column) ? cell.replace(',', '.') : cell;
+    });
+    rows.push({ line: i + 1, values });
+  }
+  return rows;
+}
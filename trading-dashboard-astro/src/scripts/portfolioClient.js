@@ -0,0 +1,551 @@
+// src/scripts/portfolioClient.js
+
+/**
+ * @file Cliente de la cartera (`PortfolioPanel.astro`): registra e importa transacciones, valora las posiciones con
+ * el último precio de todos los pares (`getTickerPrice()` sin símbolo, una sola solicitud para toda la cartera) y
+ * dibuja la distribución y la curva de valor reconstruida con los cierres diarios de cada par.
+ */
+
+import { Chart } from 'chart.js/auto';
+import { getMarketDataProvider } from './marketDataProvider.js';
+import { getTickerPrice } from './dashboardAPI.js';
+import { syncKlines } from './klineStore.js';
+import { describeApiError, describeStaleData } from './errorMessages.js';
+import {
+  normalizeTransaction,
+  computePositions,
+  valuePortfolio,
+  quoteToValuationRate,
+  buildEquityCurve,
+  parseTransactionsCsv,
+  sortTransactions,
+  VALUATION_ASSET,
+} from './portfolio.js';
+import { loadTransactions, saveTransactions, addTransactions, removeTransaction, PORTFOLIO_STORAGE_KEY } from './portfolioStore.js';
+import { watchConversionRate } from './currencyConversion.js';
+import { createMarketFormatter, toMarketInfo, formatAmount, formatPercent } from './marketFormat.js';
+import { createTranslator, getIntlLocale, localizeError, LocalizedError } from './i18n.js';
+import { getDocumentPreferences } from './preferences.js';
+
+/**
+ * @typedef {import('./portfolio.js').PortfolioTransaction} PortfolioTransaction
+ * @typedef {import('./portfolio.js').Holding} Holding
+ * @typedef {import('./portfolio.js').EquityPoint} EquityPoint
+ * @typedef {import('./binanceAPI.js').SymbolInfo} SymbolInfo
+ * @typedef {import('./marketFormat.js').MarketFormatter} MarketFormatter
+ * @typedef {import('./marketFormat.js').PriceConversion} PriceConversion
+ */
+
+const PRICE_REFRESH_MS = 15 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Cierres diarios por par para la curva de valor: el máximo que `klineStore.js` guarda por serie.
+const MAX_EQUITY_DAYS = 1000;
+const POSITIVE_CLASS = 'text-green-500';
+const NEGATIVE_CLASS = 'text-red-500';
+const AXIS_COLOR = '#6b7280';
+const ALLOCATION_COLORS = ['#3b82f6', '#f59e0b', '#10b981', '#8b5cf6', '#ef4444', '#06b6d4', '#ec4899', '#84cc16', '#f97316', '#6366f1'];
+
+/**
+ * Inicializa la cartera: lee las transacciones guardadas, arranca el refresco de precios y dibuja las gráficas.
+ * @param {HTMLElement} rootEl - Sección `data-portfolio`.
+ * @returns {() => void} Función de limpieza.
+ */
+export function initPortfolio(rootEl) {
+  const { locale, currency } = getDocumentPreferences();
+  const t = createTranslator(locale);
+  const intlLocale = getIntlLocale(locale);
+  const formEl = /** @type {HTMLFormElement} */ (rootEl.querySelector('[data-portfolio-form]'));
+  const importEl = /** @type {HTMLInputElement} */ (rootEl.querySelector('[data-portfolio-import]'));
+  const messageEl = rootEl.querySelector('[data-portfolio-message]');
+  const statusEl = rootEl.querySelector('[data-portfolio-status]');
+  const unpricedEl = rootEl.querySelector('[data-portfolio-unpriced]');
+  const holdingsEl = rootEl.querySelector('[data-portfolio-holdings]');
+  const holdingsEmptyEl = rootEl.querySelector('[data-portfolio-holdings-empty]');
+  const transactionsEl = rootEl.querySelector('[data-portfolio-transactions]');
+  const transactionsEmptyEl = rootEl.querySelector('[data-portfolio-transactions-empty]');
+  const equityStatusEl = rootEl.querySelector('[data-portfolio-equity-status]');
+  const totalEl = (name) => rootEl.querySelector(`[data-portfolio-total="${name}"]`);
+
+  /** @type {PortfolioTransaction[]} */
+  let transactions = loadTransactions();
+  /** @type {Map<string, number>} */
+  let prices = new Map();
+  let pricesLoaded = false;
+  /** @type {PriceConversion | null} */
+  let conversion = null;
+  /** @type {EquityPoint[]} */
+  let equityCurve = [];
+  // Se incrementa en cada reconstrucción de la curva para descartar resultados obsoletos.
+  let equityGeneration = 0;
+  let disposed = false;
+
+  const setMessage = (text) => {
+    messageEl.textContent = text;
+  };
+
+  // --- Formato ---
+
+  /**
+   * Importe en USDT, mostrado en la moneda elegida por el usuario si hay tipo de cambio.
+   * @param {number} usdt
+   * @param {number} [decimals=2]
+   */
+  const money = (usdt, decimals = 2) => (conversion
+    ? formatAmount(usdt * conversion.rate, conversion.currency, decimals, locale)
+    : formatAmount(usdt, VALUATION_ASSET, decimals, locale));
+  const formatDate = (time) => new Date(time).toLocaleString(intlLocale, { dateStyle: 'short', timeStyle: 'short' });
+  const pnlClass = (value) => (value > 0 ? POSITIVE_CLASS : value < 0 ? NEGATIVE_CLASS : '');
+
+  /** @type {Promise<Map<string, SymbolInfo>> | null} */
+  let symbolsPromise = null;
+  /** @type {Map<string, SymbolInfo>} */
+  let symbols = new Map();
+  /** @type {Map<string, MarketFormatter>} */
+  const formatters = new Map();
+
+  function loadSymbols() {
+    if (!symbolsPromise) {
+      symbolsPromise = getMarketDataProvider().getExchangeInfo()
+        .then(list => {
+          symbols = new Map(list.map(info => [info.symbol, info]));
+          formatters.clear();
+          return symbols;
+        })
+        .catch(error => {
+          symbolsPromise = null;
+          throw error;
+        });
+    }
+    return symbolsPromise;
+  }
+
+  /**
+   * Formateador de los importes de un par, en su activo cotizado y con sus decimales.
+   * @param {string} symbol
+   * @returns {MarketFormatter}
+   */
+  function formatterFor(symbol) {
+    if (!formatters.has(symbol)) {
+      const info = symbols.get(symbol);
+      formatters.set(symbol, createMarketFormatter(info ? toMarketInfo(info) : null, locale));
+    }
+    return formatters.get(symbol);
+  }
+
+  /**
+   * @param {PortfolioTransaction} transaction
+   * @returns {string}
+   */
+  function describeTransaction(transaction) {
+    const formatter = formatterFor(transaction.symbol);
+    return t('portfolio.transactionDescription', {
+      side: t(`portfolio.side.${transaction.side}`),
+      quantity: formatter.quantity(transaction.quantity),
+      symbol: transaction.symbol,
+      price: formatter.price(transaction.price),
+    });
+  }
+
+  // --- Gráficas ---
+
+  const allocationChart = new Chart(rootEl.querySelector('[data-portfolio-allocation-chart]'), {
+    type: 'doughnut',
+    data: { labels: [], datasets: [{ data: [], backgroundColor: ALLOCATION_COLORS, borderWidth: 1 }] },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      plugins: {
+        legend: { position: 'bottom', labels: { color: AXIS_COLOR } },
+        tooltip: {
+          callbacks: {
+            label: (context) => {
+              const total = context.dataset.data.reduce((sum, value) => sum + value, 0);
+              return `${context.label}: ${money(context.parsed)} (${formatPercent((context.parsed / total) * 100, locale)})`;
+            },
+          },
+        },
+      },
+    },
+  });
+
+  const equityChart = new Chart(rootEl.querySelector('[data-portfolio-equity-chart]'), {
+    type: 'line',
+    data: {
+      labels: [],
+      datasets: [
+        { label: t('portfolio.equity.value'), data: [], borderColor: 'rgb(59, 130, 246)', backgroundColor: 'rgba(59, 130, 246, 0.1)', fill: true, pointRadius: 0, tension: 0.1 },
+        { label: t('portfolio.equity.invested'), data: [], borderColor: AXIS_COLOR, borderDash: [6, 4], pointRadius: 0, stepped: true },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: 'index', intersect: false },
+      scales: {
+        x: { ticks: { color: AXIS_COLOR, maxTicksLimit: 8 } },
+        y: { ticks: { color: AXIS_COLOR, callback: (value) => money(value, 0) } },
+      },
+      plugins: {
+        legend: { labels: { color: AXIS_COLOR } },
+        tooltip: { callbacks: { label: (context) => `${context.dataset.label}: ${money(context.parsed.y)}` } },
+      },
+    },
+  });
+
+  // --- Render ---
+
+  /**
+   * @param {string} text
+   * @param {string} [className]
+   * @returns {HTMLTableCellElement}
+   */
+  function cell(text, className = '') {
+    const td = document.createElement('td');
+    td.className = `px-2 py-1 whitespace-nowrap ${className}`;
+    td.textContent = text;
+    return td;
+  }
+
+  /**
+   * @param {HTMLElement} el
+   * @param {string} text
+   * @param {number | null} [sign] - Colorea el texto según su signo.
+   */
+  function setTotal(el, text, sign = null) {
+    el.textContent = text;
+    el.classList.remove(POSITIVE_CLASS, NEGATIVE_CLASS);
+    const className = sign === null ? '' : pnlClass(sign);
+    if (className) el.classList.add(className);
+  }
+
+  function render() {
+    let positions = [];
+    try {
+      positions = computePositions(transactions);
+    } catch (error) {
+      // Transacciones incoherentes (ej. editadas a mano en otra pestaña): se informa y no se valoran.
+      setMessage(localizeError(error, locale));
+    }
+    const { holdings, totals } = valuePortfolio(positions, prices);
+
+    if (pricesLoaded && holdings.length > 0) {
+      setTotal(totalEl('value'), money(totals.valueUsdt));
+      setTotal(totalEl('cost'), money(totals.costUsdt));
+      const unrealizedPercent = totals.costUsdt > 0 ? (totals.unrealizedPnlUsdt / totals.costUsdt) * 100 : 0;
+      setTotal(totalEl('unrealized'), `${money(totals.unrealizedPnlUsdt)} (${formatPercent(unrealizedPercent, locale, { signed: true })})`, totals.unrealizedPnlUsdt);
+      setTotal(totalEl('realized'), money(totals.realizedPnlUsdt), totals.realizedPnlUsdt);
+    } else {
+      ['value', 'cost', 'unrealized', 'realized'].forEach(name => setTotal(totalEl(name), '—'));
+    }
+    unpricedEl.hidden = !pricesLoaded || totals.unpricedCount === 0;
+    unpricedEl.textContent = t('portfolio.unpriced', { count: totals.unpricedCount });
+
+    renderHoldings(holdings);
+    renderTransactions();
+
+    const allocated = holdings.filter(holding => holding.valueUsdt !== null && holding.valueUsdt > 0)
+      .sort((a, b) => b.valueUsdt - a.valueUsdt);
+    allocationChart.data.labels = allocated.map(holding => holding.baseAsset);
+    allocationChart.data.datasets[0].data = allocated.map(holding => holding.valueUsdt);
+    allocationChart.update('none');
+  }
+
+  /**
+   * @param {Holding[]} holdings
+   */
+  function renderHoldings(holdings) {
+    // Primero las abiertas por valor; las cerradas al final, solo por su P&L realizado.
+    const sorted = [...holdings].sort((a, b) => (b.quantity > 0) - (a.quantity > 0) || (b.valueUsdt ?? 0) - (a.valueUsdt ?? 0));
+    holdingsEl.replaceChildren(...sorted.map(holding => {
+      const formatter = formatterFor(holding.symbol);
+      const row = document.createElement('tr');
+      row.className = 'border-b border-gray-100 dark:border-gray-700';
+
+      const pairCell = cell('', 'text-left');
+      const link = document.createElement('a');
+      link.href = `/coin/${holding.symbol}`;
+      link.className = 'text-blue-600 dark:text-blue-400 hover:underline';
+      link.textContent = holding.symbol;
+      pairCell.append(link);
+
+      const isOpen = holding.quantity > 0;
+      const unrealized = holding.unrealizedPnl === null || !isOpen
+        ? '—'
+        : `${formatter.price(holding.unrealizedPnl)}${holding.unrealizedPercent === null ? '' : ` (${formatPercent(holding.unrealizedPercent, locale, { signed: true })})`}`;
+      row.append(
+        pairCell,
+        cell(isOpen ? formatter.quantity(holding.quantity) : t('portfolio.closed'), isOpen ? '' : 'text-gray-400'),
+        cell(holding.averageCost === null ? '—' : formatter.price(holding.averageCost)),
+        cell(holding.price === null ? '—' : formatter.price(holding.price)),
+        cell(holding.value === null || !isOpen ? '—' : formatter.price(holding.value)),
+        cell(unrealized, isOpen ? pnlClass(holding.unrealizedPnl ?? 0) : ''),
+        cell(formatter.price(holding.realizedPnl), pnlClass(holding.realizedPnl)),
+        cell(holding.allocation === null || !isOpen ? '—' : formatPercent(holding.allocation, locale)),
+      );
+      return row;
+    }));
+    holdingsEmptyEl.hidden = holdings.length > 0;
+  }
+
+  function renderTransactions() {
+    const newestFirst = sortTransactions(transactions).reverse();
+    transactionsEl.replaceChildren(...newestFirst.map(transaction => {
+      const formatter = formatterFor(transaction.symbol);
+      const row = document.createElement('tr');
+      row.className = 'border-b border-gray-100 dark:border-gray-700';
+
+      const removeCell = cell('');
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'text-gray-400 hover:text-red-500';
+      removeButton.dataset.portfolioRemove = transaction.id;
+      removeButton.setAttribute('aria-label', t('portfolio.removeTransaction', { description: describeTransaction(transaction) }));
+      removeButton.textContent = '×';
+      removeCell.append(removeButton);
+
+      row.append(
+        cell(formatDate(transaction.time), 'text-left'),
+        cell(t(`portfolio.side.${transaction.side}`), transaction.side === 'buy' ? POSITIVE_CLASS : NEGATIVE_CLASS),
+        cell(transaction.symbol),
+        cell(formatter.quantity(transaction.quantity)),
+        cell(formatter.price(transaction.price)),
+        cell(formatter.price(transaction.fee)),
+        removeCell,
+      );
+      return row;
+    }));
+    transactionsEmptyEl.hidden = transactions.length > 0;
+  }
+
+  function renderEquityChart() {
+    equityChart.data.labels = equityCurve.map(point => new Date(point.time).toLocaleDateString(intlLocale, { dateStyle: 'short' }));
+    equityChart.data.datasets[0].data = equityCurve.map(point => point.value);
+    equityChart.data.datasets[1].data = equityCurve.map(point => point.invested);
+    equityChart.update('none');
+  }
+
+  // --- Datos ---
+
+  async function refreshPrices() {
+    if (transactions.length === 0) return;
+    try {
+      const allPrices = /** @type {import('./binanceAPI.js').TickerPriceData[]} */ (await getTickerPrice());
+      if (disposed) return;
+      prices = new Map(allPrices.map(({ symbol, price }) => [symbol, price]));
+      pricesLoaded = true;
+      statusEl.textContent = t('portfolio.pricesUpdated', { time: new Date().toLocaleTimeString(intlLocale) });
+      render();
+    } catch (error) {
+      if (disposed) return;
+      console.error('Error actualizando los precios de la cartera:', error.message);
+      statusEl.textContent = describeApiError(error, t('subject.prices'), locale).message;
+    }
+  }
+
+  /**
+   * Reconstruye la curva de valor con los cierres diarios de cada par desde la primera transacción.
+   */
+  async function rebuildEquity() {
+    const generation = ++equityGeneration;
+    if (transactions.length === 0) {
+      equityCurve = [];
+      equityStatusEl.textContent = '';
+      renderEquityChart();
+      return;
+    }
+
+    const firstTime = Math.min(...transactions.map(transaction => transaction.time));
+    const days = Math.min(MAX_EQUITY_DAYS, Math.ceil((Date.now() - firstTime) / DAY_MS) + 1);
+    const pairs = [...new Set(transactions.map(transaction => transaction.symbol))];
+    equityStatusEl.textContent = t('portfolio.equityLoading');
+
+    let results;
+    try {
+      results = await Promise.all(pairs.map(symbol => syncKlines(symbol, '1d', days)));
+    } catch (error) {
+      if (generation !== equityGeneration || disposed) return;
+      console.error('Error cargando la evolución de la cartera:', error.message);
+      equityStatusEl.textContent = describeApiError(error, t('subject.equity'), locale).message;
+      return;
+    }
+    if (generation !== equityGeneration || disposed) return;
+
+    const rates = new Map();
+    for (const transaction of transactions) {
+      const rate = quoteToValuationRate(transaction.quoteAsset, prices);
+      if (rate !== null) rates.set(transaction.quoteAsset, rate);
+    }
+    equityCurve = buildEquityCurve(transactions, new Map(pairs.map((symbol, i) => [symbol, results[i].klines])), rates);
+    renderEquityChart();
+
+    const staleTimes = results.map(result => result.staleSince).filter(time => time !== null);
+    equityStatusEl.textContent = staleTimes.length > 0
+      ? describeStaleData(Math.min(...staleTimes), locale)
+      : t('portfolio.equityNote', { days: MAX_EQUITY_DAYS });
+  }
+
+  /**
+   * Guarda las transacciones si son coherentes (ninguna venta supera la cantidad en cartera).
+   * @param {PortfolioTransaction[]} newTransactions
+   * @returns {boolean} false si se rechazaron (el motivo queda en el mensaje).
+   */
+  function commit(newTransactions) {
+    try {
+      computePositions(newTransactions);
+    } catch (error) {
+      setMessage(localizeError(error, locale));
+      return false;
+    }
+    const hadPrices = pricesLoaded;
+    transactions = newTransactions;
+    saveTransactions(transactions);
+    render();
+    if (hadPrices) {
+      rebuildEquity();
+    } else {
+      refreshPrices().then(rebuildEquity);
+    }
+    return true;
+  }
+
+  /**
+   * Completa un par con su activo base y cotizado.
+   * @param {string} symbol
+   * @returns {Promise<{ symbol: string, baseAsset: string, quoteAsset: string } | null>} null si Binance no lo lista.
+   * @throws {import('./binanceTransport.js').BinanceAPIError} Si no se pudo descargar la lista de pares.
+   */
+  async function resolvePair(symbol) {
+    const info = (await loadSymbols()).get(String(symbol || '').trim().toUpperCase());
+    return info ? { symbol: info.symbol, baseAsset: info.baseAsset, quoteAsset: info.quoteAsset } : null;
+  }
+
+  // --- Eventos ---
+
+  function resetDate() {
+    const now = new Date();
+    // `datetime-local` espera la hora local sin zona.
+    formEl.elements.namedItem('date').value = new Date(now.getTime() - now.getTimezoneOffset() * 60 * 1000).toISOString().slice(0, 16);
+  }
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    const values = Object.fromEntries(new FormData(formEl));
+    let pair;
+    try {
+      pair = await resolvePair(values.symbol);
+    } catch (error) {
+      setMessage(describeApiError(error, t('subject.symbolList'), locale).message);
+      return;
+    }
+    if (!pair) {
+      setMessage(t('portfolio.symbolNotTradable', { symbol: String(values.symbol).trim().toUpperCase() }));
+      return;
+    }
+
+    let transaction;
+    try {
+      transaction = normalizeTransaction({ ...pair, side: values.side, quantity: values.quantity, price: values.price, fee: values.fee, time: values.date });
+    } catch (error) {
+      setMessage(localizeError(error, locale));
+      return;
+    }
+    const newTransactions = addTransactions(transactions, [transaction]);
+    if (newTransactions === transactions) {
+      setMessage(t('portfolio.limitReached'));
+      return;
+    }
+    if (commit(newTransactions)) {
+      setMessage(t('portfolio.added', { description: describeTransaction(transaction) }));
+      formEl.elements.namedItem('quantity').value = '';
+      formEl.elements.namedItem('price').value = '';
+    }
+  }
+
+  /**
+   * Importa las transacciones de un CSV. Si alguna fila no es válida no se importa ninguna.
+   * @param {File} file
+   */
+  async function importFromFile(file) {
+    let rows;
+    try {
+      rows = parseTransactionsCsv(await file.text());
+      await loadSymbols();
+    } catch (error) {
+      setMessage(error instanceof LocalizedError
+        ? t('portfolio.importFailed', { reason: localizeError(error, locale) })
+        : describeApiError(error, t('subject.symbolList'), locale).message);
+      return;
+    }
+
+    const imported = [];
+    for (const { line, values } of rows) {
+      try {
+        const pair = await resolvePair(values.symbol);
+        if (!pair) throw new LocalizedError('portfolio.symbolNotTradable', { symbol: values.symbol });
+        imported.push(normalizeTransaction({ ...pair, side: values.side, quantity: values.quantity, price: values.price, fee: values.fee, time: values.date }));
+      } catch (error) {
+        setMessage(t('portfolio.importFailedLine', { line, reason: localizeError(error, locale) }));
+        return;
+      }
+    }
+
+    const newTransactions = addTransactions(transactions, imported);
+    if (newTransactions === transactions && imported.length > 0) {
+      setMessage(t('portfolio.limitReached'));
+      return;
+    }
+    if (commit(newTransactions)) setMessage(t('portfolio.imported', { count: imported.length }));
+  }
+
+  function handleImport() {
+    const file = importEl.files?.[0];
+    if (file) importFromFile(file);
+    importEl.value = '';
+  }
+
+  function handleTransactionsClick(event) {
+    const transactionId = event.target.closest('[data-portfolio-remove]')?.dataset.portfolioRemove;
+    if (transactionId) commit(removeTransaction(transactions, transactionId));
+  }
+
+  // Otra pestaña del dashboard modificó la cartera.
+  function handleStorage(event) {
+    if (event.key !== PORTFOLIO_STORAGE_KEY) return;
+    transactions = loadTransactions();
+    render();
+    rebuildEquity();
+  }
+
+  formEl.addEventListener('submit', handleSubmit);
+  importEl.addEventListener('change', handleImport);
+  transactionsEl.addEventListener('click', handleTransactionsClick);
+  window.addEventListener('storage', handleStorage);
+
+  resetDate();
+  render();
+  // La información de los pares da los decimales de cada importe; hasta tenerla se usa el formato genérico.
+  loadSymbols().then(render).catch(error => console.error('No se pudo cargar la información de los pares de la cartera:', error.message));
+  refreshPrices().then(rebuildEquity);
+  const priceTimer = setInterval(refreshPrices, PRICE_REFRESH_MS);
+  const stopWatchingRate = currency && currency !== VALUATION_ASSET
+    ? watchConversionRate(VALUATION_ASSET, currency, newConversion => {
+      conversion = newConversion;
+      render();
+      renderEquityChart();
+    })
+    : null;
+
+  return () => {
+    disposed = true;
+    clearInterval(priceTimer);
+    if (stopWatchingRate) stopWatchingRate();
+    formEl.removeEventListener('submit', handleSubmit);
+    importEl.removeEventListener('change', handleImport);
+    transactionsEl.removeEventListener('click', handleTransactionsClick);
+    window.removeEventListener('storage', handleStorage);
+    allocationChart.destroy();
+    equityChart.destroy();
+  };
+}
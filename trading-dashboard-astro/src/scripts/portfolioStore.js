@@ -0,0 +1,66 @@
+// src/scripts/portfolioStore.js
+
+/**
+ * @file Persistencia de las transacciones de la cartera (localStorage).
+ * Igual que `alertStore.js`, las operaciones devuelven un estado nuevo y `saveTransactions` lo persiste.
+ */
+
+import { normalizeTransaction } from './portfolio.js';
+
+/**
+ * @typedef {import('./portfolio.js').PortfolioTransaction} PortfolioTransaction
+ */
+
+export const PORTFOLIO_STORAGE_KEY = 'dashboard.portfolio';
+const MAX_TRANSACTIONS = 2000;
+
+/**
+ * Lee las transacciones guardadas, descartando las que no sean válidas.
+ * @returns {PortfolioTransaction[]}
+ */
+export function loadTransactions() {
+  try {
+    const stored = localStorage.getItem(PORTFOLIO_STORAGE_KEY);
+    const parsed = stored ? JSON.parse(stored) : [];
+    return (Array.isArray(parsed) ? parsed : []).flatMap(raw => {
+      try {
+        return [normalizeTransaction(raw)];
+      } catch (error) {
+        console.warn('Se descarta una transacción guardada no válida:', error.message);
+        return [];
+      }
+    });
+  } catch (error) {
+    console.warn('No se pudo leer la cartera guardada:', error.message);
+    return [];
+  }
+}
+
+/**
+ * @param {PortfolioTransaction[]} transactions
+ */
+export function saveTransactions(transactions) {
+  try {
+    localStorage.setItem(PORTFOLIO_STORAGE_KEY, JSON.stringify(transactions));
+  } catch (error) {
+    console.error('No se pudo guardar la cartera:', error.message);
+  }
+}
+
+/**
+ * @param {PortfolioTransaction[]} transactions
+ * @param {PortfolioTransaction[]} added - Transacciones ya normalizadas (`normalizeTransaction`).
+ * @returns {PortfolioTransaction[]} Las transacciones sin cambios si se superaría el máximo.
+ */
+export function addTransactions(transactions, added) {
+  return transactions.length + added.length > MAX_TRANSACTIONS ? transactions : [...transactions, ...added];
+}
+
+/**
+ * @param {PortfolioTransaction[]} transactions
+ * @param {string} transactionId
+ * @returns {PortfolioTransaction[]}
+ */
+export function removeTransaction(transactions, transactionId) {
+  return transactions.filter(transaction => transaction.id !== transactionId);
+}
@@ -0,0 +1,61 @@
+// src/scripts/preferences.js
+
+/**
+ * @file Preferencias de visualización del usuario: idioma de la interfaz y moneda fiat opcional para los precios.
+ * Se guardan en cookies (no en localStorage) porque el servidor las necesita para renderizar cada página en el
+ * idioma elegido. `middleware.js` las resuelve en cada solicitud y `BaseLayout.astro` las expone en `<html>`.
+ */
+
+import { DEFAULT_LOCALE, matchLocale } from './i18n.js';
+
+/**
+ * @typedef {import('./i18n.js').Locale} Locale
+ */
+
+/**
+ * @typedef {object} DisplayPreferences
+ * @property {Locale} locale
+ * @property {string | null} currency - Moneda fiat a la que se convierten los precios, o null para mostrarlos
+ *                                      en el activo cotizado de cada par.
+ */
+
+export const LOCALE_COOKIE = 'dashboard-locale';
+export const CURRENCY_COOKIE = 'dashboard-currency';
+const COOKIE_MAX_AGE_SECONDS = 365 * 24 * 60 * 60;
+
+// Monedas ofrecidas para la conversión; `currencyConversion.js` sabe obtener el tipo de cambio de cada una.
+export const DISPLAY_CURRENCIES = ['USD', 'EUR', 'GBP', 'TRY', 'BRL'];
+
+/**
+ * Resuelve las preferencias a partir de las cookies y, si no hay idioma guardado, de `Accept-Language`.
+ * @param {{ locale?: string | null, currency?: string | null, acceptLanguage?: string | null }} sources
+ * @returns {DisplayPreferences}
+ */
+export function resolvePreferences({ locale, currency, acceptLanguage }) {
+  const preferredLocale = matchLocale(locale)
+    ?? String(acceptLanguage || '').split(',').map(part => matchLocale(part.split(';')[0])).find(Boolean)
+    ?? DEFAULT_LOCALE;
+  return {
+    locale: preferredLocale,
+    currency: DISPLAY_CURRENCIES.includes(String(currency)) ? currency : null,
+  };
+}
+
+/**
+ * Preferencias de la página actual (solo en el cliente), tal como las renderizó el servidor.
+ * @returns {DisplayPreferences}
+ */
+export function getDocumentPreferences() {
+  const root = document.documentElement;
+  return resolvePreferences({ locale: root.lang, currency: root.dataset.displayCurrency });
+}
+
+/**
+ * Guarda una preferencia en su cookie (la página debe recargarse para aplicarla).
+ * @param {typeof LOCALE_COOKIE | typeof CURRENCY_COOKIE} name
+ * @param {string | null} value - null borra la cookie.
+ */
+export function savePreference(name, value) {
+  const maxAge = value === null ? 0 : COOKIE_MAX_AGE_SECONDS;
+  document.cookie = `${name}=${encodeURIComponent(value ?? '')}; path=/; max-age=${maxAge}; samesite=lax`;
+}
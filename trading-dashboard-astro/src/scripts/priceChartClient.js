@@ -0,0 +1,693 @@
+// src/scripts/priceChartClient.js
+
+/**
+ * @file Lógica de cliente de `PriceChart.astro`. Se comparte entre el script del componente (gráficas
+ * renderizadas en el servidor) y la watchlist (gráficas diferidas que se montan en el cliente).
+ */
+
+import { Chart } from 'chart.js/auto';
+import zoomPlugin from 'chartjs-plugin-zoom';
+import { getMarketDataProvider } from './marketDataProvider.js';
+import { buildExportUrl } from './dashboardAPI.js';
+import { readCachedKlines, syncKlines, rememberKlines } from './klineStore.js';
+import { describeApiError, describeStaleData } from './errorMessages.js';
+import {
+  EMPTY_INDICATOR_CONFIG,
+  PRICE_SCALE_WEIGHT,
+  VOLUME_SCALE_WEIGHT,
+  SCALE_STACK,
+  parsePeriods,
+  buildIndicatorDatasets,
+  buildIndicatorScales,
+  buildReferenceLines,
+  computeIndicatorData,
+  toIndicatorSpecs,
+  crosshairPlugin,
+  referenceLinesPlugin,
+} from './chartIndicators.js';
+import { initBacktestPanel } from './backtestClient.js';
+import { createTranslator, getIntlLocale } from './i18n.js';
+import { createMarketFormatter, formatNumber } from './marketFormat.js';
+import { watchPriceFormatter } from './currencyConversion.js';
+import { getDocumentPreferences } from './preferences.js';
+
+/**
+ * @typedef {import('./binanceAPI.js').KlineObject} KlineObject
+ * @typedef {import('./backtestClient.js').TradeMarker} TradeMarker
+ * @typedef {import('./marketFormat.js').MarketFormatter} MarketFormatter
+ * @typedef {import('./i18n.js').Translator} Translator
+ */
+
+Chart.register(zoomPlugin);
+
+// Tope de velas en memoria por gráfica (el historial se amplía al desplazarse hacia la izquierda).
+const MAX_DATAPOINTS = 5000;
+// Velas visibles al cargar o cambiar de intervalo; el resto queda a la izquierda para desplazarse.
+const VISIBLE_CANDLES = 120;
+// Velas solicitadas por cada página de historial.
+const HISTORY_PAGE_SIZE = 500;
+// Si el borde izquierdo visible está a menos de estas velas del inicio, se carga más historial.
+const HISTORY_LOAD_THRESHOLD = 10;
+
+// Índices de los datasets en la configuración de la gráfica.
+const LINE_DATASET = 0;
+const WICK_DATASET = 1;
+const BODY_DATASET = 2;
+const VOLUME_DATASET = 3;
+// Marcadores de entradas y salidas del backtesting.
+const ENTRY_MARKER_DATASET = 4;
+const EXIT_MARKER_DATASET = 5;
+// Los datasets de indicadores se añaden a partir de este índice.
+const FIRST_INDICATOR_DATASET = 6;
+
+// Altura extra del lienzo por cada panel de oscilador activo (RSI, MACD).
+const PANEL_HEIGHT_PX = 110;
+
+const UP_COLOR = 'rgba(34, 197, 94, 1)';
+const DOWN_COLOR = 'rgba(239, 68, 68, 1)';
+const UP_VOLUME_COLOR = 'rgba(34, 197, 94, 0.35)';
+const DOWN_VOLUME_COLOR = 'rgba(239, 68, 68, 0.35)';
+const MARKER_RADIUS = 7;
+
+const ACTIVE_MODE_CLASSES = ['bg-blue-600', 'text-white'];
+const INACTIVE_MODE_CLASSES = ['text-gray-600', 'dark:text-gray-300'];
+
+const formatKlineTimeToLabel = (klineTime, interval, locale) => {
+  const options = interval === '1d' || interval === '1w'
+    ? { day: 'numeric', month: 'short', year: '2-digit' }
+    : { day: 'numeric', month: 'short', hour: 'numeric', minute: 'numeric' };
+  return new Date(klineTime).toLocaleDateString(getIntlLocale(locale), options);
+};
+
+/**
+ * Título del eje de precios con la unidad del formateador vigente.
+ * @param {MarketFormatter} formatter
+ * @param {Translator} t
+ */
+const priceAxisTitle = (formatter, t) => (formatter.currency
+  ? t('chart.axis.price', { currency: formatter.currency })
+  : t('chart.axis.priceNoCurrency'));
+
+/**
+ * Dataset de marcadores del backtesting: triángulos sin línea, con un valor solo en las velas con ejecución.
+ * @param {string} label
+ * @param {string} color
+ * @param {number} rotation - 0 apunta hacia arriba (entradas), 180 hacia abajo (salidas).
+ */
+function buildMarkerDataset(label, color, rotation) {
+  return {
+    type: 'line',
+    label,
+    data: [],
+    markerLabels: [],
+    yAxisID: 'y',
+    showLine: false,
+    pointStyle: 'triangle',
+    pointRotation: rotation,
+    pointRadius: MARKER_RADIUS,
+    pointHoverRadius: MARKER_RADIUS + 2,
+    pointBackgroundColor: color,
+    pointBorderColor: '#ffffff',
+    pointBorderWidth: 1,
+  };
+}
+
+/**
+ * Construye la configuración de Chart.js: línea de cierre, velas (mecha + cuerpo como barras flotantes)
+ * y volumen en un eje inferior apilado. Los indicadores se añaden después con `applyIndicators`.
+ * @param {string} symbol
+ * @param {() => KlineObject[]} getKlines - Devuelve las velas actualmente en la gráfica (para los tooltips).
+ * @param {() => MarketFormatter} getFormatter - Formateador de precios vigente (cambia con el tipo de cambio).
+ * @param {Translator} t
+ */
+function buildChartConfig(symbol, getKlines, getFormatter, t) {
+  const formatPrice = (value) => getFormatter().price(value);
+  const formatValue = (value) => formatNumber(value, t.locale, 0, 2);
+  return {
+    type: 'bar',
+    plugins: [crosshairPlugin, referenceLinesPlugin],
+    data: {
+      labels: [],
+      datasets: [
+        {
+          type: 'line',
+          label: t('chart.dataset.close', { symbol }),
+          data: [],
+          yAxisID: 'y',
+          borderColor: 'rgba(54, 162, 235, 1)',
+          backgroundColor: 'rgba(54, 162, 235, 0.2)',
+          borderWidth: 2,
+          pointRadius: 0,
+          tension: 0.1,
+          fill: true,
+        },
+        {
+          label: t('chart.dataset.wick'),
+          data: [],
+          yAxisID: 'y',
+          grouped: false,
+          barPercentage: 0.15,
+          minBarLength: 1,
+          backgroundColor: [],
+          hidden: true,
+        },
+        {
+          label: t('chart.dataset.candles', { symbol }),
+          data: [],
+          yAxisID: 'y',
+          grouped: false,
+          barPercentage: 0.8,
+          minBarLength: 1,
+          backgroundColor: [],
+          hidden: true,
+        },
+        {
+          label: t('chart.dataset.volume'),
+          data: [],
+          yAxisID: 'yVolume',
+          grouped: false,
+          backgroundColor: [],
+        },
+        buildMarkerDataset(t('chart.dataset.entries'), UP_COLOR, 0),
+        buildMarkerDataset(t('chart.dataset.exits'), DOWN_COLOR, 180),
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false, // Las actualizaciones por stream son frecuentes; se evita animar cada tick
+      scales: {
+        x: {
+          title: { display: true, text: t('chart.axis.time'), color: '#6b7280' },
+          ticks: { color: '#6b7280', maxRotation: 45, minRotation: 45 }
+        },
+        y: {
+          stack: SCALE_STACK,
+          stackWeight: 4,
+          weight: PRICE_SCALE_WEIGHT,
+          title: { display: true, text: priceAxisTitle(getFormatter(), t), color: '#6b7280' },
+          ticks: {
+            color: '#6b7280',
+            callback: function(value) {
+              return formatPrice(value);
+            }
+          }
+        },
+        yVolume: {
+          stack: SCALE_STACK,
+          stackWeight: 1,
+          weight: VOLUME_SCALE_WEIGHT,
+          offset: true,
+          beginAtZero: true,
+          title: { display: true, text: t('chart.dataset.volume'), color: '#6b7280' },
+          ticks: { color: '#6b7280', maxTicksLimit: 3 }
+        }
+      },
+      plugins: {
+        legend: {
+          display: true,
+          position: 'top',
+          labels: {
+            color: '#6b7280',
+            // Los marcadores solo aparecen en la leyenda tras ejecutar un backtest.
+            filter: (item, chartData) => item.datasetIndex !== WICK_DATASET
+              && (chartData.datasets[item.datasetIndex].markerLabels?.length ?? 1) > 0,
+          }
+        },
+        tooltip: {
+          enabled: true,
+          mode: 'index',
+          intersect: false,
+          filter: (context) => context.datasetIndex !== WICK_DATASET,
+          callbacks: {
+            label: function(context) {
+              const kline = getKlines()[context.dataIndex];
+              if (context.datasetIndex === BODY_DATASET && kline) {
+                return t('chart.tooltip.ohlc', {
+                  open: formatPrice(kline.open),
+                  high: formatPrice(kline.high),
+                  low: formatPrice(kline.low),
+                  close: formatPrice(kline.close),
+                });
+              }
+              if (context.dataset.markerLabels) {
+                return context.dataset.markerLabels[context.dataIndex];
+              }
+              if (context.datasetIndex === VOLUME_DATASET) {
+                return t('chart.tooltip.volume', { volume: formatValue(context.parsed.y) });
+              }
+              let label = context.dataset.label || '';
+              if (label) label += ': ';
+              if (context.parsed.y !== null) {
+                // Los osciladores (RSI, MACD) no están en unidades de precio
+                label += context.dataset.yAxisID === 'y'
+                  ? formatPrice(context.parsed.y)
+                  : formatValue(context.parsed.y);
+              }
+              return label;
+            }
+          }
+        },
+        zoom: {
+          pan: { enabled: true, mode: 'x' },
+          zoom: {
+            wheel: { enabled: true },
+            pinch: { enabled: true },
+            mode: 'x',
+          },
+          limits: { x: { minRange: 10 } },
+        },
+        referenceLines: { lines: [] },
+      }
+    }
+  };
+}
+
+/**
+ * Inicializa una gráfica: modos línea/velas, selector de intervalo, indicadores superpuestos y paneles
+ * de osciladores, zoom/desplazamiento con carga perezosa de historial y actualizaciones por stream.
+ * @param {HTMLElement} rootEl - Contenedor con `data-symbol`, `data-interval`, `data-initial-candles` y `data-klines`
+ *                               (o `data-deferred`, en cuyo caso las velas iniciales se descargan aquí).
+ * @returns {() => void} Función de limpieza (cancela la suscripción y destruye la gráfica).
+ */
+export function initPriceChart(rootEl) {
+  const currentSymbol = rootEl.dataset.symbol;
+  const initialCandles = parseInt(rootEl.dataset.initialCandles, 10);
+  const canvasEl = rootEl.querySelector('canvas');
+  const statusEl = rootEl.querySelector('[data-chart-status]');
+  const staleEl = rootEl.querySelector('[data-chart-stale]');
+  const intervalSelectEl = rootEl.querySelector('[data-chart-interval]');
+  const modeButtons = [...rootEl.querySelectorAll('[data-chart-mode]')];
+  const canvasContainerEl = rootEl.querySelector('[data-chart-canvas-container]');
+  const indicatorInputs = [...rootEl.querySelectorAll('[data-chart-indicator], [data-chart-indicator-periods]')];
+  // Altura definida por las clases de Tailwind, antes de añadir paneles.
+  const baseCanvasHeight = canvasContainerEl?.offsetHeight ?? 0;
+  const { locale } = getDocumentPreferences();
+  const t = createTranslator(locale);
+  // Formato de precios del par; se sustituye al cargar su información o al refrescar el tipo de cambio.
+  let formatter = createMarketFormatter(null, locale);
+  /** @type {import('./marketFormat.js').MarketInfo | null} */
+  let market = null;
+
+  const state = {
+    interval: rootEl.dataset.interval,
+    /** @type {'line' | 'candles'} */
+    mode: 'line',
+    /** @type {KlineObject[]} */
+    klines: JSON.parse(rootEl.dataset.klines || '[]'),
+    isLoadingHistory: false,
+    hasMoreHistory: true,
+    // Se incrementa en cada cambio de intervalo para descartar respuestas de solicitudes obsoletas.
+    generation: 0,
+    /** @type {import('./chartIndicators.js').ChartIndicatorConfig} */
+    indicators: EMPTY_INDICATOR_CONFIG,
+    /** @type {TradeMarker[]} */
+    tradeMarkers: [],
+  };
+  /** @type {(() => void) | null} */
+  let unsubscribe = null;
+
+  const existingChart = Chart.getChart(canvasEl);
+  if (existingChart) {
+    existingChart.destroy();
+  }
+  const config = buildChartConfig(currentSymbol, () => state.klines, () => formatter, t);
+  config.options.plugins.zoom.pan.onPanComplete = () => maybeLoadHistory();
+  config.options.plugins.zoom.zoom.onZoomComplete = () => maybeLoadHistory();
+  const chartInstance = new Chart(canvasEl, config);
+
+  const setStatus = (text) => {
+    if (statusEl) statusEl.textContent = text;
+  };
+
+  /**
+   * Muestra u oculta el aviso de datos guardados sin actualizar.
+   * @param {number | null} staleSince
+   */
+  const setStale = (staleSince) => {
+    if (!staleEl) return;
+    staleEl.hidden = staleSince === null;
+    staleEl.textContent = staleSince === null ? '' : describeStaleData(staleSince, locale);
+  };
+
+  /**
+   * Vuelca `state.klines` en los datasets de la gráfica.
+   */
+  function syncDatasets() {
+    const { data } = chartInstance;
+    data.labels = state.klines.map(kline => formatKlineTimeToLabel(kline.closeTime, state.interval, locale));
+    data.datasets[LINE_DATASET].data = state.klines.map(kline => kline.close);
+    data.datasets[WICK_DATASET].data = state.klines.map(kline => [kline.low, kline.high]);
+    data.datasets[BODY_DATASET].data = state.klines.map(kline => [kline.open, kline.close]);
+    const candleColors = state.klines.map(kline => (kline.close >= kline.open ? UP_COLOR : DOWN_COLOR));
+    data.datasets[WICK_DATASET].backgroundColor = candleColors;
+    data.datasets[BODY_DATASET].backgroundColor = candleColors;
+    data.datasets[VOLUME_DATASET].data = state.klines.map(kline => kline.volume);
+    data.datasets[VOLUME_DATASET].backgroundColor = state.klines.map(kline => (kline.close >= kline.open ? UP_VOLUME_COLOR : DOWN_VOLUME_COLOR));
+    syncMarkerDataset(data.datasets[ENTRY_MARKER_DATASET], 'entry');
+    syncMarkerDataset(data.datasets[EXIT_MARKER_DATASET], 'exit');
+
+    // Los indicadores se recalculan sobre todas las velas para incluir la vela en curso y el historial cargado.
+    const indicatorData = computeIndicatorData(state.klines, state.indicators, state.interval);
+    for (const dataset of data.datasets.slice(FIRST_INDICATOR_DATASET)) {
+      const series = indicatorData[dataset.indicatorId];
+      dataset.data = series.values;
+      if (series.colors) dataset.backgroundColor = series.colors;
+    }
+  }
+
+  /**
+   * Sitúa los marcadores de un lado en la vela de su ejecución (por `openTime`, de modo que siguen en su sitio
+   * al cargar historial). Los de otro intervalo no coinciden con ninguna vela y no se dibujan.
+   * @param {object} dataset
+   * @param {'entry' | 'exit'} side
+   */
+  function syncMarkerDataset(dataset, side) {
+    const markers = state.tradeMarkers.filter(marker => marker.side === side);
+    const byTime = new Map(markers.map(marker => [marker.time, marker]));
+    dataset.data = state.klines.map(kline => byTime.get(kline.openTime)?.price ?? null);
+    dataset.markerLabels = markers.length > 0 ? state.klines.map(kline => byTime.get(kline.openTime)?.label ?? '') : [];
+  }
+
+  /**
+   * @param {TradeMarker[]} markers
+   */
+  function setTradeMarkers(markers) {
+    state.tradeMarkers = markers;
+    syncDatasets();
+    chartInstance.update('none');
+  }
+
+  /**
+   * Lee los controles de indicadores del contenedor.
+   * @returns {import('./chartIndicators.js').ChartIndicatorConfig}
+   */
+  function readIndicatorControls() {
+    const isChecked = (name) => rootEl.querySelector(`[data-chart-indicator="${name}"]`)?.checked ?? false;
+    const periodsOf = (name) => (isChecked(name)
+      ? parsePeriods(rootEl.querySelector(`[data-chart-indicator-periods="${name}"]`)?.value ?? '')
+      : []);
+    return {
+      sma: periodsOf('sma'),
+      ema: periodsOf('ema'),
+      bollinger: isChecked('bollinger'),
+      vwap: isChecked('vwap'),
+      rsi: isChecked('rsi'),
+      macd: isChecked('macd'),
+    };
+  }
+
+  /**
+   * Sustituye los datasets, escalas de panel y líneas de referencia de indicadores por los de `indicators`.
+   * El lienzo crece con cada panel de oscilador para que el precio conserve su altura.
+   * @param {import('./chartIndicators.js').ChartIndicatorConfig} indicators
+   */
+  function applyIndicators(indicators) {
+    state.indicators = indicators;
+    const { data, options } = chartInstance;
+    data.datasets.splice(FIRST_INDICATOR_DATASET, data.datasets.length - FIRST_INDICATOR_DATASET, ...buildIndicatorDatasets(indicators, locale));
+    delete options.scales.yRSI;
+    delete options.scales.yMACD;
+    Object.assign(options.scales, buildIndicatorScales(indicators));
+    options.plugins.referenceLines.lines = buildReferenceLines(indicators);
+
+    const panelCount = Number(indicators.rsi) + Number(indicators.macd);
+    if (canvasContainerEl) {
+      canvasContainerEl.style.height = panelCount > 0 ? `${baseCanvasHeight + panelCount * PANEL_HEIGHT_PX}px` : '';
+    }
+
+    syncDatasets();
+    chartInstance.update('none');
+  }
+
+  /**
+   * Muestra las últimas `VISIBLE_CANDLES` velas, dejando el resto a la izquierda para desplazarse.
+   */
+  function showLatestCandles() {
+    chartInstance.resetZoom('none');
+    const total = state.klines.length;
+    if (total > VISIBLE_CANDLES) {
+      chartInstance.zoomScale('x', { min: total - VISIBLE_CANDLES, max: total - 1 }, 'none');
+    }
+  }
+
+  /**
+   * Desplaza la ventana visible `offset` velas conservando su tamaño.
+   * @param {number} offset
+   */
+  function shiftVisibleRange(offset) {
+    const { min, max } = chartInstance.scales.x;
+    chartInstance.zoomScale('x', { min: min + offset, max: max + offset }, 'none');
+  }
+
+  /**
+   * Fusiona velas nuevas o actualizadas en la gráfica (por `openTime`).
+   * Si la vista estaba en el extremo derecho, la sigue al añadirse velas nuevas.
+   * @param {KlineObject[]} incomingKlines
+   */
+  function mergeKlines(incomingKlines) {
+    const previousLength = state.klines.length;
+    const wasFollowingLatest = chartInstance.scales.x.max >= previousLength - 1;
+    let chartNeedsUpdate = false;
+    let appended = 0;
+
+    for (const newKline of incomingKlines) {
+      const lastKlineTime = state.klines.length > 0 ? state.klines[state.klines.length - 1].openTime : 0;
+      const existingKlineIndex = state.klines.findIndex(kline => kline.openTime === newKline.openTime);
+
+      if (existingKlineIndex !== -1) {
+        const existing = state.klines[existingKlineIndex];
+        if (existing.close !== newKline.close || existing.high !== newKline.high || existing.low !== newKline.low || existing.volume !== newKline.volume) {
+          state.klines[existingKlineIndex] = { ...newKline };
+          chartNeedsUpdate = true;
+        }
+      } else if (newKline.openTime > lastKlineTime) {
+        state.klines.push({ ...newKline });
+        appended++;
+        chartNeedsUpdate = true;
+      }
+    }
+
+    if (!chartNeedsUpdate) return;
+
+    const trimmed = Math.max(0, state.klines.length - MAX_DATAPOINTS);
+    if (trimmed > 0) {
+      state.klines.splice(0, trimmed);
+    }
+    syncDatasets();
+    chartInstance.update('none');
+    const offset = (wasFollowingLatest ? appended : 0) - trimmed;
+    if (offset !== 0 && chartInstance.isZoomedOrPanned()) {
+      shiftVisibleRange(offset);
+    }
+  }
+
+  /**
+   * Carga velas anteriores a la primera visible cuando el usuario se acerca al borde izquierdo.
+   */
+  async function maybeLoadHistory() {
+    if (state.isLoadingHistory || !state.hasMoreHistory || state.klines.length === 0) return;
+    if (chartInstance.scales.x.min > HISTORY_LOAD_THRESHOLD) return;
+    if (state.klines.length >= MAX_DATAPOINTS) return;
+
+    const generation = state.generation;
+    state.isLoadingHistory = true;
+    setStatus(t('chart.status.loadingHistory'));
+    try {
+      const olderKlines = await getMarketDataProvider().fetchKlines(currentSymbol, state.interval, HISTORY_PAGE_SIZE, {
+        endTime: state.klines[0].openTime - 1,
+      });
+      if (generation !== state.generation) return;
+
+      const firstOpenTime = state.klines[0].openTime;
+      const newKlines = olderKlines.filter(kline => kline.openTime < firstOpenTime);
+      if (newKlines.length < HISTORY_PAGE_SIZE) {
+        state.hasMoreHistory = false;
+      }
+      if (newKlines.length > 0) {
+        rememberKlines(currentSymbol, state.interval, newKlines);
+        state.klines = newKlines.concat(state.klines);
+        syncDatasets();
+        chartInstance.update('none');
+        shiftVisibleRange(newKlines.length);
+      }
+      setStatus('');
+    } catch (error) {
+      if (generation !== state.generation) return;
+      console.error(`Error cargando historial del gráfico para ${currentSymbol}:`, error.message, error);
+      setStatus(describeApiError(error, t('subject.history', { symbol: currentSymbol }), locale).title);
+    } finally {
+      if (generation === state.generation) {
+        state.isLoadingHistory = false;
+      }
+    }
+  }
+
+  // Tras una reconexión pudieron perderse velas: se recuperan vía REST. Si se mostraban velas guardadas
+  // sin conexión, se sincroniza la serie completa a través del almacén.
+  async function resyncFromRest() {
+    const generation = state.generation;
+    try {
+      if (staleEl && !staleEl.hidden) {
+        const { klines, staleSince } = await syncKlines(currentSymbol, state.interval, initialCandles);
+        if (generation !== state.generation) return;
+        if (staleSince === null) replaceKlines(klines);
+        setStale(staleSince);
+        return;
+      }
+      const recentKlines = await getMarketDataProvider().fetchKlines(currentSymbol, state.interval, 15);
+      if (generation !== state.generation) return;
+      // El proveedor volvió atrás en el tiempo (fin del bucle de un fixture, salto en el modo repetición) o avanzó
+      // más de lo que cubren las velas recientes: se recarga la serie completa.
+      const lastKline = state.klines[state.klines.length - 1];
+      const firstRecent = recentKlines[0];
+      const lastRecent = recentKlines[recentKlines.length - 1];
+      if (lastKline && lastRecent && (lastRecent.openTime < lastKline.openTime || firstRecent.openTime > lastKline.openTime)) {
+        loadInterval(state.interval);
+        return;
+      }
+      mergeKlines(recentKlines);
+    } catch (error) {
+      console.error(`Error resincronizando datos del gráfico para ${currentSymbol}:`, error.message, error);
+    }
+  }
+
+  function subscribeToInterval() {
+    const interval = state.interval;
+    unsubscribe = getMarketDataProvider().subscribeKlines(currentSymbol, interval, kline => {
+      if (kline.interval === state.interval) mergeKlines([kline]);
+    }, { onResync: resyncFromRest });
+  }
+
+  /**
+   * Cambia el intervalo.
+   * @param {string} newInterval
+   */
+  function changeInterval(newInterval) {
+    if (newInterval === state.interval) return;
+    loadInterval(newInterval);
+  }
+
+  /**
+   * Descarga las velas iniciales de `newInterval`, sustituye las de la gráfica y (re)suscribe el stream.
+   * @param {string} newInterval
+   */
+  async function loadInterval(newInterval) {
+    if (unsubscribe) unsubscribe();
+    state.generation++;
+    const generation = state.generation;
+    state.interval = newInterval;
+    state.isLoadingHistory = false;
+    state.hasMoreHistory = true;
+    setStatus(t('chart.status.loadingInterval', { interval: newInterval }));
+    setStale(null);
+
+    // Las velas guardadas se pintan al instante; después se descargan solo los tramos que faltan.
+    const cached = await readCachedKlines(currentSymbol, newInterval, initialCandles);
+    if (generation !== state.generation) return;
+    if (cached) replaceKlines(cached.klines);
+
+    try {
+      const { klines, staleSince } = await syncKlines(currentSymbol, newInterval, initialCandles);
+      if (generation !== state.generation) return;
+      replaceKlines(klines);
+      setStale(staleSince);
+      setStatus('');
+    } catch (error) {
+      if (generation !== state.generation) return;
+      console.error(`Error cargando velas de ${newInterval} para ${currentSymbol}:`, error.message, error);
+      setStatus(describeApiError(error, t('subject.chart', { symbol: currentSymbol }), locale).title);
+    }
+    subscribeToInterval();
+  }
+
+  /**
+   * Sustituye las velas de la gráfica y muestra las más recientes.
+   * @param {KlineObject[]} klines
+   */
+  function replaceKlines(klines) {
+    state.klines = klines;
+    syncDatasets();
+    chartInstance.update('none');
+    showLatestCandles();
+  }
+
+  /**
+   * @param {'line' | 'candles'} mode
+   */
+  function setMode(mode) {
+    state.mode = mode;
+    const { datasets } = chartInstance.data;
+    datasets[LINE_DATASET].hidden = mode !== 'line';
+    datasets[WICK_DATASET].hidden = mode !== 'candles';
+    datasets[BODY_DATASET].hidden = mode !== 'candles';
+    chartInstance.update('none');
+
+    for (const button of modeButtons) {
+      const isActive = button.dataset.chartMode === mode;
+      button.setAttribute('aria-pressed', String(isActive));
+      button.classList.remove(...(isActive ? INACTIVE_MODE_CLASSES : ACTIVE_MODE_CLASSES));
+      button.classList.add(...(isActive ? ACTIVE_MODE_CLASSES : INACTIVE_MODE_CLASSES));
+    }
+  }
+
+  modeButtons.forEach(button => button.addEventListener('click', () => setMode(button.dataset.chartMode)));
+  intervalSelectEl?.addEventListener('change', () => changeInterval(intervalSelectEl.value));
+  rootEl.querySelector('[data-chart-reset-zoom]')?.addEventListener('click', () => showLatestCandles());
+  // La descarga cubre las velas cargadas (incluido el historial) con los indicadores activos; el enlace se
+  // completa al pulsarlo, antes de que el navegador lo siga.
+  const exportLinkEl = rootEl.querySelector('[data-chart-export]');
+  exportLinkEl?.addEventListener('click', () => {
+    exportLinkEl.href = buildExportUrl({
+      symbol: currentSymbol,
+      interval: state.interval,
+      indicators: toIndicatorSpecs(state.indicators),
+      startTime: state.klines[0]?.openTime,
+      endTime: state.klines[state.klines.length - 1]?.closeTime,
+    });
+  });
+  indicatorInputs.forEach(input => input.addEventListener('change', () => applyIndicators(readIndicatorControls())));
+  const backtestPanelEl = rootEl.querySelector('[data-backtest]');
+  const cleanupBacktest = backtestPanelEl
+    ? initBacktestPanel(backtestPanelEl, {
+      getKlines: () => state.klines,
+      getInterval: () => state.interval,
+      getMarket: () => market,
+      setTradeMarkers,
+    })
+    : null;
+
+  // Las gráficas del servidor traen la información del par en `data-market`; las diferidas la descargan.
+  const stopWatchingFormatter = watchPriceFormatter(
+    currentSymbol,
+    rootEl.dataset.market ? JSON.parse(rootEl.dataset.market) : undefined,
+    (newFormatter, info) => {
+      formatter = newFormatter;
+      market = info;
+      chartInstance.options.scales.y.title.text = priceAxisTitle(formatter, t);
+      chartInstance.update('none');
+    },
+  );
+
+  syncDatasets();
+  chartInstance.update('none');
+  showLatestCandles();
+  setMode(state.mode);
+  applyIndicators(readIndicatorControls());
+  if (rootEl.hasAttribute('data-deferred')) {
+    // Gráfica montada en el cliente: no trae velas del servidor.
+    loadInterval(state.interval);
+  } else {
+    // Las velas del servidor quedan guardadas para la próxima visita o cambio de intervalo.
+    rememberKlines(currentSymbol, state.interval, state.klines);
+    subscribeToInterval();
+  }
+
+  return () => {
+    state.generation++;
+    if (unsubscribe) unsubscribe();
+    stopWatchingFormatter();
+    if (cleanupBacktest) cleanupBacktest();
+    chartInstance.destroy();
+  };
+}
@@ -0,0 +1,144 @@
+// src/scripts/replayClient.js
+
+/**
+ * @file Cliente de los controles del modo repetición (`ReplayController.astro`): crea la sesión de
+ * `replayProvider.js`, la instala como proveedor activo (la watchlist vuelve a montar sus tarjetas y gráficas con
+ * ella) y muestra el reloj simulado. Al salir, o al navegar a otra página, se restaura el proveedor en vivo; la
+ * repetición no se guarda entre visitas.
+ */
+
+import { getMarketDataProvider, setMarketDataProvider } from './marketDataProvider.js';
+import { createReplaySession } from './replayProvider.js';
+import { describeApiError } from './errorMessages.js';
+import { createTranslator, getIntlLocale } from './i18n.js';
+import { getDocumentPreferences } from './preferences.js';
+
+/**
+ * @typedef {import('./replayProvider.js').ReplaySession} ReplaySession
+ * @typedef {import('./replayProvider.js').ReplayState} ReplayState
+ */
+
+// Fecha propuesta al abrir la página: 24 horas antes del instante del proveedor.
+const DEFAULT_REPLAY_OFFSET_MS = 24 * 60 * 60 * 1000;
+// Mientras dura la repetición la barra queda fija arriba y resaltada.
+const ACTIVE_CLASSES = ['sticky', 'top-0', 'z-30', 'ring-2', 'ring-red-500'];
+
+/**
+ * Valor de un `datetime-local` (hora local sin zona) para un instante.
+ * @param {number} time
+ * @returns {string}
+ */
+const toDateTimeInputValue = (time) => new Date(time - new Date(time).getTimezoneOffset() * 60 * 1000).toISOString().slice(0, 16);
+
+/**
+ * Inicializa los controles del modo repetición.
+ * @param {HTMLElement} rootEl - Sección `data-replay`.
+ * @returns {() => void} Función de limpieza (sale del modo repetición si estaba activo).
+ */
+export function initReplayController(rootEl) {
+  const { locale } = getDocumentPreferences();
+  const t = createTranslator(locale);
+  const startFormEl = /** @type {HTMLFormElement} */ (rootEl.querySelector('[data-replay-start]'));
+  const seekFormEl = /** @type {HTMLFormElement} */ (rootEl.querySelector('[data-replay-seek]'));
+  const controlsEl = rootEl.querySelector('[data-replay-controls]');
+  const clockEl = /** @type {HTMLTimeElement} */ (rootEl.querySelector('[data-replay-clock]'));
+  const statusEl = rootEl.querySelector('[data-replay-status]');
+  const toggleEl = /** @type {HTMLButtonElement} */ (rootEl.querySelector('[data-replay-action="toggle"]'));
+  const stepIntervalEl = /** @type {HTMLSelectElement} */ (rootEl.querySelector('[data-replay-step-interval]'));
+  const speedEl = /** @type {HTMLSelectElement} */ (rootEl.querySelector('[data-replay-speed]'));
+  const timeField = (formEl) => /** @type {HTMLInputElement} */ (formEl.elements.namedItem('time'));
+  const clockFormat = new Intl.DateTimeFormat(getIntlLocale(locale), { dateStyle: 'medium', timeStyle: 'medium' });
+
+  /** @type {ReplaySession | null} */
+  let session = null;
+  /** @type {import('./marketDataProvider.js').MarketDataProvider | null} */
+  let liveProvider = null;
+  let stopListening = null;
+
+  const now = getMarketDataProvider().now();
+  timeField(startFormEl).value = toDateTimeInputValue(now - DEFAULT_REPLAY_OFFSET_MS);
+  timeField(startFormEl).max = toDateTimeInputValue(now);
+
+  /**
+   * @param {ReplayState} state
+   * @returns {string}
+   */
+  function describeState(state) {
+    if (state.error) return describeApiError(state.error, t('subject.replay'), locale).title;
+    if (state.loading) return t('replay.loading');
+    if (state.atPresent) return t('replay.atPresent');
+    return state.playing ? t('replay.playing', { speed: state.speed }) : t('replay.paused');
+  }
+
+  /**
+   * Pinta el estado de la repetición; sin estado, vuelve al formulario de inicio.
+   * @param {ReplayState | null} state
+   */
+  function render(state) {
+    startFormEl.hidden = Boolean(state);
+    controlsEl.hidden = !state;
+    ACTIVE_CLASSES.forEach(className => rootEl.classList.toggle(className, Boolean(state)));
+    if (!state) return;
+    clockEl.dateTime = new Date(state.time).toISOString();
+    clockEl.textContent = clockFormat.format(state.time);
+    statusEl.textContent = describeState(state);
+    toggleEl.textContent = state.playing ? t('replay.pause') : t('replay.play');
+    toggleEl.disabled = state.atPresent;
+    speedEl.value = String(state.speed);
+  }
+
+  /**
+   * @param {number} startTime
+   */
+  function enter(startTime) {
+    if (session) return;
+    liveProvider = getMarketDataProvider();
+    session = createReplaySession(liveProvider, { startTime, speed: Number(speedEl.value) });
+    stopListening = session.onChange(render);
+    timeField(seekFormEl).value = toDateTimeInputValue(session.getState().time);
+    timeField(seekFormEl).max = timeField(startFormEl).max;
+    render(session.getState());
+    setMarketDataProvider(session.provider);
+  }
+
+  function exit() {
+    if (!session) return;
+    stopListening();
+    session.dispose();
+    session = null;
+    render(null);
+    setMarketDataProvider(liveProvider);
+  }
+
+  startFormEl.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const startTime = new Date(timeField(startFormEl).value).getTime();
+    if (Number.isFinite(startTime)) enter(startTime);
+  });
+
+  seekFormEl.addEventListener('submit', (event) => {
+    event.preventDefault();
+    session?.seek(new Date(timeField(seekFormEl).value).getTime());
+  });
+
+  speedEl.addEventListener('change', () => session?.setSpeed(Number(speedEl.value)));
+
+  controlsEl.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-replay-action]');
+    if (!button || !session) return;
+    switch (button.dataset.replayAction) {
+      case 'toggle':
+        if (session.getState().playing) session.pause();
+        else session.play();
+        break;
+      case 'step':
+        session.step(stepIntervalEl.value);
+        break;
+      case 'exit':
+        exit();
+        break;
+    }
+  });
+
+  return exit;
+}
@@ -0,0 +1,416 @@
+// src/scripts/replayProvider.js
+
+/**
+ * @file Modo repetición: reproduce sesiones históricas del mercado con un reloj simulado común.
+ * Una sesión expone un proveedor de datos de mercado (`marketDataProvider.js`) cuyo instante actual es el del reloj,
+ * así que las tarjetas, las gráficas y los indicadores siguen los mismos caminos que en vivo (REST para cargar,
+ * streams para actualizar) y todos muestran el mismo instante.
+ *
+ * - Las velas se descargan del proveedor base por tramos: hasta 1000 velas de cada intervalo de
+ *   `SEGMENT_INTERVALS` que terminan `SEGMENT_LOOKAHEAD_MS` después del reloj. Se reproducen con `fixtureReplay.js`,
+ *   de modo que la vela en curso nunca muestra datos posteriores al reloj.
+ * - Los streams emiten cada `REPLAY_TICK_MS` mientras el reloj avanza. En los saltos (paso, cambio de fecha) solo se
+ *   pide a los consumidores que resincronicen, como tras una reconexión.
+ * - El reloj no pasa del presente: al alcanzarlo se pausa.
+ * - La lista de pares, los tickers de todos los pares y las velas anteriores al tramo cargado (ya cerradas) se
+ *   piden al proveedor base.
+ */
+
+import { BinanceAPIError, KLINE_INTERVAL_MS } from './binanceAPI.js';
+import { createSeriesFromKlines, klinesAt, tickerAt } from './fixtureReplay.js';
+
+/**
+ * @typedef {import('./marketDataProvider.js').MarketDataProvider} MarketDataProvider
+ * @typedef {import('./fixtureReplay.js').ReplaySeries} ReplaySeries
+ * @typedef {import('./binanceAPI.js').StreamSubscriptionOptions} StreamSubscriptionOptions
+ */
+
+/**
+ * Estado del reloj simulado.
+ * @typedef {object} ReplayState
+ * @property {number} time - Instante simulado (Unix ms).
+ * @property {number} speed - Segundos simulados por segundo real.
+ * @property {boolean} playing
+ * @property {boolean} atPresent - El reloj alcanzó el presente y se detuvo.
+ * @property {boolean} loading - Hay tramos de velas descargándose.
+ * @property {Error | null} error - Error de la última descarga de un tramo, si falló.
+ */
+
+/**
+ * Sesión de repetición.
+ * @typedef {object} ReplaySession
+ * @property {MarketDataProvider} provider - Proveedor que se instala con `setMarketDataProvider`.
+ * @property {() => ReplayState} getState
+ * @property {() => void} play
+ * @property {() => void} pause
+ * @property {(interval: string) => void} step - Avanza el reloj la duración de una vela del intervalo.
+ * @property {(time: number) => void} seek - Lleva el reloj a `time` (Unix ms).
+ * @property {(speed: number) => void} setSpeed
+ * @property {(listener: (state: ReplayState) => void) => () => void} onChange - Se invoca con cada cambio del
+ *           reloj o de su estado; devuelve la función para dejar de escuchar.
+ * @property {() => void} dispose - Detiene el reloj y cancela los streams.
+ */
+
+/**
+ * Tramo de velas de un par. Cubre los instantes del reloj entre `from` y `to`.
+ * @typedef {object} ReplaySegment
+ * @property {number} from
+ * @property {number} to - Fin de las velas descargadas.
+ * @property {ReplaySeries} [series] - Ausente mientras se descarga.
+ * @property {Promise<ReplaySegment>} [promise] - Descarga en curso.
+ */
+
+export const REPLAY_SPEEDS = [1, 2, 5, 10, 25, 50, 100];
+export const REPLAY_STEPS = ['1m', '5m', '15m', '1h', '4h', '1d'];
+// Cadencia del reloj y de los streams, como el `@ticker` de Binance.
+export const REPLAY_TICK_MS = 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+// Intervalos descargados; el resto (1w, 3m...) se agregan a partir de ellos.
+const SEGMENT_INTERVALS = ['1m', '5m', '15m', '1h', '4h', '1d'];
+const SEGMENT_KLINES = 1000;
+const SEGMENT_LOOKAHEAD_MS = 12 * HOUR_MS;
+// Con menos de 2 h simuladas por delante se descarga el tramo siguiente (a 100× son 72 s reales).
+const SEGMENT_PREFETCH_MS = 2 * HOUR_MS;
+// Margen hacia atrás para retroceder sin descargar otro tramo (las velas de 1m llegan unas 4 h antes del reloj).
+const SEGMENT_REWIND_MS = HOUR_MS;
+// Tras un fallo, los ticks no vuelven a intentar la descarga hasta pasados 10 s reales.
+const SEGMENT_RETRY_MS = 10 * 1000;
+const REPLAY_ENDPOINT = 'replay';
+
+/**
+ * @param {ReplaySegment | undefined} segment
+ * @param {number} time
+ * @returns {boolean}
+ */
+const covers = (segment, time) => Boolean(segment) && segment.from <= time && time <= segment.to;
+
+/**
+ * Crea una sesión de repetición, en pausa en `startTime`.
+ * @param {MarketDataProvider} baseProvider - Proveedor en vivo del que se descarga el historial.
+ * @param {object} options
+ * @param {number} options.startTime - Instante inicial (Unix ms); no puede ser posterior al presente.
+ * @param {number} [options.speed=1]
+ * @returns {ReplaySession}
+ */
+export function createReplaySession(baseProvider, { startTime, speed = 1 }) {
+  const present = () => baseProvider.now();
+
+  /** @type {ReplayState} */
+  const state = { time: Math.min(startTime, present()), speed, playing: false, atPresent: false, loading: false, error: null };
+  /** @type {Map<string, ReplaySegment>} */
+  const segments = new Map();
+  /** @type {Map<string, ReplaySegment>} */
+  const pending = new Map();
+  /** @type {Map<string, number>} */
+  const failedAt = new Map();
+  /** @type {Map<string, Promise<number | null>>} */
+  const tickSizes = new Map();
+  /** @type {Set<(event: 'tick' | 'jump') => void>} */
+  const subscribers = new Set();
+  /** @type {Set<(state: ReplayState) => void>} */
+  const listeners = new Set();
+  let timer = null;
+  let disposed = false;
+
+  const getState = () => ({ ...state });
+
+  function notify() {
+    const snapshot = getState();
+    listeners.forEach(listener => listener(snapshot));
+  }
+
+  /**
+   * @param {string} symbol
+   * @returns {Promise<number | null>}
+   */
+  function loadTickSize(symbol) {
+    if (!tickSizes.has(symbol)) {
+      tickSizes.set(symbol, baseProvider.getExchangeInfo(symbol)
+        .then(symbols => symbols.find(info => info.symbol === symbol)?.tickSize ?? null)
+        .catch(() => null));
+    }
+    return tickSizes.get(symbol);
+  }
+
+  /**
+   * Descarga el tramo de `symbol` que cubre `time` (o reutiliza la descarga en curso si lo cubre).
+   * @param {string} symbol
+   * @param {number} time
+   * @returns {Promise<ReplaySegment>}
+   * @throws {BinanceAPIError} Si la descarga falla o el par no tenía velas en `time`.
+   */
+  function loadSegment(symbol, time) {
+    const inFlight = pending.get(symbol);
+    if (covers(inFlight, time)) return inFlight.promise;
+
+    /** @type {ReplaySegment} */
+    const segment = { from: time - SEGMENT_REWIND_MS, to: Math.min(time + SEGMENT_LOOKAHEAD_MS, present()) };
+    segment.promise = Promise.all([
+      loadTickSize(symbol),
+      ...SEGMENT_INTERVALS.map(interval => baseProvider.fetchKlines(symbol, interval, SEGMENT_KLINES, { endTime: segment.to })),
+    ])
+      .then(([tickSize, ...pages]) => {
+        // Basta con que las velas diarias lleguen a `time`: las más finas que no lleguen se suplen con las gruesas.
+        const daily = pages[pages.length - 1];
+        if (daily.length === 0 || daily[0].openTime > time) {
+          throw new BinanceAPIError(`No hay velas de ${symbol} en la fecha elegida.`, { status: 400, endpoint: REPLAY_ENDPOINT });
+        }
+        segment.series = createSeriesFromKlines(symbol, tickSize, Object.fromEntries(SEGMENT_INTERVALS.map((interval, i) => [interval, pages[i]])));
+        // Un tramo descargado para un instante que el reloj ya dejó atrás no sustituye al que lo cubre.
+        if (covers(segment, state.time) || !covers(segments.get(symbol), state.time)) segments.set(symbol, segment);
+        failedAt.delete(symbol);
+        state.error = null;
+        return segment;
+      })
+      .catch(error => {
+        failedAt.set(symbol, Date.now());
+        state.error = error;
+        throw error;
+      })
+      .finally(() => {
+        if (pending.get(symbol) === segment) pending.delete(symbol);
+        state.loading = pending.size > 0;
+        if (!disposed) notify();
+      });
+    pending.set(symbol, segment);
+    state.loading = true;
+    notify();
+    return segment.promise;
+  }
+
+  /**
+   * Serie de `symbol` que cubre `time`, descargándola si hace falta.
+   * @param {string} symbol
+   * @param {number} time
+   * @returns {Promise<ReplaySeries>}
+   */
+  async function seriesAt(symbol, time) {
+    const segment = segments.get(symbol);
+    if (covers(segment, time)) return segment.series;
+    return (await loadSegment(symbol, time)).series;
+  }
+
+  /**
+   * Serie de `symbol` para un tick del reloj, sin esperar: si el tramo no está descargado se pide y el tick se
+   * omite. Cerca del final del tramo se descarga el siguiente por adelantado.
+   * @param {string} symbol
+   * @returns {ReplaySeries | null}
+   */
+  function readySeries(symbol) {
+    const time = state.time;
+    const segment = segments.get(symbol);
+    const retry = Date.now() - (failedAt.get(symbol) ?? 0) >= SEGMENT_RETRY_MS;
+    const logError = (error) => console.error(`No se pudo descargar el historial de ${symbol} para la repetición:`, error.message);
+    if (!covers(segment, time)) {
+      if (retry) loadSegment(symbol, time).catch(logError);
+      return null;
+    }
+    if (retry && segment.to - time < SEGMENT_PREFETCH_MS && present() - segment.to > SEGMENT_PREFETCH_MS) {
+      loadSegment(symbol, time).catch(logError);
+    }
+    return segment.series;
+  }
+
+  // --- Proveedor ---
+
+  async function fetchKlines(symbol, interval, limit = 100, { startTime, endTime } = {}) {
+    const time = state.time;
+    const klines = klinesAt(await seriesAt(symbol, time), interval, time);
+    if (!klines) {
+      throw new BinanceAPIError(`El modo repetición no incluye el intervalo ${interval}.`, { status: 400, endpoint: REPLAY_ENDPOINT });
+    }
+    const until = Math.min(endTime ?? time, time);
+    if (startTime !== undefined) {
+      return klines.filter(kline => kline.openTime >= startTime && kline.openTime <= until).slice(0, limit);
+    }
+    const visible = klines.filter(kline => kline.openTime <= until).slice(-limit);
+    const missing = limit - visible.length;
+    if (missing <= 0 || klines.length === 0) return visible;
+    // El tramo no llega tan atrás: las velas anteriores, ya cerradas, se piden al proveedor base.
+    const older = await baseProvider.fetchKlines(symbol, interval, missing, { endTime: Math.min(until, klines[0].openTime - 1) });
+    return [...older, ...visible];
+  }
+
+  async function getTicker24hr(symbol) {
+    if (!symbol) return baseProvider.getTicker24hr();
+    const time = state.time;
+    return tickerAt(await seriesAt(symbol, time), time);
+  }
+
+  async function getTickerPrice(symbol) {
+    if (!symbol) return baseProvider.getTickerPrice();
+    const ticker = await getTicker24hr(symbol);
+    return { symbol: ticker.symbol, price: ticker.lastPrice };
+  }
+
+  /**
+   * Registra un stream reproducido. `onTick` recibe la serie y el instante simulado en cada tick del reloj; en los
+   * saltos se llama a `onJump` y se pide al consumidor que resincronice.
+   * @param {string} symbol
+   * @param {{ onTick: (series: ReplaySeries, time: number) => void, onJump?: () => void }} handlers
+   * @param {StreamSubscriptionOptions} [options]
+   * @returns {() => void}
+   */
+  function replayStream(symbol, { onTick, onJump }, options = {}) {
+    const subscriber = (event) => {
+      try {
+        if (event === 'jump') {
+          onJump?.();
+          options.onResync?.();
+          return;
+        }
+        const series = readySeries(symbol);
+        if (series) onTick(series, state.time);
+      } catch (error) {
+        console.error(`Error en el stream de repetición de ${symbol}:`, error.message);
+      }
+    };
+    subscribers.add(subscriber);
+    // Primer mensaje en cuanto el tramo esté descargado, como al abrir un stream real.
+    seriesAt(symbol, state.time)
+      .then(() => {
+        if (subscribers.has(subscriber)) subscriber('tick');
+      })
+      .catch(error => console.error(`No se pudo reproducir ${symbol}:`, error.message));
+    return () => {
+      subscribers.delete(subscriber);
+    };
+  }
+
+  function subscribeTicker(symbol, onData, options) {
+    return replayStream(symbol, { onTick: (series, time) => onData(tickerAt(series, time)) }, options);
+  }
+
+  function subscribeKlines(symbol, interval, onData, options) {
+    let lastOpenTime = null;
+    return replayStream(symbol, {
+      onTick(series, time) {
+        const klines = klinesAt(series, interval, time);
+        if (!klines || klines.length === 0) return;
+        const current = klines[klines.length - 1];
+        // Velas cerradas desde el último tick (a velocidades altas, más de una): se emiten cerradas, como Binance.
+        if (lastOpenTime !== null) {
+          klines
+            .filter(kline => kline.openTime >= lastOpenTime && kline.openTime < current.openTime)
+            .forEach(kline => onData({ ...kline, symbol, interval, isClosed: true }));
+        }
+        lastOpenTime = current.openTime;
+        onData({ ...current, symbol, interval, isClosed: false });
+      },
+      onJump() {
+        lastOpenTime = null;
+      },
+    }, options);
+  }
+
+  // --- Reloj ---
+
+  /**
+   * Avisa a todos los streams en la misma tarea, de modo que tarjetas y gráficas se pintan con el mismo instante.
+   * @param {'tick' | 'jump'} event
+   */
+  function emit(event) {
+    [...subscribers].forEach(subscriber => subscriber(event));
+    notify();
+  }
+
+  function stopTimer() {
+    clearInterval(timer);
+    timer = null;
+    state.playing = false;
+  }
+
+  function advance() {
+    const limit = present();
+    state.time = Math.min(state.time + REPLAY_TICK_MS * state.speed, limit);
+    if (state.time >= limit) {
+      state.atPresent = true;
+      stopTimer();
+    }
+    emit('tick');
+  }
+
+  function play() {
+    if (disposed || state.playing) return;
+    if (state.time >= present()) {
+      state.atPresent = true;
+      notify();
+      return;
+    }
+    state.playing = true;
+    timer = setInterval(advance, REPLAY_TICK_MS);
+    notify();
+  }
+
+  function pause() {
+    if (!state.playing) return;
+    stopTimer();
+    notify();
+  }
+
+  /**
+   * @param {number} time
+   */
+  function seek(time) {
+    if (disposed || !Number.isFinite(time)) return;
+    const limit = present();
+    state.time = Math.min(time, limit);
+    state.atPresent = state.time >= limit;
+    if (state.atPresent) stopTimer();
+    emit('jump');
+  }
+
+  /**
+   * @param {string} interval
+   */
+  function step(interval) {
+    const duration = KLINE_INTERVAL_MS[interval];
+    if (duration) seek(state.time + duration);
+  }
+
+  /**
+   * @param {number} newSpeed
+   */
+  function setSpeed(newSpeed) {
+    if (!REPLAY_SPEEDS.includes(newSpeed)) return;
+    state.speed = newSpeed;
+    notify();
+  }
+
+  function onChange(listener) {
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  }
+
+  function dispose() {
+    disposed = true;
+    stopTimer();
+    subscribers.clear();
+    listeners.clear();
+  }
+
+  return {
+    provider: {
+      id: 'replay',
+      persistent: false,
+      now: () => state.time,
+      fetchKlines,
+      getTicker24hr,
+      getTickerPrice,
+      getExchangeInfo: (symbol) => baseProvider.getExchangeInfo(symbol),
+      subscribeTicker,
+      subscribeKlines,
+    },
+    getState,
+    play,
+    pause,
+    step,
+    seek,
+    setSpeed,
+    onChange,
+    dispose,
+  };
+}
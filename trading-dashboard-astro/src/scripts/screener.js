@@ -0,0 +1,147 @@
+// src/scripts/screener.js
+
+/**
+ * @file Modelo del screener de mercado: filas a partir del ticker de 24 h de todos los pares, filtros, orden y
+ * paneles de mayores subidas, bajadas y volumen. Funciones puras, sin DOM ni red.
+ */
+
+/**
+ * @typedef {import('./binanceAPI.js').Ticker24hrData} Ticker24hrData
+ * @typedef {import('./binanceAPI.js').SymbolInfo} SymbolInfo
+ */
+
+/**
+ * Fila del screener: un par en negociación con sus estadísticas de 24 h.
+ * @typedef {object} ScreenerRow
+ * @property {string} symbol
+ * @property {string} baseAsset
+ * @property {string} quoteAsset
+ * @property {number} lastPrice
+ * @property {number} priceChangePercent
+ * @property {number} highPrice
+ * @property {number} lowPrice
+ * @property {number} quoteVolume - Volumen de 24 h en el activo cotizado.
+ * @property {number} count - Número de trades en 24 h.
+ */
+
+/**
+ * Filtros del screener. Los límites null no filtran.
+ * @typedef {object} ScreenerFilters
+ * @property {string} quoteAsset - Activo cotizado ('' = todos).
+ * @property {number | null} minQuoteVolume
+ * @property {number | null} minChangePercent
+ * @property {number | null} maxChangePercent
+ * @property {string} query - Texto buscado en el símbolo y el activo base.
+ */
+
+/**
+ * Columna de orden: una propiedad de `ScreenerRow` o un valor calculado aparte (p. ej. 'rsi').
+ * @typedef {object} ScreenerSort
+ * @property {string} column
+ * @property {'asc' | 'desc'} direction
+ */
+
+/**
+ * @typedef {object} TopMovers
+ * @property {ScreenerRow[]} gainers
+ * @property {ScreenerRow[]} losers
+ * @property {ScreenerRow[]} volume
+ */
+
+/** @type {ScreenerFilters} */
+export const DEFAULT_FILTERS = {
+  quoteAsset: 'USDT',
+  minQuoteVolume: null,
+  minChangePercent: null,
+  maxChangePercent: null,
+  query: '',
+};
+
+/** @type {ScreenerSort} */
+export const DEFAULT_SORT = { column: 'quoteVolume', direction: 'desc' };
+
+/**
+ * Cruza el ticker de todos los pares con la información del exchange; se descartan los pares que no están en
+ * negociación (el ticker también devuelve pares retirados).
+ * @param {Ticker24hrData[]} tickers
+ * @param {Map<string, SymbolInfo>} symbols - Pares en negociación (`getExchangeInfo()`), por símbolo.
+ * @returns {ScreenerRow[]}
+ */
+export function buildScreenerRows(tickers, symbols) {
+  return tickers.flatMap(ticker => {
+    const info = symbols.get(ticker.symbol);
+    if (!info) return [];
+    return [{
+      symbol: ticker.symbol,
+      baseAsset: info.baseAsset,
+      quoteAsset: info.quoteAsset,
+      lastPrice: ticker.lastPrice,
+      priceChangePercent: ticker.priceChangePercent,
+      highPrice: ticker.highPrice,
+      lowPrice: ticker.lowPrice,
+      quoteVolume: ticker.quoteVolume,
+      count: ticker.count,
+    }];
+  });
+}
+
+/**
+ * Activos cotizados presentes, de más a menos pares.
+ * @param {ScreenerRow[]} rows
+ * @returns {string[]}
+ */
+export function listQuoteAssets(rows) {
+  const counts = new Map();
+  for (const row of rows) counts.set(row.quoteAsset, (counts.get(row.quoteAsset) ?? 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([asset]) => asset);
+}
+
+/**
+ * @param {ScreenerRow[]} rows
+ * @param {ScreenerFilters} filters
+ * @returns {ScreenerRow[]}
+ */
+export function filterRows(rows, filters) {
+  const query = filters.query.trim().toUpperCase();
+  return rows.filter(row =>
+    (!filters.quoteAsset || row.quoteAsset === filters.quoteAsset)
+    && (filters.minQuoteVolume === null || row.quoteVolume >= filters.minQuoteVolume)
+    && (filters.minChangePercent === null || row.priceChangePercent >= filters.minChangePercent)
+    && (filters.maxChangePercent === null || row.priceChangePercent <= filters.maxChangePercent)
+    && (!query || row.symbol.includes(query) || row.baseAsset.includes(query)));
+}
+
+/**
+ * Ordena una copia de las filas. Los valores que faltan (columnas calculadas aún sin cargar) van siempre al final.
+ * @param {ScreenerRow[]} rows
+ * @param {ScreenerSort} sort
+ * @param {(row: ScreenerRow) => number | string | null} [valueOf] - Por defecto, la propiedad `sort.column`.
+ * @returns {ScreenerRow[]}
+ */
+export function sortRows(rows, sort, valueOf = row => row[sort.column] ?? null) {
+  const sign = sort.direction === 'asc' ? 1 : -1;
+  return rows
+    .map(row => ({ row, value: valueOf(row) }))
+    .sort((a, b) => {
+      if (a.value === null) return b.value === null ? a.row.symbol.localeCompare(b.row.symbol) : 1;
+      if (b.value === null) return -1;
+      const order = typeof a.value === 'string' ? a.value.localeCompare(/** @type {string} */ (b.value)) : a.value - b.value;
+      return order * sign || a.row.symbol.localeCompare(b.row.symbol);
+    })
+    .map(({ row }) => row);
+}
+
+/**
+ * Mayores subidas, bajadas y volúmenes entre las filas (ya filtradas).
+ * @param {ScreenerRow[]} rows
+ * @param {number} [count=5]
+ * @returns {TopMovers}
+ */
+export function topMovers(rows, count = 5) {
+  const byChange = sortRows(rows, { column: 'priceChangePercent', direction: 'desc' });
+  return {
+    gainers: byChange.filter(row => row.priceChangePercent > 0).slice(0, count),
+    losers: byChange.filter(row => row.priceChangePercent < 0).reverse().slice(0, count),
+    volume: sortRows(rows, { column: 'quoteVolume', direction: 'desc' }).slice(0, count),
+  };
+}
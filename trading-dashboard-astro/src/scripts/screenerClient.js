@@ -0,0 +1,502 @@
+// src/scripts/screenerClient.js
+
+/**
+ * @file Cliente del screener (`Screener.astro`): descarga el ticker de 24 h de todos los pares en una sola
+ * solicitud, lo filtra y ordena en el navegador y lo pinta en una tabla virtualizada (solo existen en el DOM las
+ * filas visibles). La columna opcional de RSI(14) diario se calcula bajo demanda, solo para las filas visibles y
+ * con un número limitado de descargas simultáneas para no agotar el peso de la API.
+ */
+
+import { getMarketDataProvider } from './marketDataProvider.js';
+import { getTicker24hr, fetchKlines } from './dashboardAPI.js';
+import { calculateRSI, lastPoint } from './technicalIndicators.js';
+import { RSI_OVERBOUGHT, RSI_OVERSOLD } from './indicatorSignals.js';
+import { describeApiError } from './errorMessages.js';
+import { buildScreenerRows, listQuoteAssets, filterRows, sortRows, topMovers, DEFAULT_FILTERS, DEFAULT_SORT } from './screener.js';
+import { loadWatchlists, saveWatchlists, getActiveList, addSymbol, WATCHLIST_STORAGE_KEY } from './watchlistStore.js';
+import { createMarketFormatter, toMarketInfo, formatNumber, formatPercent } from './marketFormat.js';
+import { createTranslator, getIntlLocale } from './i18n.js';
+import { getDocumentPreferences } from './preferences.js';
+
+/**
+ * @typedef {import('./screener.js').ScreenerRow} ScreenerRow
+ * @typedef {import('./screener.js').ScreenerFilters} ScreenerFilters
+ * @typedef {import('./screener.js').ScreenerSort} ScreenerSort
+ * @typedef {import('./binanceAPI.js').SymbolInfo} SymbolInfo
+ * @typedef {import('./binanceAPI.js').Ticker24hrData} Ticker24hrData
+ * @typedef {import('./marketFormat.js').MarketFormatter} MarketFormatter
+ */
+
+/**
+ * RSI calculado de un par; `value` es null si falló la descarga o no hay velas suficientes.
+ * @typedef {object} RsiEntry
+ * @property {number | null} value
+ * @property {number} time - Momento del cálculo (Unix ms).
+ */
+
+// El servidor comparte el ticker de todos los pares durante 15 s (`allTickersCacheTtl`).
+const REFRESH_MS = 30 * 1000;
+// Debe coincidir con la altura de las filas (`h-9`).
+const ROW_HEIGHT = 36;
+// Filas extra por encima y por debajo de las visibles, para que no aparezcan huecos al desplazarse rápido.
+const OVERSCAN = 8;
+const MOVERS_COUNT = 5;
+const RSI_PERIOD = 14;
+const RSI_INTERVAL = '1d';
+// Velas suficientes para que el suavizado de Wilder se estabilice.
+const RSI_KLINES = 100;
+// Cada solicitud de velas pesa 2: cuatro a la vez mantiene el screener muy por debajo del límite por minuto.
+const RSI_CONCURRENCY = 4;
+// La vela diaria en curso cambia despacio: no se recalcula más de una vez cada 5 minutos.
+const RSI_TTL_MS = 5 * 60 * 1000;
+const POSITIVE_CLASS = 'text-green-500';
+const NEGATIVE_CLASS = 'text-red-500';
+const GRID_CLASS = 'grid grid-cols-[minmax(9rem,1.5fr)_repeat(4,minmax(6rem,1fr))_3rem]';
+const GRID_WITH_RSI_CLASS = 'grid grid-cols-[minmax(9rem,1.5fr)_repeat(5,minmax(6rem,1fr))_3rem]';
+
+/**
+ * Cola de tareas asíncronas con un máximo de `concurrency` en curso. Cada tarea tiene una clave y no se encola
+ * dos veces mientras esté pendiente o en curso.
+ * @param {number} concurrency
+ */
+function createTaskQueue(concurrency) {
+  /** @type {{ key: string, task: () => Promise<void> }[]} */
+  const waiting = [];
+  const pending = new Set();
+  let running = 0;
+
+  function next() {
+    while (running < concurrency && waiting.length > 0) {
+      const { key, task } = waiting.shift();
+      running++;
+      task().finally(() => {
+        running--;
+        pending.delete(key);
+        next();
+      });
+    }
+  }
+
+  return {
+    /**
+     * @param {string} key
+     * @param {() => Promise<void>} task - No debe rechazar.
+     */
+    push(key, task) {
+      if (pending.has(key)) return;
+      pending.add(key);
+      waiting.push({ key, task });
+      next();
+    },
+    /** Descarta las tareas que aún no han empezado. */
+    clear() {
+      for (const { key } of waiting) pending.delete(key);
+      waiting.length = 0;
+    },
+  };
+}
+
+/**
+ * Lee un número de un campo del formulario; vacío o no numérico no filtra.
+ * @param {FormData} data
+ * @param {string} name
+ * @returns {number | null}
+ */
+function readNumber(data, name) {
+  const raw = String(data.get(name) ?? '').trim();
+  const value = Number(raw);
+  return raw === '' || !Number.isFinite(value) ? null : value;
+}
+
+/**
+ * Inicializa el screener: carga los pares y el ticker, y arranca el refresco periódico.
+ * @param {HTMLElement} rootEl - Sección `data-screener`.
+ * @returns {() => void} Función de limpieza.
+ */
+export function initScreener(rootEl) {
+  const { locale } = getDocumentPreferences();
+  const t = createTranslator(locale);
+  const intlLocale = getIntlLocale(locale);
+  const formEl = /** @type {HTMLFormElement} */ (rootEl.querySelector('[data-screener-filters]'));
+  const quoteEl = /** @type {HTMLSelectElement} */ (formEl.elements.namedItem('quoteAsset'));
+  const rsiToggleEl = /** @type {HTMLInputElement} */ (rootEl.querySelector('[data-screener-rsi-toggle]'));
+  const statusEl = rootEl.querySelector('[data-screener-status]');
+  const messageEl = rootEl.querySelector('[data-screener-message]');
+  const countEl = rootEl.querySelector('[data-screener-count]');
+  const tableEl = rootEl.querySelector('[data-screener-table]');
+  const headerEl = /** @type {HTMLElement} */ (rootEl.querySelector('[data-screener-header]'));
+  const rsiHeaderEl = /** @type {HTMLElement} */ (rootEl.querySelector('[data-screener-column="rsi"]'));
+  const viewportEl = /** @type {HTMLElement} */ (rootEl.querySelector('[data-screener-viewport]'));
+  const spacerEl = /** @type {HTMLElement} */ (rootEl.querySelector('[data-screener-spacer]'));
+  const rowsEl = /** @type {HTMLElement} */ (rootEl.querySelector('[data-screener-rows]'));
+  const emptyEl = rootEl.querySelector('[data-screener-empty]');
+  const moversEl = (name) => rootEl.querySelector(`[data-screener-movers="${name}"]`);
+  const compactFormat = new Intl.NumberFormat(intlLocale, { notation: 'compact', maximumFractionDigits: 2 });
+
+  /** @type {Map<string, SymbolInfo>} */
+  let symbols = new Map();
+  /** @type {ScreenerRow[]} */
+  let allRows = [];
+  /** @type {ScreenerRow[]} */
+  let viewRows = [];
+  /** @type {ScreenerFilters} */
+  let filters = { ...DEFAULT_FILTERS };
+  /** @type {ScreenerSort} */
+  let sort = { ...DEFAULT_SORT };
+  let rsiEnabled = rsiToggleEl.checked;
+  /** @type {Map<string, RsiEntry>} */
+  const rsiValues = new Map();
+  const rsiQueue = createTaskQueue(RSI_CONCURRENCY);
+  /** @type {Set<string>} */
+  let visibleSymbols = new Set();
+  /** @type {Set<string>} */
+  let listedSymbols = new Set();
+  let activeListName = '';
+  /** @type {Map<string, MarketFormatter>} */
+  const formatters = new Map();
+  let frameRequested = false;
+  let disposed = false;
+
+  const setMessage = (text) => {
+    messageEl.textContent = text;
+  };
+  const changeClass = (value) => (value > 0 ? POSITIVE_CLASS : value < 0 ? NEGATIVE_CLASS : '');
+
+  /**
+   * Decimales de precio del par según su `tickSize`.
+   * @param {string} symbol
+   * @returns {MarketFormatter}
+   */
+  function formatterFor(symbol) {
+    if (!formatters.has(symbol)) {
+      const info = symbols.get(symbol);
+      formatters.set(symbol, createMarketFormatter(info ? toMarketInfo(info) : null, locale));
+    }
+    return formatters.get(symbol);
+  }
+
+  function readWatchlist() {
+    const list = getActiveList(loadWatchlists(locale));
+    listedSymbols = new Set(list.items.map(item => item.symbol));
+    activeListName = list.name;
+  }
+
+  /**
+   * RSI vigente de un par, o null si no se ha calculado o ya caducó.
+   * @param {string} symbol
+   * @returns {RsiEntry | null}
+   */
+  function freshRsi(symbol) {
+    const entry = rsiValues.get(symbol);
+    return entry && Date.now() - entry.time < RSI_TTL_MS ? entry : null;
+  }
+
+  // --- Tabla virtualizada ---
+
+  /**
+   * @param {string} text
+   * @param {string} [className]
+   */
+  function cell(text, className = '') {
+    const el = document.createElement('div');
+    el.setAttribute('role', 'cell');
+    el.className = `px-2 truncate ${className}`;
+    el.textContent = text;
+    return el;
+  }
+
+  /**
+   * @param {ScreenerRow} row
+   * @param {number} index - Posición en `viewRows`.
+   * @returns {HTMLElement}
+   */
+  function renderRow(row, index) {
+    const rowEl = document.createElement('div');
+    rowEl.setAttribute('role', 'row');
+    // La fila 1 es la cabecera.
+    rowEl.setAttribute('aria-rowindex', String(index + 2));
+    rowEl.className = `${rsiEnabled ? GRID_WITH_RSI_CLASS : GRID_CLASS} h-9 items-center text-right border-b border-gray-100 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50`;
+
+    const pairCell = cell('', 'text-left');
+    const link = document.createElement('a');
+    link.href = `/coin/${row.symbol}`;
+    link.className = 'text-blue-600 dark:text-blue-400 hover:underline';
+    link.textContent = row.baseAsset;
+    const quote = document.createElement('span');
+    quote.className = 'text-xs text-gray-500 dark:text-gray-400';
+    quote.textContent = ` / ${row.quoteAsset}`;
+    pairCell.append(link, quote);
+
+    const cells = [
+      pairCell,
+      cell(formatterFor(row.symbol).number(row.lastPrice)),
+      cell(formatPercent(row.priceChangePercent, locale, { signed: true }), changeClass(row.priceChangePercent)),
+      cell(compactFormat.format(row.quoteVolume)),
+      cell(compactFormat.format(row.count)),
+    ];
+
+    if (rsiEnabled) {
+      const rsi = rsiValues.get(row.symbol);
+      const value = rsi?.value ?? null;
+      cells.push(cell(
+        rsi ? (value === null ? '—' : formatNumber(value, locale, 1)) : '…',
+        value === null ? 'text-gray-400' : value > RSI_OVERBOUGHT ? NEGATIVE_CLASS : value < RSI_OVERSOLD ? POSITIVE_CLASS : '',
+      ));
+    }
+
+    const actionCell = cell('', 'text-center');
+    const isListed = listedSymbols.has(row.symbol);
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.dataset.screenerAdd = row.symbol;
+    button.disabled = isListed;
+    button.className = 'w-7 h-7 rounded-md text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-gray-700 disabled:text-green-500 disabled:hover:bg-transparent';
+    button.textContent = isListed ? '✓' : '+';
+    const label = t(isListed ? 'screener.alreadyListed' : 'screener.addToWatchlist', { symbol: row.symbol, list: activeListName });
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    actionCell.append(button);
+    cells.push(actionCell);
+
+    rowEl.append(...cells);
+    return rowEl;
+  }
+
+  /**
+   * Pinta solo las filas que caben en la ventana de desplazamiento (más `OVERSCAN` por cada lado).
+   */
+  function renderVisibleRows() {
+    const first = Math.floor(viewportEl.scrollTop / ROW_HEIGHT);
+    const last = Math.ceil((viewportEl.scrollTop + viewportEl.clientHeight) / ROW_HEIGHT);
+    const start = Math.max(0, first - OVERSCAN);
+    const end = Math.min(viewRows.length, last + OVERSCAN);
+
+    spacerEl.style.height = `${viewRows.length * ROW_HEIGHT}px`;
+    rowsEl.style.transform = `translateY(${start * ROW_HEIGHT}px)`;
+    rowsEl.replaceChildren(...viewRows.slice(start, end).map((row, i) => renderRow(row, start + i)));
+    visibleSymbols = new Set(viewRows.slice(first, last).map(row => row.symbol));
+    if (rsiEnabled) requestVisibleRsi();
+  }
+
+  // Agrupa los desplazamientos y las respuestas de RSI que llegan entre dos frames.
+  function scheduleRender() {
+    if (frameRequested) return;
+    frameRequested = true;
+    requestAnimationFrame(() => {
+      frameRequested = false;
+      if (!disposed) renderVisibleRows();
+    });
+  }
+
+  function renderHeader() {
+    headerEl.className = `${rsiEnabled ? GRID_WITH_RSI_CLASS : GRID_CLASS} h-9 items-center text-right text-xs text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700`;
+    rsiHeaderEl.hidden = !rsiEnabled;
+    headerEl.querySelectorAll('[data-screener-column]').forEach(columnEl => {
+      const isSorted = columnEl.dataset.screenerColumn === sort.column;
+      columnEl.setAttribute('aria-sort', isSorted ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none');
+      columnEl.querySelector('[data-sort-indicator]').textContent = isSorted ? (sort.direction === 'asc' ? '▲' : '▼') : '';
+    });
+  }
+
+  /**
+   * @param {'gainers' | 'losers' | 'volume'} name
+   * @param {ScreenerRow[]} rows
+   */
+  function renderMovers(name, rows) {
+    const listEl = moversEl(name);
+    listEl.replaceChildren(...rows.map(row => {
+      const item = document.createElement('li');
+      item.className = 'flex justify-between gap-2 py-1';
+      const link = document.createElement('a');
+      link.href = `/coin/${row.symbol}`;
+      link.className = 'text-blue-600 dark:text-blue-400 hover:underline truncate';
+      link.textContent = row.symbol;
+      const value = document.createElement('span');
+      if (name === 'volume') {
+        value.textContent = `${compactFormat.format(row.quoteVolume)} ${row.quoteAsset}`;
+      } else {
+        value.textContent = formatPercent(row.priceChangePercent, locale, { signed: true });
+        value.className = changeClass(row.priceChangePercent);
+      }
+      item.append(link, value);
+      return item;
+    }));
+    if (rows.length === 0) {
+      const item = document.createElement('li');
+      item.className = 'py-1 text-gray-500 dark:text-gray-400';
+      item.textContent = '—';
+      listEl.append(item);
+    }
+  }
+
+  /**
+   * Aplica filtros y orden y vuelve a pintar los paneles y la tabla.
+   */
+  function render() {
+    const filtered = filterRows(allRows, filters);
+    viewRows = sort.column === 'rsi'
+      ? sortRows(filtered, sort, row => freshRsi(row.symbol)?.value ?? null)
+      : sortRows(filtered, sort);
+    const movers = topMovers(filtered, MOVERS_COUNT);
+    renderMovers('gainers', movers.gainers);
+    renderMovers('losers', movers.losers);
+    renderMovers('volume', movers.volume);
+    tableEl.setAttribute('aria-rowcount', String(viewRows.length + 1));
+    countEl.textContent = t('screener.count', { shown: formatNumber(viewRows.length, locale, 0), total: formatNumber(allRows.length, locale, 0) });
+    emptyEl.hidden = viewRows.length > 0 || allRows.length === 0;
+    renderHeader();
+    renderVisibleRows();
+  }
+
+  // --- RSI bajo demanda ---
+
+  function requestVisibleRsi() {
+    for (const symbol of visibleSymbols) {
+      if (freshRsi(symbol)) continue;
+      rsiQueue.push(symbol, () => loadRsi(symbol));
+    }
+  }
+
+  /**
+   * @param {string} symbol
+   * @returns {Promise<void>}
+   */
+  async function loadRsi(symbol) {
+    // La fila pudo salir de la vista mientras esperaba turno: se pedirá de nuevo si vuelve a verse.
+    if (disposed || !rsiEnabled || !visibleSymbols.has(symbol)) return;
+    let value = null;
+    try {
+      const klines = await fetchKlines(symbol, RSI_INTERVAL, RSI_KLINES);
+      value = lastPoint(calculateRSI(klines, RSI_PERIOD))?.value ?? null;
+    } catch (error) {
+      console.error(`Error calculando el RSI de ${symbol}:`, error.message);
+    }
+    if (disposed) return;
+    rsiValues.set(symbol, { value, time: Date.now() });
+    if (sort.column === 'rsi') {
+      render();
+    } else {
+      scheduleRender();
+    }
+  }
+
+  // --- Datos ---
+
+  async function refresh() {
+    try {
+      if (symbols.size === 0) {
+        const list = await getMarketDataProvider().getExchangeInfo();
+        symbols = new Map(list.map(info => [info.symbol, info]));
+      }
+      const tickers = /** @type {Ticker24hrData[]} */ (await getTicker24hr());
+      if (disposed) return;
+      const isFirstLoad = allRows.length === 0;
+      allRows = buildScreenerRows(tickers, symbols);
+      if (isFirstLoad) fillQuoteAssets();
+      statusEl.textContent = t('screener.updated', { time: new Date().toLocaleTimeString(intlLocale) });
+      render();
+    } catch (error) {
+      if (disposed) return;
+      console.error('Error actualizando el screener:', error.message);
+      statusEl.textContent = describeApiError(error, t('subject.screener'), locale).message;
+    }
+  }
+
+  function fillQuoteAssets() {
+    const assets = listQuoteAssets(allRows);
+    const allOption = new Option(t('screener.allQuotes'), '');
+    quoteEl.replaceChildren(allOption, ...assets.map(asset => new Option(asset, asset)));
+    if (!assets.includes(filters.quoteAsset)) filters = { ...filters, quoteAsset: '' };
+    quoteEl.value = filters.quoteAsset;
+  }
+
+  // --- Eventos ---
+
+  function handleFilters() {
+    const data = new FormData(formEl);
+    filters = {
+      quoteAsset: String(data.get('quoteAsset') ?? ''),
+      minQuoteVolume: readNumber(data, 'minQuoteVolume'),
+      minChangePercent: readNumber(data, 'minChangePercent'),
+      maxChangePercent: readNumber(data, 'maxChangePercent'),
+      query: String(data.get('query') ?? ''),
+    };
+    viewportEl.scrollTop = 0;
+    render();
+  }
+
+  /**
+   * @param {MouseEvent} event
+   */
+  function handleSort(event) {
+    const columnEl = /** @type {HTMLElement} */ (event.target).closest('[data-screener-column]');
+    if (!columnEl) return;
+    const column = columnEl.dataset.screenerColumn;
+    sort = column === sort.column
+      ? { column, direction: sort.direction === 'asc' ? 'desc' : 'asc' }
+      : { column, direction: column === 'symbol' ? 'asc' : 'desc' };
+    render();
+  }
+
+  /**
+   * @param {MouseEvent} event
+   */
+  function handleAdd(event) {
+    const button = /** @type {HTMLElement} */ (event.target).closest('[data-screener-add]');
+    if (!button) return;
+    const symbol = button.dataset.screenerAdd;
+    const state = loadWatchlists(locale);
+    const list = getActiveList(state);
+    const next = addSymbol(state, list.id, { symbol, name: symbols.get(symbol)?.baseAsset ?? symbol });
+    if (getActiveList(next).items.length === list.items.length) {
+      setMessage(t(list.items.some(item => item.symbol === symbol) ? 'screener.alreadyListed' : 'screener.listFull', { symbol, list: list.name }));
+    } else {
+      saveWatchlists(next);
+      setMessage(t('screener.added', { symbol, list: list.name }));
+    }
+    readWatchlist();
+    renderVisibleRows();
+  }
+
+  function handleRsiToggle() {
+    rsiEnabled = rsiToggleEl.checked;
+    if (!rsiEnabled) {
+      rsiQueue.clear();
+      if (sort.column === 'rsi') sort = { ...DEFAULT_SORT };
+    }
+    render();
+  }
+
+  /**
+   * Otra pestaña cambió las watchlists: se actualizan los botones de añadir.
+   * @param {StorageEvent} event
+   */
+  function handleStorage(event) {
+    if (event.key !== WATCHLIST_STORAGE_KEY) return;
+    readWatchlist();
+    renderVisibleRows();
+  }
+
+  formEl.addEventListener('input', handleFilters);
+  formEl.addEventListener('submit', event => event.preventDefault());
+  headerEl.addEventListener('click', handleSort);
+  rowsEl.addEventListener('click', handleAdd);
+  rsiToggleEl.addEventListener('change', handleRsiToggle);
+  viewportEl.addEventListener('scroll', scheduleRender, { passive: true });
+  window.addEventListener('resize', scheduleRender);
+  window.addEventListener('storage', handleStorage);
+
+  readWatchlist();
+  renderHeader();
+  refresh();
+  const refreshTimer = setInterval(refresh, REFRESH_MS);
+
+  return () => {
+    disposed = true;
+    clearInterval(refreshTimer);
+    rsiQueue.clear();
+    viewportEl.removeEventListener('scroll', scheduleRender);
+    window.removeEventListener('resize', scheduleRender);
+    window.removeEventListener('storage', handleStorage);
+  };
+}
@@ -1,203 +1,526 @@
 // src/scripts/technicalIndicators.js
 
 /**
- * Calcula la Media Móvil Simple (SMA).
- * @param {number[]} data - Array de precios de cierre.
- * @param {number} period - El período de la SMA (ej. 20).
- * @returns {number[]} Un array de valores SMA. El array tiene menos elementos que `data` (data.length - period + 1).
- *                    Retorna un array vacío si los datos no son suficientes.
+ * @file Biblioteca de indicadores técnicos.
+ * Todas las funciones reciben `KlineObject[]` en orden cronológico y devuelven una serie
+ * de la misma longitud, alineada por `openTime`: el elemento `i` corresponde a la vela `i`.
+ * Durante el período de calentamiento (cuando aún no hay datos suficientes) los valores son `null`.
  */
-export function calculateSMA(data, period) {
-  if (!data || data.length < period) {
-    return [];
-  }
-  const smaValues = [];
-  for (let i = 0; i <= data.length - period; i++) {
-    const sum = data.slice(i, i + period).reduce((acc, val) => acc + val, 0);
-    smaValues.push(sum / period);
-  }
-  return smaValues;
+
+/**
+ * @typedef {import('./binanceAPI.js').KlineObject} KlineObject
+ */
+
+/**
+ * Campo de la vela usado como entrada de los indicadores de un solo precio.
+ * 'hlc3' es el precio típico (high + low + close) / 3.
+ * @typedef {'open' | 'high' | 'low' | 'close' | 'hlc3'} PriceSource
+ */
+
+/**
+ * Punto de una serie de un solo valor.
+ * @typedef {object} IndicatorPoint
+ * @property {number} time - `openTime` de la vela correspondiente.
+ * @property {number | null} value - null durante el calentamiento.
+ */
+
+/**
+ * @typedef {object} MACDPoint
+ * @property {number} time
+ * @property {number | null} macd - EMA corta - EMA larga.
+ * @property {number | null} signal - EMA de la línea MACD.
+ * @property {number | null} histogram - macd - signal.
+ */
+
+/**
+ * @typedef {object} BollingerPoint
+ * @property {number} time
+ * @property {number | null} middle - SMA del período.
+ * @property {number | null} upper - middle + multiplicador * desviación estándar.
+ * @property {number | null} lower - middle - multiplicador * desviación estándar.
+ */
+
+/**
+ * @typedef {object} StochasticPoint
+ * @property {number} time
+ * @property {number | null} k - %K (suavizado si `kSmoothing` > 1).
+ * @property {number | null} d - SMA de %K.
+ */
+
+/**
+ * @typedef {object} ADXPoint
+ * @property {number} time
+ * @property {number | null} adx
+ * @property {number | null} plusDI
+ * @property {number | null} minusDI
+ */
+
+/**
+ * @typedef {object} ParabolicSARPoint
+ * @property {number} time
+ * @property {number | null} value
+ * @property {boolean | null} isUptrend - true si el SAR está por debajo del precio (tendencia alcista).
+ */
+
+/**
+ * @typedef {object} IchimokuPoint
+ * @property {number} time
+ * @property {number | null} conversion - Tenkan-sen.
+ * @property {number | null} base - Kijun-sen.
+ * @property {number | null} spanA - Senkou Span A, ya desplazada: es el valor de la nube en esta vela.
+ * @property {number | null} spanB - Senkou Span B, ya desplazada.
+ * @property {number | null} lagging - Chikou Span: cierre de `displacement` velas después (null en las últimas).
+ */
+
+// --- Utilidades internas ---
+
+/**
+ * Obtiene el precio de entrada de una vela según la fuente indicada.
+ * @param {KlineObject} kline
+ * @param {PriceSource} source
+ * @returns {number}
+ */
+export function priceOf(kline, source) {
+  if (source === 'hlc3') return (kline.high + kline.low + kline.close) / 3;
+  return kline[source];
 }
 
 /**
- * Calcula la Media Móvil Exponencial (EMA).
- * @param {number[]} data - Array de precios de cierre.
- * @param {number} period - El período de la EMA.
- * @returns {number[]} Un array de valores EMA. Tiene la misma longitud que `data` pero los primeros `period-1` valores son menos precisos.
- *                    Retorna un array vacío si los datos no son suficientes.
+ * Construye una serie `{ time, value }` alineada con las velas.
+ * @param {KlineObject[]} klines
+ * @param {Array<number | null>} values
+ * @returns {IndicatorPoint[]}
  */
-export function calculateEMA(data, period) {
-  if (!data || data.length < period) {
-    return [];
+function toSeries(klines, values) {
+  return klines.map((kline, i) => ({ time: kline.openTime, value: values[i] ?? null }));
+}
+
+/**
+ * SMA sobre un array de valores; los `null` iniciales se respetan y la media empieza tras `period` valores.
+ * @param {Array<number | null>} values
+ * @param {number} period
+ * @returns {Array<number | null>}
+ */
+function smaOfValues(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+  let count = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] === null) continue;
+    sum += values[i];
+    count++;
+    if (count > period) sum -= values[i - period];
+    if (count >= period) result[i] = sum / period;
   }
-  const emaValues = new Array(data.length).fill(0);
+  return result;
+}
+
+/**
+ * EMA sobre un array de valores. Se inicializa con la SMA de los primeros `period` valores no nulos.
+ * @param {Array<number | null>} values
+ * @param {number} period
+ * @returns {Array<number | null>}
+ */
+function emaOfValues(values, period) {
+  const result = new Array(values.length).fill(null);
   const multiplier = 2 / (period + 1);
-  
-  // La primera EMA es una SMA
-  let sumForFirstEma = 0;
-  for (let i = 0; i < period; i++) {
-    sumForFirstEma += data[i];
+  let seedSum = 0;
+  let count = 0;
+  let ema = null;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] === null) continue;
+    count++;
+    if (count < period) {
+      seedSum += values[i];
+    } else if (count === period) {
+      ema = (seedSum + values[i]) / period;
+      result[i] = ema;
+    } else {
+      ema = (values[i] - ema) * multiplier + ema;
+      result[i] = ema;
+    }
   }
-  emaValues[period - 1] = sumForFirstEma / period;
+  return result;
+}
 
-  // Calcular EMA para el resto de los valores
-  for (let i = period; i < data.length; i++) {
-    emaValues[i] = (data[i] - emaValues[i-1]) * multiplier + emaValues[i-1];
+/**
+ * Media suavizada de Wilder (RMA): se inicializa con la SMA de los primeros `period` valores no nulos.
+ * @param {Array<number | null>} values
+ * @param {number} period
+ * @returns {Array<number | null>}
+ */
+function wilderOfValues(values, period) {
+  const result = new Array(values.length).fill(null);
+  let seedSum = 0;
+  let count = 0;
+  let average = null;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] === null) continue;
+    count++;
+    if (count < period) {
+      seedSum += values[i];
+    } else if (count === period) {
+      average = (seedSum + values[i]) / period;
+      result[i] = average;
+    } else {
+      average = (average * (period - 1) + values[i]) / period;
+      result[i] = average;
+    }
   }
-  // Para tener valores desde el inicio, podrías retornar emaValues.slice(period - 1)
-  // o ajustar el bucle, pero esta forma es común para iniciar el cálculo.
-  // Por simplicidad, retornamos todos, pero ten en cuenta que los primeros son menos fiables o cero si no se ajusta.
-  // Para ser más precisos, muchos comienzan el cálculo de EMA después de tener suficientes datos para la primera SMA.
-  // Aquí, devolvemos la serie completa, pero los valores antes de `period-1` no son EMAs "completas".
-  return emaValues; 
+  return result;
 }
 
 /**
- * Calcula el Índice de Fuerza Relativa (RSI).
- * @param {number[]} data - Array de precios de cierre.
- * @param {number} period - El período del RSI (ej. 14).
- * @returns {number[]} Un array de valores RSI. El array es más corto que `data`.
- *                    Retorna un array vacío si los datos no son suficientes.
+ * Máximo de `high` y mínimo de `low` en la ventana que termina en `index`.
+ * @param {KlineObject[]} klines
+ * @param {number} index
+ * @param {number} period
+ * @returns {{ highest: number, lowest: number }}
  */
-export function calculateRSI(data, period) {
-  if (!data || data.length < period + 1) { // Se necesita al menos period+1 precios para un cambio
-    return [];
+function rangeAt(klines, index, period) {
+  let highest = -Infinity;
+  let lowest = Infinity;
+  for (let j = index - period + 1; j <= index; j++) {
+    if (klines[j].high > highest) highest = klines[j].high;
+    if (klines[j].low < lowest) lowest = klines[j].low;
   }
+  return { highest, lowest };
+}
+
+/**
+ * Rango verdadero (True Range) de cada vela. La primera usa high - low.
+ * @param {KlineObject[]} klines
+ * @returns {number[]}
+ */
+function trueRanges(klines) {
+  return klines.map((kline, i) => {
+    if (i === 0) return kline.high - kline.low;
+    const prevClose = klines[i - 1].close;
+    return Math.max(kline.high - kline.low, Math.abs(kline.high - prevClose), Math.abs(kline.low - prevClose));
+  });
+}
 
-  const rsiValues = [];
-  let gains = [];
-  let losses = [];
+// --- Indicadores ---
 
-  // Calcular cambios iniciales
-  for (let i = 1; i < data.length; i++) {
-    const change = data[i] - data[i-1];
-    if (change > 0) {
-      gains.push(change);
-      losses.push(0);
-    } else {
-      gains.push(0);
-      losses.push(Math.abs(change));
+/**
+ * Calcula la Media Móvil Simple (SMA).
+ * @param {KlineObject[]} klines - Velas en orden cronológico.
+ * @param {number} period - El período de la SMA (ej. 20).
+ * @param {PriceSource} [source='close'] - Precio de entrada.
+ * @returns {IndicatorPoint[]} Serie alineada; los primeros `period - 1` valores son null.
+ */
+export function calculateSMA(klines, period, source = 'close') {
+  return toSeries(klines, smaOfValues(klines.map(kline => priceOf(kline, source)), period));
+}
+
+/**
+ * Calcula la Media Móvil Exponencial (EMA), inicializada con la SMA de los primeros `period` precios.
+ * @param {KlineObject[]} klines - Velas en orden cronológico.
+ * @param {number} period - El período de la EMA.
+ * @param {PriceSource} [source='close'] - Precio de entrada.
+ * @returns {IndicatorPoint[]} Serie alineada; los primeros `period - 1` valores son null.
+ */
+export function calculateEMA(klines, period, source = 'close') {
+  return toSeries(klines, emaOfValues(klines.map(kline => priceOf(kline, source)), period));
+}
+
+/**
+ * Calcula el Índice de Fuerza Relativa (RSI) con el suavizado de Wilder.
+ * @param {KlineObject[]} klines - Velas en orden cronológico.
+ * @param {number} [period=14] - El período del RSI.
+ * @returns {IndicatorPoint[]} Serie alineada; los primeros `period` valores son null.
+ */
+export function calculateRSI(klines, period = 14) {
+  const gains = klines.map((kline, i) => (i === 0 ? null : Math.max(kline.close - klines[i - 1].close, 0)));
+  const losses = klines.map((kline, i) => (i === 0 ? null : Math.max(klines[i - 1].close - kline.close, 0)));
+  const avgGains = wilderOfValues(gains, period);
+  const avgLosses = wilderOfValues(losses, period);
+
+  return toSeries(klines, avgGains.map((avgGain, i) => {
+    if (avgGain === null) return null;
+    if (avgLosses[i] === 0) return 100; // Evitar división por cero si todas las pérdidas son 0
+    return 100 - (100 / (1 + avgGain / avgLosses[i]));
+  }));
+}
+
+/**
+ * Calcula la Convergencia/Divergencia de Medias Móviles (MACD).
+ * @param {KlineObject[]} klines - Velas en orden cronológico.
+ * @param {number} [shortPeriod=12] - Período corto para EMA.
+ * @param {number} [longPeriod=26] - Período largo para EMA.
+ * @param {number} [signalPeriod=9] - Período de la EMA de la línea MACD (línea de señal).
+ * @returns {MACDPoint[]} Serie alineada. `macd` es null en las primeras `longPeriod - 1` velas;
+ *                        `signal` e `histogram`, en las primeras `longPeriod + signalPeriod - 2`.
+ */
+export function calculateMACD(klines, shortPeriod = 12, longPeriod = 26, signalPeriod = 9) {
+  const closes = klines.map(kline => kline.close);
+  const emaShort = emaOfValues(closes, shortPeriod);
+  const emaLong = emaOfValues(closes, longPeriod);
+  const macdLine = emaLong.map((long, i) => (long === null || emaShort[i] === null ? null : emaShort[i] - long));
+  const signalLine = emaOfValues(macdLine, signalPeriod);
+
+  return klines.map((kline, i) => ({
+    time: kline.openTime,
+    macd: macdLine[i],
+    signal: signalLine[i],
+    histogram: macdLine[i] === null || signalLine[i] === null ? null : macdLine[i] - signalLine[i],
+  }));
+}
+
+/**
+ * Calcula las Bandas de Bollinger (desviación estándar poblacional).
+ * @param {KlineObject[]} klines - Velas en orden cronológico.
+ * @param {number} [period=20]
+ * @param {number} [multiplier=2] - Número de desviaciones estándar de las bandas.
+ * @returns {BollingerPoint[]} Serie alineada; null en las primeras `period - 1` velas.
+ */
+export function calculateBollingerBands(klines, period = 20, multiplier = 2) {
+  const closes = klines.map(kline => kline.close);
+  const middle = smaOfValues(closes, period);
+
+  return klines.map((kline, i) => {
+    if (middle[i] === null) {
+      return { time: kline.openTime, middle: null, upper: null, lower: null };
     }
-  }
-  
-  if (gains.length < period) return []; // No hay suficientes datos para el primer promedio
-
-  let avgGain = gains.slice(0, period).reduce((sum, val) => sum + val, 0) / period;
-  let avgLoss = losses.slice(0, period).reduce((sum, val) => sum + val, 0) / period;
-  
-  if (avgLoss === 0) {
-    rsiValues.push(100); // Evitar división por cero si todas las pérdidas son 0
-  } else {
-    const rs = avgGain / avgLoss;
-    rsiValues.push(100 - (100 / (1 + rs)));
-  }
+    let sumSquares = 0;
+    for (let j = i - period + 1; j <= i; j++) {
+      sumSquares += (closes[j] - middle[i]) ** 2;
+    }
+    const deviation = Math.sqrt(sumSquares / period);
+    return {
+      time: kline.openTime,
+      middle: middle[i],
+      upper: middle[i] + multiplier * deviation,
+      lower: middle[i] - multiplier * deviation,
+    };
+  });
+}
 
-  // Calcular RSI subsiguientes (Smoothed RSI)
-  for (let i = period; i < gains.length; i++) {
-    avgGain = (avgGain * (period - 1) + gains[i]) / period;
-    avgLoss = (avgLoss * (period - 1) + losses[i]) / period;
+/**
+ * Calcula el Rango Verdadero Medio (ATR) con el suavizado de Wilder.
+ * @param {KlineObject[]} klines - Velas en orden cronológico.
+ * @param {number} [period=14]
+ * @returns {IndicatorPoint[]} Serie alineada; null en las primeras `period - 1` velas.
+ */
+export function calculateATR(klines, period = 14) {
+  return toSeries(klines, wilderOfValues(trueRanges(klines), period));
+}
 
-    if (avgLoss === 0) {
-      rsiValues.push(100);
-    } else {
-      const rs = avgGain / avgLoss;
-      rsiValues.push(100 - (100 / (1 + rs)));
+/**
+ * Calcula el Oscilador Estocástico.
+ * @param {KlineObject[]} klines - Velas en orden cronológico.
+ * @param {number} [kPeriod=14] - Ventana del máximo/mínimo.
+ * @param {number} [dPeriod=3] - Período de la SMA de %K (línea %D).
+ * @param {number} [kSmoothing=1] - Suavizado de %K (1 = estocástico rápido, 3 = lento).
+ * @returns {StochasticPoint[]} Serie alineada.
+ */
+export function calculateStochastic(klines, kPeriod = 14, dPeriod = 3, kSmoothing = 1) {
+  const rawK = klines.map((kline, i) => {
+    if (i < kPeriod - 1) return null;
+    const { highest, lowest } = rangeAt(klines, i, kPeriod);
+    return highest === lowest ? 50 : 100 * (kline.close - lowest) / (highest - lowest);
+  });
+  const k = kSmoothing > 1 ? smaOfValues(rawK, kSmoothing) : rawK;
+  const d = smaOfValues(k, dPeriod);
+
+  return klines.map((kline, i) => ({ time: kline.openTime, k: k[i], d: d[i] }));
+}
+
+/**
+ * Calcula el Índice Direccional Medio (ADX) y los indicadores direccionales +DI/-DI (Wilder).
+ * @param {KlineObject[]} klines - Velas en orden cronológico.
+ * @param {number} [period=14]
+ * @returns {ADXPoint[]} Serie alineada. +DI/-DI empiezan en la vela `period`; ADX en la vela `2 * period - 1`.
+ */
+export function calculateADX(klines, period = 14) {
+  const trs = trueRanges(klines).map((tr, i) => (i === 0 ? null : tr));
+  const plusDM = klines.map((kline, i) => {
+    if (i === 0) return null;
+    const up = kline.high - klines[i - 1].high;
+    const down = klines[i - 1].low - kline.low;
+    return up > down && up > 0 ? up : 0;
+  });
+  const minusDM = klines.map((kline, i) => {
+    if (i === 0) return null;
+    const up = kline.high - klines[i - 1].high;
+    const down = klines[i - 1].low - kline.low;
+    return down > up && down > 0 ? down : 0;
+  });
+
+  const smoothedTR = wilderOfValues(trs, period);
+  const smoothedPlusDM = wilderOfValues(plusDM, period);
+  const smoothedMinusDM = wilderOfValues(minusDM, period);
+
+  const plusDI = smoothedTR.map((tr, i) => (tr === null ? null : tr === 0 ? 0 : 100 * smoothedPlusDM[i] / tr));
+  const minusDI = smoothedTR.map((tr, i) => (tr === null ? null : tr === 0 ? 0 : 100 * smoothedMinusDM[i] / tr));
+  const dx = plusDI.map((plus, i) => {
+    if (plus === null) return null;
+    const sum = plus + minusDI[i];
+    return sum === 0 ? 0 : 100 * Math.abs(plus - minusDI[i]) / sum;
+  });
+  const adx = wilderOfValues(dx, period);
+
+  return klines.map((kline, i) => ({ time: kline.openTime, adx: adx[i], plusDI: plusDI[i], minusDI: minusDI[i] }));
+}
+
+/**
+ * Calcula el On-Balance Volume (OBV). Empieza en 0 en la primera vela.
+ * @param {KlineObject[]} klines - Velas en orden cronológico.
+ * @returns {IndicatorPoint[]} Serie alineada (sin calentamiento).
+ */
+export function calculateOBV(klines) {
+  let obv = 0;
+  return toSeries(klines, klines.map((kline, i) => {
+    if (i > 0) {
+      if (kline.close > klines[i - 1].close) obv += kline.volume;
+      else if (kline.close < klines[i - 1].close) obv -= kline.volume;
     }
-  }
-  return rsiValues;
+    return obv;
+  }));
 }
 
+/**
+ * Calcula el Precio Medio Ponderado por Volumen (VWAP) con el precio típico (hlc3).
+ * @param {KlineObject[]} klines - Velas en orden cronológico.
+ * @param {'day' | 'week' | null} [anchor='day'] - Reinicia el acumulado al comenzar cada día/semana (UTC);
+ *                                               null acumula sobre toda la serie.
+ * @returns {IndicatorPoint[]} Serie alineada; null mientras el volumen acumulado sea 0.
+ */
+export function calculateVWAP(klines, anchor = 'day') {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  // Las semanas de Binance empiezan el lunes; el epoch Unix fue jueves (desfase de 4 días).
+  const anchorKey = (time) => {
+    if (anchor === 'day') return Math.floor(time / DAY_MS);
+    if (anchor === 'week') return Math.floor((time / DAY_MS + 3) / 7);
+    return 0;
+  };
+
+  let currentKey = null;
+  let cumulativePV = 0;
+  let cumulativeVolume = 0;
+  return toSeries(klines, klines.map(kline => {
+    const key = anchorKey(kline.openTime);
+    if (key !== currentKey) {
+      currentKey = key;
+      cumulativePV = 0;
+      cumulativeVolume = 0;
+    }
+    cumulativePV += priceOf(kline, 'hlc3') * kline.volume;
+    cumulativeVolume += kline.volume;
+    return cumulativeVolume === 0 ? null : cumulativePV / cumulativeVolume;
+  }));
+}
 
 /**
- * Calcula la Convergencia/Divergencia de Medias Móviles (MACD).
- * @param {number[]} data - Array de precios de cierre.
- * @param {number} shortPeriod - Período corto para EMA (ej. 12).
- * @param {number} longPeriod - Período largo para EMA (ej. 26).
- * @param {number} signalPeriod - Período para la EMA de la línea MACD (línea de señal, ej. 9).
- * @returns {object} Un objeto con `macdLine`, `signalLine`, e `histogram`. 
- *                   Cada uno es un array de números. Retorna objeto con arrays vacíos si los datos no son suficientes.
- */
-export function calculateMACD(data, shortPeriod = 12, longPeriod = 26, signalPeriod = 9) {
-  if (!data || data.length < longPeriod + signalPeriod) { // Estimación conservadora de datos necesarios
-    return { macdLine: [], signalLine: [], histogram: [] };
-  }
+ * Calcula el %R de Williams (de -100 a 0).
+ * @param {KlineObject[]} klines - Velas en orden cronológico.
+ * @param {number} [period=14]
+ * @returns {IndicatorPoint[]} Serie alineada; null en las primeras `period - 1` velas.
+ */
+export function calculateWilliamsR(klines, period = 14) {
+  return toSeries(klines, klines.map((kline, i) => {
+    if (i < period - 1) return null;
+    const { highest, lowest } = rangeAt(klines, i, period);
+    return highest === lowest ? -50 : -100 * (highest - kline.close) / (highest - lowest);
+  }));
+}
+
+/**
+ * Calcula el SAR Parabólico de Wilder.
+ * La tendencia inicial se decide comparando el cierre de las dos primeras velas.
+ * @param {KlineObject[]} klines - Velas en orden cronológico.
+ * @param {number} [step=0.02] - Incremento del factor de aceleración.
+ * @param {number} [maxStep=0.2] - Factor de aceleración máximo.
+ * @returns {ParabolicSARPoint[]} Serie alineada; null en la primera vela.
+ */
+export function calculateParabolicSAR(klines, step = 0.02, maxStep = 0.2) {
+  const result = klines.map(kline => ({ time: kline.openTime, value: null, isUptrend: null }));
+  if (klines.length < 2) return result;
 
-  const emaShort = calculateEMA(data, shortPeriod);
-  const emaLong = calculateEMA(data, longPeriod);
-
-  // Asegurarse de que emaShort y emaLong tengan datos suficientes después del cálculo de EMA
-  // Los valores iniciales de EMA no son "completos", así que empezamos desde donde ambos son válidos.
-  // El cálculo de EMA devuelve un array del mismo tamaño que los datos, pero los primeros `period-1` son de "arranque".
-  // Para alinear, tomamos la parte de los arrays de EMA donde ambos tienen valores significativos.
-  // El primer valor de EMA "completo" está en el índice `period - 1`.
-  // Por lo tanto, para emaLong, el primer valor completo está en `longPeriod - 1`.
-  
-  const macdLine = [];
-  // Empezar desde el punto donde emaLong es válida
-  for (let i = longPeriod - 1; i < data.length; i++) {
-    // Verificar que emaShort[i] y emaLong[i] existan, aunque deberían por el bucle.
-    // Si emaShort no tiene suficientes datos (ej. data muy corta), emaShort[i] podría ser 0 o no fiable.
-    // Esto es una simplificación; librerías robustas manejan esto con más cuidado.
-    if (emaShort[i] !== undefined && emaLong[i] !== undefined) {
-        macdLine.push(emaShort[i] - emaLong[i]);
+  let isUptrend = klines[1].close >= klines[0].close;
+  let sar = isUptrend ? Math.min(klines[0].low, klines[1].low) : Math.max(klines[0].high, klines[1].high);
+  let extremePoint = isUptrend ? Math.max(klines[0].high, klines[1].high) : Math.min(klines[0].low, klines[1].low);
+  let acceleration = step;
+  result[1] = { time: klines[1].openTime, value: sar, isUptrend };
+
+  for (let i = 2; i < klines.length; i++) {
+    const kline = klines[i];
+    let nextSar = sar + acceleration * (extremePoint - sar);
+
+    if (isUptrend) {
+      // El SAR no puede superar los mínimos de las dos velas anteriores
+      nextSar = Math.min(nextSar, klines[i - 1].low, klines[i - 2].low);
+      if (kline.low < nextSar) {
+        isUptrend = false;
+        nextSar = extremePoint;
+        extremePoint = kline.low;
+        acceleration = step;
+      } else if (kline.high > extremePoint) {
+        extremePoint = kline.high;
+        acceleration = Math.min(acceleration + step, maxStep);
+      }
     } else {
-        // Si no hay suficientes datos para un punto, no se puede calcular MACD para ese punto.
-        // Esto no debería ocurrir si la comprobación inicial de data.length es adecuada.
+      nextSar = Math.max(nextSar, klines[i - 1].high, klines[i - 2].high);
+      if (kline.high > nextSar) {
+        isUptrend = true;
+        nextSar = extremePoint;
+        extremePoint = kline.high;
+        acceleration = step;
+      } else if (kline.low < extremePoint) {
+        extremePoint = kline.low;
+        acceleration = Math.min(acceleration + step, maxStep);
+      }
     }
-  }
-  
-  if (macdLine.length < signalPeriod) {
-    return { macdLine: [], signalLine: [], histogram: [] }; // No hay suficientes datos para la línea de señal
-  }
 
-  const signalLine = calculateEMA(macdLine, signalPeriod); // EMA de la línea MACD
-
-  const histogram = [];
-  // El histograma se calcula donde tanto macdLine como signalLine son válidas.
-  // signalLine será más corta que macdLine por `signalPeriod - 1` elementos al inicio debido al cálculo de EMA.
-  // Para alinear, comenzamos desde el punto donde signalLine tiene su primer valor "completo".
-  // El primer valor completo de signalLine (que es una EMA de macdLine) está en el índice `signalPeriod - 1` de `signalLine`
-  // Esto corresponde al índice `(signalPeriod - 1)` en `macdLine` *después* de que `macdLine` haya comenzado.
-  
-  // Longitud de la línea MACD: macdLine.length
-  // Longitud de la línea de señal: signalLine.length (misma que macdLine)
-  // Pero los valores válidos de signalLine comienzan en signalLine[signalPeriod-1]
-  
-  const offset = signalPeriod -1; // Índice del primer valor de EMA "completo" en signalLine
-  for (let i = offset; i < macdLine.length; i++) {
-      // Asegurar que signalLine[i] sea un valor calculado y no uno de los ceros iniciales si calculateEMA los dejara.
-      // La implementación de calculateEMA dada aquí pone el primer valor de EMA en emaValues[period-1].
-      if (macdLine[i] !== undefined && signalLine[i] !== undefined && signalLine[i] !== 0) { // signalLine[i] !== 0 es una heurística aquí.
-          histogram.push(macdLine[i] - signalLine[i]);
-      } else {
-          // Podríamos empujar null o 0 si no queremos acortar el array,
-          // pero es mejor tener sólo los valores calculados.
-      }
-  }
-  
-  // Devolver las líneas alineadas desde el punto donde todas son válidas.
-  // La línea MACD es válida desde el inicio (después de longPeriod).
-  // La línea de señal es válida después de (longPeriod + signalPeriod - 1) puntos de los datos originales.
-  // El histograma también.
-  // Para simplificar la devolución y que el usuario tome el último valor:
-  // Se podría devolver solo los últimos valores o los arrays completos y que el consumidor los alinee o tome el último.
-  // Esta implementación devuelve arrays que pueden tener diferentes longitudes o necesitar alineación por el consumidor.
-  // Para una visualización simple del último valor, esto es suficiente.
-  // Para gráficas, se necesita una alineación cuidadosa.
-
-  // Devolvemos los arrays completos calculados. El consumidor debe tomar los últimos elementos.
-  // O, alternativamente, truncar para que todos tengan la misma longitud (la del histograma).
-  const histLength = histogram.length;
-  if (histLength > 0) {
-      return {
-          macdLine: macdLine.slice(-histLength),
-          signalLine: signalLine.slice(-histLength),
-          histogram: histogram
-      };
-  } else {
-      return { macdLine: [], signalLine: [], histogram: [] };
+    sar = nextSar;
+    result[i] = { time: kline.openTime, value: sar, isUptrend };
   }
+  return result;
 }
 
-// Nota: Estas implementaciones son simplificadas.
-// Las librerías de análisis técnico suelen tener optimizaciones y manejo de casos borde más robustos.
+/**
+ * Calcula la Nube de Ichimoku (Ichimoku Kinko Hyo).
+ * Las Senkou Span se devuelven ya desplazadas `displacement` velas hacia adelante, de modo que el
+ * elemento `i` contiene la nube que corresponde a la vela `i`; la parte de la nube proyectada
+ * más allá de la última vela no se incluye.
+ * @param {KlineObject[]} klines - Velas en orden cronológico.
+ * @param {number} [conversionPeriod=9] - Tenkan-sen.
+ * @param {number} [basePeriod=26] - Kijun-sen.
+ * @param {number} [spanBPeriod=52] - Senkou Span B.
+ * @param {number} [displacement=26] - Desplazamiento de la nube y de la Chikou Span.
+ * @returns {IchimokuPoint[]} Serie alineada.
+ */
+export function calculateIchimoku(klines, conversionPeriod = 9, basePeriod = 26, spanBPeriod = 52, displacement = 26) {
+  const midpoint = (i, period) => {
+    if (i < period - 1) return null;
+    const { highest, lowest } = rangeAt(klines, i, period);
+    return (highest + lowest) / 2;
+  };
+  const conversion = klines.map((_, i) => midpoint(i, conversionPeriod));
+  const base = klines.map((_, i) => midpoint(i, basePeriod));
+  const spanA = conversion.map((value, i) => (value === null || base[i] === null ? null : (value + base[i]) / 2));
+  const spanB = klines.map((_, i) => midpoint(i, spanBPeriod));
+
+  return klines.map((kline, i) => {
+    const source = i - displacement;
+    return {
+      time: kline.openTime,
+      conversion: conversion[i],
+      base: base[i],
+      spanA: source >= 0 ? spanA[source] : null,
+      spanB: source >= 0 ? spanB[source] : null,
+      lagging: i + displacement < klines.length ? klines[i + displacement].close : null,
+    };
+  });
+}
+
+/**
+ * Devuelve el último punto de una serie, o null si está vacía.
+ * Útil para mostrar el valor actual de un indicador.
+ * @template T
+ * @param {T[]} series
+ * @returns {T | null}
+ */
+export function lastPoint(series) {
+  return series.length > 0 ? series[series.length - 1] : null;
+}
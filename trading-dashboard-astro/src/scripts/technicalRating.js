@@ -0,0 +1,293 @@
+// src/scripts/technicalRating.js
+
+/**
+ * @file Rating técnico de `CryptoCard.astro` en varias temporalidades. Cada indicador emite un voto de compra,
+ * neutral o venta según las reglas de abajo, y los votos de una temporalidad se agregan en una puntuación de -1
+ * (todos venta) a 1 (todos compra). Funciones puras, compartidas entre el render del servidor y el cliente.
+ *
+ * Reglas de voto (sobre la última vela, la en curso incluida):
+ * - Medias móviles SMA(20), SMA(50), SMA(200), EMA(20), EMA(50): compra si el cierre está por encima de la media,
+ *   venta si está por debajo.
+ * - RSI(14): compra en sobreventa (< 30), venta en sobrecompra (> 70), neutral entre ambos.
+ * - MACD(12,26,9): compra si la línea MACD está por encima de la señal, venta si está por debajo.
+ * - Estocástico(14,3,3): compra si %K < 20 y está por encima de %D, venta si %K > 80 y está por debajo de %D.
+ * - ADX(14): con tendencia (ADX ≥ 20), compra si +DI > -DI y venta si -DI > +DI; sin tendencia, neutral.
+ * - %R de Williams(14): compra por debajo de -80, venta por encima de -20.
+ * Un indicador sin velas suficientes no vota. Puntuación = (compras - ventas) / votos; rating: venta fuerte
+ * (≤ -0,5), venta (≤ -0,1), neutral, compra (≥ 0,1), compra fuerte (≥ 0,5).
+ */
+
+import {
+  calculateSMA,
+  calculateEMA,
+  calculateRSI,
+  calculateMACD,
+  calculateStochastic,
+  calculateADX,
+  calculateWilliamsR,
+  lastPoint,
+} from './technicalIndicators.js';
+import { RSI_OVERBOUGHT, RSI_OVERSOLD } from './indicatorSignals.js';
+import { formatNumber } from './marketFormat.js';
+import { translate, DEFAULT_LOCALE } from './i18n.js';
+
+/**
+ * @typedef {import('./binanceAPI.js').KlineObject} KlineObject
+ * @typedef {import('./indicatorSignals.js').SignalLabel} SignalLabel
+ * @typedef {import('./marketFormat.js').MarketFormatter} MarketFormatter
+ * @typedef {import('./i18n.js').Locale} Locale
+ */
+
+/**
+ * @typedef {'buy' | 'neutral' | 'sell'} Vote
+ * @typedef {'strongSell' | 'sell' | 'neutral' | 'buy' | 'strongBuy'} RatingLevel
+ */
+
+/**
+ * Voto de un indicador.
+ * @typedef {object} IndicatorVote
+ * @property {string} id - Identificador de `RATING_INDICATORS`.
+ * @property {number | null} value - Valor mostrado (la media, el RSI, el histograma MACD, %K, ADX, %R).
+ * @property {Vote | null} vote - null si no hay velas suficientes.
+ */
+
+/**
+ * Rating de una temporalidad.
+ * @typedef {object} TechnicalRating
+ * @property {number} score - De -1 a 1.
+ * @property {RatingLevel} level
+ * @property {number} buy
+ * @property {number} neutral
+ * @property {number} sell
+ * @property {IndicatorVote[]} votes - En el orden de `RATING_INDICATORS`.
+ */
+
+/**
+ * Indicadores que votan. `format` indica cómo se muestra su valor: 'price' en el activo cotizado del par
+ * (medias), 'number' como número de 2 decimales, 'quote' con los decimales del par (MACD). `rule` es la clave
+ * de su regla de voto en las traducciones (`rating.rule.<rule>`).
+ * @type {{ id: string, label: string, format: 'price' | 'number' | 'quote', rule: string }[]}
+ */
+export const RATING_INDICATORS = [
+  { id: 'sma20', label: 'SMA (20)', format: 'price', rule: 'average' },
+  { id: 'sma50', label: 'SMA (50)', format: 'price', rule: 'average' },
+  { id: 'sma200', label: 'SMA (200)', format: 'price', rule: 'average' },
+  { id: 'ema20', label: 'EMA (20)', format: 'price', rule: 'average' },
+  { id: 'ema50', label: 'EMA (50)', format: 'price', rule: 'average' },
+  { id: 'rsi14', label: 'RSI (14)', format: 'number', rule: 'rsi14' },
+  { id: 'macd', label: 'MACD (12,26,9)', format: 'quote', rule: 'macd' },
+  { id: 'stochastic', label: 'Stoch (14,3,3)', format: 'number', rule: 'stochastic' },
+  { id: 'adx', label: 'ADX (14)', format: 'number', rule: 'adx' },
+  { id: 'williamsR', label: '%R (14)', format: 'number', rule: 'williamsR' },
+];
+
+export const RATING_TIMEFRAMES = ['15m', '1h', '4h', '1d'];
+// Velas por temporalidad: la SMA(200) más margen para el calentamiento de las demás.
+export const RATING_HISTORY_LIMIT = 220;
+export const RATING_LEVELS = ['strongSell', 'sell', 'neutral', 'buy', 'strongBuy'];
+
+const STOCHASTIC_OVERSOLD = 20;
+const STOCHASTIC_OVERBOUGHT = 80;
+const ADX_TREND_THRESHOLD = 20;
+const WILLIAMS_OVERSOLD = -80;
+const WILLIAMS_OVERBOUGHT = -20;
+const STRONG_SCORE = 0.5;
+const WEAK_SCORE = 0.1;
+
+const LEVEL_CLASSES = {
+  strongBuy: 'text-green-600 dark:text-green-400',
+  buy: 'text-green-500',
+  neutral: 'text-gray-500 dark:text-gray-400',
+  sell: 'text-red-500',
+  strongSell: 'text-red-600 dark:text-red-400',
+};
+const VOTE_CLASSES = { buy: 'text-green-500', neutral: 'text-gray-500 dark:text-gray-400', sell: 'text-red-500' };
+// Todas las clases de color posibles, para limpiarlas al repintar en el cliente.
+export const RATING_COLOR_CLASSES = [...new Set([...Object.values(LEVEL_CLASSES), ...Object.values(VOTE_CLASSES)].flatMap(className => className.split(' ')))];
+
+/**
+ * @param {number} a
+ * @param {number} b
+ * @returns {Vote}
+ */
+const compare = (a, b) => (a > b ? 'buy' : a < b ? 'sell' : 'neutral');
+
+/**
+ * Voto de una media móvil: el cierre frente a la media.
+ * @param {string} id
+ * @param {number} close
+ * @param {number | null} average
+ * @returns {IndicatorVote}
+ */
+function averageVote(id, close, average) {
+  return { id, value: average, vote: average === null ? null : compare(close, average) };
+}
+
+/**
+ * Voto del estocástico: solo cuenta la posición de %K frente a %D en las zonas extremas.
+ * @param {import('./technicalIndicators.js').StochasticPoint | null} point
+ * @returns {Vote | null}
+ */
+function stochasticVote(point) {
+  if (point?.k == null || point.d === null) return null;
+  if (point.k < STOCHASTIC_OVERSOLD && point.k > point.d) return 'buy';
+  if (point.k > STOCHASTIC_OVERBOUGHT && point.k < point.d) return 'sell';
+  return 'neutral';
+}
+
+/**
+ * Calcula los votos de todos los indicadores con las velas de una temporalidad.
+ * @param {KlineObject[]} klines - En orden cronológico.
+ * @returns {IndicatorVote[]}
+ */
+export function computeVotes(klines) {
+  if (klines.length === 0) return RATING_INDICATORS.map(({ id }) => ({ id, value: null, vote: null }));
+  const close = klines[klines.length - 1].close;
+  const latest = (series) => lastPoint(series)?.value ?? null;
+
+  const rsi = latest(calculateRSI(klines, 14));
+  const macd = lastPoint(calculateMACD(klines, 12, 26, 9));
+  const stochastic = lastPoint(calculateStochastic(klines, 14, 3, 3));
+  const adx = lastPoint(calculateADX(klines, 14));
+  const williamsR = latest(calculateWilliamsR(klines, 14));
+
+  /** @type {Record<string, IndicatorVote>} */
+  const votes = {
+    sma20: averageVote('sma20', close, latest(calculateSMA(klines, 20))),
+    sma50: averageVote('sma50', close, latest(calculateSMA(klines, 50))),
+    sma200: averageVote('sma200', close, latest(calculateSMA(klines, 200))),
+    ema20: averageVote('ema20', close, latest(calculateEMA(klines, 20))),
+    ema50: averageVote('ema50', close, latest(calculateEMA(klines, 50))),
+    rsi14: {
+      id: 'rsi14',
+      value: rsi,
+      vote: rsi === null ? null : rsi < RSI_OVERSOLD ? 'buy' : rsi > RSI_OVERBOUGHT ? 'sell' : 'neutral',
+    },
+    macd: {
+      id: 'macd',
+      value: macd?.histogram ?? null,
+      vote: macd?.histogram == null ? null : compare(macd.macd, macd.signal),
+    },
+    stochastic: {
+      id: 'stochastic',
+      value: stochastic?.k ?? null,
+      vote: stochasticVote(stochastic),
+    },
+    adx: {
+      id: 'adx',
+      value: adx?.adx ?? null,
+      vote: adx?.adx == null ? null : adx.adx < ADX_TREND_THRESHOLD ? 'neutral' : compare(adx.plusDI, adx.minusDI),
+    },
+    williamsR: {
+      id: 'williamsR',
+      value: williamsR,
+      vote: williamsR === null ? null : williamsR < WILLIAMS_OVERSOLD ? 'buy' : williamsR > WILLIAMS_OVERBOUGHT ? 'sell' : 'neutral',
+    },
+  };
+  return RATING_INDICATORS.map(({ id }) => votes[id]);
+}
+
+/**
+ * Nivel de rating de una puntuación.
+ * @param {number} score
+ * @returns {RatingLevel}
+ */
+export function ratingLevel(score) {
+  if (score >= STRONG_SCORE) return 'strongBuy';
+  if (score >= WEAK_SCORE) return 'buy';
+  if (score <= -STRONG_SCORE) return 'strongSell';
+  if (score <= -WEAK_SCORE) return 'sell';
+  return 'neutral';
+}
+
+/**
+ * Rating de una temporalidad a partir de sus velas cerradas: las finales cuyo `closeTime` es posterior a `now`
+ * (la vela en curso) se descartan, así que el rating solo cambia al cerrar una vela.
+ * @param {KlineObject[]} klines
+ * @param {number} [now=Infinity] - Instante actual del proveedor (Unix ms); por defecto se usan todas.
+ * @returns {TechnicalRating | null} null si ningún indicador tiene velas suficientes.
+ */
+export function rateKlines(klines, now = Infinity) {
+  let closedCount = klines.length;
+  while (closedCount > 0 && klines[closedCount - 1].closeTime > now) closedCount--;
+  const votes = computeVotes(klines.slice(0, closedCount));
+  const count = (vote) => votes.filter(item => item.vote === vote).length;
+  const buy = count('buy');
+  const neutral = count('neutral');
+  const sell = count('sell');
+  const total = buy + neutral + sell;
+  if (total === 0) return null;
+  const score = (buy - sell) / total;
+  return { score, level: ratingLevel(score), buy, neutral, sell, votes };
+}
+
+/**
+ * Si las temporalidades coinciden: todas en compra, todas en venta o mezcladas (alguna neutral o en contra).
+ * @param {(TechnicalRating | null)[]} ratings
+ * @returns {'buy' | 'sell' | 'mixed' | null} null si no hay ningún rating.
+ */
+export function timeframeAgreement(ratings) {
+  const levels = ratings.filter(Boolean).map(rating => rating.level);
+  if (levels.length === 0) return null;
+  if (levels.every(level => level === 'buy' || level === 'strongBuy')) return 'buy';
+  if (levels.every(level => level === 'sell' || level === 'strongSell')) return 'sell';
+  return 'mixed';
+}
+
+/**
+ * Posición de la aguja del indicador de rating, en % del ancho (0 = venta fuerte, 100 = compra fuerte).
+ * @param {number} score
+ * @returns {number}
+ */
+export function ratingGaugePosition(score) {
+  return ((score + 1) / 2) * 100;
+}
+
+/**
+ * Etiqueta de un nivel de rating.
+ * @param {RatingLevel} level
+ * @param {Locale} [locale]
+ * @returns {SignalLabel}
+ */
+export function describeRatingLevel(level, locale = DEFAULT_LOCALE) {
+  return { text: translate(locale, `rating.level.${level}`), className: LEVEL_CLASSES[level] };
+}
+
+/**
+ * Etiqueta de un voto.
+ * @param {Vote} vote
+ * @param {Locale} [locale]
+ * @returns {SignalLabel}
+ */
+export function describeVote(vote, locale = DEFAULT_LOCALE) {
+  return { text: translate(locale, `rating.vote.${vote}`), className: VOTE_CLASSES[vote] };
+}
+
+/**
+ * Etiqueta de la coincidencia entre temporalidades.
+ * @param {'buy' | 'sell' | 'mixed' | null} agreement
+ * @param {Locale} [locale]
+ * @returns {SignalLabel | null}
+ */
+export function describeAgreement(agreement, locale = DEFAULT_LOCALE) {
+  if (agreement === null) return null;
+  return {
+    text: translate(locale, `rating.agreement.${agreement}`),
+    className: agreement === 'mixed' ? VOTE_CLASSES.neutral : VOTE_CLASSES[agreement],
+  };
+}
+
+/**
+ * Valor de un indicador tal como se muestra en el detalle de los votos.
+ * @param {'price' | 'number' | 'quote'} format - El de `RATING_INDICATORS`.
+ * @param {number | null} value
+ * @param {MarketFormatter} formatter
+ * @param {Locale} locale
+ * @returns {string}
+ */
+export function formatVoteValue(format, value, formatter, locale) {
+  if (value === null) return '—';
+  if (format === 'price') return formatter.price(value);
+  if (format === 'quote') return formatter.number(value);
+  return formatNumber(value, locale);
+}
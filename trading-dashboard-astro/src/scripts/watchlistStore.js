@@ -0,0 +1,247 @@
+// src/scripts/watchlistStore.js
+
+/**
+ * @file Estado persistente de las watchlists del dashboard (localStorage).
+ * Todas las operaciones son funciones puras que devuelven un estado nuevo; `saveWatchlists` lo persiste.
+ */
+
+import { translate, DEFAULT_LOCALE, LocalizedError } from './i18n.js';
+
+/**
+ * @typedef {import('./i18n.js').Locale} Locale
+ */
+
+/**
+ * Símbolo dentro de una watchlist.
+ * @typedef {object} WatchlistItem
+ * @property {string} symbol - El símbolo del par (ej. 'BTCUSDT').
+ * @property {string} name - Nombre a mostrar (ej. 'Bitcoin' o el activo base).
+ */
+
+/**
+ * Lista con nombre de símbolos.
+ * @typedef {object} Watchlist
+ * @property {string} id
+ * @property {string} name
+ * @property {WatchlistItem[]} items
+ */
+
+/**
+ * Estado completo de las watchlists.
+ * @typedef {object} WatchlistState
+ * @property {number} version
+ * @property {string} activeListId
+ * @property {Watchlist[]} lists
+ */
+
+export const WATCHLIST_STORAGE_KEY = 'dashboard.watchlists';
+const STATE_VERSION = 1;
+const MAX_ITEMS_PER_LIST = 30;
+
+// Lista inicial (la que antes estaba fija en index.astro).
+const DEFAULT_ITEMS = [
+  { name: 'Bitcoin', symbol: 'BTCUSDT' },
+  { name: 'Ethereum', symbol: 'ETHUSDT' },
+  { name: 'Filecoin', symbol: 'FILUSDT' },
+  { name: 'Fetch.ai', symbol: 'FETUSDT' },
+  { name: 'Cardano', symbol: 'ADAUSDT' },
+];
+
+const createId = () => `list-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+/**
+ * Estado por defecto: una única lista "Principal" con las cinco criptomonedas originales.
+ * @param {Locale} [locale] - Idioma del nombre de la lista.
+ * @returns {WatchlistState}
+ */
+export function createDefaultWatchlists(locale = DEFAULT_LOCALE) {
+  const list = { id: createId(), name: translate(locale, 'watchlist.defaultName'), items: DEFAULT_ITEMS.map(item => ({ ...item })) };
+  return { version: STATE_VERSION, activeListId: list.id, lists: [list] };
+}
+
+/**
+ * Valida y normaliza un estado leído de localStorage o de un archivo importado.
+ * @param {unknown} raw
+ * @param {Locale} locale - Idioma del nombre de las listas sin nombre.
+ * @returns {WatchlistState}
+ * @throws {LocalizedError} Si el formato no es válido.
+ */
+function normalizeState(raw, locale) {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.lists) || raw.lists.length === 0) {
+    throw new LocalizedError('watchlist.error.noLists');
+  }
+  const lists = raw.lists.map((list, index) => {
+    if (!list || typeof list.name !== 'string' || !Array.isArray(list.items)) {
+      throw new LocalizedError('watchlist.error.listFormat', { index: index + 1 });
+    }
+    const seen = new Set();
+    const items = list.items
+      .filter(item => item && typeof item.symbol === 'string' && /^[A-Z0-9]{2,20}$/.test(item.symbol))
+      .filter(item => !seen.has(item.symbol) && seen.add(item.symbol))
+      .slice(0, MAX_ITEMS_PER_LIST)
+      .map(item => ({ symbol: item.symbol, name: typeof item.name === 'string' && item.name ? item.name : item.symbol }));
+    return { id: typeof list.id === 'string' && list.id ? list.id : createId(), name: list.name.trim() || translate(locale, 'watchlist.unnamed'), items };
+  });
+  const activeListId = lists.some(list => list.id === raw.activeListId) ? raw.activeListId : lists[0].id;
+  return { version: STATE_VERSION, activeListId, lists };
+}
+
+/**
+ * Lee las watchlists de localStorage; si no existen o están corruptas, devuelve el estado por defecto.
+ * @param {Locale} [locale] - Idioma de los nombres que se generen (lista por defecto, listas sin nombre).
+ * @returns {WatchlistState}
+ */
+export function loadWatchlists(locale = DEFAULT_LOCALE) {
+  try {
+    const stored = localStorage.getItem(WATCHLIST_STORAGE_KEY);
+    return stored ? normalizeState(JSON.parse(stored), locale) : createDefaultWatchlists(locale);
+  } catch (error) {
+    console.warn('No se pudieron leer las watchlists guardadas; se usa la lista por defecto:', error.message);
+    return createDefaultWatchlists(locale);
+  }
+}
+
+/**
+ * Persiste las watchlists en localStorage.
+ * @param {WatchlistState} state
+ */
+export function saveWatchlists(state) {
+  try {
+    localStorage.setItem(WATCHLIST_STORAGE_KEY, JSON.stringify(state));
+  } catch (error) {
+    console.error('No se pudieron guardar las watchlists:', error.message);
+  }
+}
+
+/**
+ * @param {WatchlistState} state
+ * @returns {Watchlist}
+ */
+export function getActiveList(state) {
+  return state.lists.find(list => list.id === state.activeListId) ?? state.lists[0];
+}
+
+/**
+ * Aplica `update` a la lista `listId`.
+ * @param {WatchlistState} state
+ * @param {string} listId
+ * @param {(list: Watchlist) => Watchlist} update
+ * @returns {WatchlistState}
+ */
+function updateList(state, listId, update) {
+  return { ...state, lists: state.lists.map(list => (list.id === listId ? update(list) : list)) };
+}
+
+/**
+ * @param {WatchlistState} state
+ * @param {string} listId
+ * @returns {WatchlistState}
+ */
+export function setActiveList(state, listId) {
+  return state.lists.some(list => list.id === listId) ? { ...state, activeListId: listId } : state;
+}
+
+/**
+ * Crea una lista vacía y la activa.
+ * @param {WatchlistState} state
+ * @param {string} name
+ * @param {Locale} [locale] - Idioma del nombre por defecto si `name` está vacío.
+ * @returns {WatchlistState}
+ */
+export function createList(state, name, locale = DEFAULT_LOCALE) {
+  const list = { id: createId(), name: name.trim() || translate(locale, 'watchlist.newListName'), items: [] };
+  return { ...state, activeListId: list.id, lists: [...state.lists, list] };
+}
+
+/**
+ * @param {WatchlistState} state
+ * @param {string} listId
+ * @param {string} name
+ * @returns {WatchlistState}
+ */
+export function renameList(state, listId, name) {
+  const trimmed = name.trim();
+  return trimmed ? updateList(state, listId, list => ({ ...list, name: trimmed })) : state;
+}
+
+/**
+ * Elimina una lista; siempre queda al menos una.
+ * @param {WatchlistState} state
+ * @param {string} listId
+ * @returns {WatchlistState}
+ */
+export function deleteList(state, listId) {
+  if (state.lists.length <= 1) return state;
+  const lists = state.lists.filter(list => list.id !== listId);
+  const activeListId = state.activeListId === listId ? lists[0].id : state.activeListId;
+  return { ...state, activeListId, lists };
+}
+
+/**
+ * Añade un símbolo al final de una lista (se ignora si ya está o si la lista está llena).
+ * @param {WatchlistState} state
+ * @param {string} listId
+ * @param {WatchlistItem} item
+ * @returns {WatchlistState}
+ */
+export function addSymbol(state, listId, item) {
+  return updateList(state, listId, list => (
+    list.items.some(existing => existing.symbol === item.symbol) || list.items.length >= MAX_ITEMS_PER_LIST
+      ? list
+      : { ...list, items: [...list.items, { symbol: item.symbol, name: item.name }] }
+  ));
+}
+
+/**
+ * @param {WatchlistState} state
+ * @param {string} listId
+ * @param {string} symbol
+ * @returns {WatchlistState}
+ */
+export function removeSymbol(state, listId, symbol) {
+  return updateList(state, listId, list => ({ ...list, items: list.items.filter(item => item.symbol !== symbol) }));
+}
+
+/**
+ * Mueve el símbolo de la posición `fromIndex` a `toIndex` (reordenado por arrastre).
+ * @param {WatchlistState} state
+ * @param {string} listId
+ * @param {number} fromIndex
+ * @param {number} toIndex
+ * @returns {WatchlistState}
+ */
+export function moveSymbol(state, listId, fromIndex, toIndex) {
+  return updateList(state, listId, list => {
+    if (fromIndex === toIndex || !list.items[fromIndex] || toIndex < 0 || toIndex >= list.items.length) return list;
+    const items = [...list.items];
+    const [moved] = items.splice(fromIndex, 1);
+    items.splice(toIndex, 0, moved);
+    return { ...list, items };
+  });
+}
+
+/**
+ * Serializa las watchlists para exportarlas como archivo JSON.
+ * @param {WatchlistState} state
+ * @returns {string}
+ */
+export function exportWatchlists(state) {
+  return JSON.stringify(state, null, 2);
+}
+
+/**
+ * Interpreta un archivo JSON exportado con `exportWatchlists`.
+ * @param {string} json
+ * @param {Locale} [locale]
+ * @returns {WatchlistState}
+ * @throws {LocalizedError} Si el JSON no es válido o no tiene el formato esperado.
+ */
+export function importWatchlists(json, locale = DEFAULT_LOCALE) {
+  let raw;
+  try {
+    raw = JSON.parse(json);
+  } catch {
+    throw new LocalizedError('watchlist.error.invalidJson');
+  }
+  return normalizeState(raw, locale);
+}
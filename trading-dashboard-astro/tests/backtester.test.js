@@ -0,0 +1,138 @@
+// tests/backtester.test.js
+// Backtests sobre velas construidas a mano, con precios redondos para que las operaciones y las métricas se
+// puedan calcular en papel.
+
+import { describe, expect, it } from 'vitest';
+import { normalizeStrategy, runBacktest } from '../src/scripts/backtester.js';
+import { toKlines } from './klines.js';
+
+const MINUTE_MS = 60 * 1000;
+const MINUTES_PER_YEAR = 365 * 24 * 60;
+
+const closeVs = (operator, value) => ({ left: { indicator: 'close' }, operator, right: { indicator: 'value', value } });
+
+/**
+ * Estrategia sin comisión ni deslizamiento y 1000 de capital, salvo que se indique otra cosa.
+ * @param {object} overrides
+ * @returns {import('../src/scripts/backtester.js').Strategy}
+ */
+function strategy(overrides) {
+  return normalizeStrategy({ exit: [], feePercent: 0, slippagePercent: 0, initialCapital: 1000, ...overrides });
+}
+
+describe('runBacktest', () => {
+  // Entra con cierre > 10,5 y sale con cierre > 14.
+  // [open, high, low, close]
+  const SIGNAL_ROWS = [
+    [10, 10, 10, 10],
+    [10, 12, 10, 11], // Señal de entrada al cierre.
+    [12, 13, 11, 12], // Compra a la apertura (12), no al cierre de la señal (11).
+    [12, 16, 12, 15], // Señal de salida al cierre.
+    [14, 14, 13, 13], // Vende a la apertura (14); al cierre vuelve a haber señal de entrada.
+    [13, 13, 11, 11], // Compra a 13.
+    [11, 12, 10, 12], // Última vela: se cierra la posición al cierre (12).
+  ];
+  const signalStrategy = strategy({ entry: [closeVs('above', 10.5)], exit: [closeVs('above', 14)] });
+
+  it('ejecuta las señales a la apertura de la vela siguiente y cierra lo abierto al final de los datos', () => {
+    const { trades } = runBacktest(toKlines(SIGNAL_ROWS), signalStrategy);
+
+    expect(trades).toHaveLength(2);
+    expect(trades[0]).toMatchObject({ entryTime: 2 * MINUTE_MS, entryPrice: 12, exitTime: 4 * MINUTE_MS, exitPrice: 14, exitReason: 'signal', bars: 3 });
+    expect(trades[0].returnPercent).toBeCloseTo((14 / 12 - 1) * 100, 10);
+    expect(trades[0].profit).toBeCloseTo(1000 * 14 / 12 - 1000, 10);
+    expect(trades[1]).toMatchObject({ entryTime: 5 * MINUTE_MS, entryPrice: 13, exitTime: 6 * MINUTE_MS, exitPrice: 12, exitReason: 'end-of-data', bars: 2 });
+    expect(trades[1].returnPercent).toBeCloseTo((12 / 13 - 1) * 100, 10);
+  });
+
+  it('calcula la curva de capital y las métricas', () => {
+    const { equityCurve, metrics } = runBacktest(toKlines(SIGNAL_ROWS), signalStrategy);
+    const afterFirstTrade = 1000 * 14 / 12;
+    const finalEquity = afterFirstTrade * 12 / 13;
+
+    const expectedEquity = [1000, 1000, 1000, 1250, afterFirstTrade, afterFirstTrade * 11 / 13, finalEquity];
+    equityCurve.forEach((point, i) => {
+      expect(point.time).toBe(i * MINUTE_MS);
+      expect(point.equity).toBeCloseTo(expectedEquity[i], 9);
+    });
+
+    expect(metrics.tradeCount).toBe(2);
+    expect(metrics.winRate).toBe(50);
+    expect(metrics.finalEquity).toBeCloseTo(finalEquity, 9);
+    expect(metrics.totalReturnPercent).toBeCloseTo((finalEquity / 1000 - 1) * 100, 9);
+    expect(metrics.buyAndHoldReturnPercent).toBeCloseTo(20, 9);
+    // Del máximo de 1250 (vela 3) al mínimo de la vela 5.
+    expect(metrics.maxDrawdownPercent).toBeCloseTo((1 - afterFirstTrade * 11 / 13 / 1250) * 100, 9);
+
+    // Rendimientos por vela desde el capital inicial, anualizados con velas de 1m (desviación muestral).
+    const equity = [1000, ...expectedEquity];
+    const returns = equity.slice(1).map((value, i) => value / equity[i] - 1);
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const deviation = Math.sqrt(returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1));
+    expect(metrics.sharpeRatio).toBeCloseTo(mean / deviation * Math.sqrt(MINUTES_PER_YEAR), 6);
+    expect(metrics.sharpeRatio).toBeCloseTo(98.167, 3);
+  });
+
+  it('aplica el deslizamiento a cada precio y la comisión a cada lado', () => {
+    const klines = toKlines(SIGNAL_ROWS.slice(0, 5));
+    const { trades, metrics } = runBacktest(klines, { ...signalStrategy, feePercent: 0.1, slippagePercent: 0.05 });
+    const entryPrice = 12 * 1.0005;
+    const exitPrice = 14 * 0.9995;
+    const finalEquity = 1000 / (entryPrice * 1.001) * exitPrice * 0.999;
+
+    expect(trades).toHaveLength(1);
+    expect(trades[0].entryPrice).toBeCloseTo(entryPrice, 10);
+    expect(trades[0].exitPrice).toBeCloseTo(exitPrice, 10);
+    expect(trades[0].profit).toBeCloseTo(finalEquity - 1000, 9);
+    expect(metrics.finalEquity).toBeCloseTo(finalEquity, 9);
+  });
+
+  it('sale a la apertura si la vela abre por debajo del stop-loss', () => {
+    const klines = toKlines([
+      [100, 100, 100, 100], // Señal de entrada.
+      [100, 101, 99, 100], // Compra a 100; stop en 90.
+      [85, 86, 80, 84], // Abre en 85, por debajo del stop: se vende a 85, no a 90.
+    ]);
+    const { trades, metrics } = runBacktest(klines, strategy({ entry: [closeVs('below', 100.5)], stopLossPercent: 10 }));
+
+    expect(trades).toHaveLength(1);
+    expect(trades[0]).toMatchObject({ entryPrice: 100, exitPrice: 85, exitReason: 'stop-loss', exitTime: 2 * MINUTE_MS, bars: 2 });
+    expect(metrics.totalReturnPercent).toBeCloseTo(-15, 9);
+    expect(metrics.maxDrawdownPercent).toBeCloseTo(15, 9);
+    expect(metrics.winRate).toBe(0);
+  });
+
+  it('sale al precio del stop-loss si lo toca dentro de la vela', () => {
+    const klines = toKlines([[100, 100, 100, 100], [100, 101, 92, 99]]);
+    const { trades } = runBacktest(klines, strategy({ entry: [closeVs('below', 100.5)], stopLossPercent: 5 }));
+
+    expect(trades).toHaveLength(1);
+    expect(trades[0]).toMatchObject({ exitPrice: 95, exitReason: 'stop-loss', bars: 1 });
+  });
+
+  it('asume el stop-loss si la vela toca el stop-loss y el take-profit', () => {
+    const klines = toKlines([[100, 100, 100, 100], [100, 106, 94, 104]]);
+    const { trades } = runBacktest(klines, strategy({ entry: [closeVs('below', 100.5)], stopLossPercent: 5, takeProfitPercent: 5 }));
+
+    expect(trades).toHaveLength(1);
+    expect(trades[0]).toMatchObject({ exitPrice: 95, exitReason: 'stop-loss' });
+    expect(trades[0].returnPercent).toBeCloseTo(-5, 9);
+  });
+
+  it('sale a la apertura si la vela abre por encima del take-profit', () => {
+    const klines = toKlines([[100, 100, 100, 100], [100, 101, 99, 100.6], [110, 112, 108, 111]]);
+    const { trades } = runBacktest(klines, strategy({ entry: [closeVs('below', 100.5)], stopLossPercent: 5, takeProfitPercent: 5 }));
+
+    expect(trades).toHaveLength(1);
+    expect(trades[0]).toMatchObject({ exitPrice: 110, exitReason: 'take-profit' });
+  });
+
+  it('no abre posición con la señal de la última vela', () => {
+    const klines = toKlines([[10, 10, 10, 10], [10, 10, 10, 10], [10, 12, 10, 11]]);
+    const { trades, equityCurve, metrics } = runBacktest(klines, strategy({ entry: [closeVs('above', 10.5)] }));
+
+    expect(trades).toEqual([]);
+    expect(equityCurve.map(point => point.equity)).toEqual([1000, 1000, 1000]);
+    expect(metrics).toMatchObject({ finalEquity: 1000, totalReturnPercent: 0, maxDrawdownPercent: 0, sharpeRatio: null, winRate: null, tradeCount: 0 });
+  });
+});
@@ -0,0 +1,41 @@
+// tests/binanceTransport.test.js
+// Transporte contra un `fetch` simulado: sin red ni esperas (`retryBaseDelayMs: 0`).
+
+import { describe, expect, it } from 'vitest';
+import { createTransport, NetworkError } from '../src/scripts/binanceTransport.js';
+
+/**
+ * `fetch` simulado que responde 200 con el cuerpo indicado y cuenta las llamadas.
+ * @param {(url: string) => string} body - Texto de la respuesta para cada URL.
+ */
+function fakeFetch(body) {
+  const calls = [];
+  const fetchImpl = async (url) => {
+    calls.push(url);
+    return new Response(body(url), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+  return { fetchImpl, calls };
+}
+
+describe('createTransport', () => {
+  it('convierte un cuerpo 200 que no es JSON en NetworkError tras los reintentos', async () => {
+    const { fetchImpl, calls } = fakeFetch(() => '<html>502 Bad Gateway</html>');
+    const transport = createTransport({ baseUrl: 'https://api.test', fetchImpl, maxRetries: 2, retryBaseDelayMs: 0 });
+
+    const error = await transport.request('/klines', { symbol: 'BTCUSDT' }).catch(e => e);
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error).toMatchObject({ status: 200, endpoint: '/klines' });
+    expect(calls).toHaveLength(3);
+  });
+
+  it('descarta las respuestas más antiguas al superar maxCacheEntries', async () => {
+    const { fetchImpl, calls } = fakeFetch(url => JSON.stringify({ url }));
+    const transport = createTransport({ baseUrl: 'https://api.test', fetchImpl, defaultCacheTtlMs: 60000, maxCacheEntries: 2 });
+
+    for (const symbol of ['A', 'B', 'C']) await transport.request('/ticker', { symbol });
+    await transport.request('/ticker', { symbol: 'C' });
+    expect(calls).toHaveLength(3);
+    await transport.request('/ticker', { symbol: 'A' });
+    expect(calls).toHaveLength(4);
+  });
+});
@@ -0,0 +1,92 @@
+// tests/incrementalIndicators.test.js
+// Cada indicador incremental, alimentado vela a vela como lo hace el stream (varias actualizaciones de la vela en
+// curso antes de que cierre), debe dar en cada paso el mismo punto que la serie de `technicalIndicators.js`
+// calculada sobre las velas recibidas hasta ese momento.
+
+import { describe, expect, it } from 'vitest';
+import * as batch from '../src/scripts/technicalIndicators.js';
+import * as incremental from '../src/scripts/incrementalIndicators.js';
+import { wavyKlines } from './klines.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+// 150 velas de 1h desde el domingo 4 de enero de 2026 a las 12:00 UTC: cruzan varios días y el inicio de una
+// semana (lunes), para los reinicios del VWAP.
+const KLINES = wavyKlines(150, Date.UTC(2026, 0, 4, 12), HOUR_MS);
+
+// [nombre, serie completa, indicador incremental nuevo]
+const CASES = [
+  ['SMA(20)', klines => batch.calculateSMA(klines, 20), () => incremental.createIncrementalSMA(20)],
+  ['SMA(10, hlc3)', klines => batch.calculateSMA(klines, 10, 'hlc3'), () => incremental.createIncrementalSMA(10, 'hlc3')],
+  ['EMA(20)', klines => batch.calculateEMA(klines, 20), () => incremental.createIncrementalEMA(20)],
+  ['RSI(14)', klines => batch.calculateRSI(klines), () => incremental.createIncrementalRSI()],
+  ['MACD(12, 26, 9)', klines => batch.calculateMACD(klines), () => incremental.createIncrementalMACD()],
+  ['Bollinger(20, 2)', klines => batch.calculateBollingerBands(klines), () => incremental.createIncrementalBollingerBands()],
+  ['ATR(14)', klines => batch.calculateATR(klines), () => incremental.createIncrementalATR()],
+  ['Estocástico(14, 3)', klines => batch.calculateStochastic(klines), () => incremental.createIncrementalStochastic()],
+  ['Estocástico lento(14, 3, 3)', klines => batch.calculateStochastic(klines, 14, 3, 3), () => incremental.createIncrementalStochastic(14, 3, 3)],
+  ['ADX(14)', klines => batch.calculateADX(klines), () => incremental.createIncrementalADX()],
+  ['OBV', klines => batch.calculateOBV(klines), () => incremental.createIncrementalOBV()],
+  ['VWAP diario', klines => batch.calculateVWAP(klines), () => incremental.createIncrementalVWAP()],
+  ['VWAP semanal', klines => batch.calculateVWAP(klines, 'week'), () => incremental.createIncrementalVWAP('week')],
+  ['VWAP sin ancla', klines => batch.calculateVWAP(klines, null), () => incremental.createIncrementalVWAP(null)],
+  ['Williams %R(14)', klines => batch.calculateWilliamsR(klines), () => incremental.createIncrementalWilliamsR()],
+  ['SAR parabólico', klines => batch.calculateParabolicSAR(klines), () => incremental.createIncrementalParabolicSAR()],
+  // La Chikou Span depende de cierres futuros: el incremental siempre la deja en null.
+  ['Ichimoku(9, 26, 52, 26)', klines => batch.calculateIchimoku(klines).map(point => ({ ...point, lagging: null })), () => incremental.createIncrementalIchimoku()],
+];
+
+/**
+ * Versiones parciales de una vela tal como llegan por el stream antes de cerrar: recién abierta y a mitad.
+ * @param {import('../src/scripts/binanceAPI.js').KlineObject} kline
+ */
+function partialUpdates(kline) {
+  const { open, high, low, volume } = kline;
+  return [
+    { ...kline, high: open, low: open, close: open, volume: volume / 3 },
+    { ...kline, close: (high + low) / 2, volume: volume * 2 / 3 },
+  ];
+}
+
+/**
+ * Compara dos puntos campo a campo: los null deben coincidir y los números, con tolerancia relativa.
+ * @param {object} actual
+ * @param {object} expected
+ * @param {string} label
+ */
+function expectSamePoint(actual, expected, label) {
+  expect(Object.keys(actual).sort(), label).toEqual(Object.keys(expected).sort());
+  for (const [key, value] of Object.entries(expected)) {
+    if (typeof value !== 'number') {
+      expect(actual[key], `${label} ${key}`).toBe(value);
+    } else {
+      expect(actual[key], `${label} ${key}`).not.toBeNull();
+      expect(Math.abs(actual[key] - value), `${label} ${key}: ${actual[key]} frente a ${value}`).toBeLessThanOrEqual(1e-9 * Math.max(1, Math.abs(value)));
+    }
+  }
+}
+
+describe('indicadores incrementales', () => {
+  it.each(CASES)('%s coincide con la serie completa vela a vela, también en la vela en curso', (_, calculate, create) => {
+    const indicator = create();
+    const full = calculate(KLINES);
+    expect(indicator.value).toBeNull();
+    KLINES.forEach((kline, i) => {
+      const closed = KLINES.slice(0, i);
+      for (const [step, partial] of partialUpdates(kline).entries()) {
+        const point = indicator.update(partial);
+        expectSamePoint(point, batch.lastPoint(calculate([...closed, partial])), `vela ${i}, actualización ${step}`);
+      }
+      const point = indicator.update(kline);
+      expectSamePoint(point, full[i], `vela ${i}, final`);
+      expect(indicator.value).toBe(point);
+    });
+  });
+
+  it('ignora las velas anteriores a la vela en curso', () => {
+    const indicator = incremental.createIncrementalSMA(3);
+    KLINES.slice(0, 5).forEach(kline => indicator.update(kline));
+    const current = indicator.value;
+    expect(indicator.update({ ...KLINES[2], close: 1e6 })).toBe(current);
+    expectSamePoint(indicator.update(KLINES[5]), batch.calculateSMA(KLINES, 3)[5], 'vela 5');
+  });
+});
@@ -0,0 +1,85 @@
+// tests/klineStore.test.js
+// Cálculo de los tramos que faltan y unión de velas del almacén, sin IndexedDB: son funciones puras sobre las
+// velas guardadas y el instante actual.
+
+import { describe, expect, it } from 'vitest';
+import { findMissingRanges, mergeKlineLists } from '../src/scripts/klineStore.js';
+import { toKlines } from './klines.js';
+
+const MINUTE_MS = 60 * 1000;
+const T0 = Date.UTC(2026, 0, 5);
+// A mitad de la vela 100 de 1m contada desde T0.
+const NOW = T0 + 100 * MINUTE_MS + 30 * 1000;
+const LIMIT = 50;
+
+const openTime = (index) => T0 + index * MINUTE_MS;
+
+/**
+ * Velas de 1m con índices de `from` a `to` (ambos incluidos) desde T0.
+ * @param {number} from
+ * @param {number} to
+ * @param {number} [close=1]
+ */
+function minuteKlines(from, to, close = 1) {
+  return toKlines(Array.from({ length: to - from + 1 }, () => [close, close, close, close]), openTime(from));
+}
+
+describe('findMissingRanges', () => {
+  it('pide la ventana completa si no hay nada guardado', () => {
+    expect(findMissingRanges([], '1m', LIMIT, false, NOW)).toEqual([{ limit: LIMIT }]);
+  });
+
+  it('pide desde la última vela guardada hasta el presente, incluida la última', () => {
+    const klines = minuteKlines(51, 95);
+    expect(findMissingRanges(klines, '1m', LIMIT, false, NOW)).toEqual([{ startTime: openTime(95), limit: 6 }]);
+  });
+
+  it('pide los huecos entre velas guardadas dentro de la ventana', () => {
+    const klines = [...minuteKlines(51, 70), ...minuteKlines(76, 100)];
+    expect(findMissingRanges(klines, '1m', LIMIT, false, NOW)).toEqual([
+      { startTime: openTime(100), limit: 1 },
+      { startTime: openTime(71), endTime: openTime(76) - 1, limit: 5 },
+    ]);
+  });
+
+  it('ignora los huecos anteriores a la ventana de las `limit` velas más recientes', () => {
+    const klines = [...minuteKlines(30, 31), ...minuteKlines(33, 100)];
+    expect(findMissingRanges(klines, '1m', LIMIT, false, NOW)).toEqual([{ startTime: openTime(100), limit: 1 }]);
+  });
+
+  it('vuelve a pedir la ventana completa si las velas guardadas son más antiguas que `limit`', () => {
+    const klines = minuteKlines(10, 40);
+    expect(findMissingRanges(klines, '1m', LIMIT, false, NOW)).toEqual([{ limit: LIMIT }]);
+  });
+
+  it('pide el historial anterior a la primera vela salvo que la serie haya llegado a su inicio', () => {
+    const klines = minuteKlines(70, 100);
+    expect(findMissingRanges(klines, '1m', LIMIT, false, NOW)).toEqual([
+      { startTime: openTime(100), limit: 1 },
+      { endTime: openTime(70) - 1, limit: 19 },
+    ]);
+    expect(findMissingRanges(klines, '1m', LIMIT, true, NOW)).toEqual([{ startTime: openTime(100), limit: 1 }]);
+  });
+});
+
+describe('mergeKlineLists', () => {
+  it('une por `openTime` y, ante duplicados, se queda con la vela nueva', () => {
+    const merged = mergeKlineLists(minuteKlines(0, 4, 10), minuteKlines(3, 6, 20));
+
+    expect(merged.map(kline => kline.openTime)).toEqual([0, 1, 2, 3, 4, 5, 6].map(openTime));
+    expect(merged.map(kline => kline.close)).toEqual([10, 10, 10, 20, 20, 20, 20]);
+  });
+
+  it('ordena el resultado aunque las velas nuevas sean anteriores', () => {
+    const merged = mergeKlineLists(minuteKlines(5, 6), minuteKlines(0, 1));
+    expect(merged.map(kline => kline.openTime)).toEqual([0, 1, 5, 6].map(openTime));
+  });
+
+  it('conserva como máximo las 1000 velas más recientes', () => {
+    const merged = mergeKlineLists(minuteKlines(0, 999), minuteKlines(1000, 1009));
+
+    expect(merged).toHaveLength(1000);
+    expect(merged[0].openTime).toBe(openTime(10));
+    expect(merged[merged.length - 1].openTime).toBe(openTime(1009));
+  });
+});
@@ -0,0 +1,51 @@
+// tests/klines.js
+// Velas de prueba para los tests de indicadores y del backtester.
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Convierte filas `[open, high, low, close, volume?]` en `KlineObject[]` consecutivas.
+ * @param {number[][]} rows
+ * @param {number} [startTime=0] - `openTime` de la primera vela.
+ * @param {number} [intervalMs=60000] - Separación entre velas (1m por defecto).
+ * @returns {import('../src/scripts/binanceAPI.js').KlineObject[]}
+ */
+export function toKlines(rows, startTime = 0, intervalMs = MINUTE_MS) {
+  return rows.map(([open, high, low, close, volume = 1], i) => ({
+    openTime: startTime + i * intervalMs,
+    open,
+    high,
+    low,
+    close,
+    volume,
+    closeTime: startTime + (i + 1) * intervalMs - 1,
+    quoteAssetVolume: volume * close,
+    numberOfTrades: 1,
+    takerBuyBaseAssetVolume: volume / 2,
+    takerBuyQuoteAssetVolume: volume * close / 2,
+  }));
+}
+
+/**
+ * Velas sin mecha (open = high = low = close) a partir de una lista de cierres.
+ * @param {number[]} closes
+ * @returns {import('../src/scripts/binanceAPI.js').KlineObject[]}
+ */
+export function fromCloses(closes) {
+  return toKlines(closes.map(close => [close, close, close, close]));
+}
+
+/**
+ * Serie determinista con tendencia, ciclo, mechas y volumen variable, para comprobar propiedades sobre muchas
+ * velas.
+ * @param {number} count
+ * @param {number} [startTime=0]
+ * @param {number} [intervalMs=60000]
+ * @returns {import('../src/scripts/binanceAPI.js').KlineObject[]}
+ */
+export function wavyKlines(count, startTime = 0, intervalMs = MINUTE_MS) {
+  return toKlines(Array.from({ length: count }, (_, i) => {
+    const close = 100 + i * 0.3 + 8 * Math.sin(i / 6);
+    return [close - Math.cos(i), close + 1.5 + Math.sin(i / 3), close - 1.5 - Math.cos(i / 4), close, 10 + (i % 7) * 3];
+  }), startTime, intervalMs);
+}
@@ -0,0 +1,289 @@
+// tests/technicalIndicators.test.js
+// Los valores de referencia de SMA, EMA, RSI y Bandas de Bollinger son las tablas de ejemplo de StockCharts
+// ChartSchool (publicadas con dos decimales). Los demás indicadores se comprueban con ejemplos pequeños calculados
+// a mano paso a paso según la definición de Wilder/Lane/Ichimoku, o con propiedades analíticas (MACD de una
+// recta).
+
+import { describe, expect, it } from 'vitest';
+import {
+  calculateADX,
+  calculateATR,
+  calculateBollingerBands,
+  calculateEMA,
+  calculateIchimoku,
+  calculateMACD,
+  calculateOBV,
+  calculateParabolicSAR,
+  calculateRSI,
+  calculateSMA,
+  calculateStochastic,
+  calculateVWAP,
+  calculateWilliamsR,
+} from '../src/scripts/technicalIndicators.js';
+import { fromCloses, toKlines, wavyKlines } from './klines.js';
+
+/**
+ * Compara una serie con valores de referencia a partir de `from`, con tolerancia absoluta.
+ * @param {Array<number | null>} actual
+ * @param {number} from
+ * @param {number[]} expected
+ * @param {number} tolerance
+ */
+function expectValues(actual, from, expected, tolerance) {
+  expected.forEach((value, i) => {
+    expect(actual[from + i], `índice ${from + i}`).not.toBeNull();
+    expect(Math.abs(actual[from + i] - value), `índice ${from + i}: ${actual[from + i]} frente a ${value}`).toBeLessThanOrEqual(tolerance);
+  });
+}
+
+const values = (series, key = 'value') => series.map(point => point[key]);
+
+// StockCharts, "Moving Averages - Simple and Exponential" (SMA y EMA de 10 días).
+const MOVING_AVERAGE_CLOSES = [
+  22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29, 22.15, 22.39, 22.38, 22.61, 23.36,
+  24.05, 23.75, 23.83, 23.95, 23.63, 23.82, 23.87, 23.65, 23.19, 23.10, 23.33, 22.68, 23.10, 22.40, 22.17,
+];
+// StockCharts, "Relative Strength Index (RSI)" (RSI de 14 días).
+const RSI_CLOSES = [
+  44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28,
+  46.00, 46.03, 46.41, 46.22, 45.64, 46.21, 46.25, 45.71, 46.45, 45.78, 45.35, 44.03,
+];
+// StockCharts, "Bollinger Bands" (20 días, 2 desviaciones).
+const BOLLINGER_CLOSES = [
+  86.16, 89.09, 88.78, 90.32, 89.07, 91.15, 89.44, 89.18, 86.93, 87.68, 86.96, 89.43, 89.32, 88.72, 87.45,
+  87.26, 89.50, 87.90, 89.13, 90.70, 92.90, 92.98,
+];
+
+// Seis velas con mechas, huecos y un cambio de tendencia para los ejemplos calculados a mano.
+// [open, high, low, close, volume]
+const HAND_ROWS = [
+  [9, 10, 8, 9, 100],
+  [9, 11, 9, 10, 200],
+  [10, 12, 9, 11, 150],
+  [11, 11, 8, 9, 300],
+  [9, 13, 10, 12, 250],
+  [12, 12, 10, 11, 50],
+];
+const HAND_KLINES = toKlines(HAND_ROWS);
+
+describe('calculateSMA', () => {
+  it('coincide con la tabla de StockCharts', () => {
+    const sma = values(calculateSMA(fromCloses(MOVING_AVERAGE_CLOSES), 10));
+    expectValues(sma, 9, [22.22, 22.21, 22.23, 22.26, 22.31, 22.42, 22.61, 22.77, 22.91, 23.08, 23.21, 23.38, 23.53, 23.65, 23.71, 23.69, 23.61, 23.51, 23.43, 23.28], 0.01);
+  });
+
+  it('usa la fuente de precio indicada', () => {
+    const sma = values(calculateSMA(HAND_KLINES, 2, 'hlc3'));
+    expectValues(sma, 1, [(27 / 3 + 30 / 3) / 2], 1e-9);
+  });
+});
+
+describe('calculateEMA', () => {
+  it('coincide con la tabla de StockCharts', () => {
+    const ema = values(calculateEMA(fromCloses(MOVING_AVERAGE_CLOSES), 10));
+    expectValues(ema, 9, [22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34, 23.43, 23.51, 23.54, 23.47, 23.40, 23.39, 23.26, 23.23, 23.08, 22.92], 0.01);
+  });
+});
+
+describe('calculateRSI', () => {
+  it('coincide con la tabla de StockCharts', () => {
+    // La tabla publicada redondea las ganancias y pérdidas medias a dos decimales: difiere hasta 0,07 puntos.
+    const rsi = values(calculateRSI(fromCloses(RSI_CLOSES), 14));
+    expectValues(rsi, 14, [70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38, 54.71, 50.42, 39.99], 0.1);
+  });
+
+  it('vale 100 sin pérdidas', () => {
+    const rsi = values(calculateRSI(fromCloses([1, 2, 3, 4, 5]), 3));
+    expect(rsi).toEqual([null, null, null, 100, 100]);
+  });
+});
+
+describe('calculateMACD', () => {
+  it('en una recta de pendiente 1 vale la diferencia de retrasos de las EMA: (26 - 12) / 2', () => {
+    const macd = calculateMACD(fromCloses(Array.from({ length: 60 }, (_, i) => 100 + i)));
+    expectValues(values(macd, 'macd'), 25, Array(35).fill(7), 1e-9);
+    expectValues(values(macd, 'signal'), 33, Array(27).fill(7), 1e-9);
+    expectValues(values(macd, 'histogram'), 33, Array(27).fill(0), 1e-9);
+  });
+
+  it('es la diferencia de las EMA y la señal es la EMA de esa diferencia', () => {
+    const klines = fromCloses(MOVING_AVERAGE_CLOSES);
+    const macd = calculateMACD(klines, 3, 6, 4);
+    const emaShort = values(calculateEMA(klines, 3));
+    const emaLong = values(calculateEMA(klines, 6));
+    const line = emaLong.map((long, i) => (long === null ? null : emaShort[i] - long));
+    expectValues(values(macd, 'macd'), 5, line.slice(5), 1e-9);
+
+    // Señal: EMA(4) de la línea, sembrada con la media de sus 4 primeros valores.
+    let signal = (line[5] + line[6] + line[7] + line[8]) / 4;
+    const expectedSignal = [signal];
+    for (let i = 9; i < line.length; i++) {
+      signal = (line[i] - signal) * (2 / 5) + signal;
+      expectedSignal.push(signal);
+    }
+    expectValues(values(macd, 'signal'), 8, expectedSignal, 1e-9);
+  });
+});
+
+describe('calculateBollingerBands', () => {
+  it('coincide con la tabla de StockCharts', () => {
+    const bands = calculateBollingerBands(fromCloses(BOLLINGER_CLOSES), 20, 2);
+    expectValues(values(bands, 'middle'), 19, [88.71, 89.05, 89.24], 0.01);
+    expectValues(values(bands, 'upper'), 19, [91.29, 91.95, 92.61], 0.01);
+    expectValues(values(bands, 'lower'), 19, [86.12, 86.14, 85.87], 0.01);
+  });
+});
+
+describe('calculateATR', () => {
+  it('suaviza el rango verdadero con la media de Wilder', () => {
+    // TR: 2, 2, 3, 3 (hueco bajo el cierre anterior), 4 (hueco sobre el cierre anterior), 2.
+    const atr = values(calculateATR(HAND_KLINES, 3));
+    expectValues(atr, 2, [7 / 3, 23 / 9, 82 / 27, 218 / 81], 1e-9);
+  });
+});
+
+describe('calculateStochastic', () => {
+  it('calcula %K rápido y %D como su media', () => {
+    const stochastic = calculateStochastic(HAND_KLINES, 3, 2);
+    expectValues(values(stochastic, 'k'), 2, [75, 25, 80, 60], 1e-9);
+    expectValues(values(stochastic, 'd'), 3, [50, 52.5, 70], 1e-9);
+  });
+
+  it('suaviza %K en el estocástico lento', () => {
+    const stochastic = calculateStochastic(HAND_KLINES, 3, 2, 2);
+    expectValues(values(stochastic, 'k'), 3, [50, 52.5, 70], 1e-9);
+    expectValues(values(stochastic, 'd'), 4, [51.25, 61.25], 1e-9);
+  });
+});
+
+describe('calculateADX', () => {
+  it('calcula +DI, -DI y ADX con el suavizado de Wilder', () => {
+    // +DM: 1, 1, 0, 2, 0; -DM: 0, 0, 1, 0, 0 (la última vela no supera ni el máximo ni el mínimo anteriores).
+    const adx = calculateADX(HAND_KLINES, 2);
+    expectValues(values(adx, 'plusDI'), 2, [40, 100 * 0.5 / 2.75, 100 * 1.25 / 3.375, 100 * 0.625 / 2.6875], 1e-9);
+    expectValues(values(adx, 'minusDI'), 2, [0, 100 * 0.5 / 2.75, 100 * 0.25 / 3.375, 100 * 0.125 / 2.6875], 1e-9);
+    expectValues(values(adx, 'adx'), 3, [50, 175 / 3, 62.5], 1e-9);
+  });
+});
+
+describe('calculateOBV', () => {
+  it('suma el volumen al subir, lo resta al bajar y parte de 0', () => {
+    expect(values(calculateOBV(HAND_KLINES))).toEqual([0, 200, 350, 50, 300, 250]);
+  });
+
+  it('no cambia si el cierre se repite', () => {
+    expect(values(calculateOBV(toKlines([[1, 1, 1, 1, 10], [1, 1, 1, 1, 20], [1, 2, 1, 2, 5]])))).toEqual([0, 0, 5]);
+  });
+});
+
+describe('calculateVWAP', () => {
+  it('acumula precio típico por volumen sobre toda la serie sin ancla', () => {
+    const vwap = values(calculateVWAP(HAND_KLINES, null));
+    expectValues(vwap, 0, [9, 2900 / 300, 10, 7300 / 750, 10216.666666666666 / 1000, 10766.666666666666 / 1050], 1e-9);
+  });
+
+  it('reinicia el acumulado al empezar cada día UTC', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    // Las tres últimas velas abren a medianoche del día siguiente.
+    const klines = HAND_KLINES.map((kline, i) => ({ ...kline, openTime: i < 3 ? DAY_MS - 3 * 60000 + i * 60000 : DAY_MS + (i - 3) * 60000 }));
+    const vwap = values(calculateVWAP(klines, 'day'));
+    expectValues(vwap, 0, [9, 2900 / 300, 10, 28 / 3, (2800 + 35 / 3 * 250) / 550, (2800 + 35 / 3 * 250 + 550) / 600], 1e-9);
+  });
+
+  it('es null mientras no hay volumen', () => {
+    expect(values(calculateVWAP(toKlines([[1, 1, 1, 1, 0], [1, 2, 1, 2, 3]]), null))).toEqual([null, 5 / 3]);
+  });
+});
+
+describe('calculateWilliamsR', () => {
+  it('mide el cierre respecto al rango del período, de -100 a 0', () => {
+    const williams = values(calculateWilliamsR(HAND_KLINES, 3));
+    expectValues(williams, 2, [-25, -75, -20, -40], 1e-9);
+  });
+});
+
+describe('calculateParabolicSAR', () => {
+  it('sigue la tendencia y se da la vuelta al cruzar el precio', () => {
+    const sar = calculateParabolicSAR(HAND_KLINES);
+    // Vela 2: limitado a los mínimos de las dos velas anteriores (8,06 → 8). Vela 3: el mínimo perfora 8,16 y
+    // pasa a bajista en el extremo anterior (12). Vela 4: el máximo supera 12 y vuelve a alcista en 8.
+    expect(values(sar)).toEqual([null, 8, 8, 12, 8, 8]);
+    expect(values(sar, 'isUptrend')).toEqual([null, true, true, false, true, true]);
+  });
+
+  it('acelera al marcar nuevos extremos hasta el máximo', () => {
+    // Subida continua: el factor crece 0,02 por vela desde 0,02 y se queda en 0,2.
+    const klines = toKlines(Array.from({ length: 20 }, (_, i) => [10 + i, 11 + i, 9 + i, 10.5 + i]));
+    const sar = values(calculateParabolicSAR(klines));
+    expect(sar[1]).toBe(9);
+    // 9,06 queda por encima del mínimo de dos velas antes (9).
+    expect(sar[2]).toBe(9);
+    expect(sar[3]).toBeCloseTo(sar[2] + 0.04 * (13 - sar[2]), 12);
+    expect(sar[19]).toBeCloseTo(sar[18] + 0.2 * (29 - sar[18]), 12);
+  });
+});
+
+describe('calculateIchimoku', () => {
+  it('calcula las líneas con los puntos medios y desplaza la nube y la Chikou', () => {
+    const ichimoku = calculateIchimoku(HAND_KLINES, 2, 3, 4, 2);
+    expect(values(ichimoku, 'conversion')).toEqual([null, 9.5, 10.5, 10, 10.5, 11.5]);
+    expect(values(ichimoku, 'base')).toEqual([null, null, 10, 10, 10.5, 10.5]);
+    // Span A sin desplazar: 10,25, 10, 10,5, 11 desde la vela 2; Span B: 10, 10,5, 10,5 desde la vela 3.
+    expect(values(ichimoku, 'spanA')).toEqual([null, null, null, null, 10.25, 10]);
+    expect(values(ichimoku, 'spanB')).toEqual([null, null, null, null, null, 10]);
+    expect(values(ichimoku, 'lagging')).toEqual([11, 9, 12, 11, null, null]);
+  });
+});
+
+describe('forma de las series', () => {
+  const klines = wavyKlines(120, Date.UTC(2026, 0, 5));
+
+  /**
+   * Número de `null` al principio de una serie; después del primer valor no debe haber más `null`.
+   * @param {Array<number | boolean | null>} series
+   * @returns {number}
+   */
+  function leadingNulls(series) {
+    const count = series.findIndex(value => value !== null);
+    expect(series.slice(count).every(value => value !== null)).toBe(true);
+    return count;
+  }
+
+  // [nombre, serie, { campo: nulls iniciales documentados }]
+  const cases = [
+    ['SMA(20)', calculateSMA(klines, 20), { value: 19 }],
+    ['EMA(20)', calculateEMA(klines, 20), { value: 19 }],
+    ['RSI(14)', calculateRSI(klines), { value: 14 }],
+    ['MACD(12, 26, 9)', calculateMACD(klines), { macd: 25, signal: 33, histogram: 33 }],
+    ['Bollinger(20, 2)', calculateBollingerBands(klines), { middle: 19, upper: 19, lower: 19 }],
+    ['ATR(14)', calculateATR(klines), { value: 13 }],
+    ['Estocástico(14, 3)', calculateStochastic(klines), { k: 13, d: 15 }],
+    ['Estocástico lento(14, 3, 3)', calculateStochastic(klines, 14, 3, 3), { k: 15, d: 17 }],
+    ['ADX(14)', calculateADX(klines), { plusDI: 14, minusDI: 14, adx: 27 }],
+    ['OBV', calculateOBV(klines), { value: 0 }],
+    ['VWAP', calculateVWAP(klines), { value: 0 }],
+    ['Williams %R(14)', calculateWilliamsR(klines), { value: 13 }],
+    ['SAR parabólico', calculateParabolicSAR(klines), { value: 1, isUptrend: 1 }],
+    ['Ichimoku(9, 26, 52, 26)', calculateIchimoku(klines), { conversion: 8, base: 25, spanA: 51, spanB: 77 }],
+  ];
+
+  it.each(cases)('%s tiene la longitud de la entrada, time = openTime y el calentamiento documentado', (_, series, warmUp) => {
+    expect(series).toHaveLength(klines.length);
+    series.forEach((point, i) => expect(point.time).toBe(klines[i].openTime));
+    for (const [key, nulls] of Object.entries(warmUp)) {
+      expect(leadingNulls(values(series, key)), key).toBe(nulls);
+    }
+  });
+
+  it('la Chikou de Ichimoku es null en las últimas `displacement` velas', () => {
+    const lagging = values(calculateIchimoku(klines), 'lagging');
+    expect(lagging.slice(0, -26).every(value => value !== null)).toBe(true);
+    expect(lagging.slice(-26).every(value => value === null)).toBe(true);
+  });
+
+  it('devuelve series vacías para una entrada vacía', () => {
+    for (const series of [calculateSMA([], 5), calculateRSI([]), calculateMACD([]), calculateParabolicSAR([]), calculateIchimoku([])]) {
+      expect(series).toEqual([]);
+    }
+  });
+});